@@ -0,0 +1,56 @@
+// scripts/build-export-fonts.mjs
+// Regenerates src/export-fonts.js, the font subsets an SVG export carries with it.
+// - DejaVu Sans (regular and bold) for the diagram's text and most of its glyphs
+// - DejaVu Sans Mono Bold for the export caption
+// - Noto Sans Symbols for what DejaVu lacks (⛎ and the minor aspect signs)
+// Each face keeps only EXPORT_FONT_CHARS, stored as base64 WOFF2.
+//
+// Usage (subset-font is not a dependency of the app, so install it just for this run):
+//   npm install --no-save subset-font
+//   node scripts/build-export-fonts.mjs <DejaVuSans.ttf> <DejaVuSans-Bold.ttf> \
+//     <DejaVuSansMono-Bold.ttf> <NotoSansSymbols-Regular (.ttf, .woff or .woff2)>
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import subsetFont from 'subset-font';
+
+// Printable ASCII plus every other character the diagram and its caption draw
+const ASCII = Array.from({ length: 95 }, (_, i) => String.fromCharCode(32 + i)).join('');
+const EXTRA = '°′″·±×−–—…Δ℞⊕☉☾☿♀♂♃♄♅♆♇☊☋♈♉♊♋♌♍♎♏♐♑♒♓⛎☌☍⚹⚺⚻⚼∠□△';
+const CHARS = ASCII + EXTRA;
+
+const [sans, sansBold, monoBold, symbols] = process.argv.slice(2);
+if (!symbols) {
+  console.error('usage: node scripts/build-export-fonts.mjs <DejaVuSans> <DejaVuSans-Bold> <DejaVuSansMono-Bold> <NotoSansSymbols>');
+  process.exit(1);
+}
+
+const FACES = [
+  { family: 'Orrery Export Sans', weight: 400, file: sans },
+  { family: 'Orrery Export Sans', weight: 700, file: sansBold },
+  { family: 'Orrery Export Mono', weight: 700, file: monoBold },
+  { family: 'Orrery Export Symbols', weight: 400, file: symbols }
+];
+
+const faces = [];
+for (const face of FACES) {
+  const data = await subsetFont(readFileSync(face.file), CHARS, { targetFormat: 'woff2' });
+  faces.push(`  { family: '${face.family}', weight: ${face.weight}, woff2:\n    '${data.toString('base64')}' }`);
+}
+
+writeFileSync(new URL('../src/export-fonts.js', import.meta.url), `// src/export-fonts.js
+// Generated by scripts/build-export-fonts.mjs; do not edit by hand.
+// Font subsets embedded in SVG exports so their text and glyphs render anywhere.
+// - Orrery Export Sans / Mono: subsets of DejaVu Sans, DejaVu Sans Bold and DejaVu Sans Mono
+//   Bold (Bitstream Vera license with public-domain DejaVu changes; renamed as it requires)
+// - Orrery Export Symbols: subset of Noto Sans Symbols, © 2022 The Noto Project Authors,
+//   SIL Open Font License 1.1
+
+// Every character the subsets were cut for
+export const EXPORT_FONT_CHARS = ${JSON.stringify(CHARS)};
+
+// [{ family, weight, woff2 (base64) }]
+export const EXPORT_FONTS = [
+${faces.join(',\n')}
+];
+`);
+console.log('wrote src/export-fonts.js');
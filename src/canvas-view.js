@@ -0,0 +1,424 @@
+// src/canvas-view.js
+// Canvas 2D view layer: draws the same picture as svg-view.js onto a <canvas>.
+// - Same interface as createSvgView(): initPools, applyViewLayers, render, renderHorizon, bodyAt
+// - Repaints the whole canvas each frame; nothing survives a frame but its hit regions
+// - Hit regions stand in for SVG <title> tooltips and `data-body` click targets
+// - Vector export stays with the SVG view
+
+import { DEG, DOME_R, domePoint, formatDate } from './engine.js';
+import {
+  TRAIL_BANDS, trailOpacity, trailBandRange, ZODIAC_RING_R, ZODIAC_LABEL_R, ZODIAC_TICKS, zodiacTickSegments,
+  MARKER_LABEL_GAP, markerLabelPoint, ASPECT_CHORD_INSET, aspectChordEnds,
+  HOUSE_CUSP_INSET, HOUSE_NUMBER_INSET, HOUSE_AXIS_LABEL_INSET, houseNumberAngles, houseAxes
+} from './view-geometry.js';
+
+// The page's text font (SVG text inherits it from the body; 16px where no size is given)
+const FONT = "system-ui, -apple-system, 'Segoe UI', 'Segoe UI Symbol', sans-serif";
+// Smallest hit radius in screen pixels, so far-out zooms still leave something to point at
+const MIN_HIT_PX = 6;
+
+/**
+ * Attach to `canvas`. Returns { element, initPools(planets, zoom), applyViewLayers(view),
+ * render(frame), renderHorizon(frame), bodyAt(event) } taking the same frames as
+ * createSvgView(). When the browser offers no 2D context, `supported` is false and the
+ * render calls do nothing.
+ */
+export function createCanvasView(canvas) {
+  const ctx = canvas.getContext ? canvas.getContext('2d') : null;
+  let planets = [];
+  let view = 'helio';
+  let zoom = 0.25;
+  // screen-space circles from the last frame, in paint order: { x, y, r, body, title }
+  let hits = [];
+
+  function zMod(v) { return v / Math.pow(zoom, 0.6); }
+
+  function initPools(list, initialZoom = zoom) {
+    planets = list;
+    zoom = initialZoom;
+  }
+
+  function applyViewLayers(next) {
+    view = next;
+  }
+
+  // Match the backing store to the element's size and the device pixel ratio; returns the
+  // ratio so drawing can stay in CSS pixels
+  function begin(viewport) {
+    const dpr = (typeof window !== 'undefined' && window.devicePixelRatio) || 1;
+    const w = Math.round(viewport.width * dpr), h = Math.round(viewport.height * dpr);
+    if (canvas.width !== w) canvas.width = w;
+    if (canvas.height !== h) canvas.height = h;
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    hits = [];
+    return dpr;
+  }
+
+  function worldTransform(dpr, pan) {
+    ctx.setTransform(dpr * zoom, 0, 0, dpr * zoom, dpr * pan.x, dpr * pan.y);
+  }
+
+  // Drawing helpers; each leaves the context state as it found it apart from the transform
+  function stroke(color, width, { dash = null, alpha = 1, cap = 'butt', join = 'miter' } = {}) {
+    ctx.globalAlpha = alpha;
+    ctx.strokeStyle = color;
+    ctx.lineWidth = width;
+    ctx.lineCap = cap;
+    ctx.lineJoin = join;
+    ctx.setLineDash(dash || []);
+    ctx.stroke();
+    ctx.globalAlpha = 1;
+  }
+
+  function circle(x, y, r) {
+    ctx.beginPath();
+    ctx.arc(x, y, Math.max(0, r), 0, 2 * Math.PI);
+  }
+
+  function polyline(pts) {
+    ctx.beginPath();
+    pts.forEach((pt, i) => (i === 0 ? ctx.moveTo(pt.x, pt.y) : ctx.lineTo(pt.x, pt.y)));
+  }
+
+  // text-anchor and dominant/alignment-baseline as in the SVG view
+  function text(str, x, y, { size = 16, weight = 'normal', fill = '#000', align = 'start', baseline = 'alphabetic', alpha = 1 } = {}) {
+    ctx.globalAlpha = alpha;
+    ctx.font = `${weight} ${size}px ${FONT}`;
+    ctx.fillStyle = fill;
+    ctx.textAlign = align;
+    ctx.textBaseline = baseline;
+    ctx.fillText(str, x, y);
+    ctx.globalAlpha = 1;
+  }
+
+  function line(from, to) {
+    ctx.beginPath();
+    ctx.moveTo(from.x, from.y);
+    ctx.lineTo(to.x, to.y);
+  }
+
+  // Record a hit circle given in world units under the current pan and zoom
+  function addHit(pan, pt, r, body, title) {
+    hits.push({ x: pan.x + pt.x * zoom, y: pan.y + pt.y * zoom, r: Math.max(MIN_HIT_PX, r * zoom), body, title });
+  }
+
+  // Topmost hit region under a screen point, optionally only those naming a body
+  function hitAt(x, y, bodiesOnly = false) {
+    for (let i = hits.length - 1; i >= 0; i--) {
+      const h = hits[i];
+      if ((!bodiesOnly || h.body) && Math.hypot(x - h.x, y - h.y) <= h.r) return h;
+    }
+    return null;
+  }
+
+  function localPoint(e) {
+    const rect = canvas.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+  }
+
+  // Tooltips and the pointer cursor follow the hit regions, like <title> and CSS do for SVG
+  if (canvas.addEventListener) {
+    canvas.addEventListener('pointermove', (e) => {
+      const p = localPoint(e);
+      const hit = hitAt(p.x, p.y);
+      const title = hit && hit.title ? hit.title : '';
+      if (canvas.title !== title) canvas.title = title;
+      canvas.style.cursor = hit && hit.body ? 'pointer' : '';
+    });
+    canvas.addEventListener('pointerleave', () => { canvas.title = ''; });
+  }
+
+  /** Body id under a pointer event, or null; the canvas counterpart of `[data-body]`. */
+  function bodyAt(e) {
+    const p = localPoint(e);
+    const hit = hitAt(p.x, p.y, true);
+    return hit ? hit.body : null;
+  }
+
+  function renderHorizon(frame) {
+    if (!ctx || view !== 'horizon') return;
+    zoom = frame.zoom;
+    const dpr = begin(frame.viewport || { width: canvas.clientWidth, height: canvas.clientHeight });
+    worldTransform(dpr, frame.pan);
+    const width = 1.5 / zoom;
+    const sky = frame.sky;
+
+    // sky tint follows the Sun: day, twilight (down to -18°) or night
+    const sunAlt = sky.sun ? sky.sun.alt : -90;
+    circle(0, 0, DOME_R);
+    ctx.fillStyle = sunAlt > 0 ? '#e0f2fe' : sunAlt > -18 ? '#e2e8f0' : '#cbd5e1';
+    ctx.fill();
+    stroke('#94a3b8', width * 1.5);
+    [30, 60].forEach(alt => {
+      circle(0, 0, DOME_R * (90 - alt) / 90);
+      stroke('#cbd5e1', width, { dash: [6 / zoom, 6 / zoom] });
+    });
+    line({ x: 0, y: -DOME_R }, { x: 0, y: DOME_R });
+    stroke('#cbd5e1', width, { dash: [12 / zoom, 6 / zoom] });
+    text('+', 0, 0, { size: zMod(18), fill: '#94a3b8', align: 'center', baseline: 'middle' });
+    [['N', 0], ['E', 90], ['S', 180], ['W', 270]].forEach(([label, az]) => {
+      const pt = domePoint(0, az);
+      const pad = 1 + zMod(30) / DOME_R;
+      text(label, pt.x * pad, pt.y * pad, { size: zMod(24), weight: '900', fill: label === 'N' ? '#e11d48' : '#64748b', align: 'center', baseline: 'middle' });
+    });
+
+    const bodies = [
+      { id: 'sun', sym: '☉', col: '#fbbf24' },
+      { id: 'moon', sym: '☾', col: '#64748b' },
+      ...planets.filter(p => p.id !== 'earth')
+    ];
+    bodies.forEach(b => {
+      const p = sky[b.id];
+      // bodies below the horizon are not drawn
+      if (!p || p.alt < 0) return;
+      const pt = domePoint(p.alt, p.az);
+      const r = zMod(b.id === 'sun' ? 14 : 9);
+      circle(pt.x, pt.y, r);
+      ctx.fillStyle = b.col;
+      ctx.fill();
+      stroke('white', width);
+      text(b.sym, pt.x, pt.y - zMod(14), { size: zMod(12), weight: '900', fill: '#1e293b', align: 'center' });
+      addHit(frame.pan, pt, r, b.id, `${b.id.toUpperCase()}  ALT ${p.alt.toFixed(1)}°  AZ ${p.az.toFixed(1)}°`);
+    });
+  }
+
+  function renderZodiacOverlay(frame, dpr) {
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    // Fixed zodiac ring centred in the viewport; lines start at the viewpoint on screen
+    const { signs, origin } = frame.zodiac;
+    const centerX = frame.viewport.width / 2;
+    const centerY = frame.viewport.height / 2;
+    const from = { x: frame.pan.x + frame.scene.viewpoint.x * zoom, y: frame.pan.y + frame.scene.viewpoint.y * zoom };
+    ZODIAC_TICKS.forEach(tick => {
+      ctx.beginPath();
+      zodiacTickSegments(tick, origin, centerX, centerY).forEach(t => {
+        ctx.moveTo(t.x1, t.y1);
+        ctx.lineTo(t.x2, t.y2);
+      });
+      stroke('#94a3b8', tick.width, { alpha: tick.opacity });
+    });
+    circle(centerX, centerY, ZODIAC_RING_R);
+    stroke('#94a3b8', 1, { alpha: 0.4 });
+    signs.forEach(sign => {
+      const a = sign.from * DEG;
+      line(from, { x: centerX + ZODIAC_RING_R * Math.cos(a), y: centerY + ZODIAC_RING_R * Math.sin(a) });
+      stroke('#cbd5e1', 1.5, { dash: [10, 10], alpha: 0.15 });
+    });
+    signs.forEach(sign => {
+      const a = (sign.from + sign.to) / 2 * DEG;
+      text(sign.s, centerX + ZODIAC_LABEL_R * Math.cos(a), centerY + ZODIAC_LABEL_R * Math.sin(a),
+        { size: 28, weight: '900', fill: '#94a3b8', align: 'center', baseline: 'middle', alpha: 0.4 });
+    });
+  }
+
+  function connector(from, to, color, width) {
+    line(from, to);
+    stroke(color, Math.max(0.5, width * 0.6), { dash: [6 / zoom, 6 / zoom], alpha: 0.15 });
+  }
+
+  function marker(glyph, pt, fill, size, weight = 'normal') {
+    text(glyph, pt.x, pt.y, { size: zMod(size), weight, fill, align: 'center', baseline: 'middle' });
+  }
+
+  function render(frame) {
+    if (!ctx || view === 'horizon') return;
+    zoom = frame.zoom;
+    const { scene, days, pan } = frame;
+    const dpr = begin(frame.viewport);
+    const width = 1.5 / zoom;
+    worldTransform(dpr, pan);
+    const retro = {};
+    frame.planets.forEach(p => { retro[p.id] = frame.isRetrograde(p.id, days); });
+
+    // orbits
+    if (frame.showOrbits) {
+      frame.planets.forEach(p => {
+        const pts = scene.orbits[p.id];
+        if (!pts || pts.length <= 2) return;
+        polyline(pts);
+        ctx.closePath();
+        stroke('#e2e8f0', width);
+      });
+    }
+
+    // past and future trails, banded around each body's current position
+    frame.planets.forEach(p => {
+      const trail = frame.showTrails ? scene.trails[p.id] : null;
+      if (!trail || trail.points.length <= 1) return;
+      const pts = trail.points;
+      [false, true].forEach(future => {
+        for (let band = 0; band < TRAIL_BANDS; band++) {
+          const [a, b] = trailBandRange(trail, future, band);
+          if (b <= a) continue;
+          polyline(pts.slice(a, b + 1));
+          stroke(p.col, width, { dash: future ? [6 / zoom, 4 / zoom] : null, alpha: trailOpacity(future, band), join: 'round' });
+        }
+      });
+      circle(pts[trail.now].x, pts[trail.now].y, zMod(18));
+      stroke(p.col, width, { alpha: 0.8 });
+      // apparent loops are measured from Earth: pick out the retrograde stretches
+      if (scene.center === 'earth') {
+        ctx.beginPath();
+        let prevRetro = false, any = false;
+        pts.forEach(pt => {
+          if (pt.retrograde) {
+            if (prevRetro) ctx.lineTo(pt.x, pt.y); else ctx.moveTo(pt.x, pt.y);
+            any = true;
+          }
+          prevRetro = pt.retrograde;
+        });
+        if (any) stroke(p.col, width * 2.5, { alpha: 0.85, cap: 'round' });
+      }
+    });
+
+    // outer ring, centred on the anchor
+    circle(scene.ringCenter.x, scene.ringCenter.y, scene.ring);
+    stroke('#cbd5e1', Math.max(1.5, width), { dash: [12 / zoom, 6 / zoom], alpha: 0.5, cap: 'round' });
+
+    // aspect chords inside it, minor aspects dashed
+    (frame.aspectChords || []).forEach(chord => {
+      const [a, b] = aspectChordEnds(chord, scene.ring - zMod(ASPECT_CHORD_INSET));
+      ctx.beginPath();
+      ctx.moveTo(a.x, a.y);
+      ctx.lineTo(b.x, b.y);
+      stroke(chord.color, width * (chord.major ? 1.2 : 0.8), {
+        dash: chord.major ? null : [5 / zoom, 4 / zoom], alpha: 0.25 + 0.6 * chord.exactness, cap: 'round'
+      });
+    });
+
+    // chart houses: cusp ticks, the horizon and meridian axes, house numbers and axis names
+    if (frame.houses) {
+      const at = (deg, r) => ({ x: r * Math.cos(deg * DEG), y: r * Math.sin(deg * DEG) });
+      const segment = (a, b) => {
+        ctx.beginPath();
+        ctx.moveTo(a.x, a.y);
+        ctx.lineTo(b.x, b.y);
+      };
+      frame.houses.cusps.forEach(c => {
+        segment(at(c, scene.ring - zMod(HOUSE_CUSP_INSET)), at(c, scene.ring));
+        stroke('#64748b', width, { alpha: 0.5 });
+      });
+      [frame.houses.asc, frame.houses.mc].forEach(a => {
+        segment(at(a, scene.ring), at(a + 180, scene.ring));
+        stroke('#334155', width * 1.5, { alpha: 0.45 });
+      });
+      houseNumberAngles(frame.houses.cusps).forEach((a, i) => marker(String(i + 1), at(a, scene.ring - zMod(HOUSE_NUMBER_INSET)), '#475569', 18, '800'));
+      houseAxes(frame.houses).forEach(([name, a]) => marker(name, at(a, scene.ring - zMod(HOUSE_AXIS_LABEL_INSET)), '#475569', 16, '900'));
+    }
+
+    // connectors from the bodies to their ring markers
+    frame.planets.forEach((p, i) => {
+      const body = scene.planets[i];
+      if (!body.center) connector(body, body.marker, p.col, width);
+    });
+    const { moon, nodes, earth, sun } = scene;
+    connector(moon, moon.marker, '#64748b', width);
+    connector(nodes.ascending, nodes.ascending.marker, '#ef4444', width);
+    connector(nodes.descending, nodes.descending.marker, '#6366f1', width);
+    if (scene.sunMarker) connector(sun, scene.sunMarker, '#fbbf24', width);
+
+    // ring markers, ℞ badges and the stationary points of the retrograde loops
+    frame.planets.forEach((p, i) => {
+      const body = scene.planets[i];
+      if (body.center) return;
+      marker(p.sym, body.marker, p.col, 36, 'bold');
+      addHit(pan, body.marker, zMod(18), p.id, '');
+    });
+    frame.planets.forEach((p, i) => {
+      const body = scene.planets[i];
+      if (!body.center && retro[p.id]) {
+        text('℞', body.marker.x + zMod(24), body.marker.y - zMod(18), { size: zMod(18), weight: '900', fill: '#e11d48' });
+      }
+      const stations = scene.center === 'earth' ? frame.stations(p.id).slice(0, 5) : [];
+      stations.forEach(st => {
+        if (!st.geo) return;
+        const retroStart = st.kind === 'station-retrograde';
+        circle(st.geo.x, st.geo.y, zMod(4));
+        ctx.fillStyle = 'white';
+        ctx.fill();
+        stroke(p.col, width);
+        text(retroStart ? 'S℞' : 'SD', st.geo.x, st.geo.y + zMod(-7), { size: zMod(8), weight: '900', fill: p.col, align: 'center' });
+        addHit(pan, st.geo, zMod(4), null,
+          `${p.id.toUpperCase()} ${retroStart ? 'STATIONARY RETROGRADE' : 'STATIONARY DIRECT'} ${formatDate(st.days, frame.calendar)}`);
+      });
+    });
+    marker('☾', moon.marker, '#64748b', 30);
+    marker('☊', nodes.ascending.marker, '#ef4444', 24);
+    marker('☋', nodes.descending.marker, '#6366f1', 24);
+    addHit(pan, moon.marker, zMod(15), 'moon', '');
+    addHit(pan, nodes.ascending.marker, zMod(12), 'north-node', '');
+    addHit(pan, nodes.descending.marker, zMod(12), 'south-node', '');
+    if (scene.sunMarker) {
+      marker('☉', scene.sunMarker, '#fbbf24', 36);
+      addHit(pan, scene.sunMarker, zMod(18), 'sun', '');
+    }
+
+    // longitude labels for the markers that are showing
+    if (frame.markerLabels) {
+      const labelAt = { moon: moon.marker, 'north-node': nodes.ascending.marker, 'south-node': nodes.descending.marker };
+      if (scene.sunMarker) labelAt.sun = scene.sunMarker;
+      scene.planets.forEach(body => { if (!body.center) labelAt[body.id] = body.marker; });
+      Object.entries(labelAt).forEach(([id, at]) => {
+        if (frame.markerLabels[id]) marker(frame.markerLabels[id], markerLabelPoint(at, zMod(MARKER_LABEL_GAP)), '#64748b', 13, '700');
+      });
+    }
+
+    // planets; Earth at the centre of the geo frame is the hub of the Moon inset instead
+    frame.planets.forEach((p, i) => {
+      const body = scene.planets[i];
+      if (body.center && p.id === 'earth') return;
+      circle(body.x, body.y, zMod(12));
+      ctx.fillStyle = p.col;
+      ctx.fill();
+      stroke('white', width * 1.5);
+      text(p.sym, body.x, body.y - 12, { size: zMod(10), weight: '900', fill: '#1e293b', align: 'center' });
+      if (retro[p.id]) text('℞', body.x + zMod(10), body.y + zMod(-10), { size: zMod(10), weight: '900', fill: '#e11d48' });
+      addHit(pan, body, zMod(12), p.id, `${p.id.toUpperCase()}${retro[p.id] ? ' (RETROGRADE)' : ''}`);
+    });
+
+    // Sun
+    const sunAt = scene.center !== 'sun' ? sun : { x: 0, y: 0 };
+    const sunR = zMod(scene.center !== 'sun' ? 18 : 22);
+    circle(sunAt.x, sunAt.y, sunR);
+    ctx.fillStyle = '#000';
+    ctx.fill();
+    text('☉', sunAt.x, sunAt.y);
+    addHit(pan, sunAt, sunR, 'sun', '');
+
+    // Moon system, around Earth
+    ctx.save();
+    ctx.translate(earth.x, earth.y);
+    circle(0, 0, scene.moonRadius);
+    stroke('#cbd5e1', width, { dash: [4 / zoom, 4 / zoom] });
+    circle(moon.inset.x, moon.inset.y, zMod(6));
+    ctx.fillStyle = '#334155';
+    ctx.fill();
+    stroke('#94a3b8', width);
+    if (moon.phase) {
+      // sunlit part: a semicircular limb turned towards the Sun, closed by an elliptical
+      // terminator (see moonPhasePath in svg-view.js)
+      const r = zMod(6);
+      ctx.save();
+      ctx.translate(moon.inset.x, moon.inset.y);
+      ctx.rotate(moon.sunAngle);
+      ctx.beginPath();
+      ctx.ellipse(0, 0, r, r, 0, -Math.PI / 2, Math.PI / 2, false);
+      ctx.ellipse(0, 0, r * Math.abs(1 - 2 * moon.phase.fraction), r, 0, Math.PI / 2, -Math.PI / 2, moon.phase.fraction <= 0.5);
+      ctx.closePath();
+      ctx.fillStyle = '#f1f5f9';
+      ctx.fill();
+      ctx.restore();
+    }
+    text('☊', nodes.ascending.inset.x, nodes.ascending.inset.y, { size: zMod(18) });
+    text('☋', nodes.descending.inset.x, nodes.descending.inset.y, { size: zMod(18) });
+    ctx.restore();
+    addHit(pan, moon, zMod(6), 'moon', '');
+    addHit(pan, nodes.ascending, zMod(9), 'north-node', '');
+    addHit(pan, nodes.descending, zMod(9), 'south-node', '');
+
+    renderZodiacOverlay(frame, dpr);
+  }
+
+  return { element: canvas, supported: !!ctx, initPools, applyViewLayers, render, renderHorizon, bodyAt };
+}
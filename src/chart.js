@@ -0,0 +1,207 @@
+// src/chart.js
+// Natal chart for the CHART mode of the geocentric view.
+// - Ascendant and midheaven from local apparent sidereal time and the true obliquity
+// - House cusps: Whole Sign, Equal, Placidus, Koch and Porphyry; the two time-based systems
+//   are undefined inside the polar circles, where Porphyry stands in for them
+// - Charts saved as and loaded from a small JSON document
+//
+// Angles are ecliptic longitudes of date in degrees. Times are days since J2000.
+
+import { gastDegrees } from './sky.js';
+import { DEFAULT_HOUSES, CALENDARS, isTimeZone } from './engine.js';
+
+const DEG = Math.PI / 180;
+
+function normDeg(a) { return ((a % 360) + 360) % 360; }
+
+export const HOUSE_SYSTEMS = [
+  { id: 'placidus', label: 'PLACIDUS' },
+  { id: 'koch', label: 'KOCH' },
+  { id: 'porphyry', label: 'PORPHYRY' },
+  { id: 'equal', label: 'EQUAL' },
+  { id: 'whole-sign', label: 'WHOLE SIGN' }
+];
+
+/** True obliquity of the ecliptic (deg): IAU 1980 mean obliquity plus nutation (Meeus ch. 22). */
+export function trueObliquity(days) {
+  const T = days / 36525;
+  const mean = 23.4392911 - (46.815 * T + 0.00059 * T * T - 0.001813 * T * T * T) / 3600;
+  const omega = (125.04452 - 1934.136261 * T) * DEG;
+  const sunL = (280.4665 + 36000.7698 * T) * DEG;
+  const moonL = (218.3165 + 481267.8813 * T) * DEG;
+  const dEps = (9.20 * Math.cos(omega) + 0.57 * Math.cos(2 * sunL) + 0.10 * Math.cos(2 * moonL) - 0.09 * Math.cos(2 * omega)) / 3600;
+  return mean + dEps;
+}
+
+// Ecliptic longitude of the point with right ascension `ra`
+function lonOfRA(ra, eps) {
+  return normDeg(Math.atan2(Math.sin(ra * DEG), Math.cos(ra * DEG) * Math.cos(eps * DEG)) / DEG);
+}
+
+// Ecliptic longitude rising in the east when the local sidereal time is `ramc`
+function ascendantAt(ramc, lat, eps) {
+  const r = ramc * DEG, e = eps * DEG;
+  return normDeg(Math.atan2(Math.cos(r), -(Math.sin(r) * Math.cos(e) + Math.tan(lat * DEG) * Math.sin(e))) / DEG);
+}
+
+// Diurnal semi-arc (deg of RA) of a point at ecliptic longitude `lon`, null if it never
+// rises or never sets
+function semiArc(lon, lat, eps) {
+  const dec = Math.asin(Math.sin(eps * DEG) * Math.sin(lon * DEG));
+  const x = -Math.tan(lat * DEG) * Math.tan(dec);
+  return Math.abs(x) > 1 ? null : Math.acos(x) / DEG;
+}
+
+// Placidus: the cusp is the point that has covered `frac` of its own diurnal (above) or
+// nocturnal semi-arc away from the meridian; solved by iterating on the longitude
+function placidusCusp(ramc, lat, eps, frac, above) {
+  let ra = ramc + (above ? frac * 90 : 180 - frac * 90);
+  for (let i = 0; i < 50; i++) {
+    const dsa = semiArc(lonOfRA(ra, eps), lat, eps);
+    if (dsa === null) return null;
+    const next = above ? ramc + frac * dsa : ramc + 180 - frac * (180 - dsa);
+    const done = Math.abs(next - ra) < 1e-9;
+    ra = next;
+    if (done) break;
+  }
+  return lonOfRA(ra, eps);
+}
+
+// Cusps 11, 12, 2 and 3 of the quadrant systems, or null where the system is undefined
+function intermediateCusps(system, angles, lat) {
+  const { ramc, obliquity: eps, asc, mc } = angles;
+  if (system === 'placidus') {
+    const cusps = [[1 / 3, true], [2 / 3, true], [2 / 3, false], [1 / 3, false]]
+      .map(([frac, above]) => placidusCusp(ramc, lat, eps, frac, above));
+    return cusps.includes(null) ? null : cusps;
+  }
+  if (system === 'koch') {
+    // ascendants at the thirds of the time the midheaven degree takes to rise and culminate
+    const d = semiArc(mc, lat, eps);
+    if (d === null) return null;
+    return [-2 / 3, -1 / 3, 1 / 3, 2 / 3].map(k => ascendantAt(ramc + k * d, lat, eps));
+  }
+  // Porphyry: each quadrant of the ecliptic trisected
+  const upper = normDeg(asc - mc), lower = normDeg(mc + 180 - asc);
+  return [mc + upper / 3, mc + 2 * upper / 3, asc + lower / 3, asc + 2 * lower / 3].map(normDeg);
+}
+
+/**
+ * The chart's angles at `days` for `observer` ({ lat, lon } deg, east positive):
+ * { ramc, obliquity, asc, mc } with ramc the local apparent sidereal time in degrees.
+ */
+export function chartAngles(days, observer) {
+  const ramc = normDeg(gastDegrees(days) + observer.lon);
+  const obliquity = trueObliquity(days);
+  return { ramc, obliquity, asc: ascendantAt(ramc, observer.lat, obliquity), mc: lonOfRA(ramc, obliquity) };
+}
+
+/**
+ * Twelve house cusps (cusps[0] is the first house) in `system`, one of HOUSE_SYSTEMS.
+ * Whole Sign houses are the 30° signs of a zodiac starting at `signOrigin` (deg), so they
+ * follow a sidereal ring. Returns { cusps, system } where system is the one actually used:
+ * Porphyry when Placidus or Koch is undefined at the observer's latitude.
+ */
+export function houseCusps(system, angles, lat, signOrigin = 0) {
+  const { asc, mc } = angles;
+  if (system === 'equal') return { cusps: Array.from({ length: 12 }, (_, i) => normDeg(asc + 30 * i)), system };
+  if (system === 'whole-sign') {
+    const first = signOrigin + Math.floor(normDeg(asc - signOrigin) / 30) * 30;
+    return { cusps: Array.from({ length: 12 }, (_, i) => normDeg(first + 30 * i)), system };
+  }
+  let used = HOUSE_SYSTEMS.some(h => h.id === system) ? system : DEFAULT_HOUSES;
+  let mid = intermediateCusps(used, angles, lat);
+  if (!mid) {
+    used = 'porphyry';
+    mid = intermediateCusps(used, angles, lat);
+  }
+  const [c11, c12, c2, c3] = mid;
+  const half = [asc, c2, c3, normDeg(mc + 180), normDeg(c11 + 180), normDeg(c12 + 180)];
+  return { cusps: [...half, ...half.map(c => normDeg(c + 180))], system: used };
+}
+
+/**
+ * Everything the chart wheel needs at `days`: chartAngles() plus { cusps, houses (the
+ * requested system), system (the one used) }.
+ */
+export function computeChart(days, observer, houses = DEFAULT_HOUSES, signOrigin = 0) {
+  const angles = chartAngles(days, observer);
+  const { cusps, system } = houseCusps(houses, angles, observer.lat, signOrigin);
+  return { ...angles, cusps, houses, system };
+}
+
+/** 1-based house that ecliptic longitude `lon` falls in, given the twelve cusps. */
+export function houseOf(lon, cusps) {
+  for (let i = 0; i < 12; i++) {
+    const span = normDeg(cusps[(i + 1) % 12] - cusps[i]);
+    if (normDeg(lon - cusps[i]) < span) return i + 1;
+  }
+  return 1;
+}
+
+// Saved charts: { format, version, name, time, days, timeZone, calendar, observer, houses,
+// zodiac, ayanamsa } plus the computed angles, cusps and body longitudes for other tools
+export const CHART_FORMAT = 'orrery-chart';
+export const CHART_VERSION = 1;
+
+const round = (v, digits) => Number(v.toFixed(digits));
+
+/**
+ * The JSON text of a saved chart. chart: { name, days, timeZone, calendar, observer, houses,
+ * zodiac, ayanamsa, result (computeChart()), bodies ({ [id]: lon }) }.
+ */
+export function chartToJSON(chart, epoch) {
+  const date = new Date(epoch + chart.days * 86400000);
+  const { result } = chart;
+  return JSON.stringify({
+    format: CHART_FORMAT,
+    version: CHART_VERSION,
+    name: chart.name || '',
+    time: isNaN(date.getTime()) ? null : date.toISOString(),
+    days: chart.days,
+    timeZone: chart.timeZone,
+    calendar: chart.calendar,
+    observer: { lat: chart.observer.lat, lon: chart.observer.lon, elev: chart.observer.elev },
+    houses: chart.houses,
+    zodiac: chart.zodiac,
+    ayanamsa: chart.ayanamsa,
+    asc: round(result.asc, 6),
+    mc: round(result.mc, 6),
+    cusps: result.cusps.map(c => round(c, 6)),
+    bodies: Object.fromEntries(Object.entries(chart.bodies || {}).map(([id, lon]) => [id, round(lon, 6)]))
+  }, null, 2);
+}
+
+/**
+ * Read a saved chart back: { name, days, observer, houses, timeZone?, calendar?, zodiac?,
+ * ayanamsa? }. The stored angles and cusps are ignored, as the app recomputes them; a time
+ * zone or calendar it does not know is left out, and the zodiac settings are passed on for
+ * the app to check. Throws an Error saying what is wrong with anything else.
+ */
+export function parseChart(text, epoch) {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch (err) {
+    throw new Error('Not a JSON file');
+  }
+  if (!doc || doc.format !== CHART_FORMAT) throw new Error('Not a chart file');
+  if (!(doc.version <= CHART_VERSION)) throw new Error(`Chart version ${doc.version} is newer than this app`);
+  const days = typeof doc.days === 'number' && isFinite(doc.days) ? doc.days : (Date.parse(doc.time) - epoch) / 86400000;
+  if (!isFinite(days)) throw new Error('Chart has no valid time');
+  const o = doc.observer || {};
+  const lat = Number(o.lat), lon = Number(o.lon), elev = Number(o.elev ?? 0);
+  if (!(Math.abs(lat) <= 90) || !(Math.abs(lon) <= 180) || !isFinite(elev)) throw new Error('Chart has no valid location');
+  const out = {
+    name: typeof doc.name === 'string' ? doc.name : '',
+    days,
+    observer: { lat, lon, elev },
+    houses: HOUSE_SYSTEMS.some(h => h.id === doc.houses) ? doc.houses : DEFAULT_HOUSES
+  };
+  if (typeof doc.timeZone === 'string' && isTimeZone(doc.timeZone)) out.timeZone = doc.timeZone;
+  if (CALENDARS.includes(doc.calendar)) out.calendar = doc.calendar;
+  ['zodiac', 'ayanamsa'].forEach(key => {
+    if (typeof doc[key] === 'string') out[key] = doc[key];
+  });
+  return out;
+}
@@ -0,0 +1,147 @@
+// src/controls.js
+// DOM-free viewport input logic, shared by the browser app and the tests.
+// - Zoom anchored at a screen point (cursor, pinch centre or viewport centre)
+// - Eased camera moves onto a followed body
+// - Pointer gestures: one pointer pans, two pointers pinch-zoom and pan together
+// - What a click on a body does: inspect it and, where that makes sense, follow it
+// - Keyboard shortcut table and the check that keeps shortcuts out of text fields
+//
+// Screen points are in SVG pixels; the view is { zoom, pos } with a world point p drawn at
+// pos + p * zoom, as in svg-view.js.
+
+export const ZOOM_MIN = 0.0001;
+export const ZOOM_MAX = 10;
+// Zoom factor per wheel notch or zoom key
+export const ZOOM_STEP = 1.1;
+// Pixels per pan key press; Shift pans four times as far
+export const PAN_STEP = 60;
+
+/**
+ * The view scaled by `factor` around the screen `point`, which keeps the world point
+ * under it fixed. The zoom is clamped to ZOOM_MIN…ZOOM_MAX.
+ */
+export function zoomAt(view, point, factor) {
+  const zoom = Math.min(ZOOM_MAX, Math.max(ZOOM_MIN, view.zoom * factor));
+  const k = zoom / view.zoom;
+  return {
+    zoom,
+    pos: { x: point.x - (point.x - view.pos.x) * k, y: point.y - (point.y - view.pos.y) * k }
+  };
+}
+
+// Length of the eased camera move onto a newly followed body
+export const CAMERA_MOVE_MS = 600;
+
+/**
+ * Eased pan from `from` to `to` starting at `startMs`: returns at(nowMs) -> { pos, done }.
+ * Used to glide a followed body to the middle of the viewport.
+ */
+export function cameraMove(from, to, startMs, durationMs = CAMERA_MOVE_MS) {
+  return (nowMs) => {
+    const t = Math.min(1, Math.max(0, (nowMs - startMs) / durationMs));
+    const k = t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2; // ease in-out cubic
+    return { pos: { x: from.x + (to.x - from.x) * k, y: from.y + (to.y - from.y) * k }, done: t >= 1 };
+  };
+}
+
+/**
+ * Tracks the pointers on the viewport. down/move/up take a pointer id and its screen
+ * position; move() returns the change since the last move as { dx, dy, factor, center }
+ * (factor 1 with a single pointer) or null for a pointer that is not down.
+ */
+export function createPointerGesture() {
+  const pointers = new Map();
+  // centroid and spread of the pointers, the pinch's reference frame
+  const frame = () => {
+    const pts = [...pointers.values()];
+    const center = {
+      x: pts.reduce((s, p) => s + p.x, 0) / pts.length,
+      y: pts.reduce((s, p) => s + p.y, 0) / pts.length
+    };
+    const spread = pts.length > 1 ? Math.hypot(pts[0].x - pts[1].x, pts[0].y - pts[1].y) : 0;
+    return { center, spread };
+  };
+  return {
+    get active() { return pointers.size > 0; },
+    get count() { return pointers.size; },
+    down(id, x, y) { pointers.set(id, { x, y }); },
+    move(id, x, y) {
+      if (!pointers.has(id)) return null;
+      const before = frame();
+      pointers.set(id, { x, y });
+      const after = frame();
+      return {
+        dx: after.center.x - before.center.x,
+        dy: after.center.y - before.center.y,
+        factor: before.spread > 0 && after.spread > 0 ? after.spread / before.spread : 1,
+        center: after.center
+      };
+    },
+    up(id) { pointers.delete(id); }
+  };
+}
+
+// A press that moves less than this (px) before it lifts is a click rather than a drag
+export const CLICK_SLOP_PX = 5;
+
+/**
+ * What a click on body `id` does: { inspect, follow }. It always opens the body's info card;
+ * in the orbital views a body in `followable` also becomes the camera target. The horizon
+ * view has no camera to move, and chart mode keeps its wheel on Earth, so there the click
+ * only inspects (follow is null).
+ * context: { view, chart, followable: [id] }
+ */
+export function bodyClick(id, context) {
+  const follow = context.view !== 'horizon' && !context.chart && context.followable.includes(id) ? id : null;
+  return { inspect: id, follow };
+}
+
+/**
+ * Keyboard shortcuts: `keys` are KeyboardEvent.key values, `label` is what the shortcut
+ * list shows for them. Actions are carried out by the app.
+ */
+export const KEY_BINDINGS = [
+  { action: 'play', keys: [' '], label: 'SPACE', description: 'Play / pause' },
+  { action: 'reverse', keys: ['r', 'R'], label: 'R', description: 'Reverse time' },
+  { action: 'step-back', keys: [','], label: ',', description: 'Step back' },
+  { action: 'step-forward', keys: ['.'], label: '.', description: 'Step forward' },
+  { action: 'slower', keys: ['['], label: '[', description: 'Slower preset' },
+  { action: 'faster', keys: [']'], label: ']', description: 'Faster preset' },
+  { action: 'now', keys: ['n', 'N'], label: 'N', description: 'Sync to now' },
+  { action: 'view-helio', keys: ['1'], label: '1', description: 'Heliocentric' },
+  { action: 'view-geo', keys: ['2'], label: '2', description: 'Geocentric' },
+  { action: 'view-horizon', keys: ['3'], label: '3', description: 'Horizon' },
+  { action: 'zoom-in', keys: ['+', '='], label: '+', description: 'Zoom in' },
+  { action: 'zoom-out', keys: ['-', '_'], label: '−', description: 'Zoom out' },
+  { action: 'pan-left', keys: ['ArrowLeft'], label: '←', description: 'Pan left' },
+  { action: 'pan-right', keys: ['ArrowRight'], label: '→', description: 'Pan right' },
+  { action: 'pan-up', keys: ['ArrowUp'], label: '↑', description: 'Pan up' },
+  { action: 'pan-down', keys: ['ArrowDown'], label: '↓', description: 'Pan down' },
+  { action: 'reset', keys: ['0', 'Home'], label: '0', description: 'Reset view' },
+  { action: 'dismiss', keys: ['Escape'], label: 'ESC', description: 'Close info card / stop following' }
+];
+
+// Form controls that use the keys themselves (text and number fields, sliders, checkboxes,
+// selects); shortcuts must not steal their keys. Buttons are not among them: Space on a
+// focused button plays or pauses rather than clicking it again.
+const BUTTON_INPUT_TYPES = ['button', 'submit', 'reset'];
+
+export function isEditableTarget(target) {
+  if (!target) return false;
+  if (target.isContentEditable) return true;
+  const tag = String(target.tagName || '').toUpperCase();
+  if (tag === 'TEXTAREA' || tag === 'SELECT') return true;
+  return tag === 'INPUT' && !BUTTON_INPUT_TYPES.includes(String(target.type || 'text').toLowerCase());
+}
+
+/**
+ * Shortcut action for a keydown event (anything with key, target and the modifier flags),
+ * or null when the key is unbound, typed into a text field or combined with Ctrl/Cmd/Alt
+ * (those belong to the browser).
+ */
+export function actionForKey(event) {
+  if (event.ctrlKey || event.metaKey || event.altKey) return null;
+  if (isEditableTarget(event.target)) return null;
+  const binding = KEY_BINDINGS.find(b => b.keys.includes(event.key));
+  return binding ? binding.action : null;
+}
@@ -0,0 +1,1425 @@
+// src/engine.js
+// DOM-free simulation core, shared by the browser app and Node (tests, scripts).
+// - Time model: days since J2000 <-> dates, calendar field parsing and formatting in UTC or
+//   a time zone on the Gregorian or Julian calendar, Julian Date, ΔT and Terrestrial Time
+// - Clock: wall-clock flow rates, the real-time lock and calendar-aware steps
+// - Ephemeris providers: astronomy-engine when available, built-in Keplerian elements as
+//   fallback; the circular mean-motion model remains for schematic layouts
+// - Radial distance scaling (true AU, logarithmic, schematic) and sampled orbit paths
+// - Scene geometry for the orbital diagram (anchor, outer-ring markers, moon and nodes)
+//   and the horizon dome, plus view fitting and past/future motion trails sampled from the
+//   ephemeris
+// - Retrograde interval tracking around the clock
+// - Zodiac rings: tropical, sidereal (with a choice of ayanamsa) and IAU constellations,
+//   precessed to the clock
+// - Geocentric position readouts (longitude, latitude, distance, daily motion)
+// - Aspects between geocentric longitudes, with per-aspect orbs and applying/separating
+// - Chart orientation: the geocentric diagram turned and mirrored to read like a natal chart
+//
+// Nothing here touches `window` or `document`; astronomy-engine is passed in explicitly.
+
+import { findRetrogrades, synodicDays, orbitalDays } from './events.js';
+import { keplerHelio, moonPosition, sunLongitude, precessionInLongitude, KEPLER_RANGE } from './kepler.js';
+
+export const J2000 = new Date('2000-01-01T12:00:00Z').getTime();
+export const DAY_MS = 86400000;
+export const DEG = Math.PI / 180;
+
+// Tropical signs: twelve 30° divisions of the ecliptic counted from the equinox of date, the
+// frame every position in the app is referred to
+export const ZODIAC = [
+  { s: '♈', lon: 0 },      // Aries
+  { s: '♉', lon: 30 },     // Taurus
+  { s: '♊', lon: 60 },     // Gemini
+  { s: '♋', lon: 90 },     // Cancer
+  { s: '♌', lon: 120 },    // Leo
+  { s: '♍', lon: 150 },    // Virgo
+  { s: '♎', lon: 180 },    // Libra
+  { s: '♏', lon: 210 },    // Scorpio
+  { s: '♐', lon: 240 },    // Sagittarius
+  { s: '♑', lon: 270 },    // Capricorn
+  { s: '♒', lon: 300 },    // Aquarius
+  { s: '♓', lon: 330 }     // Pisces
+];
+
+// Zodiac ring modes: tropical signs, sidereal signs counted from a fixed-star zero point, or
+// the stretches of the ecliptic inside each IAU constellation
+export const ZODIAC_MODES = [
+  { id: 'tropical', label: 'TROPICAL' },
+  { id: 'sidereal', label: 'SIDEREAL' },
+  { id: 'iau', label: 'IAU CONSTELLATIONS' }
+];
+export const DEFAULT_ZODIAC = 'tropical';
+
+// Sidereal zero points: the ayanamsa (deg) at J2000, growing with general precession after it
+export const AYANAMSAS = [
+  { id: 'lahiri', label: 'LAHIRI', j2000: 23.857092 },
+  { id: 'fagan-bradley', label: 'FAGAN-BRADLEY', j2000: 24.7403 },
+  { id: 'krishnamurti', label: 'KRISHNAMURTI', j2000: 23.76024 },
+  { id: 'raman', label: 'RAMAN', j2000: 22.410791 },
+  { id: 'yukteshwar', label: 'YUKTESHWAR', j2000: 22.478803 }
+];
+export const DEFAULT_AYANAMSA = 'lahiri';
+
+// Where the ecliptic enters each IAU constellation (deg, J2000 ecliptic and equinox); the
+// boundaries are fixed to the stars, so they drift through the tropical frame with precession
+export const IAU_ECLIPTIC = [
+  { s: '♈', name: 'ARIES', lon: 29.09 },
+  { s: '♉', name: 'TAURUS', lon: 53.47 },
+  { s: '♊', name: 'GEMINI', lon: 90.43 },
+  { s: '♋', name: 'CANCER', lon: 118.26 },
+  { s: '♌', name: 'LEO', lon: 138.18 },
+  { s: '♍', name: 'VIRGO', lon: 174.15 },
+  { s: '♎', name: 'LIBRA', lon: 218.02 },
+  { s: '♏', name: 'SCORPIUS', lon: 241.14 },
+  { s: '⛎', name: 'OPHIUCHUS', lon: 247.7 },
+  { s: '♐', name: 'SAGITTARIUS', lon: 266.3 },
+  { s: '♑', name: 'CAPRICORNUS', lon: 299.71 },
+  { s: '♒', name: 'AQUARIUS', lon: 327.97 },
+  { s: '♓', name: 'PISCES', lon: 351.57 }
+];
+
+/** Ayanamsa (deg) of the named sidereal zero point at `days`. */
+export function ayanamsa(id, days) {
+  const a = AYANAMSAS.find(x => x.id === id) || AYANAMSAS[0];
+  return a.j2000 + precessionInLongitude(days);
+}
+
+/**
+ * The zodiac ring at `days` in ecliptic-of-date longitudes: { origin, signs: [{ s, from, to }] }.
+ * `origin` is where the ring's degree scale starts (0° of the chosen frame); each sign spans
+ * from…to, with `to` unwrapped past 360 where needed. Unknown modes fall back to tropical.
+ */
+export function zodiacRing(mode, days, ayanamsaId = DEFAULT_AYANAMSA) {
+  let origin = 0;
+  let starts = ZODIAC;
+  if (mode === 'sidereal') {
+    origin = ayanamsa(ayanamsaId, days);
+  } else if (mode === 'iau') {
+    origin = precessionInLongitude(days);
+    starts = IAU_ECLIPTIC;
+  }
+  const signs = starts.map((sign, i) => {
+    const from = normDeg(origin + sign.lon);
+    const next = normDeg(origin + starts[(i + 1) % starts.length].lon);
+    return { s: sign.s, from, to: next > from ? next : next + 360 };
+  });
+  return { origin: normDeg(origin), signs };
+}
+// dist: schematic orbit radius (px); rate/long: mean motion (deg/century) and J2000 mean
+// longitude (deg) for the circular model; au: semi-major axis
+export const DEFAULT_PLANETS = [
+  { id: 'mercury', sym: '☿', col: '#7c7c7c', dist: 350, rate: 149472.6, long: 252.2, au: 0.387 },
+  { id: 'venus', sym: '♀', col: '#e2da3c', dist: 700, rate: 58517.8, long: 181.9, au: 0.723 },
+  { id: 'earth', sym: '⊕', col: '#3b82f6', dist: 1050, rate: 35999.3, long: 100.4, au: 1.000 },
+  { id: 'mars', sym: '♂', col: '#fd0000', dist: 1400, rate: 19140.3, long: 355.4, au: 1.524 },
+  { id: 'jupiter', sym: '♃', col: '#692c03', dist: 1750, rate: 3034.7, long: 34.4, au: 5.203 },
+  { id: 'saturn', sym: '♄', col: '#02034b', dist: 2100, rate: 1222.4, long: 49.9, au: 9.537 },
+  { id: 'uranus', sym: '♅', col: '#0e9aa7', dist: 2450, rate: 428.5, long: 313.2, au: 19.19 },
+  { id: 'neptune', sym: '♆', col: '#1d4ed8', dist: 2800, rate: 218.5, long: 304.9, au: 30.07 },
+  { id: 'pluto', sym: '♇', col: '#8b5e3c', dist: 3150, rate: 145.2, long: 238.9, au: 39.48 }
+];
+
+// Royal Observatory, Greenwich
+export const DEFAULT_OBSERVER = { lat: 51.4769, lon: -0.0005, elev: 46 };
+
+// Wrap an angle in degrees into [0, 360)
+export function normDeg(a) { return ((a % 360) + 360) % 360; }
+
+/** Fresh simulation state for `planets`, with the clock at `days` (default: now). */
+export function createState(planets, days = daysFromMs(Date.now())) {
+  const state = {
+    days,
+    view: 'helio',
+    scale: 'au',
+    timeZone: 'UTC',
+    calendar: 'mixed',
+    rate: 0, // simulated days per wall-clock second; 0 is paused
+    direction: 1,
+    realtime: false, // locked to the system clock (after SYNC TO NOW)
+    stepUnit: 'day',
+    zoom: 0.25,
+    pos: { x: 0, y: 0 },
+    panning: false,
+    trailWindow: DEFAULT_TRAIL_WINDOW, // trails reach this many days either side of the clock
+    renderer: 'svg', // 'svg' or 'canvas'
+    zodiac: DEFAULT_ZODIAC, // one of ZODIAC_MODES
+    ayanamsa: DEFAULT_AYANAMSA, // sidereal zero point, one of AYANAMSAS
+    aspects: DEFAULT_ASPECT_SET, // which aspects are found, one of ASPECT_SETS
+    orbs: defaultOrbs(), // allowed orb (deg) per ASPECTS id; 0 turns that aspect off
+    chart: false, // natal chart mode: the geo view with houses, turned by chartOrientation()
+    houses: DEFAULT_HOUSES, // house system of the chart, one of chart.js HOUSE_SYSTEMS
+    follow: null, // body the camera is locked onto, null for the frame's own centre
+    observer: { ...DEFAULT_OBSERVER }
+  };
+  return state;
+}
+
+// ---------------------------------------------------------------------------------------
+// Time model
+
+export function daysFromMs(ms) { return (ms - J2000) / DAY_MS; }
+
+export function dateFromDays(days) { return new Date(J2000 + days * DAY_MS); }
+
+// Format days since J2000 as a compact UTC timestamp for sidebar lists
+export function formatUTC(days) {
+  const d = dateFromDays(days);
+  if (isNaN(d.getTime())) return '—';
+  return d.toISOString().slice(0, 16).replace('T', ' ') + ' UTC';
+}
+
+// Bare dates are read as 00:00 UTC; full ISO 8601 timestamps (incl. ±YYYYYY years) pass through
+export function parseDateField(value) {
+  const v = String(value || '').trim();
+  const ms = Date.parse(/T/.test(v) ? v : `${v}T00:00:00Z`);
+  return isNaN(ms) ? null : daysFromMs(ms);
+}
+
+export const JD_J2000 = 2451545.0;
+
+export function julianDate(days) { return days + JD_J2000; }
+
+// Fixed UTC offsets as '+05:30' / '-03:00', limited to the range civil time zones use
+const OFFSET_RE = /^([+-])(\d{2}):(\d{2})$/;
+
+/**
+ * Offset of time zone `zone` from UTC in minutes (east positive) at the instant `days`.
+ * zone: 'UTC', 'local' (the browser's zone, daylight saving included) or a fixed '±hh:mm'.
+ * Returns null for anything else.
+ */
+export function zoneOffsetMinutes(zone, days = 0) {
+  if (zone === 'UTC') return 0;
+  if (zone === 'local') {
+    const d = dateFromDays(days);
+    return isNaN(d.getTime()) ? 0 : -d.getTimezoneOffset();
+  }
+  const m = OFFSET_RE.exec(String(zone));
+  if (!m || +m[3] >= 60) return null;
+  const minutes = (m[1] === '-' ? -1 : 1) * (+m[2] * 60 + +m[3]);
+  return Math.abs(minutes) <= 14 * 60 ? minutes : null;
+}
+
+export function isTimeZone(zone) { return zoneOffsetMinutes(zone) !== null; }
+
+/** '+05:30' style label for an offset in minutes. */
+export function formatOffset(minutes) {
+  const a = Math.abs(minutes);
+  return `${minutes < 0 ? '-' : '+'}${String(Math.floor(a / 60)).padStart(2, '0')}:${String(a % 60).padStart(2, '0')}`;
+}
+
+// Calendars for reading and writing dates: proleptic Gregorian, proleptic Julian, or 'mixed'
+// (Julian up to 4 October 1582, Gregorian from 15 October 1582, as astronomers count).
+// Years use astronomical numbering: year 0 is 1 BCE, year -44 is 45 BCE.
+export const CALENDARS = ['gregorian', 'julian', 'mixed'];
+const GREGORIAN_START_JDN = 2299161; // 1582-10-15
+
+const floorDiv = (a, b) => Math.floor(a / b);
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+// Julian Day Number (the integer day starting at noon) of a civil date. The arithmetic needs
+// y > -4800, so earlier years are shifted by whole calendar cycles first.
+function jdnFromCalendar(y, m, d, julian) {
+  const [cycleYears, cycleDays] = julian ? [4, 1461] : [400, 146097];
+  const k = y < -4700 ? Math.ceil((-4700 - y) / cycleYears) : 0;
+  const yy = y + k * cycleYears + 4800 - floorDiv(14 - m, 12);
+  const mm = m + 12 * floorDiv(14 - m, 12) - 3;
+  const base = d + floorDiv(153 * mm + 2, 5) + 365 * yy + floorDiv(yy, 4);
+  const jdn = julian ? base - 32083 : base - floorDiv(yy, 100) + floorDiv(yy, 400) - 32045;
+  return jdn - k * cycleDays;
+}
+
+// Civil date { year, month, day } of a Julian Day Number (Richards' algorithm, shifted by
+// whole cycles for negative day numbers)
+function calendarFromJdn(jdn, julian) {
+  const [cycleYears, cycleDays] = julian ? [4, 1461] : [400, 146097];
+  const k = jdn < 0 ? Math.ceil(-jdn / cycleDays) : 0;
+  const J = jdn + k * cycleDays;
+  const f = julian ? J + 1401 : J + 1401 + floorDiv(floorDiv(4 * J + 274277, 146097) * 3, 4) - 38;
+  const e = 4 * f + 3, g = floorDiv(e % 1461, 4), h = 5 * g + 2;
+  const day = floorDiv(h % 153, 5) + 1;
+  const month = (floorDiv(h, 153) + 2) % 12 + 1;
+  const year = floorDiv(e, 1461) - 4716 + floorDiv(14 - month, 12);
+  return { year: year - k * cycleYears, month, day };
+}
+
+// Whether `calendar` reads (y, m, d) as a Julian date
+function usesJulian(calendar, y, m, d) {
+  if (calendar === 'julian') return true;
+  if (calendar !== 'mixed') return false;
+  return y < 1582 || (y === 1582 && (m < 10 || (m === 10 && d < 15)));
+}
+
+export function isLeapYear(year, julian = false) {
+  return julian ? year % 4 === 0 : (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+}
+
+export function daysInMonth(year, month, calendar = 'gregorian') {
+  if (month === 2) return isLeapYear(year, usesJulian(calendar, year, 2, 1)) ? 29 : 28;
+  return [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31][month - 1];
+}
+
+/**
+ * Astronomical year number from the HUD's year field: signed numbers ('+002025', '-44',
+ * '0') or era notation ('45 BCE', '45 BC', 'AD 45', '45 CE'). Returns null if unreadable.
+ */
+export function parseYear(text) {
+  const v = String(text ?? '').trim().toUpperCase().replace(/\./g, '');
+  let m = /^([+-]?\d+)$/.exec(v);
+  if (m) return parseInt(m[1], 10);
+  m = /^(\d+)\s*(BCE|BC)$/.exec(v);
+  if (m) return +m[1] >= 1 ? 1 - parseInt(m[1], 10) : null;
+  m = /^(?:(\d+)\s*(?:CE|AD)|AD\s*(\d+))$/.exec(v);
+  if (m) { const n = parseInt(m[1] ?? m[2], 10); return n >= 1 ? n : null; }
+  return null;
+}
+
+/** Historical label for an astronomical year: 2025 -> '2025 CE', 0 -> '1 BCE', -44 -> '45 BCE'. */
+export function formatEra(year) {
+  return year > 0 ? `${year} CE` : `${1 - year} BCE`;
+}
+
+/**
+ * Why the calendar fields do not name an instant in `calendar`, or null when they do.
+ * Nothing rolls over: 31 February, hour 24 and the days dropped by the 1582 reform are
+ * all errors.
+ */
+export function calendarError(year, month, day, hour = 12, minute = 0, second = 0, calendar = 'gregorian') {
+  const y = parseYear(year);
+  if (y === null) return 'Year must be a whole number (0 = 1 BCE) or like "45 BCE"';
+  const m = Number(month), d = Number(day), h = Number(hour), mi = Number(minute), sec = Number(second);
+  if (!Number.isInteger(m) || m < 1 || m > 12) return 'Month must be 1–12';
+  const dim = daysInMonth(y, m, calendar);
+  if (!Number.isInteger(d) || d < 1 || d > dim) {
+    return `${MONTH_NAMES[m - 1]} ${formatEra(y)} has ${dim} days`;
+  }
+  if (calendar === 'mixed' && y === 1582 && m === 10 && d > 4 && d < 15) {
+    return '5–14 October 1582 were skipped by the Gregorian reform';
+  }
+  if (!Number.isInteger(h) || h < 0 || h > 23) return 'Hour must be 0–23';
+  if (!Number.isInteger(mi) || mi < 0 || mi > 59) return 'Minute must be 0–59';
+  if (!isFinite(sec) || String(second).trim() === '' || sec < 0 || sec >= 60) return 'Second must be 0–59';
+  return null;
+}
+
+/**
+ * Days since J2000 for the HUD's calendar fields (strings or numbers; month 1-12), read as
+ * civil time in `zone` on `calendar`. The time of day defaults to noon. Returns null when
+ * calendarError() objects to the fields.
+ * options: { zone = 'UTC', calendar = 'gregorian' }
+ */
+export function daysFromCalendar(year, month, day, hour = 12, minute = 0, second = 0, { zone = 'UTC', calendar = 'gregorian' } = {}) {
+  if (calendarError(year, month, day, hour, minute, second, calendar)) return null;
+  const y = parseYear(year), m = Number(month), d = Number(day);
+  const day0 = jdnFromCalendar(y, m, d, usesJulian(calendar, y, m, d)) - JD_J2000;
+  // civil days begin at midnight, half a day before the JDN's noon; seconds stay whole
+  // numbers as long as possible so round offsets give exact results
+  const secs = (Number(hour) * 60 + Number(minute)) * 60 + Number(second) - 43200;
+  const at = (offset) => day0 + (secs - offset * 60) / 86400;
+  // the zone's offset depends on the instant itself (daylight saving); two passes settle it
+  const offset = zoneOffsetMinutes(zone, at(0)) ?? 0;
+  const settled = zoneOffsetMinutes(zone, at(offset)) ?? 0;
+  return at(settled);
+}
+
+/**
+ * Zero-padded calendar fields for the HUD as civil time in `zone` on `calendar`; the year is
+ * signed, astronomically numbered and at least six digits wide. `julian` tells which
+ * calendar the fields are in (it varies in 'mixed').
+ * options: { zone = 'UTC', calendar = 'gregorian' }
+ */
+export function calendarFields(days, { zone = 'UTC', calendar = 'gregorian' } = {}) {
+  const offset = zoneOffsetMinutes(zone, days) ?? 0;
+  // whole milliseconds since 2000-01-01 00:00 civil time, so float noise in `days` cannot
+  // turn 06:00:00 into 05:59:59
+  const ms = Math.round((days + offset / 1440 + 0.5) * 86400000);
+  const day0 = Math.floor(ms / 86400000);
+  const jdn = day0 + JD_J2000;
+  const julian = calendar === 'julian' || (calendar === 'mixed' && jdn < GREGORIAN_START_JDN);
+  const { year: y, month, day } = calendarFromJdn(jdn, julian);
+  const secs = Math.floor((ms - day0 * 86400000) / 1000);
+  const pad = (v) => String(v).padStart(2, '0');
+  return {
+    year: (y >= 0 ? '+' : '-') + String(Math.abs(y)).padStart(6, '0'),
+    month: pad(month),
+    day: pad(day),
+    hour: pad(Math.floor(secs / 3600)),
+    minute: pad(Math.floor(secs / 60) % 60),
+    second: pad(secs % 60),
+    julian
+  };
+}
+
+/**
+ * Human-readable 'YYYY-MM-DD hh:mm UTC' on `calendar`, marked '(Jul.)' when the date is
+ * Julian; unlike formatUTC it works for any year. Outside UTC the time is civil time in
+ * `zone`, labelled with its offset ('UTC+05:30').
+ */
+export function formatDate(days, calendar = 'gregorian', zone = 'UTC') {
+  if (!isFinite(days)) return '—';
+  const f = calendarFields(days, { zone, calendar });
+  const y = parseInt(f.year, 10);
+  const year = (y < 0 ? '-' : '') + String(Math.abs(y)).padStart(4, '0');
+  const offset = zoneOffsetMinutes(zone, days) ?? 0;
+  return `${year}-${f.month}-${f.day} ${f.hour}:${f.minute} UTC${offset ? formatOffset(offset) : ''}${f.julian ? ' (Jul.)' : ''}`;
+}
+
+/**
+ * Midnight, civil time in `zone`, that starts the calendar day holding `days`.
+ * options: { zone = 'UTC', calendar = 'gregorian' }
+ */
+export function dayStart(days, { zone = 'UTC', calendar = 'gregorian' } = {}) {
+  const f = calendarFields(days, { zone, calendar });
+  return daysFromCalendar(f.year, f.month, f.day, 0, 0, 0, { zone, calendar });
+}
+
+// Astronomical (proleptic Gregorian) year containing `days`
+const yearOf = (days) => parseInt(calendarFields(days).year, 10);
+
+// Free-form date entry: '[+-]YYYY-MM-DD[(T| )hh:mm[:ss[.sss]]]' with an optional 'Z' or
+// '±hh:mm' suffix, 'JD 2451545.0' or 'MJD 51544.5'; bare numbers with a decimal point or
+// seven digits are Julian Dates
+const ISO_RE = /^([+-]?\d{4,6})-(\d{1,2})-(\d{1,2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2}(?:\.\d+)?))?)?\s*(Z|[+-]\d{2}:\d{2})?$/i;
+
+/**
+ * Days since J2000 for a typed ISO 8601 timestamp or Julian Date, or null. Timestamps
+ * without a zone suffix are civil time in `zone`; date-only entries mean 00:00. Dates are
+ * read on `calendar`, so '-0043-03-15' is the Ides of March in 'julian' or 'mixed'.
+ * options: { zone = 'UTC', calendar = 'gregorian' }
+ */
+export function parseTimeEntry(text, { zone = 'UTC', calendar = 'gregorian' } = {}) {
+  const v = String(text || '').trim();
+  let m = /^(M?JD)\s*([+-]?\d+(?:\.\d*)?)$/i.exec(v);
+  if (m) {
+    const n = parseFloat(m[2]);
+    return m[1].toUpperCase() === 'MJD' ? n + 2400000.5 - JD_J2000 : n - JD_J2000;
+  }
+  if (/^\d{7,}(\.\d*)?$|^\d+\.\d*$/.test(v)) return parseFloat(v) - JD_J2000;
+  m = ISO_RE.exec(v);
+  if (!m) return null;
+  const [, y, mo, d, h = 0, mi = 0, sec = 0, suffix] = m;
+  const fieldZone = suffix ? (suffix.toUpperCase() === 'Z' ? 'UTC' : suffix) : zone;
+  if (!isTimeZone(fieldZone)) return null;
+  return daysFromCalendar(y, mo, d, h, mi, sec, { zone: fieldZone, calendar });
+}
+
+/**
+ * ΔT = TT − UT in seconds (Espenak & Meeus polynomials, valid −1999…+3000, with the
+ * long-term parabola outside). `days` is UT days since J2000.
+ */
+export function deltaT(days) {
+  const y = 2000 + days / 365.25;
+  const poly = (t, ...c) => c.reduceRight((acc, k) => acc * t + k, 0);
+  const parabola = (y) => { const u = (y - 1820) / 100; return -20 + 32 * u * u; };
+  if (y < -500) return parabola(y);
+  if (y < 500) return poly(y / 100, 10583.6, -1014.41, 33.78311, -5.952053, -0.1798452, 0.022174192, 0.0090316521);
+  if (y < 1600) return poly((y - 1000) / 100, 1574.2, -556.01, 71.23472, 0.319781, -0.8503463, -0.005050998, 0.0083572073);
+  if (y < 1700) return poly(y - 1600, 120, -0.9808, -0.01532, 1 / 7129);
+  if (y < 1800) return poly(y - 1700, 8.83, 0.1603, -0.0059285, 0.00013336, -1 / 1174000);
+  if (y < 1860) return poly(y - 1800, 13.72, -0.332447, 0.0068612, 0.0041116, -0.00037436, 0.0000121272, -0.0000001699, 0.000000000875);
+  if (y < 1900) return poly(y - 1860, 7.62, 0.5737, -0.251754, 0.01680668, -0.0004473624, 1 / 233174);
+  if (y < 1920) return poly(y - 1900, -2.79, 1.494119, -0.0598939, 0.0061966, -0.000197);
+  if (y < 1941) return poly(y - 1920, 21.20, 0.84493, -0.076100, 0.0020936);
+  if (y < 1961) return poly(y - 1950, 29.07, 0.407, -1 / 233, 1 / 2547);
+  if (y < 1986) return poly(y - 1975, 45.45, 1.067, -1 / 260, -1 / 718);
+  if (y < 2005) return poly(y - 2000, 63.86, 0.3345, -0.060374, 0.0017275, 0.000651814, 0.00002373599);
+  if (y < 2050) return poly(y - 2000, 62.92, 0.32217, 0.005589);
+  if (y < 2150) return parabola(y) - 0.5628 * (2150 - y);
+  return parabola(y);
+}
+
+/** Terrestrial Time as a Julian Date (TT = UT + ΔT). */
+export function julianDateTT(days) { return julianDate(days) + deltaT(days) / 86400; }
+
+/** 'hh:mm:ss' for an angle or time in hours (wrapped into 0–24). */
+export function formatHMS(hours) {
+  let s = Math.round((((hours % 24) + 24) % 24) * 3600);
+  if (s >= 86400) s -= 86400;
+  const pad = (v) => String(v).padStart(2, '0');
+  return `${pad(Math.floor(s / 3600))}:${pad(Math.floor(s / 60) % 60)}:${pad(s % 60)}`;
+}
+
+// ---------------------------------------------------------------------------------------
+// Clock
+//
+// The clock runs on wall-clock time: `state.rate` is simulated days per real second, so the
+// flow is the same at any frame rate. The rate slider is logarithmic from real time up to a
+// century per second.
+
+export const RATE_MIN = 1 / 86400;
+export const RATE_MAX = 100 * 365.25;
+export const RATE_SLIDER_MAX = 1000;
+
+// Named rates for the preset picker
+export const RATE_PRESETS = [
+  { id: 'realtime', label: 'REAL TIME', rate: 1 / 86400 },
+  { id: 'minute', label: '1 MIN / S', rate: 1 / 1440 },
+  { id: 'hour', label: '1 HOUR / S', rate: 1 / 24 },
+  { id: 'day', label: '1 DAY / S', rate: 1 },
+  { id: 'week', label: '1 WEEK / S', rate: 7 },
+  { id: 'month', label: '1 MONTH / S', rate: 365.25 / 12 },
+  { id: 'year', label: '1 YEAR / S', rate: 365.25 },
+  { id: 'decade', label: '10 YEARS / S', rate: 3652.5 }
+];
+
+/**
+ * The next preset above (`dir` 1) or below (`dir` -1) `rate`, or null past either end;
+ * below the slowest preset is pause.
+ */
+export function adjacentRatePreset(rate, dir) {
+  const eps = (r) => r * 1e-9;
+  if (dir > 0) return RATE_PRESETS.find(p => p.rate > rate + eps(p.rate)) || null;
+  return [...RATE_PRESETS].reverse().find(p => p.rate < rate - eps(p.rate)) || null;
+}
+
+/** Rate for a slider position: 0 pauses, 1…RATE_SLIDER_MAX spans RATE_MIN…RATE_MAX logarithmically. */
+export function rateFromSlider(v) {
+  if (!(v > 0)) return 0;
+  const f = (Math.min(v, RATE_SLIDER_MAX) - 1) / (RATE_SLIDER_MAX - 1);
+  return RATE_MIN * Math.pow(RATE_MAX / RATE_MIN, f);
+}
+
+/** Nearest slider position for a rate (the inverse of rateFromSlider). */
+export function sliderFromRate(rate) {
+  if (!(rate > 0)) return 0;
+  const f = Math.log(Math.min(Math.max(rate, RATE_MIN), RATE_MAX) / RATE_MIN) / Math.log(RATE_MAX / RATE_MIN);
+  return Math.round(1 + f * (RATE_SLIDER_MAX - 1));
+}
+
+// [singular, plural, days]
+const RATE_UNITS = [
+  ['YEAR', 'YEARS', 365.25], ['DAY', 'DAYS', 1], ['HOUR', 'HOURS', 1 / 24], ['MIN', 'MIN', 1 / 1440], ['SEC', 'SEC', 1 / 86400]
+];
+
+/** Rate in the largest whole unit per second, e.g. '2.5 HOURS / S'; 'PAUSED' at zero. */
+export function formatRate(rate) {
+  if (!(rate > 0)) return 'PAUSED';
+  const [one, many, size] = RATE_UNITS.find(u => rate >= u[2] * 0.9995) || RATE_UNITS[RATE_UNITS.length - 1];
+  const value = Number((rate / size).toPrecision(3));
+  return `${value} ${value === 1 ? one : many} / S`;
+}
+
+/**
+ * Move the clock on by `dtMs` of wall-clock time; in real-time mode it is set to `nowMs`
+ * instead, so it never drifts from the system clock.
+ */
+export function advanceClock(state, dtMs, nowMs = Date.now()) {
+  if (state.realtime) state.days = daysFromMs(nowMs);
+  else if (state.rate > 0) state.days += state.rate * state.direction * dtMs / 1000;
+  return state.days;
+}
+
+// Units for the step buttons; months and years step on the calendar, keeping the time of
+// day and clamping the day to the target month (31 January + 1 month is 28/29 February)
+export const STEP_UNITS = [
+  { id: 'second', label: 'SECOND', days: 1 / 86400 },
+  { id: 'minute', label: 'MINUTE', days: 1 / 1440 },
+  { id: 'hour', label: 'HOUR', days: 1 / 24 },
+  { id: 'sidereal', label: 'SIDEREAL DAY', days: 0.99726957 },
+  { id: 'day', label: 'DAY', days: 1 },
+  { id: 'week', label: 'WEEK', days: 7 },
+  { id: 'lunation', label: 'LUNATION', days: 29.530589 },
+  { id: 'month', label: 'MONTH', months: 1 },
+  { id: 'year', label: 'YEAR', months: 12 }
+];
+
+/**
+ * `days` moved by `n` steps of the STEP_UNITS entry `unit`. Calendar steps are taken in
+ * `zone` on `calendar`. Returns `days` unchanged for an unknown unit.
+ * options: { zone = 'UTC', calendar = 'gregorian' }
+ */
+export function stepDays(days, unit, n = 1, { zone = 'UTC', calendar = 'gregorian' } = {}) {
+  const u = STEP_UNITS.find(s => s.id === unit);
+  if (!u) return days;
+  if (u.days) return days + n * u.days;
+  const f = calendarFields(days, { zone, calendar });
+  const index = parseInt(f.year, 10) * 12 + (Number(f.month) - 1) + n * u.months;
+  const year = Math.floor(index / 12), month = index - year * 12 + 1;
+  const day = Math.min(Number(f.day), daysInMonth(year, month, calendar));
+  const options = { zone, calendar };
+  // the fields hold whole seconds; carry the remainder across
+  const fraction = days - daysFromCalendar(f.year, f.month, f.day, f.hour, f.minute, f.second, options);
+  // a day dropped by the 1582 reform lands on the first Gregorian day
+  const target = daysFromCalendar(year, month, day, f.hour, f.minute, f.second, options) ??
+    daysFromCalendar(year, month, 15, f.hour, f.minute, f.second, options);
+  return target + fraction;
+}
+
+// ---------------------------------------------------------------------------------------
+// Ephemeris providers
+//
+// Positions: { sun: { x, y }, [planet id]: { x, y, z }, moonAbsAng, moonLat, moonDist,
+// nodeAbsAng, moonPhase: { elongation, fraction } } with x/y/z in schematic pixels (Earth's
+// `dist` per AU for the real ephemerides; z is 0 in the circular model), angles in radians of
+// geocentric ecliptic longitude and latitude and the Moon's distance in AU.
+//
+// A provider is { id, label, positions(days), helio(id, days) } where both methods throw
+// when they cannot serve a date (helio returns one body's heliocentric { x, y, z } on the
+// same pixel scale, or null for bodies it does not know); createEphemeris chains them and
+// reports which one is answering.
+
+// Mean Earth–Moon distance (AU), for the circular model
+const MOON_MEAN_DIST = 384400 / 149597870.7;
+
+// Lunar phase from the Sun–Moon elongation (both geocentric ecliptic longitudes, degrees)
+export function moonPhaseFromLongitudes(moonLon, sunLon) {
+  const elong = normDeg(moonLon - sunLon);
+  return { elongation: elong * DEG, fraction: (1 - Math.cos(elong * DEG)) / 2 };
+}
+
+// Pixels per AU for the real ephemerides: Earth's schematic orbit radius
+function auScale(planets) {
+  return planets.find(pl => pl.id === 'earth')?.dist || 1000;
+}
+
+// Circular orbits at the schematic `dist` with uniform motion and mean lunar elements; only
+// good for layout, not for where anything actually is
+export function linearPositions(days, planets) {
+  const T = days / 36525.0;
+  const res = { sun: { x: 0, y: 0 } };
+  planets.forEach(p => {
+    const a = ((p.long + p.rate * T) % 360) * Math.PI / 180;
+    res[p.id] = { x: p.dist * Math.cos(a), y: p.dist * Math.sin(a), z: 0 };
+  });
+
+  // Mean lunar longitude, mean solar longitude and mean ascending node (degrees, J2000 epoch)
+  const moonLon = normDeg(218.3165 + 13.17639648 * days);
+  const sunLon = normDeg(280.4665 + 0.98564736 * days);
+  res.moonAbsAng = moonLon * DEG;
+  res.moonPhase = moonPhaseFromLongitudes(moonLon, sunLon);
+  res.moonLat = 0;
+  res.moonDist = MOON_MEAN_DIST;
+  res.nodeAbsAng = normDeg(125.0445 - 0.05295381 * days) * DEG;
+  return res;
+}
+
+/**
+ * Keplerian-elements positions (kepler.js): elliptical, inclined orbits for the planets,
+ * principal periodic terms for the Moon, Sun and lunar node. Planets without elements are
+ * left out, like astronomy-engine does for bodies it does not know.
+ */
+export function keplerPositions(days, planets) {
+  const scale = auScale(planets);
+  const res = { sun: { x: 0, y: 0 } };
+  for (const p of planets) {
+    const v = keplerHelio(p.id, days);
+    if (v) res[p.id] = { x: v.x * scale, y: v.y * scale, z: v.z * scale };
+  }
+  const moon = moonPosition(days);
+  res.moonAbsAng = moon.lon * DEG;
+  res.moonLat = moon.lat * DEG;
+  res.moonDist = moon.dist;
+  res.moonPhase = moonPhaseFromLongitudes(moon.lon, sunLongitude(days));
+  res.nodeAbsAng = moon.node * DEG;
+  return res;
+}
+
+const BODY_NAMES = {
+  mercury: 'Mercury', venus: 'Venus', earth: 'Earth', mars: 'Mars', jupiter: 'Jupiter',
+  saturn: 'Saturn', uranus: 'Uranus', neptune: 'Neptune', pluto: 'Pluto'
+};
+
+// Provider date spans in days since J2000. `range` is where a provider is accurate; outside
+// it positions are extrapolations and the HUD says so. `limit` is where it can compute at
+// all: astronomy-engine converts through Date, which ends ±100 million days from 1970
+// (about ±273,000 years), and the chain passes over it beyond that.
+const DATE_LIMIT = { from: daysFromMs(-8.64e15), to: daysFromMs(8.64e15) };
+// astronomy-engine's tabulated span (Pluto's integration table), about AD 1 – 3999
+export const ASTRONOMY_RANGE = { from: -730000, to: 730000 };
+
+const within = (span, days) => !span || (days >= span.from && days <= span.to);
+
+// astronomy-engine provider; positions() throws when the library cannot serve a date
+export function astronomyProvider(A, planets) {
+  // Bracketing node crossings around the last requested instant, so the node search only
+  // reruns about twice a month of simulated time rather than on every frame
+  let nodeBracket = null;
+
+  // Longitude of the ascending node at a node crossing: the Moon sits on the ascending node
+  // at an ascending crossing and on the descending node (180° away) at a descending one
+  const ascendingNodeLonAt = (evt) => {
+    const lon = A.EclipticGeoMoon(evt.time).lon;
+    return evt.kind === A.NodeEventKind.Ascending ? lon : normDeg(lon + 180);
+  };
+
+  // True ascending node longitude (degrees), interpolated between the crossings found by
+  // astronomy-engine's node search on either side of `time`
+  const trueNodeLongitude = (time) => {
+    if (!nodeBracket || time.ut < nodeBracket.t0 || time.ut >= nodeBracket.t1) {
+      // crossings are ~13.6 days apart, so the first one after t-16d is never later than t
+      let prev = A.SearchMoonNode(time.AddDays(-16));
+      let next = A.NextMoonNode(prev);
+      while (next.time.ut <= time.ut) { prev = next; next = A.NextMoonNode(next); }
+      nodeBracket = { t0: prev.time.ut, t1: next.time.ut, lon0: ascendingNodeLonAt(prev), lon1: ascendingNodeLonAt(next) };
+    }
+    const { t0, t1, lon0, lon1 } = nodeBracket;
+    const span = normDeg(lon1 - lon0 + 180) - 180; // shortest signed difference
+    return normDeg(lon0 + span * (time.ut - t0) / (t1 - t0));
+  };
+
+  const positions = (days) => {
+    const time = A.MakeTime(dateFromDays(days));
+    const pos = { sun: { x: 0, y: 0 } };
+    const scale = auScale(planets);
+    // HelioVector is equatorial J2000; rotate into the ecliptic of date so planet angles
+    // share a frame with the lunar and solar longitudes below
+    const toEcliptic = A.Rotation_EQJ_ECT(time);
+    for (const p of planets) {
+      const bodyName = BODY_NAMES[p.id];
+      if (!bodyName) continue;
+      // HelioVector returns { x,y,z } in AU; convert to pixels
+      const vec = A.RotateVector(toEcliptic, A.HelioVector(bodyName, time));
+      pos[p.id] = { x: vec.x * scale, y: vec.y * scale, z: vec.z * scale };
+    }
+
+    // Moon at its true geocentric ecliptic longitude; phase from the real illuminated fraction
+    const moon = A.EclipticGeoMoon(time);
+    const moonLon = moon.lon;
+    const sunLon = A.SunPosition(time).elon;
+    pos.moonAbsAng = moonLon * DEG;
+    pos.moonLat = moon.lat * DEG;
+    pos.moonDist = moon.dist;
+    pos.moonPhase = {
+      elongation: normDeg(moonLon - sunLon) * DEG,
+      fraction: A.Illumination(A.Body.Moon, time).phase_fraction
+    };
+    pos.nodeAbsAng = trueNodeLongitude(time) * DEG;
+    return pos;
+  };
+  const helio = (id, days) => {
+    if (!BODY_NAMES[id]) return null;
+    const time = A.MakeTime(dateFromDays(days));
+    const vec = A.RotateVector(A.Rotation_EQJ_ECT(time), A.HelioVector(BODY_NAMES[id], time));
+    const scale = auScale(planets);
+    return { x: vec.x * scale, y: vec.y * scale, z: vec.z * scale };
+  };
+  return { id: 'astronomy', label: 'astronomy-engine', library: A, range: ASTRONOMY_RANGE, limit: DATE_LIMIT, positions, helio };
+}
+
+// Built-in provider; never throws, so it always ends the chain
+export function keplerProvider(planets) {
+  const helio = (id, days) => {
+    const v = keplerHelio(id, days);
+    const scale = auScale(planets);
+    return v && { x: v.x * scale, y: v.y * scale, z: v.z * scale };
+  };
+  return { id: 'kepler', label: 'Keplerian elements', range: KEPLER_RANGE, positions: (days) => keplerPositions(days, planets), helio };
+}
+
+/**
+ * Ephemeris for `planets`: astronomy-engine (`Astronomy`, may be null) with the Keplerian
+ * provider as fallback. The first failure of a provider drops it for good, so one bad date
+ * does not cost a thrown exception on every frame; dates outside a provider's `limit` pass
+ * over it without dropping it. `active`/`label` name the provider that served the last
+ * positions() call and `fallbackReason` says why that is not the first choice (null while
+ * it is). rangeWarning(days) explains when the serving provider is only extrapolating.
+ * positions() remembers its last answer, so asking again for the same instant (an idle
+ * redraw, a pan) costs nothing; callers must not modify the object it returns.
+ * Returns { fallback, active, label, fallbackReason, positions(days) -> Promise,
+ * sample(days), helio(id, days), rangeWarning(days), planets, context(days) } where context() is the ctx
+ * object taken by events.js, sky.js and ephemeris.js.
+ */
+export function createEphemeris(planets, Astronomy = null) {
+  const kepler = keplerProvider(planets);
+  const chain = Astronomy ? [astronomyProvider(Astronomy, planets), kepler] : [kepler];
+  let reason = Astronomy ? null : 'astronomy-engine not loaded';
+  let current = chain[0];
+  let last = null; // { days, provider, pos } from the latest positions() call
+  const providerFor = (days) => chain.find(p => within(p.limit, days)) || chain[chain.length - 1];
+  const call = (method, days, args) => {
+    for (;;) {
+      const provider = providerFor(days);
+      try {
+        return [provider, provider[method](...args)];
+      } catch (err) {
+        if (provider === chain[chain.length - 1]) throw err;
+        const next = chain[chain.indexOf(provider) + 1];
+        console.warn(`${provider.label} failed, falling back to ${next.label}:`, err);
+        reason = `${provider.label} failed: ${err && err.message ? err.message : err}`;
+        chain.splice(chain.indexOf(provider), 1);
+      }
+    }
+  };
+  return {
+    planets,
+    fallback: kepler.positions,
+    get active() { return current.id; },
+    get label() { return current.label; },
+    get fallbackReason() {
+      if (current === chain[0]) return reason;
+      return `${chain[0].label} cannot compute dates beyond ${formatEra(yearOf(chain[0].limit.from))} – ${formatEra(yearOf(chain[0].limit.to))}`;
+    },
+    async positions(days) {
+      if (last && last.days === days && last.provider === providerFor(days)) {
+        current = last.provider;
+        return last.pos;
+      }
+      const [provider, pos] = call('positions', days, [days]);
+      current = provider;
+      last = { days, provider, pos };
+      return pos;
+    },
+    helio(id, days) { return call('helio', days, [id, days])[1]; },
+    // positions at `days` without touching the remembered answer or `active`, for samples
+    // around the clock
+    sample(days) { return call('positions', days, [days])[1]; },
+    rangeWarning(days) {
+      const provider = providerFor(days);
+      if (within(provider.range, days)) return null;
+      const { from, to } = provider.range;
+      return `${formatEra(yearOf(days))} is outside the ${provider.label} range ` +
+        `(${formatEra(yearOf(from))} – ${formatEra(yearOf(to))}); positions are extrapolated`;
+    },
+    context(days = 0) {
+      return { planets, fallback: kepler.positions, astronomy: providerFor(days).library || null, epoch: J2000 };
+    }
+  };
+}
+
+// ---------------------------------------------------------------------------------------
+// Retrogrades
+
+/**
+ * Retrograde intervals and stations per planet over ±1 synodic period around the clock.
+ * refresh(days) recomputes once the clock is half a synodic period from the window's centre
+ * (half way to either edge) or the active provider changes. Station points keep their geocentric offset (`geo`) and the
+ * unscaled planet and Earth positions behind it; stations(id, scale) re-derives `geo`
+ * through a radialScale() mapping.
+ */
+export function createRetrogradeTracker(ephemeris) {
+  const cache = {};
+  let pending = false;
+  return {
+    async refresh(days) {
+      if (pending) return;
+      pending = true;
+      try {
+        const ctx = ephemeris.context(days);
+        const provider = ephemeris.active;
+        for (const p of ctx.planets) {
+          if (p.id === 'earth') continue;
+          const c = cache[p.id];
+          if (c && c.provider === provider && Math.abs(days - c.center) < c.span / 2) continue;
+          const span = synodicDays(p);
+          const found = findRetrogrades(p.id, days - span, days + span, ctx);
+          for (const st of found.stations) {
+            const sp = await ephemeris.positions(st.days);
+            st.planet = sp[p.id];
+            st.earth = sp.earth || { x: 0, y: 0 };
+            st.geo = { x: st.planet.x - st.earth.x, y: st.planet.y - st.earth.y };
+          }
+          cache[p.id] = { provider, center: days, span, ...found };
+        }
+      } catch (err) {
+        console.warn('Retrograde search failed:', err);
+      } finally {
+        pending = false;
+      }
+    },
+    isRetrograde(id, days) {
+      const c = cache[id];
+      return !!c && c.intervals.some(iv => days >= iv.start && days <= iv.end);
+    },
+    stations(id, scale = null) {
+      const list = cache[id] ? cache[id].stations : [];
+      if (!scale) return list;
+      return list.map(st => {
+        const p = scale.map(st.planet), e = scale.map(st.earth);
+        return { ...st, geo: { x: p.x - e.x, y: p.y - e.y } };
+      });
+    }
+  };
+}
+
+// ---------------------------------------------------------------------------------------
+// Distance scaling and orbit paths
+
+export const SCALE_MODES = ['au', 'log', 'schematic'];
+// Logarithmic mode: r -> log(1 + r / LOG_SCALE_AU), normalised so Earth keeps its radius
+const LOG_SCALE_AU = 0.25;
+
+/**
+ * Radial mapping for scale `mode` ('au', 'log' or 'schematic'). Real positions arrive with
+ * Earth's `dist` per AU; map(v) moves a heliocentric point along its ray from the Sun so
+ * its distance follows the mode:
+ * - au: unchanged
+ * - log: logarithmic in distance, so the outer planets fit beside the inner ones
+ * - schematic: each planet's semi-major axis (`au`) lands on its evenly spaced `dist`,
+ *   linear in between
+ * Returns { mode, map(v), moonRadius } where moonRadius is the Moon's inset orbit, shrunk
+ * below MOON_ORBIT_R when Earth's neighbours come closer than that in this mapping.
+ */
+export function radialScale(mode, planets) {
+  const unit = auScale(planets);
+  let f; // AU -> px
+  if (mode === 'log') {
+    const k = unit / Math.log(1 + 1 / LOG_SCALE_AU);
+    f = (r) => k * Math.log(1 + r / LOG_SCALE_AU);
+  } else if (mode === 'schematic') {
+    const knots = planets.filter(p => p.au > 0).map(p => [p.au, p.dist]).sort((a, b) => a[0] - b[0]);
+    f = (r) => {
+      if (knots.length < 2) return r * unit;
+      if (r <= knots[0][0]) return r * knots[0][1] / knots[0][0];
+      let i = knots.findIndex(k => k[0] >= r);
+      if (i < 0) i = knots.length - 1; // beyond the last planet: keep the last segment's slope
+      const [a0, d0] = knots[i - 1], [a1, d1] = knots[i];
+      return d0 + (r - a0) * (d1 - d0) / (a1 - a0);
+    };
+  } else {
+    mode = 'au';
+    f = (r) => r * unit;
+  }
+  const map = (v) => {
+    const r = Math.hypot(v.x, v.y, v.z || 0);
+    if (!r || mode === 'au') return v;
+    const k = f(r / unit) / r;
+    return { x: v.x * k, y: v.y * k, z: (v.z || 0) * k };
+  };
+
+  let moonRadius = MOON_ORBIT_R;
+  const earth = planets.find(p => p.id === 'earth');
+  if (earth) {
+    const at = f(earth.au || 1);
+    planets.forEach(p => {
+      if (p.id !== 'earth' && p.au > 0) moonRadius = Math.min(moonRadius, 0.4 * Math.abs(f(p.au) - at));
+    });
+  }
+  return { mode, map, moonRadius };
+}
+
+/** Map every body in a positions object through `scale`; angles and phases pass through. */
+export function scalePositions(pos, scale) {
+  const out = { ...pos };
+  Object.keys(pos).forEach(k => {
+    if (pos[k] && typeof pos[k] === 'object' && 'x' in pos[k]) out[k] = scale.map(pos[k]);
+  });
+  return out;
+}
+
+export const ORBIT_SAMPLES = 180;
+// Orbit paths are resampled once the clock moves this far from where they were taken
+export const ORBIT_RESAMPLE_DAYS = 3652.5;
+
+/**
+ * Closed orbit paths from the active provider: one sidereal period of heliocentric
+ * positions per planet, centred on the clock. paths(days) returns { [id]: [{ x, y, z }] }
+ * (unscaled), resampling after ORBIT_RESAMPLE_DAYS or when the provider changes.
+ */
+export function createOrbitTracker(ephemeris, samples = ORBIT_SAMPLES) {
+  let cache = null;
+  return {
+    paths(days) {
+      if (cache && cache.provider === ephemeris.active && Math.abs(days - cache.days) < ORBIT_RESAMPLE_DAYS) {
+        return cache.paths;
+      }
+      const paths = {};
+      for (const p of ephemeris.planets) {
+        const period = orbitalDays(p);
+        const pts = [];
+        for (let i = 0; i < samples; i++) {
+          const v = ephemeris.helio(p.id, days + period * (i / samples - 0.5));
+          if (v) pts.push(v);
+        }
+        if (pts.length) paths[p.id] = pts;
+      }
+      // a provider failure part-way through switches providers; sample again next frame
+      cache = { provider: ephemeris.active, days, paths };
+      return paths;
+    }
+  };
+}
+
+// ---------------------------------------------------------------------------------------
+// Scene geometry (world units, origin at the view anchor)
+
+export const MOON_ORBIT_R = 120; // radius of the Moon's inset orbit around Earth
+export const NODE_RING_GAP = 100; // lunar node markers sit this far outside the marker ring
+
+// Radius of the horizon circle in world units (HORIZON frame)
+export const DOME_R = 2500;
+
+// Azimuthal-equidistant dome: zenith at the centre, horizon on DOME_R, north up and east
+// to the left as when looking up at the sky
+export function domePoint(alt, az) {
+  const r = DOME_R * (90 - alt) / 90;
+  const a = az * Math.PI / 180;
+  return { x: -r * Math.sin(a), y: -r * Math.cos(a) };
+}
+
+// Body the orbital diagram is centred on: the followed body if any, else Earth in the geo
+// frame and the Sun in the helio frame
+export function centerBody(view, follow = null) {
+  return follow || (view === 'geo' ? 'earth' : 'sun');
+}
+
+export function viewAnchor(pos, view, follow = null) {
+  return pos[centerBody(view, follow)] || { x: 0, y: 0 };
+}
+
+// Nearest and farthest planet distance from the anchor, plus the outer marker ring radius
+// (farthest planet with 15% padding, never smaller than the classic layout's ring)
+export function orbitExtent(pos, planets, anchor = { x: 0, y: 0 }) {
+  let inner = Infinity, outer = 0;
+  planets.forEach(p => {
+    const pPos = pos[p.id];
+    if (!pPos) return;
+    const dist = Math.hypot(pPos.x - anchor.x, pPos.y - anchor.y);
+    if (dist > 0 && dist < inner) inner = dist; // the anchor body itself (geo view) is skipped
+    if (dist > outer) outer = dist;
+  });
+  if (!isFinite(inner)) inner = Math.min(...planets.map(p => p.dist));
+  return { inner, outer, ring: Math.max(3550, outer * 1.15) };
+}
+
+function onCircle(r, angle) {
+  return { x: r * Math.cos(angle), y: r * Math.sin(angle) };
+}
+
+/**
+ * Where everything in the orbital diagram goes for one set of positions in `view`
+ * ('helio' or 'geo'). All points are relative to the anchor: the followed body
+ * (options.follow), else the Sun, or Earth in geo view. `center` names that body.
+ * - planets: [{ id, x, y, angle, marker: {x, y}, center }]; `center` marks the anchor body
+ * - ring / nodeRing: outer marker ring radii around the anchor; ringCenter: its centre
+ * - viewpoint: where the zodiac lines start (the followed body, else Earth)
+ * - moon: inset orbit point (relative to Earth), world point, marker and the direction of
+ *   the Sun from the Moon (`sunAngle`, radians) for the phase terminator
+ * - nodes.ascending / nodes.descending: same layout as the Moon, markers on nodeRing
+ * - sunMarker: the Sun's ring marker when the Sun is not the anchor, else null
+ * - orbits: { [id]: [{ x, y }] } from options.orbits (already scaled), moved to the anchor
+ * - trails: { [id]: { points: [{ x, y, days, retrograde }], now } } from options.trails (a
+ *   scaled createTrailTracker() result), each sample taken relative to where the anchor was
+ *   at that time; points[now] is the body's current position at options.days and takes
+ *   the retrograde flag of the sample after it. The anchor body has no trail.
+ * options: { moonRadius (default MOON_ORBIT_R), orbits, trails, days, follow (body id or null),
+ *   ringAngles ({ [id]: radians } to place those ring markers, planets' and the Sun's, at a
+ *   given angle instead of their direction in the scaled scene) }
+ */
+export function sceneGeometry(pos, view, planets, options = {}) {
+  const moonRadius = options.moonRadius ?? MOON_ORBIT_R;
+  const follow = options.follow ?? null;
+  const center = centerBody(view, follow);
+  const anchor = viewAnchor(pos, view, follow);
+  const rel = (p) => ({ x: p.x - anchor.x, y: p.y - anchor.y });
+  const earth = rel(pos.earth || { x: 0, y: 0 });
+  const sun = rel(pos.sun);
+  const ring = orbitExtent(pos, planets, anchor).ring;
+  const nodeRing = ring + NODE_RING_GAP;
+  const ringAngles = options.ringAngles || {};
+
+  const bodies = planets.map(p => {
+    const at = rel(pos[p.id] || { x: 0, y: 0 });
+    const angle = Math.atan2(at.y, at.x);
+    return { id: p.id, x: at.x, y: at.y, angle, marker: onCircle(ring, ringAngles[p.id] ?? angle), center: p.id === center };
+  });
+
+  const inset = (angle, markerR) => {
+    const local = onCircle(moonRadius, angle);
+    return { angle, inset: local, x: earth.x + local.x, y: earth.y + local.y, marker: onCircle(markerR, angle) };
+  };
+  const moon = inset(pos.moonAbsAng, ring);
+  moon.sunAngle = Math.atan2(sun.y - moon.y, sun.x - moon.x);
+  moon.phase = pos.moonPhase || null;
+
+  const orbits = {};
+  Object.keys(options.orbits || {}).forEach(id => { orbits[id] = options.orbits[id].map(rel); });
+
+  const trails = {};
+  const track = options.trails;
+  const hub = track && track.bodies[center];
+  if (hub) {
+    bodies.forEach(body => {
+      const src = track.bodies[body.id];
+      if (!src || body.center) return;
+      const retro = (track.retrograde && track.retrograde[body.id]) || [];
+      const points = [];
+      let now = -1;
+      const here = (i) => {
+        now = points.length;
+        points.push({ x: body.x, y: body.y, days: options.days, retrograde: !!retro[Math.min(i, retro.length - 1)] });
+      };
+      track.times.forEach((t, i) => {
+        if (now < 0 && t >= options.days) here(i);
+        if (src[i] && hub[i]) points.push({ x: src[i].x - hub[i].x, y: src[i].y - hub[i].y, days: t, retrograde: !!retro[i] });
+      });
+      if (now < 0) here(track.times.length - 1);
+      trails[body.id] = { points, now };
+    });
+  }
+
+  let sunMarker = null;
+  if (center !== 'sun') {
+    const angle = ringAngles.sun ?? Math.atan2(sun.y, sun.x);
+    sunMarker = { angle, ...onCircle(ring, angle) };
+  }
+
+  return {
+    anchor,
+    center,
+    viewpoint: follow ? { x: 0, y: 0 } : earth,
+    earth,
+    sun,
+    ring,
+    nodeRing,
+    ringCenter: { x: 0, y: 0 },
+    planets: bodies,
+    orbits,
+    trails,
+    moonRadius,
+    moon,
+    nodes: { ascending: inset(pos.nodeAbsAng, nodeRing), descending: inset(pos.nodeAbsAng + Math.PI, nodeRing) },
+    sunMarker
+  };
+}
+
+// Chart orientation: a natal chart has the ascendant on the left and the zodiac running
+// anticlockwise, so the MC is near the top. The plain diagram runs it clockwise (screen y
+// points down), so the chart's orientation mirrors the scene as well as turning it.
+
+// House system a new chart uses; chart.js has the full HOUSE_SYSTEMS list
+export const DEFAULT_HOUSES = 'placidus';
+
+/** { mirror, turn } that puts ecliptic longitude `asc` (deg) on the left, reading anticlockwise. */
+export function chartOrientation(asc) {
+  return { mirror: true, turn: normDeg(180 + asc) };
+}
+
+/** Scene angle (deg) of ecliptic longitude `lon` under `orient` (null leaves it as is). */
+export function orientAngle(orient, lon) {
+  if (!orient) return lon;
+  return normDeg(orient.turn + (orient.mirror ? -lon : lon));
+}
+
+/** Point `v` ({ x, y, ... }, ecliptic axes) moved with the scene under `orient`. */
+export function orientPoint(orient, v) {
+  if (!orient || !v) return v;
+  const t = orient.turn * DEG, y = orient.mirror ? -v.y : v.y;
+  return { ...v, x: v.x * Math.cos(t) - y * Math.sin(t), y: v.x * Math.sin(t) + y * Math.cos(t) };
+}
+
+/** Provider positions with every point and the Moon's and node's angles oriented. */
+export function orientPositions(pos, orient) {
+  if (!orient) return pos;
+  const out = { ...pos };
+  Object.keys(pos).forEach(k => {
+    if (pos[k] && typeof pos[k] === 'object' && 'x' in pos[k]) out[k] = orientPoint(orient, pos[k]);
+  });
+  const angle = (a) => orientAngle(orient, a / DEG) * DEG;
+  out.moonAbsAng = angle(pos.moonAbsAng);
+  out.nodeAbsAng = angle(pos.nodeAbsAng);
+  return out;
+}
+
+/** A zodiacRing() result in scene angles under `orient`, each sign still spanning from…to. */
+export function orientZodiac(ring, orient) {
+  if (!orient) return ring;
+  const origin = orientAngle(orient, ring.origin);
+  const signs = ring.signs.map(sign => {
+    const from = orientAngle(orient, orient.mirror ? sign.to : sign.from);
+    return { ...sign, from, to: from + (sign.to - sign.from) };
+  });
+  return { origin, signs };
+}
+
+// Smallest on-screen radius (px) the innermost orbit may shrink to when fitting the view
+export const MIN_INNER_ORBIT_PX = 16;
+export const SIDEBAR_PX = 320;
+
+/**
+ * Zoom and pan that fit `view` into a viewport of `width` x `height` pixels (the sidebar
+ * overlaps its left edge). `pos` are the current positions; unused for the horizon dome.
+ * `follow` sizes the diagram around a followed body instead of the frame's centre.
+ */
+export function fitView(width, height, view, pos, planets, follow = null) {
+  const center = { x: width / 2, y: height / 2 };
+  if (view === 'horizon') {
+    // fit the sky dome plus its cardinal labels
+    const maxRadius = DOME_R * 1.15;
+    return { zoom: Math.min((width - SIDEBAR_PX) * 0.45 / maxRadius, height * 0.45 / maxRadius, 0.5), pos: center };
+  }
+  // Calculate zoom to fit the outer marker ring (radius ~6000 for the classic layout) in viewport
+  const extent = orbitExtent(pos, planets, viewAnchor(pos, view, follow));
+  const maxRadius = Math.max(6000, extent.ring * 1.7);
+  const fitZoomX = ((width - SIDEBAR_PX) * 0.4) / maxRadius; // 40% of viewport width
+  const fitZoomY = (height * 0.4) / maxRadius; // 40% of viewport height
+  // Real-AU positions put Pluto ~100x farther out than Mercury; rather than shrink the
+  // inner system to a dot, keep Mercury's orbit readable and let the outer ring overflow
+  const innerZoom = MIN_INNER_ORBIT_PX / extent.inner;
+  return { zoom: Math.min(Math.max(Math.min(fitZoomX, fitZoomY), innerZoom), 0.5), pos: center }; // cap at 0.5
+}
+
+// ---------------------------------------------------------------------------------------
+// Motion trails
+
+// Trail windows offered in the sidebar: days either side of the clock
+export const TRAIL_WINDOWS = [
+  { id: 'month', days: 30.436875, label: '± 1 MONTH' },
+  { id: 'quarter', days: 91.310625, label: '± 3 MONTHS' },
+  { id: 'year', days: 365.2425, label: '± 1 YEAR' },
+  { id: 'two-years', days: 730.485, label: '± 2 YEARS' },
+  { id: 'five-years', days: 1826.2125, label: '± 5 YEARS' },
+  { id: 'twelve-years', days: 4382.91, label: '± 12 YEARS' },
+  { id: 'thirty-years', days: 10957.275, label: '± 30 YEARS' }
+];
+export const DEFAULT_TRAIL_WINDOW = 730.485;
+export const TRAIL_SAMPLES = 480;
+// Samples taken per paths() call at most, so a jump or a very fast clock spreads the
+// refill over a few frames instead of stalling one
+export const TRAIL_SAMPLE_BUDGET = 240;
+
+// Per sample: is the geocentric longitude falling between the samples either side of it
+function trailRetrograde(body, earth) {
+  const lon = body.map((v, i) => v && earth[i] ? Math.atan2(v.y - earth[i].y, v.x - earth[i].x) : null);
+  return lon.map((l, i) => {
+    const a = lon[i - 1] ?? l, b = lon[i + 1] ?? l;
+    if (l === null || a === null || b === null) return false;
+    return Math.sin(b - a) < 0;
+  });
+}
+
+/**
+ * Past and future trails straight from the ephemeris: heliocentric positions of the Sun
+ * and every planet on a grid of TRAIL_SAMPLES steps covering `span` days either side of
+ * the clock. The grid is fixed in time (multiples of the step), so a running clock only
+ * samples what enters the window; a jump, a new span or a provider change refills it,
+ * nearest the clock first and at most `budget` samples per call.
+ * paths(days, span) returns { times, bodies: { [id]: [{ x, y, z } | null] }, retrograde,
+ * complete } (unscaled, each array parallel to `times`; `complete` once the window is
+ * filled), the same object until the samples change. retrograde: { [planet id]: [bool] }
+ * marks the samples where the planet's geocentric longitude is falling, read off its
+ * neighbouring samples so it reaches as far as the trail does.
+ */
+export function createTrailTracker(ephemeris, samples = TRAIL_SAMPLES, budget = TRAIL_SAMPLE_BUDGET) {
+  let grid = new Map(); // grid index -> { [id]: { x, y, z } }
+  let key = null;
+  let out = null;
+  return {
+    paths(days, span) {
+      const step = 2 * span / samples;
+      if (!key || key.provider !== ephemeris.active || key.step !== step) {
+        grid = new Map();
+        key = { provider: ephemeris.active, step };
+        out = null;
+      }
+      const first = Math.ceil((days - span) / step), last = Math.floor((days + span) / step);
+      let changed = !out;
+      for (const k of grid.keys()) {
+        if (k < first || k > last) { grid.delete(k); changed = true; }
+      }
+      const missing = [];
+      for (let k = first; k <= last; k++) if (!grid.has(k)) missing.push(k);
+      const now = days / step;
+      missing.sort((a, b) => Math.abs(a - now) - Math.abs(b - now));
+      for (const k of missing.slice(0, budget)) {
+        const sample = { sun: { x: 0, y: 0, z: 0 } };
+        for (const p of ephemeris.planets) {
+          const v = ephemeris.helio(p.id, k * step);
+          if (v) sample[p.id] = v;
+        }
+        grid.set(k, sample);
+        changed = true;
+      }
+      if (changed) {
+        const ks = [...grid.keys()].sort((a, b) => a - b);
+        const bodies = {};
+        ['sun', ...ephemeris.planets.map(p => p.id)].forEach(id => {
+          bodies[id] = ks.map(k => grid.get(k)[id] || null);
+        });
+        const retrograde = {};
+        ephemeris.planets.forEach(p => {
+          if (p.id !== 'earth' && bodies.earth) retrograde[p.id] = trailRetrograde(bodies[p.id], bodies.earth);
+        });
+        out = { times: ks.map(k => k * step), bodies, retrograde, complete: missing.length <= budget };
+      }
+      return out;
+    }
+  };
+}
+
+// ---------------------------------------------------------------------------------------
+// Position readouts
+
+// Days either side of the clock used for the apparent daily motion
+export const READOUT_STEP = 0.5;
+// Wall-clock ms a daily motion is reused for while the clock runs, so the two extra
+// ephemeris samples it needs are taken a few times a second rather than every frame
+export const READOUT_MOTION_MS = 250;
+
+/**
+ * Rows of the position readout, in display order: the Sun, the Moon, every planet but Earth
+ * and the two lunar nodes. Each is { id, sym, label }.
+ */
+export function readoutBodies(planets) {
+  return [
+    { id: 'sun', sym: '☉', label: 'SUN' },
+    { id: 'moon', sym: '☾', label: 'MOON' },
+    ...planets.filter(p => p.id !== 'earth').map(p => ({ id: p.id, sym: p.sym, label: p.id.toUpperCase() })),
+    { id: 'north-node', sym: '☊', label: 'N NODE' },
+    { id: 'south-node', sym: '☋', label: 'S NODE' }
+  ];
+}
+
+/**
+ * Geocentric ecliptic coordinates of the readout bodies from one set of provider positions:
+ * { [id]: { lon, lat, dist } } with angles in degrees (equinox of date) and dist in AU,
+ * null for the nodes. Planets and the Sun are seen from the heliocentric Earth.
+ */
+export function geocentricEcliptic(pos, planets) {
+  const au = auScale(planets);
+  const earth = pos.earth || { x: 0, y: 0, z: 0 };
+  const out = {};
+  const from = (id, v) => {
+    const x = v.x - earth.x, y = v.y - earth.y, z = (v.z || 0) - (earth.z || 0);
+    const r = Math.hypot(x, y, z);
+    out[id] = { lon: normDeg(Math.atan2(y, x) / DEG), lat: r ? Math.asin(z / r) / DEG : 0, dist: r / au };
+  };
+  from('sun', pos.sun);
+  planets.forEach(p => { if (p.id !== 'earth' && pos[p.id]) from(p.id, pos[p.id]); });
+  out.moon = { lon: normDeg(pos.moonAbsAng / DEG), lat: (pos.moonLat || 0) / DEG, dist: pos.moonDist ?? null };
+  const node = normDeg(pos.nodeAbsAng / DEG);
+  out['north-node'] = { lon: node, lat: 0, dist: null };
+  out['south-node'] = { lon: normDeg(node + 180), lat: 0, dist: null };
+  return out;
+}
+
+/**
+ * Longitude of every outer-ring marker as seen from the anchor of `view` (the followed body,
+ * else the Sun, or Earth in geo view), from unscaled positions: { [id]: deg } for the planets
+ * and the Sun other than the anchor, plus the Moon and the nodes, whose markers always give
+ * their geocentric longitude.
+ */
+export function markerLongitudes(pos, view, planets, follow = null) {
+  const center = centerBody(view, follow);
+  const anchor = viewAnchor(pos, view, follow);
+  const out = {};
+  ['sun', ...planets.map(p => p.id)].forEach(id => {
+    if (id === center || !pos[id]) return;
+    out[id] = normDeg(Math.atan2(pos[id].y - anchor.y, pos[id].x - anchor.x) / DEG);
+  });
+  out.moon = normDeg(pos.moonAbsAng / DEG);
+  out['north-node'] = normDeg(pos.nodeAbsAng / DEG);
+  out['south-node'] = normDeg(out['north-node'] + 180);
+  return out;
+}
+
+/**
+ * "15°23′ ♌": degrees and whole minutes past the start of the sign of `ring` (a
+ * zodiacRing() result) that holds ecliptic longitude `lon`, then the sign's glyph.
+ */
+export function formatZodiacPosition(lon, ring) {
+  const l = normDeg(lon);
+  const sign = ring.signs.find(s => (l >= s.from && l < s.to) || (l + 360 >= s.from && l + 360 < s.to)) || ring.signs[0];
+  const minutes = Math.floor(normDeg(l - sign.from) * 60 + 1e-9);
+  return `${Math.floor(minutes / 60)}°${String(minutes % 60).padStart(2, '0')}′ ${sign.s}`;
+}
+
+/**
+ * Geocentric readouts with apparent motion: at(days, pos, nowMs) takes the positions already
+ * computed for `days` and returns { [id]: { lon, lat, dist, speed } }, speed in degrees of
+ * longitude per day (negative while retrograde) from samples READOUT_STEP either side. The
+ * answer is kept until the clock or the provider changes. Given the wall-clock time nowMs,
+ * a new clock reading within READOUT_MOTION_MS of the last sampling keeps that sampling's
+ * speeds; `exact` is false until a later call samples them again for the clock's day.
+ */
+export function createReadoutTracker(ephemeris) {
+  let cache = null;
+  const recent = (nowMs) => nowMs !== null && nowMs - cache.sampledAt < READOUT_MOTION_MS;
+  return {
+    get exact() { return !cache || cache.exact; },
+    at(days, pos, nowMs = null) {
+      const same = cache && cache.provider === ephemeris.active;
+      if (same && cache.days === days && (cache.exact || recent(nowMs))) return cache.value;
+      const planets = ephemeris.planets;
+      const now = geocentricEcliptic(pos, planets);
+      let motion = same && recent(nowMs) ? cache.motion : null;
+      const exact = !motion;
+      if (exact) {
+        const before = geocentricEcliptic(ephemeris.sample(days - READOUT_STEP), planets);
+        const after = geocentricEcliptic(ephemeris.sample(days + READOUT_STEP), planets);
+        motion = {};
+        Object.keys(now).forEach(id => {
+          const span = normDeg(after[id].lon - before[id].lon + 180) - 180; // shortest signed difference
+          motion[id] = span / (2 * READOUT_STEP);
+        });
+      }
+      const value = {};
+      Object.keys(now).forEach(id => { value[id] = { ...now[id], speed: motion[id] }; });
+      cache = { days, provider: ephemeris.active, value, motion, exact, sampledAt: exact ? nowMs : cache.sampledAt };
+      return value;
+    }
+  };
+}
+
+// Aspects
+
+// Angles between two bodies' geocentric longitudes. The five Ptolemaic aspects are major;
+// orbs are the usual modern defaults, wide for the major aspects and narrow for the minor
+export const ASPECTS = [
+  { id: 'conjunction', sym: '☌', label: 'CONJUNCTION', angle: 0, orb: 8, major: true, color: '#f59e0b' },
+  { id: 'sextile', sym: '⚹', label: 'SEXTILE', angle: 60, orb: 6, major: true, color: '#0ea5e9' },
+  { id: 'square', sym: '□', label: 'SQUARE', angle: 90, orb: 8, major: true, color: '#e11d48' },
+  { id: 'trine', sym: '△', label: 'TRINE', angle: 120, orb: 8, major: true, color: '#2563eb' },
+  { id: 'opposition', sym: '☍', label: 'OPPOSITION', angle: 180, orb: 8, major: true, color: '#dc2626' },
+  { id: 'semisextile', sym: '⚺', label: 'SEMISEXTILE', angle: 30, orb: 2, major: false, color: '#10b981' },
+  { id: 'semisquare', sym: '∠', label: 'SEMISQUARE', angle: 45, orb: 2, major: false, color: '#f97316' },
+  { id: 'quintile', sym: 'Q', label: 'QUINTILE', angle: 72, orb: 1.5, major: false, color: '#8b5cf6' },
+  { id: 'sesquiquadrate', sym: '⚼', label: 'SESQUIQUADRATE', angle: 135, orb: 2, major: false, color: '#f97316' },
+  { id: 'biquintile', sym: 'bQ', label: 'BIQUINTILE', angle: 144, orb: 1.5, major: false, color: '#8b5cf6' },
+  { id: 'quincunx', sym: '⚻', label: 'QUINCUNX', angle: 150, orb: 3, major: false, color: '#a855f7' }
+];
+export const MAX_ORB = 15;
+
+export const ASPECT_SETS = [
+  { id: 'off', label: 'OFF' },
+  { id: 'major', label: 'MAJOR' },
+  { id: 'all', label: 'MAJOR + MINOR' }
+];
+export const DEFAULT_ASPECT_SET = 'major';
+
+/** { [aspect id]: orb } with every aspect at its default orb. */
+export function defaultOrbs() {
+  return Object.fromEntries(ASPECTS.map(a => [a.id, a.orb]));
+}
+
+/**
+ * Aspects between every pair of readout bodies (the two lunar nodes, always opposite, are
+ * not paired). `values` maps ids to { lon, speed } as createReadoutTracker() gives them and
+ * `ids` lists the bodies in order. Each pair takes the aspect it is closest to, if within
+ * that aspect's orb: [{ a, b, aspect, separation, orb, exactness, applying }] where orb is
+ * how far (deg) it is from exact, exactness runs from 0 at the edge of the orb to 1 when
+ * exact, and applying is true while the separation is closing on the exact angle.
+ * options: { set (one of ASPECT_SETS, default DEFAULT_ASPECT_SET), orbs (per-aspect
+ * overrides of the default orbs) }
+ */
+export function findAspects(values, ids, options = {}) {
+  const set = options.set ?? DEFAULT_ASPECT_SET;
+  if (set === 'off') return [];
+  const orbs = { ...defaultOrbs(), ...options.orbs };
+  const kinds = ASPECTS.filter(k => (set === 'all' || k.major) && orbs[k.id] > 0);
+  const present = ids.filter(id => values[id]);
+  const out = [];
+  present.forEach((a, i) => present.slice(i + 1).forEach(b => {
+    if (a.endsWith('-node') && b.endsWith('-node')) return;
+    const A = values[a], B = values[b];
+    const delta = normDeg(B.lon - A.lon + 180) - 180; // B's longitude ahead of A's
+    const separation = Math.abs(delta);
+    let best = null;
+    kinds.forEach(k => {
+      const off = separation - k.angle;
+      if (Math.abs(off) <= orbs[k.id] && (!best || Math.abs(off) < Math.abs(best.off))) best = { k, off };
+    });
+    if (!best) return;
+    // rate of change of the separation; the aspect applies while it moves towards exact
+    const rate = Math.sign(delta) * ((B.speed || 0) - (A.speed || 0));
+    out.push({
+      a,
+      b,
+      aspect: best.k.id,
+      separation,
+      orb: Math.abs(best.off),
+      exactness: 1 - Math.abs(best.off) / orbs[best.k.id],
+      applying: Math.sign(best.off) * rate < 0
+    });
+  }));
+  return out;
+}
@@ -0,0 +1,122 @@
+// src/ephemeris.js
+// Tabular ephemeris generator for the sidebar "Ephemeris" tool.
+// - Heliocentric ecliptic x/y/z (AU) and longitude/latitude (deg), ecliptic of date
+// - Geocentric RA (hours), Dec (deg) and distance (AU), equator of date
+// - Each row records the provider that produced it: astronomy-engine, or the Keplerian
+//   elements of kepler.js when it is missing or fails
+//
+// Times are days since J2000.
+
+import { keplerHelio } from './kepler.js';
+
+const DEG = Math.PI / 180;
+const OBLIQUITY = 23.4393; // mean obliquity of the ecliptic at J2000 (deg)
+const BODY_NAMES = {
+  mercury: 'Mercury', venus: 'Venus', earth: 'Earth', mars: 'Mars', jupiter: 'Jupiter',
+  saturn: 'Saturn', uranus: 'Uranus', neptune: 'Neptune', pluto: 'Pluto'
+};
+
+export const MAX_EPHEMERIS_ROWS = 20000;
+
+export const EPHEMERIS_COLUMNS = [
+  { key: 'date', label: 'date_utc' },
+  { key: 'days', label: 'days_j2000' },
+  { key: 'body', label: 'body' },
+  { key: 'provider', label: 'provider' },
+  { key: 'x', label: 'helio_x_au' },
+  { key: 'y', label: 'helio_y_au' },
+  { key: 'z', label: 'helio_z_au' },
+  { key: 'lon', label: 'ecl_lon_deg' },
+  { key: 'lat', label: 'ecl_lat_deg' },
+  { key: 'ra', label: 'ra_hours' },
+  { key: 'dec', label: 'dec_deg' },
+  { key: 'dist', label: 'geo_dist_au' }
+];
+
+function normDeg(a) { return ((a % 360) + 360) % 360; }
+
+function spherical(v) {
+  const r = Math.hypot(v.x, v.y, v.z);
+  return { lon: normDeg(Math.atan2(v.y, v.x) / DEG), lat: r ? Math.asin(v.z / r) / DEG : 0, r };
+}
+
+function astronomyRow(id, days, ctx) {
+  const A = ctx.astronomy;
+  const time = A.MakeTime(new Date(ctx.epoch + days * 86400000));
+  const helio = A.RotateVector(A.Rotation_EQJ_ECT(time), A.HelioVector(BODY_NAMES[id], time));
+  const row = { x: helio.x, y: helio.y, z: helio.z, ...spherical(helio), ra: null, dec: null, dist: null };
+  if (id !== 'earth') {
+    const geo = A.RotateVector(A.Rotation_EQJ_EQD(time), A.GeoVector(BODY_NAMES[id], time, true));
+    const eq = A.EquatorFromVector(geo);
+    Object.assign(row, { ra: eq.ra, dec: eq.dec, dist: eq.dist });
+  }
+  return row;
+}
+
+function keplerRow(id, days) {
+  const helio = keplerHelio(id, days);
+  if (!helio) return null;
+  const row = { x: helio.x, y: helio.y, z: helio.z, ...spherical(helio), ra: null, dec: null, dist: null };
+  const earth = keplerHelio('earth', days);
+  if (id !== 'earth') {
+    const g = { x: helio.x - earth.x, y: helio.y - earth.y, z: helio.z - earth.z };
+    // rotate the ecliptic vector onto the equator (about the x axis by the obliquity)
+    const eps = OBLIQUITY * DEG;
+    const eqv = { x: g.x, y: g.y * Math.cos(eps) - g.z * Math.sin(eps), z: g.y * Math.sin(eps) + g.z * Math.cos(eps) };
+    const sph = spherical(eqv);
+    Object.assign(row, { ra: sph.lon / 15, dec: sph.lat, dist: sph.r });
+  }
+  return row;
+}
+
+/**
+ * Run the active provider from `from` to `to` (inclusive) every `step` days for each body.
+ * ctx: { planets, astronomy: Astronomy|null, epoch: J2000 ms }
+ * Returns rows of { date, days, body, provider, x, y, z, lon, lat, ra, dec, dist }.
+ * Throws when the request would exceed MAX_EPHEMERIS_ROWS.
+ */
+export function generateEphemeris({ from, to, step, bodies }, ctx) {
+  const count = Math.floor((to - from) / step + 1e-9) + 1;
+  if (count * bodies.length > MAX_EPHEMERIS_ROWS) {
+    throw new RangeError(`Too many rows (${count * bodies.length} > ${MAX_EPHEMERIS_ROWS})`);
+  }
+  const rows = [];
+  for (let i = 0; i < count; i++) {
+    const days = from + i * step;
+    const d = new Date(ctx.epoch + days * 86400000);
+    const date = isNaN(d.getTime()) ? '' : d.toISOString();
+    bodies.forEach(id => {
+      let provider = 'kepler', values = null;
+      if (ctx.astronomy) {
+        try {
+          values = astronomyRow(id, days, ctx);
+          provider = 'astronomy-engine';
+        } catch (err) {
+          values = null; // outside the library's range: this row falls back to the elements
+        }
+      }
+      if (!values) values = keplerRow(id, days);
+      if (values) rows.push({ date, days, body: id, provider, ...values });
+    });
+  }
+  return rows;
+}
+
+function csvValue(v) {
+  if (v === null || v === undefined) return '';
+  if (typeof v === 'number') return Number(v.toFixed(8)).toString();
+  return /[",\n]/.test(v) ? `"${String(v).replace(/"/g, '""')}"` : String(v);
+}
+
+export function ephemerisToCSV(rows) {
+  const header = EPHEMERIS_COLUMNS.map(c => c.label).join(',');
+  return [header, ...rows.map(r => EPHEMERIS_COLUMNS.map(c => csvValue(r[c.key])).join(','))].join('\n') + '\n';
+}
+
+export function ephemerisToJSON(rows, meta) {
+  return JSON.stringify({ ...meta, columns: EPHEMERIS_COLUMNS.map(c => c.label), rows: rows.map(r => {
+    const out = {};
+    EPHEMERIS_COLUMNS.forEach(c => { out[c.label] = r[c.key]; });
+    return out;
+  }) }, null, 2);
+}
@@ -0,0 +1,261 @@
+// src/events.js
+// Astronomical event finder used by the sidebar "Events" panel.
+// - Conjunctions, oppositions and greatest elongations as seen from Earth
+// - Perihelion/aphelion and retrograde stations
+// - Uses astronomy-engine's searches when loaded, otherwise root-finds over the Keplerian
+//   fallback provider
+//
+// Times are in days since J2000 (the same scale as `state.days`).
+
+const EARTH_RATE = 35999.3; // deg / Julian century, matches DEFAULT_PLANETS' mean motion
+const BODY_NAMES = {
+  mercury: 'Mercury', venus: 'Venus', earth: 'Earth', mars: 'Mars', jupiter: 'Jupiter',
+  saturn: 'Saturn', uranus: 'Uranus', neptune: 'Neptune', pluto: 'Pluto'
+};
+
+export const EVENT_LABELS = {
+  'conjunction': 'Conjunction',
+  'inferior-conjunction': 'Inferior conjunction',
+  'superior-conjunction': 'Superior conjunction',
+  'opposition': 'Opposition',
+  'elongation-east': 'Greatest elongation E',
+  'elongation-west': 'Greatest elongation W',
+  'perihelion': 'Perihelion',
+  'aphelion': 'Aphelion',
+  'station-retrograde': 'Station retrograde',
+  'station-direct': 'Station direct'
+};
+
+// Wrap an angle in radians into (-PI, PI]
+function wrapPi(a) { return Math.atan2(Math.sin(a), Math.cos(a)); }
+
+export function synodicDays(planet) {
+  return 36525 * 360 / Math.abs(planet.rate - EARTH_RATE);
+}
+
+export function orbitalDays(planet) {
+  return 36525 * 360 / planet.rate;
+}
+
+// Heliocentric ecliptic vectors of a planet and Earth at `days`
+function vectorsFor(planet, ctx) {
+  const A = ctx.astronomy;
+  if (A) {
+    return (days) => {
+      const time = A.MakeTime(new Date(ctx.epoch + days * 86400000));
+      const rot = A.Rotation_EQJ_ECT(time);
+      return {
+        p: A.RotateVector(rot, A.HelioVector(BODY_NAMES[planet.id], time)),
+        e: A.RotateVector(rot, A.HelioVector('Earth', time))
+      };
+    };
+  }
+  return (days) => {
+    const pos = ctx.fallback(days);
+    return { p: pos[planet.id], e: pos.earth };
+  };
+}
+
+// Narrow a sign change of `f` between a and b down to about a second
+function bisect(f, a, b, fa) {
+  while (b - a > 1e-5) {
+    const m = (a + b) / 2, fm = f(m);
+    if (Math.sign(fm) === Math.sign(fa)) { a = m; fa = fm; } else { b = m; }
+  }
+  return (a + b) / 2;
+}
+
+// Scan from `from` in `direction` with a fixed step until `f` changes sign in the way
+// `accept(before, after)` allows, then bisect the bracket
+function findRoot(f, from, direction, step, span, accept) {
+  let t0 = from, f0 = f(t0);
+  for (let n = 0; n * step < span; n++) {
+    const t1 = t0 + direction * step, f1 = f(t1);
+    const [lo, hi, flo, fhi] = direction > 0 ? [t0, t1, f0, f1] : [t1, t0, f1, f0];
+    if (flo !== 0 && Math.sign(flo) !== Math.sign(fhi) && accept(flo, fhi, lo, hi)) {
+      return bisect(f, lo, hi, flo);
+    }
+    t0 = t1; f0 = f1;
+  }
+  return null;
+}
+
+// Rate of change of the apparent geocentric longitude (radians over a 0.1 day baseline)
+function apparentRate(vec) {
+  const geoLon = (d) => { const { p, e } = vec(d); return Math.atan2(p.y - e.y, p.x - e.x); };
+  return (d) => wrapPi(geoLon(d + 0.05) - geoLon(d - 0.05));
+}
+
+// Perihelion/aphelion: the heliocentric distance stops changing; perihelion when it turns
+// from shrinking to growing
+function apsisSearches(vec, planet) {
+  const orbit = orbitalDays(planet);
+  const dist = (d) => { const { p } = vec(d); return Math.hypot(p.x, p.y, p.z || 0); };
+  const radial = (d) => dist(d + 0.5) - dist(d - 0.5);
+  const apsis = (peri) => (from, dir) => findRoot(
+    radial, from, dir, orbit / 60, orbit * 1.1, (fa, fb, a, b) => (fb - fa > 0) === peri
+  );
+  return { perihelion: apsis(true), aphelion: apsis(false) };
+}
+
+// Generic searches usable with either provider (vector geometry only)
+function genericSearches(planet, ctx, inner) {
+  const vec = vectorsFor(planet, ctx);
+  if (planet.id === 'earth') return apsisSearches(vec, planet);
+  const syn = synodicDays(planet);
+  const step = Math.min(syn / 40, 5);
+  const span = syn * 1.2;
+  const relLon = (d) => { const { p, e } = vec(d); return Math.atan2(p.y, p.x) - Math.atan2(e.y, e.x); };
+  // Sun-relative angle as seen from Earth, sign gives east (evening) or west (morning)
+  const sunOffset = (d) => { const { p, e } = vec(d); return wrapPi(Math.atan2(p.y - e.y, p.x - e.x) - Math.atan2(-e.y, -e.x)); };
+  const relLonEvent = (target) => (from, dir) => findRoot(
+    (d) => Math.sin(relLon(d) - target), from, dir, step, span,
+    (fa, fb, a, b) => Math.cos(relLon((a + b) / 2) - target) > 0
+  );
+  // Greatest elongation of an inner planet: the Earth–planet–Sun angle is 90°
+  const elongation = (east) => (from, dir) => findRoot(
+    (d) => { const { p, e } = vec(d); return (p.x - e.x) * p.x + (p.y - e.y) * p.y + ((p.z || 0) - (e.z || 0)) * (p.z || 0); },
+    from, dir, step, span, (fa, fb, a, b) => (sunOffset((a + b) / 2) > 0) === east
+  );
+  // Station: apparent geocentric longitude stops changing; sign of the rate tells which kind
+  const rate = apparentRate(vec);
+  const station = (retro) => (from, dir) => findRoot(
+    rate, from, dir, step, span, (fa, fb) => (retro ? fa > 0 : fa < 0)
+  );
+  const s = {
+    ...apsisSearches(vec, planet),
+    'station-retrograde': station(true),
+    'station-direct': station(false)
+  };
+  if (inner) {
+    s['inferior-conjunction'] = relLonEvent(0);
+    s['superior-conjunction'] = relLonEvent(Math.PI);
+    s['elongation-east'] = elongation(true);
+    s['elongation-west'] = elongation(false);
+  } else {
+    s['opposition'] = relLonEvent(0);
+    s['conjunction'] = relLonEvent(Math.PI);
+  }
+  return s;
+}
+
+// First event of a forward-only astronomy-engine search that lies beyond `from` in
+// `direction`; backward searches restart one `period` earlier and keep the last hit
+function walk(first, next, from, direction, period) {
+  if (direction > 0) {
+    let evt = first(from);
+    while (evt && evt.days <= from) evt = next(evt);
+    return evt;
+  }
+  let evt = first(from - period), last = null;
+  while (evt && evt.days < from) { last = evt; evt = next(evt); }
+  return last;
+}
+
+// astronomy-engine native searches; stations have no native search and stay generic
+function astronomySearches(planet, ctx, inner) {
+  const A = ctx.astronomy;
+  const body = BODY_NAMES[planet.id];
+  const toTime = (days) => A.MakeTime(new Date(ctx.epoch + days * 86400000));
+  const syn = synodicDays(planet);
+  const s = {};
+  const relLon = (target) => (from, dir) => {
+    const search = (d) => { const t = A.SearchRelativeLongitude(body, target, toTime(d)); return { days: t.ut }; };
+    const evt = walk(search, (e) => search(e.days + 1), from, dir, syn * 1.1);
+    return evt && evt.days;
+  };
+  const apsis = (kind) => (from, dir) => {
+    const wrap = (a) => ({ days: a.time.ut, apsis: a });
+    const evt = walk(
+      (d) => wrap(A.SearchPlanetApsis(body, toTime(d))),
+      (e) => wrap(A.NextPlanetApsis(body, e.apsis)),
+      from, dir, orbitalDays(planet) * 1.1
+    );
+    if (!evt) return null;
+    // apsides alternate; step once more in the search direction if we landed on the other kind
+    if (evt.apsis.kind === kind) return evt.days;
+    const again = walk(
+      (d) => wrap(A.SearchPlanetApsis(body, toTime(d))),
+      (e) => wrap(A.NextPlanetApsis(body, e.apsis)),
+      evt.days + dir, dir, orbitalDays(planet) * 1.1
+    );
+    return again && again.days;
+  };
+  s.perihelion = apsis(0);
+  s.aphelion = apsis(1);
+  if (planet.id === 'earth') return s;
+  if (inner) {
+    s['inferior-conjunction'] = relLon(0);
+    s['superior-conjunction'] = relLon(180);
+    const elongation = (visibility) => (from, dir) => {
+      const search = (d) => { const e = A.SearchMaxElongation(body, toTime(d)); return { days: e.time.ut, visibility: e.visibility }; };
+      let evt = walk(search, (e) => search(e.days + 1), from, dir, syn * 1.1);
+      // east (evening) and west (morning) elongations alternate within a synodic period
+      if (evt && evt.visibility !== visibility) evt = walk(search, (e) => search(e.days + 1), evt.days + dir, dir, syn * 1.1);
+      return evt && evt.days;
+    };
+    s['elongation-east'] = elongation('evening');
+    s['elongation-west'] = elongation('morning');
+  } else {
+    s.opposition = relLon(0);
+    s.conjunction = relLon(180);
+  }
+  return s;
+}
+
+/**
+ * Find the nearest occurrence of each event kind for one planet, searching from `fromDays`
+ * forwards (direction 1) or backwards (direction -1).
+ * ctx: { planets, fallback: days => positions, astronomy: Astronomy|null, epoch: J2000 ms }
+ * Returns [{ kind, label, days }] ordered by distance from `fromDays`.
+ */
+export function findEvents(bodyId, fromDays, direction, ctx) {
+  const planet = ctx.planets.find(p => p.id === bodyId);
+  if (!planet) return [];
+  const earth = ctx.planets.find(p => p.id === 'earth');
+  const inner = earth ? planet.dist < earth.dist : false;
+  let searches = genericSearches(planet, ctx, inner);
+  if (ctx.astronomy) {
+    searches = { ...searches, ...astronomySearches(planet, ctx, inner) };
+  }
+  // a tiny offset keeps a search started exactly on an event from finding it again
+  const from = fromDays + direction * 1e-4;
+  const results = [];
+  Object.keys(searches).forEach(kind => {
+    const days = searches[kind](from, direction);
+    if (days !== null && days !== undefined && isFinite(days)) results.push({ kind, label: EVENT_LABELS[kind], days });
+  });
+  return results.sort((a, b) => Math.abs(a.days - fromDays) - Math.abs(b.days - fromDays));
+}
+
+/**
+ * Retrograde intervals of a planet between `fromDays` and `toDays`, bounded by its stations.
+ * ctx is the same as for findEvents. Returns { stations: [{ kind, days }], intervals:
+ * [{ start, end }] }; an interval already running at either edge is clipped to the window.
+ */
+export function findRetrogrades(bodyId, fromDays, toDays, ctx) {
+  const planet = ctx.planets.find(p => p.id === bodyId);
+  const result = { stations: [], intervals: [] };
+  if (!planet || planet.id === 'earth') return result;
+  const rate = apparentRate(vectorsFor(planet, ctx));
+  const step = Math.min(synodicDays(planet) / 40, 5);
+  let t0 = fromDays, f0 = rate(t0);
+  let start = f0 < 0 ? fromDays : null;
+  while (t0 < toDays) {
+    const t1 = Math.min(t0 + step, toDays), f1 = rate(t1);
+    if (f0 !== 0 && Math.sign(f0) !== Math.sign(f1)) {
+      const days = bisect(rate, t0, t1, f0);
+      if (f0 > 0) {
+        result.stations.push({ kind: 'station-retrograde', days });
+        start = days;
+      } else {
+        result.stations.push({ kind: 'station-direct', days });
+        result.intervals.push({ start: start === null ? fromDays : start, end: days });
+        start = null;
+      }
+    }
+    t0 = t1; f0 = f1;
+  }
+  if (start !== null) result.intervals.push({ start, end: toDays });
+  return result;
+}
@@ -0,0 +1,22 @@
+// src/export-fonts.js
+// Generated by scripts/build-export-fonts.mjs; do not edit by hand.
+// Font subsets embedded in SVG exports so their text and glyphs render anywhere.
+// - Orrery Export Sans / Mono: subsets of DejaVu Sans, DejaVu Sans Bold and DejaVu Sans Mono
+//   Bold (Bitstream Vera license with public-domain DejaVu changes; renamed as it requires)
+// - Orrery Export Symbols: subset of Noto Sans Symbols, © 2022 The Noto Project Authors,
+//   SIL Open Font License 1.1
+
+// Every character the subsets were cut for
+export const EXPORT_FONT_CHARS = " !\"#$%&'()*+,-./0123456789:;<=>?@ABCDEFGHIJKLMNOPQRSTUVWXYZ[\\]^_`abcdefghijklmnopqrstuvwxyz{|}~°′″·±×−–—…Δ℞⊕☉☾☿♀♂♃♄♅♆♇☊☋♈♉♊♋♌♍♎♏♐♑♒♓⛎☌☍⚹⚺⚻⚼∠□△";
+
+// [{ family, weight, woff2 (base64) }]
+export const EXPORT_FONTS = [
+  { family: 'Orrery Export Sans', weight: 400, woff2:
+    'd09GMgABAAAAAEbYABIAAAAAhUAAAEZxAAEAAAAAAAAAAAAAAAAAAAAAAAAAAAAAGjoblz4chFQfhRAGVgCBNAiDfgmBKxEMCoHGZIGsOguCaAABNgIkA4VMBCAFg1QHIAyKaBt2dRfGuNtg0B2A56Kpp4+omv2GKIKNg4AQ/oCz//9PSG7IEF0HcatW/0GIBUNCY8IrpXKlGjiHr+OU8YizcWsbei6FBi8mJ8WMYGRkUoI2blxGNwlh7oLxzlocXBNvxvw7P2VicXQyrMD8B9GsQI6sMcfNAocfDu9SJlVFR8G1sNHuDoZtq2DCN2w4OAjijEQnBSml/od9V+BHntmZGG/y+1bscO0ZKr+DwopPWqlBBkONlZhyIAq9Bj3i5AiNfZL7f/7y9eLMnTszD1a7qyVJn8DmKrxeO7LDoPQpAUuTFCIF9/goYVUm+iHqiH5RhWv+/1+ddZ+eJKvZepIs2yrIsq1uwKIZHJxYIRNIOtN6I7OtkNntznZ2OkmmVbZ1zn7NJ2e/mNmWrzk+DA95+zfb4s55jEWuIznPxj3nXMM255EZYa5jizHEPdIcyTlXJbnTQSs66Tr1z86xkc0irABzzkXMSntp2hAs79OUI+kuaza3OWxKnb5endZdattS5nQ2b0MQuEiOKDI8DwIfuqMVlyYnIulr7GFLtpy3qLo1KIVTKCSapCdjfz76ZBwB/Ff7fZ7bfXtmdlltrYKgwvLEwhKWjwQAGRkhv0uMiPAxJrH/He9m3wwQm+Elm+9Ne7VqeUhkxSQwTeA72ZyYdqKO7Fcp6lsM6axR9bnAM5sAXP5PpwLCMKXlt3+THDl0SquTT6UziUIXENvvFFQJp+DardPQbdDWdqpfLl9LZZbk9Mrkx25G4LgBMiA0lV48m0MKU1hpm/6iNP2PNvpOPKJVTdLAPqTDf25je/sBGXCeEAhGUpCaKBgDP3+/94d97wVFYQV4nVgGaAnMpG1Ao3v7VYBuOVDw//epq67/yz0gM8lMjjAn2HDP4b6HS7o/vS8k/S+5ETJsW3YHYyZgJglDVwlPsjoKerqqmU0puc0EAxuMoaY6RJgUmU35lPIthcspde2pr8cN2ZfOVx8eYLB4eOgTCb4btdZZuv0tmLllVuysoDzD+bJfRvNCAL1HU6WWUkUB97r/9m8s7RdMbO3p9jI71lqCBBGeiOSJmDju//e9bL6VIH9iggbivfiRwt6aAQIoFJqTHOQG90bpI7+zA994l+zGew00ruDF2EtYZVLX1o3qomrbD8geTkEIDeYTnRQCXEuBJ2WvaRpFcxwqHXsV4J9OKAvlZ7G0Y5rmPr9b3OFo3s8Kw1oJTtK+kuZ6Yj5RwZ846yqYYMoIj0Q6H/UXY2Kqa9RF1QcF4SwSVKRXxKIkKtsjclS6B4giaw3CehKbFskR3ROsWo4q2XskIT59007lrmpe7Oq9tNUhq6F9j1HWRUORbrvumIMirbe9hp/YG0z0oj0B0DoeVLs3OQ4lt15hhw7RymBBHZOnHa4yOh5D8rN2eia8GnyFIoyF01UMLxVAEAS5PST3GDZtcQk4t9ihJpVp5UPRwC2aKfUiGCx7wSaAHoIYeS53BaKPaDgGvmJUcWZKu52IYsg6K/aqxVD5IKnoOyJfDoHr76GdsihCMpy/kcMkiGhCXai3WFG4AjEaLsOt/gtKrRzc+jD05QRjya84GKIrSRp6A1k6ED3URpNI/9LkWrx3JIBeGzR4kVuzEppOvUQc69U9Kt8L1gcIjsXB9XdUpa4vQjspVos51vr7s1/kqkCPIHuMojX2yByjO2mlfKdXwbn281zYEEFBbz7AKT4kFGM0jeCkZonmuZBy4Ku1jMO8yTrz20feuTAUIAUHQVCqh3GibYSJEw2PSzuuaATIXJJvNK9ARihUmiKlo6FjZRUGszMtwhdb4xBnupuqXDV1DR5fAKnrQGvE6IDuuKBzZEnfy9WV5KhVI9GpYv2MIARG1ZX7yT/DBvNSmSyoWeRHRvGkdV/Ui8ZqGfszjnQbGUvrRr0gDZgXGN0THhEcK9sAiNztIsBRr2WG84Gbn7KOmLcc4qha2xhgodsehq3DZAjTjAnTieYwfOfanCXULmsgAgDCNAIRFKGumsbEsADXcSYgwDkipIxRiUCdo17xF22a4wEDsqnhL1t+FdGXyCvaFoVR/krEvIrbTsu0w9TyZxZ+z9VYQTw5MjWslIzFuh0UsSi9MM+RNW8rI6fRuw8OjJx7Fy6jKb01clb6HlCU9KdIWDe5E10341Jr5o2JuIWFMFjhD02YNGUOxfDiKjXpbZx5dho+ixdpzxUj4KhQSVZAWcAEZZ9BUA4aArYAZTjB0OIIcwEB+HSBIOKxbXNwg4A8V5D0xcMfRkjHT3EuwBa2MDu+r+ko1oQSRjiwcOcnKadudYBVOgVhCEfaihaXpAgoJgfBwefoQjqtBPBmmJ/I8Ko6/RgDvMXFSqVr0QGksIfnAQ/s/QN794DfpqHgjRwlREroOfOVyP2nRV7SrEgRrX1gz+uf1Z+LPLn/pvrH9aT6h1reyhvLZdCfUoaLDIBhAXB2haUaDVa7ILGU+K8WfWpChIArG4ERw0JLNBpk6VSv3k+6zGUa/fVtJpZAYKv6DhwAN6oWAESx2AnoQwghCuDib5nDEX4OKAZgLw7F9O874YAtiP3oY+JzU2tP0subAHL0fLqlXBTKxRdTSSMM/Lz+T4AABgyecoVpHiZtRxyhhjBSVlQRVUGoNKp2q46rCaqdVEMfHQEAwagAFbt/wxN41Y6r2W/50cE0uhpc1di9ffS+/b7Jc/kZ/lnQ01ePPj16/KjsOH4UuKub94MYw2JTj7cIkzb1w4IAAGm75l0xRilZ/Ze0qcrQsXDV9JAdmJQPSaaBUBj1lQHYKy7+yY8J2mQmcamqHzP29IR9zfJbb2HiDCsbO0RG2VMB1Y+/N2a5HKKsowRLz8lgNt+nUc7b0UL8za1k8jqZhgHYhAIDEizElUJBkMIXCqu1RSutpLDJljq0wyGzKoZNc8LiIh1is8gm/1GcflEAgBoFgR1WYbAFhVYyDIotPuahBQN4DwBE0aRC6kTZz8kPFUDCD0ZjNfGO1I6ztqVfS/rUGuhiJ0MzLR+r1EgP2BWK9QWJhVJstYoPaAQRjU0ESbHNdXYrKybvje1RkFi2phkATISvS2Be3LNNuC+wUGlWQoFjKIR5HWU92qS3iTufFABISWPiSYHECGPoZBOUINmabCblmlJo80EQkqqN4FpspSMaEPyFDIA4oOnX/+j3TRMe5VK9hBvNfIIQa0RZR3sPVz+luBEz4D3LE3dYR0feRZhcBc8Y+RlUdYxadc/BrXFQFnPzDlryx8lRoXsO67jvQAe9lBq/UzSsjI0dQhEoAi+FHXWjYxFVwlVIc5PGm+tMrNwAcXRkKGKcdkAITPhk4TuyzIUoQBFbWeMBCrOHJz1BgQAKR0FDpKBW0eUeuDRekL1y/khSF5TVy5XLBYtzEugoV4i7jSe8heauPqUhJRYBG4IQh5sV5Ok0E1ra0/cJo0UIKCTIltK0RL00oON9WyfoB/QeHI3tA8D45/g35mwgLmRSkFGfSOb4rCiNd7EMCVgiRa6kQxSDAnUwjI2IM0pL49YFUJQ7s6Y/lzWtJ8iglFhnm3JP/NEBDWxSxWxL7u6SCC9tm/wBQrThQvDKnE37Kb36qd1OkSjOuLsckTPPevZI0JN6NNPtp9I1b0y45o49P0qzV32Iu8N43aHOgbZfB8wcCxphIGGjRg0xKFdBr5g15cNuMvYFc19q7ouq1BI10tTBRNq664+BdpHhjcMB0XzQFla/HguCrkDLNAZKosThzs5xOkcdimTCPus1hVsk7P0lzrjTU9ljCMfGGiMn7mnluN/yAaxDk9pAw6GAbFWyNqUOA+8KJxbadZIy31XjZHDIGtZIH3RGht0hnbURditQHqdRxkrOZahRc6ACZZeBDKkQGS203PH6fud0Sn9EQVE1rdpVpUEcYU9Bz0gFejCr7+shIdvCDlqR9j71ZiFOSCdmNEiqfUuI8BAQm5K0lM95BtJIL6NUoWgfHZNyeCGJJwScaM70e4mpZQ0d2jTtK1UdKVXYJOWNu67h1FUIi93CLZ7tNmi2WzZdLV2+6V635u5vGLu3ZrisLXQMLwkV03CXV1oe+CgDLByULfhOWnhGOU3y0mj3P2uZ9vdoff6zr7krbGgWS11qI5pGNtyZctLzmepRJzmHBMeOzbYc79rZhdFID2eSQFgMymTFZ48a5RrNGKrNrmntMGq40m+nLMOW2yy0sLx6CRfi+D5T5G79OrMyh1XfTXM0jIoQo72nvDSJbmLFiJOTRqV2e4XCRiXHHuWEwOFrVyg8r8QHbKhVz1zfYYsdypthcFvkj7DZJT6R/aKIWoJsBGI5KdOzRAy2BwaRWjKaDLHlvDFy3n97Rpk8I0li16crawZ7dMLCdQXtMnmejm2j1XGcs4bmV+bvhOKRlIXzHjMKT9UcHHKIOC15x8wmf4DWNzXDkx5NT2rh70UrMKvYCbsKjtIjCshjMOVyYl88E1kIZY3GR2nD2xljryLkXoiuQYiM4epM4vKmNRLrtW6rhaYVDjqL+hVnD9dFODJMneE+ZM/hRRS6Aj2/9QAmAItLKw09Aa2VAQVmngqEDCag/znt0LhOV67iGaMTowLG3TKMT3AxjBQXaqMDq4PyK7y6RggBYQ3DcLJ2wEBUlay0Xjz9A/FLjCgMg6vCK/DDM24YvvaARozwdvsbvs+zR7r94QVJdzAYOU2BaViHYRwvniNkvZljQ9OSHBdHOC4IWgGWnMkpZCw/M81jE3PxICVcF3U41+EsDKPpKS2aZbFTi72lhj327nzxSGzOBm7aVCU6SRMJWpL0eG8qQlsSH+sCwa7ocrbB9QuZkPmBzeSpit6aD9GX346jY9b4qDMx7o5NCHIReU6rOo3OH6iCDcjxBaF+jzR5NPCN/Tza2z2ZsW84eUe2h3wd9tg8J334MrGIVvfoMHsnFkZgJdOnTeUqMpkMI8xM87xpfPOk/cXTS3TOa1wPvw0tQiWm4n6yaHdNYLs8OkaNGk0YsK5v3B34ewcke+pNNki35zY08quBO9Ccq4CpqVeMaPjYVvMYJDXVT/3IMS2Se6hLHh9Fb7BsUGs7smJrfaNMsQ5nzOWAxPnu1wS0j4pNYqRRpOaQpmmQbqLSpwgPn5xp8tXDk/nJXSscOjpWp+PHpwu4hofPj0/zsbNjeUCqESioypxu1ejEyYnCFAFkzYVn7nJrYmLFW2BSZVSic8YZKzAjiGHjl5sTzaDcfkqH70Ducqbn2Ajha/HamAiAEtiBzWs1vMYmE1UHE/Dkz1vSZtAPVAy3nbXiNjL8nfAtICbi4wyHRPyWuJ69s4YCdTFwAr8kf4xjrbB8oNYDd34z2fLC4jWyjky2p01w9bforflbHCpYlFsOtAdShIzu/fzO7IALGpA+4wKH/bjleG3tgCS/vpCLXhehB3qhnXZzo/wtaN+MfnMuLh7tvjafYJzP4IS9wagUmGyzXSZ4TKBmayLTzwAJN/0lLAPjg7e6SUhx/4NRtABHTRpeJTa04RY8395/cy0SVi4OEN4lLJ/snBtXAS5YNjmEfIZkvtr61NolkC0WbD+W3fD5JRWaYSgNp5U0b93ApQn7WIws5KtN08qL+yTbic90lWbpo8lN+QVVhyWAHr3QBi6wR54eCSFPBNKkZb1jDbTV34Yaea6HfrmePVrA4353r25qJnKOUGlKZzHV6jDf1E0BwhZxGhSg5bhsg6MaQySeq1pGT4uPiXhw5oJBVBcTCOFnMo3KblrPHrE11eFnOKAPO9U3P/2eQApyb/fppYkXkNsKXWsR3MQfDQTvsnACFDLyIDLWm1MjgCOHSOn4asvGjhNmEjuRHB+ee72B2CoGvXD+/kssAX0ZDrAUdwJCQ9/t+fMOrkfNUbfsPHPidZcit2Pm3P8GceUaHuLZyVZmCDEZr8Ry3BATUUpcnIhmDILE7rAt1l5fbXdew8YJ/zlmO++yZylzf+NOFk4WpURdE6gfBVp4m9j0Jc3ePnYKQXP/6vc+k6fC/pEHk4g+ZUoBcQbkDvCMCyeBYviaAv5KGdXPqeEgX0EZ6Y3FwWOO/Unw1LS0pc3ItrUHKaLU8RWH2Kxsn+irl73kHmePLb/X3Tu2YWK1Sed/y1MXIyO+5yV0s+aP/7/5DbQbVuAcbEXdVyW8hDucOtHJFedOJJ0CjLXGV2vrIyulaDeOKA0xJdmEHF0ExXnWDuN9mPZI8sTaGrWubGZ/kMfv7Ut1PvHgXqwpy/STsocPeINZ5ekrPXUt0WE5f8iu+0bkeUZxHuOSpONEGVFgnRginbgscNCisXm8jWA7gvgU6CaoKtgsRQIPbBrkfgsUemxdApl9+MisV/ozPa8GOM8v6DrRWpDANBuA9VjCamFvBeyvGVJkve1X5X0LFEIg7Ot8dl22iJ9n7VaKdBzw8fADIQg/79h2bV68kht27Cp4yrmn/mxyNgGcvUkRw/WI44wl/2VrMbVOyKbb22WUItEeqjCH8piOE7EdXYQO09YIHw/rFnxMexehXZWN7mfSogV7fde3b43Dd2DHtXFAOxZyTztOewJvc9c2GaydRK4NNvXuzW0KfsS9C4UOK/rKXvbVGNEJgQ6+UGGPt116cYMtFH2kHggQ44ICUiP27185J1yYhAnKjVkIEz0fGNVQQo6iBformVxcye9cx8zjubnZR+1dM4/m5l336frIgONsSWRDYLOKRdGNRsIFXeYEwS7If9aOuWvvwuxeZyfrEeDOJ2ClEhKJ8fbrCqrfWeyK6LN2tSmp+8VtHmS3AU+b5S+OgYTmS8r/rquPCXoZUPzNQPRhYel+aRTHIM+y5+lNFpqB9ENOBei26zvGkZODjMwJRw/DtGkmJ6dES18XLb59S75Z8qqr8QNtef95w1LTRxM+Z9H33o+0pef7n3BkdJ3AqZJQcVHJ8tRzwiLhhlmk1wYxnfiAJ7zBR5dZVOr1NH8N09FhzuZAVgXy65+doV6bIh8bmWiyHENO5FFYgrMjgihlMxFlDac+9UnvtjbDU0Yit7XLRqeatnX+4qnJJfJfTibm/jVG/rmEyiC4sHAuGwCuhWKG2lZcWmROMNOza6ga2ET3pjNn+xvLIrbtztrfIurvGAS9E3t7I9SRgUmp4RfvMPpblarYs0R9qvdNOnzlRNyJJbT+qkHS1ZVGSgmL1jfSP9XYnp2a0ZPbjF5ApqlOpCutKQW/4b87llfLTNXHqyq9VOBA0VucLfYAG7uO7VkqEmSzZZjY5KuBQto/kSIfvmnxiYTfUIpR2gzWv6aXMLw+2daGKoZ9upBo1XBNB4uKjpme7o7ZCiRnu3v8TcmTw3JDtqq6r20LCgmbB1wJTTiACX98c1ziBVSkhhjlxZBzb1UI4itlXw9Qfl2wo/Raayu66iaV0VJeTjkqta+1jMbF+BcpUa8UjnPuPHv+5854IZVSOq/cs0zZ43n7//9UaY/Su+yCzaQWFZPrizIzxSYX0wwd9hVZbsgLqm5r2wJCImb+V0IS92FC3Z4oXJMb6fmyLihYNRnrBH31FkdKSv44LIufHE2vatj4oW1Rytwvacpb+V6/auUh2NDjjQAD9JAyDfnPhYfH8qZsI5O8yoL1//2b1GuteJOiYP/goBLDMINgclKi15gT1n4+zPS6SQzr2WKnu0tFsH+g/xdcjl/IKfwPaUptTx6ppreuhsLIJdb1IqYt3FtdY4YefF9be/hjMOYCytytmLJ/XoLx7EqC9ZyNVwxZs2qUdGAbYdOGH0UtdqZLJMbFxoglthd9D4jxDk7Ow6oRmmdcyAV5BXmlrgtT5Wfy8wrP+ZQt3I8fzu1ERXq+JnFb6UnBG7WWhUTeqEqjR14jG9nb5ee6y8+xb9SvIR1728qqa9pKeh3wN7Ro1OT0NGoK7Z8+2Nsf165UFnSTxGhKjI3mteN7v6QdfLOi2PjwN2FkIJuqnzxuCshvwvDhO3Eun1xK0KUdMbGlHeiyT86nZYz1Kv8xVpTS1VaUNF7o6xxrjC0k0+NGO3UFGtmjzDezq8xVhe/MG583CcOksryZ3usbGu767POoftGiTF8Zv67wquakZKkcXn/MJdnpYUr4r4hqUVEDPV3JiSZcPGFW5N3APcNtALjLrT5b3dD+YJ8s3UP5JKFbf7/0YNqUJTXesP/6kc62Z8NeTRv0KvDdun1n46tATushs1v1VVJHaue71N/fRwCcvSwnKkmLg02l6bh57eISwhq4g4ObAH7nJxpmuT/hcpGTVU2ePAEusnJNH/ean2VERVZjbpHTGxWVw0DKGOsZcGpbzpeXybekdrVv7Rc4f+IpONjmnLdhLlsK+u8Kr8o/T75AlIV1lBEpLFqrHXY3zdd0e95WIpdilX+Lvnf13JnGqsicJ2etvLuvgV/Jbi15JttTlFNPKysuppXUX3EsZSynn940jugbK8iOzsb1KRKlDzQf7E7tqTyXif+iV6B7N9fxo1P68Fz5ueQyUotirtSB9vq1wRXJl//G7ameA3j2V6YogGttSklRFL8qe7P6cHh76Ya0PKzeZJxAaMjKbdsJWxSyj72jQHuvwHi/jWxkT8Oc2LfEGF/EaF9eZrtsSyqLzRGbFBZ7Lcw5+nkk2Hvpmpmae89vIaA8e725/bmPlNEKBOAUq7Ud34rfU4YKrW6u0riN2Y2tFrDzq8wlUkMLlf+Y+ADlEORhh/EBC74+9jyriFdH7T9xwK1yTL+W+krRt1hmK2qvT1d1xrq7q0nb2flR1CnHJf8jyGS1OGUZLBg+H8STogrTU1pYuxMa024FLKY1fg5bMbRxvWfh97VfXKIF/VV07KQOWoeJU1tQw/z99de8ta/eZv+b+noV3yQl03zMokexpFscBx4e2LdIHsLqBmYAKz5jap1pPOSh2abpPb78YmuL7HFvApoq0x3JQIb90bASEtU2O+bfrWJjjpwKZ2U7rIF29svblDfzEqYfNGQuvtncFNR0VzN1+Ssc48m/cGtlOn7FKNJoJErjjlaCgKkJn5i6/e8Xx1SmlyBNjPGKVtawYHuqXpl4y2i0u1dstB5F797MvVHKqOfcMHMh2FzFao3xuJEGeW1VpjVu8vQHxT+SxyIH5b0Vxr212jV8J8fnr4WYRl2JzLv9ywwKE/t2nodwGkwWytmewWB1dJLa8xoHFxhEOyeLssONRWctLn85JSCOZWEtSb1naX0qmfmg59qkc5tBnBu25YiqJx35+7Mnp5948dGHPx59aKqCnJkXkBS/maKKfUOlI+laFvnywj8vGDMd3WkXsih9PwO8WvSktZ6t7bva+zXDzoxYEy5HEnOZJIwhyNYefs2ePmn0nDb4Zn2d+aaxYfDt2urgu/oLhyIm4mIipoffiKmYuLAJKv2i7wxg+WaYHrwikw+j/LysdXVH4grTfXwFYS1MFmD5WNaneicOXIW12/o3rnrC+dtghp+JKhW7P6FvOmEz4nHy4klMZQXazzbStQHxeUmD0VzZ9t/kLuaGSoLKVfyp5VOR5OogHzecF/MEh4mk08gdzwdvE8YV3kpldViTKCRsJcojY6F1gd3dsY0tp5Rbmw7P9LM6O0kdeY1DCwwSC8sassePRmUtrn6V/3vAAnofuyTxcmj2Lck6Yn/+YnCng4Wi44XQ8XsflViifti942JNx5FNe0dfhNFLQ1yy3nOanlrsjZ2pldhTr9uMI6E+xmO1gZjX0JrojnYxLEWg5f08lyReJuoJlo7qOsWx8QNaDqoTDcVJFRfa7VKvUq1/DDQ8/UpPyKizotCWxKc3Hj4dqP9hTXGs9Q+s/d6OqU2STpYNrm37Xh1yVvaNAuABTCkhetQVavz8Kd/bTuDUTpa2t1j79zq/gBpnis2P/vqnh40J6XXWFOu6hAz616f9DT9sysPGDcZiPcccIpPPm/faRb1qtQoPGnSP9P2GODart2iwS79fMWDADYmAp3gnJXt7JSV6e8tceHklp3gW2mbpDz/RSbMvYU2VlY+Pl5dNzyDMX8OKdZg6xQM3S1TuY5b8KegKjjvvcHZEg2+6r22srWXnbHznsnJW11YJy3d2qTlyisnCTubyWstCMgyCsWPqALKPfQH2WkXnmFJNhVV3RiH4qumVzbCc+2bIwB82h+2vz6GxkVwl2KHMTUQmkDHWi/H8GL8CWv+qn14IOvOQC8UHBDMeaRghHSWLrGfQTQGVf0jBikwD9+//+il2vg6+rq6Ecw1kvjn3v+etTzR7JtX2tRc13WpdGYAHJofEOBYqRZ0eC0E2KLjcuL5++ceuxYrxLqahZCzMKFnBlFhxgdZQ0UY0TVYMM7riqlwke2bj44979z9/v+dQIAv08XQRKl/3K/EEpXA853FYZFZ7/fmsjkhsdidi9rSR9/5n35ffR5F3/7/PBv6L7sLz/Onesd7RmYVZh/Op845BFC9sR9d1VdyRjlFAatHOV+pKNx7mBDmXXbzvBkMe8cOPFt6/MyTa097fhu5A37nSLurip4P9lANET9o5a+ipf3Xky0kRifW386Jgak6lizqLYzEa0VJ6TigtQ+249/Evyih3K9fKkDyjWKE7MFYXuhvNMq2iVZ8srzlJqwTgiB0vrNtv3q99HpFC+MDLJrCd/iOQdP8uLJXdJ+ABbya2uPATar5gXopuasQzMR9/tI6lMgqrgl/PB7+usYoupPzj/q871XLY5x5VPE8yjxrxFOymSN5kERx1YyO4C8w2sv8y8ucHln51D0LVQtTc3Nzd3aaT4kVxhlsI++LsgPikiXzmxT9HR0ZGReln62fVVL6DhxD2WmZkWaey5h3pRW4V43FMHJ5J7kEgHbr0gd55MKPXx9UFFQgmnhMRA/zclUuAt3YJSJlUfgg5N1D/caO1644j5XOnquEHUAP9IHZOJDgHKtjVxzWj13lA/wCMuSsbg2QAqD+8mflg1HkiFdKNriIoTJ0bCOnirQLetK6lpy2XBNzY06UuwGeBGqiPjOTSgPrD3EtyTn0SBIkvBONtyVmQy3qeTM1pnxUblcE74E0DWsA3rne24eoXpGcFppPCUbYw6PU5K6i7Y1LUuMCsNAtHJwHjh2Ugl9hq6u+Ax8uMirFy25PrDgA3DhhvC8wCvnkW/EgCcOe3mAYclWdzZOrz2yELnL6xOErC0VnSswLjSVHujlCrueswKMo2KXxaYFZ6AVffBhKTslmQwx0k1+W2swBtzL8VNCvRqQDALZfW3KojgEVEjoKpg9HKZbVTG/psS/0HCP03CBCr8slkcsLE2DS9sRYbc312wb9KCDq8KV1Zoc9Npa+M2zkM+8HoN96/4pmY6OmRRB4Dg+BgvXACKgQhIu9pBALqDPXGEM6gnG1jHJYkRhBoWYJdqn+hPyaEXDQ59VqpiBwc4u2dzJOT3jLh+XuffRMtOWl50ICAIw67zBROTcESSwjrEmunvl8Ls3OUt/j9Cri85HxrBq3usdBHobS1adw1BIK9wT//vxfqaHct9P8JYo2uCAbDNTVZSJ6c5ArGBATmceWk0Qfys+XPieac1GQeb2+D60QUHQUa178wvQpE0RGUtVVq3doaRSrVUVdWF8z1ROnNowb6ew9lBqO6Bo+waHnB7ZYgYLiXMzBwuMu/OGBhiPnr4kEQGRs5pSKvisZNAphWE01Oc8BHMwUFoiKPK+Rc/SsJ1hET6DOrsJA5CF6qFs6JHVqpqAarUVcMdL2EuMU880dbNvipHvvlnqHHYXw0wXzo2s3P573eTkOPBXT4vm30/UcuJJzXOhjai+8AbVoA0aiEvDBfTEqIrhO89xCCewzAegB+/2vUBuRuvUAiroQ0v3CZMSLmnOorzPPU8ZExwX6+mcfUMo5pePWS+ep45g8rneIJV8uE+6ExQbCpS+QCMWAbBLsZ6L4+yXjzktH75iGj+/3DXsb7l8gMsYG2L1+93L5+8nV7NnChPH9chEc4TxgyAVmSvBPC+VGxJst1Z7jyZ/rx8eMXe//5iLZ8EuT3mucldwohNiSjuvbLp7q6LHxIyvnFd0B/WwySe4n51wCTRGQyiVxNMxAoaw4CnRlIzH25TAfMLj3vMx3UGbXx9PiJ5okx+lhxcmLz2BfIHKb6FZGLXlLz2ZXUOpCS3HIpd7YZdO/VpHp6mph5epiaiGH2LL24eOTmtktvTkpobt7V4+7frUFMGtIv7FxoNpxCTNFpFxg0t+y00A0mEcAaMTdHnxulj1YzJIjExkbwT4tSC75AvZWkNNdQFX5cXFygKSbGw5MgtkGtAZ8/PySpLdX4atZxYu4ecXFNEEiw6F09GAID2481EnMYktWX6aDqtNuiG31HyT2C7+du1+kAdO5Z8lnoWQBfpZKfOJNdin5wezG6Lbx8QECQyEv4pSLlmyqF6IKy0OLukp7Z+kweI3iqi0kqjwM8o6F7tqQ7NrTMr6BIRXmJPNCUDgJm6NCGrdtqW1tqt+e73K3btEYyzM3S3w473jU8k0jqNyEn2Cc/HThP276nprZz96Tave0GWuWffPvCBKZJbuLMzLDLuJ+duyVQPvH7osQlIxom+HtAMP2ybp+UYp/kOqPmAMx3DIZ26dRFcTp/hkAWeGdy//ACPxXW1eJi7LqSiPCSkqvdf5tAEk42a+b9RidIWJCJ5ISLDbduNzRu3VaLIbi6/+vmN5kCmUDOfGmWlD9rmkrUCenIOHHz0v36aQ6tfl/tP+6goRolb5B6Erktj0o1OHlCB6Wgnxz07ii4JeuvdwG9r93P1iaG9p6Mzin/OwEllXK5RAfaupzLTomm5KSsKu7fKOtllBQ0thZZ6lBrT0TyFIgEKjkYpmdoZ5laDqF0z/p/VT1omJapgzNxP6POIyjrPg2S0l2b7OXCk9Vny203a5/+xxt6eeRsR8votyLNebYg7Pz1gd0zXf24kWOZV+VIATy7gaIiMnepJbvWq530VjvFOCSAAIjG2IHog5pGu6v0q3VZnsjLkqFTc9oOyfqQH36fRe0qeQBTrNsCTK4wLGiWTdeu02mOso8pngHUzCwX10yxQ0xJs08zRB74+xFzL136h38fkkv08zvUBt6Q4ymEvCAQnA3bGNoYMcoO3nQ4q3WGOwuCljRiBCfbSgMSCO/Z/X39uqVlQoLyXLwIro8DFjZMgSD21/F3MwBgbLybABeLKk58skRsXog5X8esu0As0erMf1AJHchuAfdDY88qwaAS5idatpeOC7VD/shfi+GRDV1PT4rqrGkHqmOIjRIZj0Kp5G6em8faOkSbwUttjkIZOqtSzqmDtaanpZxlnNP9nXs18hItwgytWRFGE/5uqdIoOQ8LE1/7AGcTU2kXKafTJpD78FORew4CmdoPpJxMTfydAlySJV1kX8Qsv0cjP9E8zODE5GSAe7Yr4ybbNkM7+DubmkASB2p3YIHti5ZDLiUfCVsGl2G47Gn1IXU5Y8OIPi4JGyXfvxR9JW1i/ghZ45NgUF3+9CW0b4ukraIPwPRvpsM/NtR8JCrHBJo/Kq/h6sjAYo+ePz00Mj5zWpnvV2bez/ie6BcHad78cgBDOoPPhQlu18e6RIDfXJSHWvFIZ2ts0ODMrg2VawhjurAfrWz44GWOPI3FbUb8NV2F0WLOWe/7A21h0AbE5xuaffTKtlwMCbOLDRHGiuSkTpRM3pBx0nbSskdK3RjV2Eq3M24ocj/eI8V/0tWdz12pPCQcE9oNvhgZERZS4Y5S93UO6PH28vZsZsHT7qePA3DytrG1AlafMN6L3rGUVNrml40vstvv/8cuaIEyQJXnWtywcfxtiMmeaw/MeLPY4cyNok3mcqn1og0tcxks3LBCtsO/5Lzr+E35wu/rf10TDuB6ICuS68BFe2II1P/fQnIpfBlwGtzXFp/A11bUh9H8QrHYCfSdYB5+btLyAn0Z/VY2NHTwyxxBZeOm/udxA30hmSdLeyfcLQJxUZEFwLv/HJ3l4OvfAPD/aea4u4mhMwatDctx/VUwn8iLuXVvKbfjPQLuNEoDKImdYA+C4m4EL7wlwRKDVzxcI6cSwZB7w91PWUKJJpZu05fE7i3HLBEOIrWVmGmlDjbdst5XHdsy/4+XCwr5kuzvhWdmQiXUqUE+a0Zedz2lQXr/HFwDgTRTRJQpl1yHYvamWqxyaG95dp0Ssp/H4AIlZt9CZ0G1LrYsKr7YmtMUUhesi3Q58JdOMtTmfolZUudp8/MliYDk84xEC1ZyJ8YzFUM61fEY4znLa7jBRpEGRqLB2yUoyS54oSYtMhxYDlemnU2DOXVKOWhJSpEMxFVzhA8dpUMto2Un3X/mebkh+STZfNLv9GeA7w2jWduT/XNTRTk8E87B1zL4ydFo5dhjtm2MnnN9MRr/2uRUzfJ5XEcNX9uTtdlYVb4xTwLDseNvGvBNGkqNWY0TKyYba8ijq8vqIUB/AtlAS1gDqCZRFWpEhaOVaMp+71LEJTcP1tL8EvCjsZ5DwfbHujSFGPe3BodgKYFtVHSrVG1bETQvj3VcGSq2N2cUEgHOo5AYvnepyohFkXHbzw1EngP4NkejAnvhPLs8mVsOU55SkQtuH82FBNepelhweHQQ1gpKq53E6pyMkQGlFLoZPgjugFuOQevXuvxcnZjdLMpUt8aCD27gY0X14eYJ7UFn/J9wfn1VXkW0t1yNZj2V4gXYqErlnECCgsE2mFRPE18CQdXlwQXmBdXz02udB+ECVMwSNpSTI1RC9ezIEC+mYn0JSzShrGRkoxi9XbT10lB1PIQQxakxSLSkGOmt8Vl+ctDReuP7+JXhfn3eODx+DlITKfLgfO2i6qXjN0hmf9n43cgvQf8NSCImpPmYt4KpKZfVkrhJGz8b37kYXiyF5ntAkFB9YMJSTlOhgiKlyvSzasqYGuSOzwFurBF4EGBDKHRXZRSWTOAjrQzL7AboI0WGDBhJ6mzNIuSBaAYbpnbs5hgmeRGkpCgkxp9XZ/m2E80nBpzknELPiAmGMp3TsLKDbj0pXol5duogSNh1E0JWuOo0U4DHdSSVRgKbAjsyqbtqacLg4+vOkPMZSK33QSSQglOosOQ/LBmE7wnkiUKQZPxC1o2nKYJSQuOpoKY9FsFEFNKMgVd0A4JAQL7+h3aQUyuYLl6N7Q9Av3QV5Apvtw7bI6tCBszBIMNJtx1x1OfwrcAjFSI4StxOsBl2kNj92o0S0bkpmg2km+W0hr8lzq+jEy3ZCu0tQ8O0cGWhMDT0DCOr7piSymtDhQZHBDqBQl9sEsxuKZiOzLEdYHKWyL61wmmCvTp2Mf3APTi6cJj5LYOym86mseIYSKDO/IjB0iBTMcVS+53gBHt2p3WX/QQcTMNm2ArbNajNnTo2+6Oga8JSGtp33X3d2k/J0H/kJhsKK4+Ksc/WAA+nduASGxd3ePZiN6BOIxFeQU+jP8vdAZvalO6GVu3n3KYoS9Xty6uXu1fVaNhbDqE8V2CuK2jN8UgJvjMRxWHBclIM9Wk56Poki72ebAI+oKEB6W6Y/M7R3616Ni+JcAn2AAETXHgL7BibEKAmt/EQrpf1ilFDGwM+Q+tqf1UatBmVfTJg9nOeIyLl4REIVY6lbb+NBF6A0AWnG6yvMey4bagD5ZFyUvUDNGO0swvZhZmnsVD3CzgaM/2F76dEk6RTii37lnqyp45m49qO5ZMBecdU/XoONRXTrZUV/7C2iVu0xVuyqZuB+6vbFw68GF8sK4xCmLgXRlZ6CwLTjIIQYvefLBAdsWXWjP6zznsH2P+N5XG0/XRdU6aeRzUHnmlH96jOv+AssFzZJL8iwdF5pr+90FcVRw6LaUDyLtm6Z8v8YlvOmGlr85STwjazxWrKZl8Bz0maNXLVKVqCnr5QFg2k8VCfKCXZZ+1FTXOgXrfzKyeqQWvp5754VGtp7fzJhenidGm6fHJFru7+cmCoj2GzuUih426pQIQiHnnCuYn4r4BthVGjngT2PolAxVk7pdOIwOxFYsPgWy6hvscU4xoIebdJRGhQWAd6pW2EoPzNUI0EwRm6Ee8Bq3aiLRAZbawHFRbqy+eb1sSshVMUOE0JEXRDip3Nscl+DxgW1rVQDGuEGNbKEOEqtDOByjexGhk6IzDLwyVqw6uvhU0zq03P4VnxrQ0ahkuaSFBZgQgNzPK8im9jfjGjbUUM50zNh40o+mm6AWkbNVMPhlXmODKfLntT/MUnL2PTX30fH3hwAl+8HK9IOB1PvRZeebH8+Gb5+Rvq097nvUeJ5wcnJh0TIpW99EezphPtVZsJJhnefpB8TKPr/3uaFYdrcNblW/tn4b7nFW5t2s4U4hupSN3CDcsWewde2ABZlMkCk6yRH3zpzqHWod4hunlvuROGEYgKucuJsXfs0FPA7LFXOvzATj0L+2HfClrjoQsRdPrJyOCknrtfC3mpjcIQVejvkNdU99HUqmuJFu4Jc3JzS21srYXXgwMM3gMf0ShwkjEadA4WCRUdDfLQoTrvixs9i1GkUMlQltPitzJ+A5adPxwISNXc3nGKHG1Mqww0izFjLEZ5WKh0TdNQSug4mXVnkV7fEFfl0UVsiZk/1nQc9cQx6AjaVBTZZI0KNxSJ2Uu9gdpSw/7xkdy3Y1E3KuiwnAREHUd1Dprbbxxsnh5oFszVOYCharhM8+vsssBDEGwt13YaU+QF0GXoZUWEHuCGqjWu/iUYYoxEnBGVNMjmzXeBmeMy9x1yri8pHR0VFJO3ISyUSXpiYohku+QcUxP6E70Yy7XIitwytQXc6Uzkhc4kRItSM0Uqz1R8sLiQ7ONwSr9i0ZHZISDmibHFuKjzvjapT1o4T6SJFMRDPQOh0Bae0esBFaGCQYuBdGBvo8oQVGn9VAsVVx9xirIa+8Aq95pZcmXtxAz3J0axEjaklcXBApZi6s4Wm5okDRz5V+rrQ4iEko0p0simqa2TtkCCZkwmnRxy9YREjVuKcvaPJAJOmsKcjcg4e5xwpM2QxLa0tR2mYlp2MkhOIUCEUmYqhurRVVbe8QeNhXiMF5VPwkm84ev4i5fjQ34Q3/F7eacfwv/8V/+Fxb3bYU5kkpIzxIK3VTSo6GijceTvx8UYcUiovtwkViIXqUfK3s0SU8kT9i6klXcSG8P9ZtZkTKgeFrLDbaCr5JV/8Fgz364JRwOkZHhuuK3gnIOBOP8S+YiKUfOAgujGwF2fjFN+PdUpjL5HFI5hT5BPUOYNtLiBwxxalCaxy+cYSTWzkmN+OsIoI8yxB6ATODkFKaQ+5MIqtiz0knTASAtpR81mmqBKsW7QpNdQNc9+2qZm4h7KR5O0GBEbMIURmmEexaBgMdTQDH44w6OAUA2F7JjU0N4WD8By0nlGo51gY0Tu17IVtNzBODZwCEKI0+vPdLgQomPJZoVRHBzt6D39Uv0lnUZ2GolCKBlLLQ3WWlbtQpmJTsbID1arlThN5/NFHPQRaPTm2qyhwVbia0wtC7MpnovsoQ9rtJ+jVWiDEaZHh7znMC9kSgP3CRalAuPTKa08ryjYhd6iUkhlKVaHdNERj6QOr2K1RObY3nnwgIYYUFQKHGUEOipSicvig498CjgMQQwsSO52G7VpHgUy1BZb3Y1nWDFmQiYOnSp38xI1mbZ3HI6n6LTzTM4Jve+zSusIo2PFVAUp1DKkziqKHA0K4s48B6csozASjWE9Ih8LjRrUWNO10fLt+KynOt7UcSadKXhsZ6YVH45xsqLCxrPkOcgUR/5aTcWp0kpq/wOekkW4wwysKg34HSCIUDWSlCWWbhLP368SR/UZ9LCRE7hzwNk+gzbsHFgtDPRtOmPBuWNgb7bj/opW0JyQdldnck+4yWBAsIWIYMVteD+EygtAFSN5hjYBw4ZFruYroPUSL0heVW7wCbMBIpmkIKP5YoqpCQQooFhi9YNrMzCBJqgrXZ0OeyCHORJF1HwggINGppgagIMO+eKrHSLLAA4zsoME30xgkieZCeE+0WmGZSERHM2x2gsTK1BiAIW009CbuZLdqmWo5XKE2v26fgE2ARejv9ejgAaw/cP5305LUHJw8IFH6rnrO2iHTnrqB2hV0w5OyKJN1Z16SJzqyjXyNCEdiJDIGCQoKASMYmAxQRL3As2MddHNKKRxpaZucKNrjeS5n93Gbbq0jadkQlNrp07ulbSZBwELZNN9mg7pmDaYmqasrxZo5lORsJGCGo10LklZaaCRWjVVvZpdcDAkj105VD/40TVmXuGFN+d0yKJIup+OcrzBUmhOm12+T5vtlwBeul/LK5HDR4+F996yB6DhDXkI1YCXV4vnZUUveG7qXfRAeFnsQQSN3V9fwbly7ItgSSLo44SA5Mzb7/QbltHfY8g4SFViBpYFsJUDHivAKEudgyx2w2Y9gl42gMnXZaghTVE6NdHU5gnmUMEkklSyGp1SkhxjZHLVA4x5Gmc4cx0N9pj5jeNC0wpjwvKsmazsBwiMlGPAlTQF766msabngxaDytPqh3rFuGvMbMm0eJzEmIIYFkBm27qVs0Ees2kkt/IUd6yXF7hg61lmYhqbtptd9oznm+xbyqRy23G4oDqcG418K3TF93qiEtgQkkBykGExxcMCCKFiCOCJwrTCPIJX8ELnOAvcKh3FYdou6HAm3oU28CRCqyDcGUnU2F3Nw5XNGNKTUEdA0qWM6JHG4psfgUshb8O2riMYLRswm+Q/Qh0mINd5aFTFcirA8SbzRuM8sVT9aN81dEUuW2ATVypveYe54fMDMmAuBATft6bN2taicA0GlTta2f3OF2VVd19uAEAQGBYNAiISMloUlrOJETNW7LP9nNskQTetg/bHtVNQUlEzMDIxR4gYKXKiigA+nb6B3yj29OTE+0VZn2MDqOpCRWJttusBEziVkKa0CZXJ+OSysm5Hc8hqYguWUBTbfhX9rqfe2NQjfKI23jHcXafC4TZnUYP8vc476zErYWlW7Yb5BtiGTzLchxsdMfsFjG7vVXH3lLxZ/Xz/Mjce6IjfN1G9x4h+shBPT+5UXZIXfTrFjQxeRCPt7kV3IciRza8WKaxWzau4N3TbUH/o4fLvy9s96KEe9UY9ixmOLWulYb8VdnGXdke3WvzFb0MvljZDULLjQBwAbpgrDjcixKRW2/zioa4JN+kFZrP5zHYz7DWbOyXsaAhk8gmE0NZsqS/qfX1OGoY0lNR9zfeGTD55buz10ODv2u5sIDCAK7eHkYG7O96wUMXQuaaN01+uAfRFXr0seSzRElJ5NfDADYaDxvmEhJ0gg5eam7M7PDMS7W7CHVLuWb1MR0WJE78t52AQq9+NbtgicegeimhnfqtEKkLz7cIeaBeMct5xRNmX1WYrsNt1WqZDKKawhWH/e+0zZVG5TLlNuZxx9rH0CuDqCRjsPmjaQCzGpRX1LQ0p1qadQxrpdkCuHpOkMUtSWrEVyZVzFFJmjxc4lHr2mjErBtPyhvdF0miIR5VxbHBVb+Kv+CD+zwn/kURmcons44BpUUWbtF35IWwWY5oYqOcqYNVUaSFsRb0c2RrGr88Nw5GDXuYsvLzn5JcvKpy524gouY1meJbubjT8wLaVN6Kl3qJ3m/dVT5ve1i/en1srr1uuD4JRt0FOZP9yegPF5+SNg94o+hnV9nQeGe2+3zYrjZ7xIISBR248cec5LLzyhre8e1R5UO0b/8/7G1wD6JhPNDJ22dhyquICTIttw1Kyoc86R75K/b2y1VOzK57XZXneNcCevOTtMKICXLs8wLm2IitG6EV80OjJiKZgYLsDMGALVTelZHOp9MSi9kMNoqg5/ipyP68qA0soiWdflypWip7VLp5XzrlCNDJ2gwzqiua0pMUI4axdozD1Obe82RbsbJfRNOzDebjMplmfzbNFPAEu8ijyKCcbrWJLT0qRE1VjN6554ZJwkA/KQXUBABIFD5kLV2645Y4NNtliW4ZSeH3ciy+NH40fixOxFv+/f+7izLZmo8BYy8fgRG/boZstkYB1g4I+MIdjglibmqU0idWXwB6y9cj4sDnyylCXCob5EHXB7kgR1sDVRQpTOvhW/f0Rw3jnoABBCs53tDhI0IbYtNnCBcAeBiU08vGrk6Lno+yjd1AWpaKF5xQihUrETZJOnJBUnsmmBJD+fKHE4toUTKFtvE1SmwcBRRZF0KUAhgEjYSLINNDQZFN0NQI1Gw4x5FBsDcIZ7KPEkkh6ENKQRkwqZySjONS0Gs7sqz23I9sRyy+Q6Wuk1zz4r3lg30HOgIi+iNg+KCeSrHHLQJoWUX8U6ni2ZhHA5zrK/h81ppLWfcr3kqiCgz+jZyo78h3aUc194uQr15iylNGUG2Tob1rlO6qgVOIgWd1ykqxlRAaXxFTLrFTMevHBRw0KuSa+1kM9+hYmz2u5UTrclrZ1Yv4TaIkFsdKFnHzLpqxnc7yPsplPmJBIuhE2IrIn6anLuQJVrJHFNbHUClbcSaWsl93GBht9arAnDQ0CD0Hk0TM/8RS6kxslLi2VbzBgTFGS85LTHPqWyNqT649KhaYCFSxRiZvS1Hqox6aVymlzTefclU+qpy/NT1riW7KhRDk788xGSp/0TMd3PqWRkHsyZXIPCLxPAp59WYgWU28wVuN9CYrBdxSeTRaKiqVW6qw+6dbgUJSAd4mX66qQlcJjXn/OKfGZ6B74dhnzs0WJRdfcwUCceOgfJOxZKQiOx57wCtblVMqx6Jr3OxbV5HnGuurJzDEH6qcku3UbdnhaJyNiK5/WvSxoLhUyVAIjg+zsKIoDidhwIhnV3eohrxeYik0sxbN6X5/Xo9riX8GuXBelHmQBlQdom76FtvYlD+9uqCbv2UufRV/V3tSBqAfcbcxXOlu+eAoM1kqbO9GZJrD7NUfMSLRyASbMqwgHYGcT/PpX8M+dJrWQuI69XElt1Km619d9rapJdcvjGqrJ6nLwFLKW3OR2E3UiQrTsxVwsZmO2IXjII1dcjS1KvnvZK2FNmqR1+2mYQlOUSqoz3s7tMlM7TadN+50ACAQMAhD4XEmnnOer2Igt9GeBhBLJjAQpDnLEpiTF5SwX0pAW9dcgjQw3G7Ol/YOc13jtGzhK+3m/SFVqpDabUEZFbdS2lEul2TTbs/7ev/UrpSYH00SCDBN+hJX9BIPryjGCIBqk+X4KWiLNPF+wNQgyFCurUntACyTG9mxtnrBlTXNzmzuW5rVGclPJmMLEXmWKlDSmQrVMfVE+zX3N7TVpyHpmzyaz04dE5sRJDPk4gWP8miSOtXPfwrueGRswJDAbVATX2CUM6tluPYOUaNXPaTtE7DXL8QzRwoVr5Uj/xVgpWoVJdPHjCB48lJDofp0PGtnssnbVt0qSbPOsT2VaTzBMVyywcvrrxf2V/tzvN0xdRgK2yg31IrOqvouAKHRIblGckxqLoolDQ7WKj9kPVMq0Sy1Lgshcgg36e3P396RBkLe7uxLwsK201hRN16CwH41kbamcn/MXDC7E6sTax1KRKUbsk1SYv0boGh4SpKwb6z8n5EvcyNmu23nW7joqXuFLxqdUBCicghAQ7y4+KFw6NbpOyNoCOrq2htbaCUpraR1ZuyvvOikgBFPOydPxyD1oBBYwnTIgyj4weK7EoQXfI5YPZoQPIaOslIYfIiBiLvBmYEgMN5upoIRfzDsI9KGesZR5GCF7Yx3fUB0eBQLX/1pGHfFxiCT+R65MQ+FouNsZkqnCFPFTk1QClqXveCws8zoMt4SOyMMkavu54mXrVQrkEULdXvrqLXTTnwH0X/1o7xYLjJZe5M8AfQF9A30rfR/9AP08PaZP0p/RPzSre08A//PS1z8Fg1CADUXtwOtH5HreCz4Ajx0A+LKX7d3BEPI5sLth7PjJfr+W9KgFeay3nJzkHVPWbFc84EeQAk2HSw8U4lZmPZ/vj1VoHkDgWXZo8LZov/7Z/wK2UoX79Fic15qHSa7U8nvgjMfOvng2AmRwDrUMOHwMjiOFwLdL5wWcwBUlqkTtxwcUGkP8P7+1ElbIchQGJpQnd1GXeDHrRG0OjMdSCZIJ6mA+TtQB4J5/u8JBrN56K635cpNLzNelc+YlHnZY7sw2Xz93YHQpsCIxbUE1b1rVxornREdg4d3knIBnx6x3xRio4TIHCC5JR8y4Pn8pms93deNKsf+KEyxY7uScr54+EI7JCGNzBhXbXak5qSNl8rM6W7si924P1nUqtc5JNuKmpVeOzpp3srR7c4ETLjcGJwCHw7j0V0WZbXt4MVYTBbWVBOoQhUQdBpoWghfO5UXa7syBcINH20GbHcTI6gMIAHCF/16U6UZFHLf8H5UGAACwf6QtUK6Y5P8Hv1eEgheeAAAPiGOlIADupLkCQIjD8k8Ja8F89417C0JUA6DGMs4RltsEHSUFs7eS1qwoCiOWU4lRyTEMsLrie7m5jngJzuUexxgAvFzoAW2ibRRHOyiFDtBqXpTHDyE65DUyRdvQMADlRUS48lmvJjKahjOEILu1oxmFBOZEKOmemrZtYjSLv73mv90p7mR4Ry5K2RKn3C+nn3rMmLoh/T2ORcJqz3+TCLUD4Spkruo+Akx0jum3kO7lZk0gjWJp/pSNe+iVvhJlNsxYlDOnE+4hdt9UyHL8WhQIReREDbEWKYnEJD50xPNYtWoCSFiUZW1EUEkJxJhgRNXtsETQjQBHMioQshLrxI3Xpp90D/X4UyJf0NCxoOqpQ9Jq0FkfajjELEflhF2bS0Nd0PFj+h1roatU9vyyeh1zBowmTtSSVWIZDXJvkwa0UiMTdgqz7STHuA/A7HLkv8oVIQ9ZrHv8nsv1BIo3ehAVml8H/U5h9BMPA51GFn1LFKMk0UHqFL/EpqOD7aoYveKj+/X5gvaSFEsD/HBk1kC/PUaAAMB4+qFFLAIgwDot8ABgEiEJDzAAcIPLQIFgCwDRB1WeKrDBqVMDDHAgnKywyakFNhHnzYwHQD1ugxcvUoAsaOMmyyAXLx1unJSwFMK4UROmzX0pdniCeDvihjvE3VTEW83jxIiVeW7kShrSPJ34xMavuHQR5mwsU4aS2RwvUhJtd69kS3XdnRInoPYz1JgZFY53CItndxyXtb6Cxvq2e5bIW+kk8TaZMRBehJFita3Icn5lj49mjBBHeLQGnHm90/ht126UxIBG566SIqlDNnfhg+WH/r/la/MTyycqtJ22+1n84X8f///ofwXovzv5Z+tv+asA/RYO/a9VX33V9qWJz5V9+vlx/vYD5725d/bect4Yev0K3esmXiXp5rx8odfLTpfRAbhf8/mpPRP3lPnEf34s6lG+vTl2OQ9S+aB9su+7xF6VGzvbcu1winu8W+EOboetJm5tKnZLKW2wYWids1J6tyJvWdJNcEnhBhZxHddwFQuYx1yYFTFTdrYZZKzpp5XFmZ7aq0orK5SpyZgqd5J+Y2sTTHDGm3hskSucUVzORnA5LAQdGjzbUCODzEGE1KWqW+rSzwHOxQr91ieKgbq3p4H3GnpBu3HZdS5dTdz57Ggv8A6tlELbLkxrw+WF1q6NkGrhgzZz6E0VTteKCdpYgEZPa2jgNHVYg9b/PE99Ws9zqJS92rRyhUKpO9toSbF1H9Vyaqqvq4aUZ1Vl0aTKLhH7XEWGV4rDBC3/8OW4pdK+jcgp4RSTRynmkFHEwpoF1Noe/efoEc7IQ6nDg35dJMnlEJMcIXxWAGfz4Sy2zJ8ZM9KRJqmcFCRbojIJKsSLrG5Ac/22xOZzbS3XcPDEEaIRZZHmYAskXACHIYQY1MFBFxP8M+JAyaFAQwIG7+/X5W8PVkFDCIOWxlccH9QjH5g3P/ZC7elh8uQU3LtbFG6GOmPaBs4oZHiGqyB24Tg36U7zfkeOA9cI4/DTfk63cyPj2GxZb3dZF7HqVjgSLGcz3DK7mifUfMuMMtPpJtPPTNomGjg9leBkjNBTDkZ5qOFYOBtuoYHqtxJcPw9toLojEa5LWINqj6OVTGldJYldiqBBPZxS36lBzU9wNRm6C3piC7mlIkOVkTCjrIK4SvUzxaEMV4QiQuWVlb0lt19k5xhvMIL0VcqlISklkkiYKUhQHBSru+gpVBOhdBgVkIfJOGiB3gQFJBlBjkCmUsH8xieMedF5UmoeDrc4PtbpE8Kqk60EEUA7V6gbMRUM/jwIC4Ir7aJW/rNC88fxBQAAAA==' },
+  { family: 'Orrery Export Sans', weight: 700, woff2:
+    'd09GMgABAAAAAEI4ABEAAAAAeZgAAEHUAAEAAAAAAAAAAAAAAAAAAAAAAAAAAAAAGjobj04chFQGVgCBNAiEVAmBLBEMCoG3fIGdNAuCQgABNgIkA4UABCAFg34HIAyPJxvkaQfYNg2KdzuAr6H+T4+oXH36qIgxDmDgm5T9/39MbgwR7APTmjsUGTYnEmIFG0X+RUYdnFsvVPKjiq8MYxTUaILzvB2nFjVetsLRcpFIfg9qexeMvadS2IZMtrgrkeo2d3BIBYVDZ3B1tXTFSVqTlq0fdVVwYL+cyKj9mKTzuQPTf9hkFDVMZiNhSpgcZ2gFJhnJnRke4VuslS84QmOf5JI//3/V+2sv7L3Wxjmn4D7VrBGCvokrmNgV+tfqiJfoy4m/ZgL5K/6NH4Zgbt0K9pRECrIRElIjc0EMRo1JDNjYGBtR26gaiCgptEWVSOpLKcaD+OjzOMosjPcRfV6B55/uffy1Z86Ze1MBS+XWrQr2ChiWCEUkH/S/+XLqN5rRSGyNLCAL7FjGJJIxsZPWKhD7M5/+ArJPy9mUk0U+9rYEJ+K8PHdSZ8rxF2nitcMMbJJ9F4cMKOdiQcDSOYCPPLVrh/XH9oetATCwbeMPwMjIv9epkoFCXwooxKuVv+n6C2NgmHLd22HtsrgThWgsO4Up+OyQelbvfoh/+FUuKMV/zpSbPtTUlrFjsy3d4gYes0/u+sSfClRlrKOFd0avE9YBNT/l1feqKq1CMlgAJxipSmO+G1/c6eRdGsvGQryBTjJadY9OK9Pzseee2XuKgTFDwGheE5KkCXL+pQql/hj4P1PTdge4sBeeDChHOvNcVIq5cm13Kqq/fwaLnRmAWCzA82IvAaQCQaUFeJZBRSxIySCpwHNIbUhxAYh+IJQA0kHKDE6BpmPq7rlS5dSmyrnLdalg4Yl6swAWg8E6Hl5GjQVT6+xncbxZa8PhAH3gOMu92Ud1c+X0EMIQBhMbc1h6f6v9GzqfkdHujONwIUWOkieHiC2NHSR/zWNs9q77o3UWLXeAgi62BwdAdlGIREHEojBOKiiuhhzmSQunqw83OB0+4zxafbKRMQfQh4+tJjj46fmoAFLgwPkkiq8M3MfXZQGQFe03wUFJHgm6TplCEE76F5NRcCMVNSpv4nQKSaPE4nqsdeJCN4d/RksTOOC0y/0oqiIXVA+PFo/7XI8SX28jDHCUj/gFZzdXWTUFK3Hc34jXJFdpGZXvGz0kp9tKLxKXnb3XigmV2YS5ETbTItdr9HRjgk4k3w9+HqjqNkEB7cGMNiY2wkOv8cQ4MvHtoKuPnZgb96xYXEYZa6q9/vLIoYHOl0uq/q8bKeWyPfoOMQQLqlI3mXJxIsyVgSXFkdH5/+GNVjQ4pKjApWf0JIWMg594LqToSENWGW5MiP56PX2MYEKZrfhXisTBBhMBSbQeNy4B/u8Jxh0jxar/K0pjUjkycMd0uaGBREh/Q9sQq+ee2LmEfuLi/llCreW2ZspxtTY7l7banW6vv7A4GC5t16yG6wVSeZiEBMxptxo45rGMLsFWcY7vBD6mXKq6UYmqrs9LDUudSoOFTeuObMcFwKO2Bt4R3oa904nU1ftv1Lym44SxXG2OtbQr7KhL9k5+2NXR8JK8u/p5mbVBeVAHhfEiKyz3MiuGCNO8DM3L/j5vc16GyrxnvGsoDCRvw/iYlWzvTxl/RzMCkZU/AqwvPSn7lWQDZH6Mi6G9f+GCQB2h9UwBeTT0BCh4uDHi+fP+CNi8+sQIMGPcUPZlQOenSqITQ8JoEAQhQejUcIgciwSwEUgYcCQr0nUYO0KHJnV4LQ8acOOTKjTL4WcNZzI5Q84xKwkl/FxFMrUJuE0CDsuPB57WahSMBMeGIUXaSEQKGGl+Urmk2MrkdRBH+LvpMLqYB8q4IklBMk8jTJJCKAki4uMhaAmgTJJxtyJRhX5QHtcdG4YblfsXl6USntfJoKqarAtaFSLoUKc8uKGEBlDuGjNemkIjH81g3HlpqaEMQ0BuH1IfHtMQgFzrZsCdwveH/mINWQCPKZFnRH498Cbg6U9B44ZHvFE6AK2aXjqx5P/X07Il5MUzyAEBFamE94OE1GG41k070GP3vucZcdnarDujR5WoUwwaqymridasP9x2eExHUsdFJxBiSwSGDYjcMc0O/k3HScft9/L/cP/qZuCmXC4/DXzq9tT6SdDj6MfBj15ubmwubHI3sZtu+AQ5X9lvYu5nado7wD3QbneGoKBYYfH8YMi2WjxqKF9YJSHTwQnVCVogv5YAc8jtRUkxFjUjnJv0iilKRXt0aB2JSqdQO/2dfOnBsBVcCeVYo1VYo02bX6yUNByg7l6uM5Vd93xOcMwhvDH64NISr2gFYxgbFxXuH0vmfDeds7Ht+45TCfeJn8Ha6UPMfS1fkyQ4oyeMHSQTFp1aDst8ypuYa7I8g1sMWlRFVuSnLXkF/6+4BSBvVLVwGJgCNzyzVvMD8MJAAUA7jbTGpV/0irXlGaBosuQ3jWKNH7YiGN0xl5lAuXU3qIkSMZeKVvNVZisyUAvR7Sd3C4KqHWhhWrgnf7ZYySxa62wA/jZujN/HklmPCB0vwKCO7NHiUYYyGVkA3pKhom1RpapltVSwT3ExLY/3pyV+sTBOui/RMrVTDHyZB0OrXnMALHouAHJ281qyGuK1CfQCdEs2eQC+EYD4g9Dgznbfaijdec5WoPiamDVIpqVhO6OcIXZtfjcKyX3Wb5yYA5/9NU07jazCpQfev7o8djb6YXdxbnYTWr+j2OgW8IjVcryxdpft0S/l3C0yeQta0lVe2v7NhfGbOePAF+xdQK2e2Tlk5sx45z154uyfdsGHNAW/VI0O4RSwgv3GqxvPejh6C3nnzF30pucM55LyUgX8/5v33MCla9xS+btavyw5+qTJg5SnqDuP0Zi2551AAMElkLNekKEu6HYMj3zL2uPrmM4LV8l29HZebhAl/r/RmLOLk3+CiS4gRe7xzuu8mlVenYfMzDPzGpcDmzPnfDDSVdXND/jnnCaHkTjPTpDG7y6ZZs/BL8xZurfKZvVUZ3Kcn8glX+LgtNZkvn+Iywc5W1RW2XGaZXWqSkbQW8lmOnPiA2NJ6nCuW9PdZ2kTY47nUj6TtreJJm5+kO0eyWN7TEtxOqb58SGZyZqVIvvpVKKZqMol5eNJOpqJ8RtjvS1zQ82vRWL17ppYtEqf4Xump/YFPL1xR7XGFTf9Gm0Om3TjcUSSDrhHoLKyMm8pKtHiCW7xBGZVQWQVyH4dL6wjiq/Y8fV5Po4NiyLNDv8UkvqY5wkoOFRMujfNCGqhG7AwhFqUo2NjpB5jyy8fLNEeWKb9p8VbV71ulaMY+lytk5hYmiv1VDjulqQJW2s6c5b3VgLAkEjTOOYxe7NhfHEB6VlfxpNNMZXGBbWJ3NiUnf9Jo6IJqI27uHiJu5RyttgsW+otYYIuQ8sB2+IJmziJgqJZXljkUDsVSxRVjs3sLdrI2LfSmJGdOdacV93Z1m2lFrNlKq3o0CaHDrFN7CncdFlyRLfHukAJbPpBtkTEeHE4J5dKiTrC5SpQSUE5lcxmOEhteH5fmU3MpNSvqB6VTGwV86Y71knaOmXvrx3hMGRItGdiqYLS04oqNjA7/c3LjBVqGce8UkJeGBpzC/Jo0Ubx8VX/YlZ5VFRSz+QkMjJyVX0ICP5A4KBNJGulam2S1bTDJV9zKts6wS+UYnGa8mJFqTy9SjcRYYnSMXF/SlXo6KhHlq3DH1S6b5Rrjk1/G71dnwgaM5KjnZX8XL68VC1EOW+kCy6xUW432+gIm8KIyYkBCLPHSS8myTE3qqGYhosRTg2VOExt6ux7ht4NqwL7eh7H7LU4AsaZg8pyEsqXiUQQcY9ECpa7Vg+Nqs3i0oFIZwgP/H8wU+VBOhHPrHASyQ3hG8urghaGTCA3l3JLIiV3o8+ByelilGZxsiKKioNT7nEAkNM5mUcCUdSrNVxJf0UvbYze3Hq7h0hlWmYkqqTajNSHEUMpF1WaI688uDTbIstFObpSlSoqUCtWVRxLJkB5NwZpQHAAHZC+AntNIPwNNlEoidOv8BI+6sOQw9JfYhN0B8kySxL9oFSMFeipXqeZYqGGoYS0oUsNSFRssSwmX0KrXKBaaH74RRFjqhqehgEc6IlxHltcookQ6n4BoKhMyhRnQmN7EC9Ud1Ei5agdE1izrCUJu1k7DPUEKF5aJgERKzxJJXproYNgn6+WrKjNW2SZ6g+NqZ3Zkrj1TgFomU4U2JRR8J+nAM9vXudbrkliHQ3VIDZPLM979QJRWZrQMs5L2U9+1hJGO57Wc300CpxO6RDUheRrXwpBm/UI40ywQkJBDa6p/S8khXU8XeEeaK1fsKjOqpUqV1DLV8g86vmKSjyUWgtvRxwEnkMHyKjtg8aU2V0s2RJAXcQKImOXos9R/zPJi+OyKBrB1kIgxTa3bOOo4AVh2NY3b01IbKXGzTpuZtp77PS0PlIHbMqZTRxWdZGo2l/GYsktF02l7JUqSFRaG7XeBlUnWDRIBxYhTccDTzZdhAVVxHbK39qYq7mB43p8LfsJdBWlzHPExz5Fm0LJTTSuJ4I54YuaXZuoIaS/1W9Oq3Tk32jysVXRbOo1fpgLVDgJd92++cUQU8nAYzc2yCdq8SatCBlt4QrtqWJJGldWEK68+AWgfdzSnWFmliEQVF5+whOEzj2RKwiLM5cbylFYCuzAAQnK47s1DBh3JJZ0zKqU9S1blS7Xps9Xm/PBYDyHykWVidOB6v8tN3RUqhpCbW+McgtI9btfoUr/FJ2eERP2rCU0Az/OJFFsCWJQ9RlfD1/SPiLUqk81c3cyUW3MXjvP6pP9zg/jvrf0OmPtKPpfrl5b0/v4/nyzMiBopyyoUSAav1zS9J7cN27kAT2oaTCnBFGHKX2vAjps75EDRlFcokH6ANR63WmN5Ed+2PGx/axLn/fw/pElEXMwzuqKHq1jriCV/+kgW69GcKE2U04hKOXFr2LiFzQv92CnHJNmRWtqdvCDG9LGkkhDzT2Z9Flz2TGEC/nqAI1SJPDF42Q6BXjgam44EZLNvn7MS8fHFBEcC8E/vufcVxbzSRrSGc2RzP9xh6/UHavGzfnuLHPlyoj+M+DVZjpzF/+erkhPUZcVIySzTEwWcMsvZjXQLyV8zgYIciKcAps4HeOIxtDxPJlydfWbD48TVhDIad8+h0kqiUhwoqhiwtdXwC0BkkkETjJErbkScY0nNJi8EVDxxOeYxV35XyKUyKIJQNXVETTcD7i0nK1BvtkGNVVt706vbp7jg5f/F1vjmhuEu+vfv/O9e/5/gOK0+djks/8fxhb7TjM2UIa2AYOO+9heEmfVh0IufeSAeJKTdhQpP4wN6V27DEI3zQPQv2YxmQF1kc6ERvV2sd9vO9GPuxTHAGWFl0oS/3ufq3o9DfFPO2uuOfb7K2PieMDR0aLEWOp2EOm2p/9OzFtK5yBhBAo7Nk99m4eMzeX0ozH2smaTnWzaKLLDXzP22+WZ1NTp76TiJE8140MvDbKZuhEtGGrtW9OFerzXibCAEGyyiSqDqbhYgU34owdWJUoXmNW37433Ei2I0O42xL5KJjZBjlWCkIsWINts/4ePSjKYxPa/B+uMa9OEZ0xOllThPdUMuPVJQ/ZFTvw+fiTaXmxahfno7Bx5TRAE5fWBnDvphlNGfEUCLpjhhv3pGYzhURG640V3vlM3k8myns2JqYo3k1WunCiZuXygk9zvMYXy7xXqE/N8dO8Hf8XGKJYPikwnrT3LN+j4EqW/NGKe+nXj8DUZrhCX5jYqIsQdEUoiBeBfpPZ/fCjMEP+/6vGv8da5r4D2uLplijM/gNpRL+rTeroGxEAlpofPOfqJ4TbComCXhze4xtNBAbRuHdkg5UlBB5hIoYda0YupFAyW9KlC5puQ7WjWBn3VtGAz2SirEqHBR4M7ykfd5ttsZAGSVvAoDn4KQi+cjNqaX2TeI6EglSclSmseeBlVYcCx7RuETI8MSKLpiFE7MMyBvzNK1BNJtXvvlAGzRnzSXxjrG9teeI4Er9tfMETnNZgH9xj688ZMOOrbL90/Jy///u/NHUlByw1BgJFxlvY+bp9JihRAcXXD+bpxGWZsd5+sVK53locHMYub6p1F6JkUrs3MCDcnJ1c3Z6ZX143GjB7ZUSQfcyfvr9fU+xvgtehav9Lj4ZN9SvXJUb1zIC9Hhum/T5rmLPBWF+AJ1lITiapRsdquvfR4Nv4NtkgUJ//gVOXTNk6dLseu49eNlbCbarFqiuEmPUZ+PmQ7K00MpcHQxdg1zZ3b15aO5eop79uqIo7T3VXAuErpN+3UTD94cOpa47Z+/lb+zUeP8m6hOiTzP+bfusIavg39XTiAQ+iAruZqLsw5z0HPC8Ry78vB/cE+lz85nws+g5ZPrBt6TxAcFeASYltiEp/w9Jp/FbFNd3hCBk8l8TFPiyd7u1sCtgz6lfAxeqf2kZzd8y1l9sucHM5LZVXOm5xs37VAiet8SkdX5fJUXZ1HcK3Pv5FvUd1FQt0T75DF5PV8DtaoOqqin3q44nNxnPJ8fqjQO5PoUXjkl2GWhN6Hlazcv28Pn7TvONygc+Za/ePA1wTua+1kbf04y/tWMc3tHAarm93R8qO9piI0nFIWnhc+ox+udzAF9QQVr4WevSYo6/Y20W7qSu6Gw4YGh4RKQul46QYvrGS9cEb1xJupYAmMjIn09lcvGZ38H5gsU5NM/CaeXt56nJ/WWloeOHUkztDx5dNoZpFAINLRLL4U+H/KRxj2HPEbvDp7YMoV04wJe6UsvvHFFo3UcjrOSeV142PmUNbIemH0hjbzZ7omb/IefuF0PJefmMjlxcel8BKT0IYgr1SvrC9/RuWWzAGVm7P5J/q4SaN+y3T1Y53nmlp6zx9X52b/kEOiIqmh9MiQEHpEKFXMtfufaPmwIz1HAgavzkpPYU2bTUNfKYtt/mOjIartXMZO5XcTOFfV8z5GRxcJiqIFv0q0IcAwaykyjSPghPoitZdFHNPvp49LFe7D4WNLDq7erwKvXT+Ne1u8AUqy9oEfGnwgD8lHQ+27Z2nXo/yug78X6uZ3jmmAax6H/p/AIsyYEEmi+E+5RbvaZejP64Zv76evRvm0hAf/wDrqexmxr3GYHA/zr6rZ7IrQEE5lVmZseWgwu7y56xChmBQyuPpjYWHtv4GQYt9DBMHyRLZsxcJZpu2QnUdEppqgm7fiEGJXS++0mqiPhTMZDDqUVZv3f3iwb2xbDk2H1XTFvSg/Jz+nxGPmUqlnbk5uNql0/GlCf1arF937Zd4BvIG+bjyOLh0acUCgWS+8Q0tEcFS7+Y7/PuSKVm1YuC/JJ9wvTOjwrJzHozPoXBr/eam7crZW6VzFutbKkXyAELpZK07dS4hu8gu6FsCxemWdyx9rjWYJk5+bofSzjPW4h+Xe/SD69g2Zd7kE9Cdir3V/tOrE1o93Tx5/f/NRTLOB7E1L47KZ0aI9fdFINjOd60vzazAWvyU8oFWpGKMVQ+nUOowp6mUWGkS2JlXhLfFd++nGmTpbVC9tndFhDmEHn/P6B/j88TPkkQNLqkrzAzSYOOUutLWxLQSIaGbaTAqnLdyIGS7q45SM5cxJWg4ZWSVFrtutNI6gr969blor+9yf6F1YiPKjnVqHlTDsvQIWpcBAvZstiMcpCA5v+wwu4W71GkMa2wA8ARC0NMeKuTE8B9v6QOrwiPphq+uwIrvxdFxsF3ZM0+nYOG4248o/hPn5/gPuwaE9kVcry8+2CZMz45nMzLhkU5svquopzY3xXS1j4uoak36uxt0OM/RNklmFD3rAl5m98ZZRRv86Z7JDYljso5nt+WKWB/Z9460re2u1rnKmypAkk5PnXPBXT8tEqlVSsn9EqfdEt0OW1Ttr9gkB0c8h2I2n1IH+Ybp8Z/q79hejykOWlRb4SqKYd05eSSCJEEosPVSHfmJyd3n0CeqzVDZMuwd0CSkAzHweLRz9Yn5kXPlXMs6VnfDdr+QX5js6WhLwSUfzgaEC5Zsk5XFSStUUwITCFGltR2m4I5e01H6iIkI4Lb2dJH0zaXo/eXR9F/H/GuqvkF+1utk/m6cIT/FP675Adgm7AuXczLq1amn8Qn69qKXwzTszuds2Wv5+4PqhiEWJi8gnPFMBCJrKswSU5Az6de0j9E6t3HdJha+6Y5DwgOE/zYZNhl95iSm7QA7PglkppQaWSvrN5HRS2/fkZKIXLtTbP7qsOkGffSyf0+0ePUYtHFpfbL8ldVlzRS2ohFTJvWVENpJJVX2jxjOR+HR2/zU3o6e11XfhcrN6z5/PZt33pE+4+Pd+84DBYN7jZyjba2cBEXmWDZbsqO1hesrEt6F76OxZatpAbjD9cjhQfVD9qEmQlYKCqGES3K9ubceYDmZ3Pw+73TNqJAzkCrxRqpiWtaNYKl+iNn7t5iy8RO7p3PKULbccrHyeyS9MPsbPQknWy1YT6eCYdIqVlkNjF/IOJGBtVuU//OF9CUcyA2Y0Fm0UjJIu3xla9bejzXrSR8L4S+Juu/+LZ0v8PCeeUd3sz1JkNRznBioKrRRuOWYRNtzR3Cl1QyQpu6OhJf0cNxlmfQNmR/TX7O9nJzXXSiT85+auY5ycP9isG+ptBfvRJ6iJ1xc+WordpLFosqPN0t/w9X62trU08sGJRQwrXQiwHcX+aLTwPd3SqgnxCR8d/3uFVS6h+d1TJ3Z0Y2Mm45Pnbn980c/2kBA/mI6PJbESeyDndJ4f56RzbEBMUu9ZXTaN3eka0R8ZwxtJ4nh0ytM122iszqrEUC47Pae/rc1n0vnZEdCVt6+Bs5aXz2hoEgAoMZJp82YBEbETFU/nFjGs9amOc0/GBfYGHemX8dTtyRn3n7pewr2IPsIDETG2vdMNk1dUeZMTdcNdcBaN9TsuYZSZK3uKZ+3Kc5RONRGaRLKizCwNvIxoYm9lNWfOD4yJjokkbWnmaErHmj8153E4trYYD+N4iTefDl1t6xr9d+AnY+PQQy3Lc04pIOUBaZX6OzC/Pzx8/8EoGHVKOD82yE4Og8gal0qmiQUQDhsn5w8067NorHY/+jg14friR3vINo0lwxWRYYjEqNbRylbgxTSq+A24+ArcYOr/6f+psjxaqfgKlL7g0NL9krRDrWb2S+IbYnYtuscp+3/6D3r2fg5VR2MZft//jQ/xFgmT03Wn731IDguwVfQ6t28rSqYt7/pEk8D7MOeWZUR0wrONzfmLc9ca4niVjk8cK+O4DUtz80ObG8/wFWRKZffZkIoE5cSDwRVnuquezSsi1NMOASR4AZBAZj9+dznZVd1njkGbicrBPttdSVY5ASw0NLe0ghviNVxTLrZNCx8L2Ob4juJocZW2wtSoVy0OEcED3vSd3WJ9R9a9impG6fXSQiOoHgyGh0cU3TMuWpS7B5NBaHPLNNv7jEnHYTEZf+4v27iK2dmKimvXUI4K8CixLbGoT1UhulPRDw0+aV9jSbkytoAtG4YzH7H2xZ4eRCgZ0ejdb2LHmO5k017cRVHJgP4XOG82QY+PeshqkTsSRrSh2nKcS3UBUD0gF0kXsLUV5EpEX4b5M2pBi2mDPEU0D7wZXOig5Qg580+c8MbwIbHlM4w5SkkqqfUi5qPS8l9GvgwfoDoWvbFGxoZUM+fQCKK4S8a/rvhzp4jsyoudhWc3616UQKwCMIzAcnSUJYStMqIQ8mntKpSPV7Z/bamsvCBPdY5GW0Un8R8n8aPtYjQprkq+aseUcJ8lt4ckv33GlSgBC4XzBsFDq76lhB/BfCErOcSAZB43IIXo6U0uL/9ZyOPNS7AzCL69fAX9NgjdAUch7goubBy4q8lEklvvl6gSyCkJY85Jzl4KNR4h5ztmNb8hXRWBg/dn225+b/qjBjMpLoaSleVw6b0IHSCERITSz/f5epHw5LqkOjo617iantud1003rp43KZk65o+myumb/YFWedGDF0+Rj/DDhZTQTzrnKbgrngg7wjloariOPrSjv8WSDQ908RPQcq1TJGfBtzxkAXLb5rpPwtOy+Kc+NwAPVri3PHtx2pSbP3RxuKdhqGHp0aabPA25yTuGPsYDjW23gxZ+e2X6wlQsduJx6bc19Cpa3D/1UYVT+77iSoGx73z/ZLvUMSa+cFR88/3y0ubSAw2w/t0PDbbE3ZZlf9ndjUQDN4X75tYWm8B+nHo9UDNAE4fD47FdDJoAQIYStuWXu9AYrZzey39k0OlRUZg0DL+8jEGGErb6pcE3Vlk5Q3LZgzYbm4W74cCgLDAZAOxAG4oeHgIiaPow6BwMl93SsVjECB0wq2jMazRga25ZT4xbW+qu1xfYMdcmZ0rnWcFfbiqXHcdQV+WRMVfsBTIspZZPR0jx8SSfBHKZmoaEmEQQ0JVBmMy7OhbLy5O4Y1ieXgSXmIhrJUawSF2Wa3JQQVBoWFHhxCXUrLAoJMzPLxGZkdo8Tvr5VJaMN2ek5MAolD0Ob2YLLl2Cd/pIG2dWXPpxNdwV59/mjxFAL64ZzKi79NtjvLycRRzODYvlZrr9/SoV53qV+n08s9xYJjQUemmioGhiAhoSSjmaA81IaXwqu913x5sykhORfn4G9EAU7gSaNqgg9QTQY0RWLcxXVy4sVPlmldV/zM/Ymcg2Ng2bYjbWxMcxbGy6SQtUk/y7ORiYbWT09n4pint67c1Cv/YsRKaihoWm2uFA5gQAt7nVzct74PKV/HxZmQfHVT2CBPP3fVDNd1dBQf8AuHhSOoM9+Mfxk2A0asTU2FdKVI6UO9y8KF7t87SURD0AF6uTzIUt3PxY4/vmMkyEci7gTX3AtmpYxG9OIbCO6HPAqo6SaV5cNDMtyI5jVEour0GYDwD4USFYXIxahPx1SiKeWZw9PdPMmmdmWIQm08hKsaLQEHIAT0SHK6Lgb6BIrBI5vdvMAhmhw0OQA0OD4Zf6ivK9AU9QzBtwr8O+e4F//cL99Rr+3ZqZ9NveM498iQ8CiI97T5fmjskgpXOkIeOQMPS3cWlAuD5qGPT4Lh7reOvl9iTQ4WEw+bZ0Eosdxj1Z8WmrspIfHZZUAzB/y0Gy+vq/9vZnZ/b3Z0IbrkBgv09BYFd647Ne3GoEiPXGnI+NQLOzIrYxdrxpfLRxVJAY3zT6CTIVevJlJrSxuPyjR3ZLb1Jic1/WZBNwWC5PJpGsbUk+NtbesP34z83tmwfWG5sS4pqa1tW0T/8qR0+YNZ5eOd1kdgl9qZHmwLSpeaW50XQCDZzQU1ONU8ONwyc7FTIz6+vBKrmqApysPmVXNZVTG2QoFAoaYmJ8SCy5xepycKLmaVc3n8TPcpsp5+3D4TRAICGmSzsEAgd/19dnZnQqnrzYCFD49WZjxj2Ud6TYblirFSUwK70oHZYOEPPVRQ8JRe6F/4ke6Wyz9/UHlGCZF4i+QhtcbNsxqqCtuH3yFA9pjkh2t05GYhHc2rbJ4raacayRs8YV9fb5BwPbQGrt0l2dpSWdu68l9+fduvoiONEhyJU21nrhSnx2t3VRnFvio96aur+XdXRW/tLVWf67tq7sV65bQVy/dVb8lSsX3MfIrt4OQEP7Z49Cn3ldaMgPSkjjReMuJfUuxd9mTZTQH6GhdX0WPfKN4m9VrkL00g3Imr/PCgQ8V8WREcXFs23/WkPidJuO5PwMNESPF8X11P55t7Z+6a5ODMvD+xuRPNEBY0DWdMmlrZZu06noKdkhA3TX+u46q+5U2XTbG3gk1tu61Kp5qnnVuni9w4eca5YG8e1s2+OF8cGNh8NTGt/GYdklUHfGURf3vLQkRlVG0rz60+vHOjqL8+tbCh2Mqiu06VKbh/3MUrmGPKMXUcbpQTYOA2YpuanALJ+QTH0EjpSsO6fdKtD1X/d3iU7+3Q8WTXKK0nAOjDcyTTkuILzmWu+6Z2s3c0iEN6uaTUGuH4Xag+ridaf5840truqxmIKx57Kr5fWus42zlXyS1kVF6qUpQ2wiBvKfkv+ccdV99col0A8Np4Em0cSw0qgpyi1GcAVAr0xCRXMBNqa4yb8JogaCyJlZfX3b8vfRrEwy+Ysh8IMcSGLlBIOQNPji4OKQeVrIHWy6gacoHxKo6HwcfDj+IBtEtK//vHbNwSEujs2eHgNga9h+7/xsAgD0LNfjEHJRgviHNzKbZmJqKvsrT2cWG5zPXS2D9aY1g0wYOx0FhynYaZ9/gbh7FvKr/LMAQa9tfaQra7RgeFQvNLNegbtJrS5qQ94UOXNOtglcPIOT4hrNYyoGK4IINlZKBIv7/Hfo58Tbh5vRVAcag4jJyl4WDQMnKQRrG2V3k3KKKsKCvoGV4BmuYsoHyinuiYrulrKwXT833i7cdNxuonj31VAhmjcMlgcRbKxvgcr5oAGX581foKG/gksn1CzioJXeoJ6qpVlkF1TBGRXwVT1A0blWGnnQUhcM6KlZNeF2iaKLuj+YzJmbD9Q1W0iXoynRR1dlRTa7i7fM8Ji6lODYIM/R5nhqtU1ig8zv0Ti0er9pGAxPAd0Rupfk54EI9QGEvuwM8WwqQGViFzdbiYt3BhkXds+pNAHFIjo8Kuh1xUfNyMeojh+qVloQkUt99cexiKKw496pE5rU+w9l/9GjwcH1VM6YLi7eXvmWDYaZk6pIlTUUwnbKusFeEb71lGnSCQeKtaVjzZNUkrPaZ7L+liI5YxfglepxtCuMzAjj5m8W7si8fC8aedcczD07JJQSw1jID9lLa1vPLJG4US1ZrcWqxXD5QhWwA1OniV/MrSpPnpUuF5DWARzAimgSkm4O0QXQ/UIRdSBfgGYNehIoDVsXmHpHWIVZCA355m323SqCAcNqcBosCiEEo0k6PSqEPvYH4m/iZEYeK6Im/2sMSVJYpg0n92FLiDgMRBSNu+utYanI7/YO2NNGCg49xObHDKk1aIFESDSP9rnh3sP+gJHZkzb/I3dQJ4k3ADez5fCdfmBtxGq1+IH5gEfw3k7530Zvx7ZMLa8SJVdyNP3mWXsa0o1zxzYGvgb7PeWM/YmyJZRmo4LALGa2aull0T9K254/tg3xRzx1bPQB+8PeB/P92fcCTIecfxLgyh/aUXnkwtGZhsDJkLXRJndAcoNt2i53JGj6APeRBNxzeUiuXW2jGW55LEAug0Ga9TzRnTqOaI+9GHw8b19U+njtItd/PHPj7ocK0491J62mxyMdGK/1aQ2tqcriDuTngB4S99dwuIchRFCPCQn8M5hdJ86yj+XPPyhPLGXnJKmk2jTWanrs+HxCN08plINDav2gAhwszCpHMafjpgM9f79/fJKbu8S/2L0wx3LbwSOgrPqKOZ3a8fVGWfZHNCU2OiKrudVsInCOJO0eDGLtIwcBF6TFr1OXOKmpDJWYZpKS1Z//9BMSKIJreDxKXONWHFhlr/OgpprN6lglO5jSIQj9ITvmRz8VTsUgiSUpPjASRikLZjSTefJAep4KsBWCGKTWoYvzF9Oz7Svt+wGDJKDAIkudA69qH+PFeHAiugcb4iD11lI/DXphBmEyDu6rnaFcjFJ48KH+WfXTixUVLwXpPbDHgJG4+R+gIQh9wZUhUbU4VkidGq/gANVBKsjAkI8U7+4KseMBaePHcjXOXY3IYrTA6CBmJbmqk3MXdlWKZL5DFCHUnKz47ozBFN/x0oAJlgpZe6H0ZpARwNI1RlwtrQxdn+BzQkNSvk1JPBah+XFI8nVwrW9gh9ALkf9Bbhde+hHm4XomgIc5bIgHIwJHjDeRrK4K9pgERye/TLLq2R1p/Bfqhv3BhQo7BjPf8mZXt0epNITQP1juj4FWmLxJXAHcZK1j7xIYB6nU/BgQMjXoiMrxi1oHfgDzyJljH2NeiA2599Ud+90LaXAzjg4wqHQ4oLwKTZqfd60WzRPWgf5/5nb3dyVHDYoP8sFPXk2iOr50qewAtI6YDQshqEZijyzLLoGSUbJ7oGf07O0AYnW021YuQZw1gfFCsw9EqRT87EfCWwv72i0zFzLs4aHm6IBUmBViorAfRnxwWJsCLqDZhLIsBJaNnFpc4lpmFlHFggps+lFZAErhJiFoz4gcYRriOPcr8j+cAVLahXBqcX3Rw8b5mSzRbPthd5/t/Yj6YX2fLRbyZtgr7JxKQI2GQgiklvwcJAJxRS5OS87khG7uRqiBLwz9F9byBwrV7JcuLHwszvx0guLeu88Ky3FFGWJKwhCJtty1UTcLO4iQJ7eLC/kS7FETEzkIza8tI3RVsCHtXGMbnFstxVs0lQr1aDfdKBa5ZkvVfeD357B6fD9/YfCxdGzwEu1MlcbUqPDurIrcurJZTsmmQGmvevQRrCxBpIfkN2edfQF8xFFcGMZwn1xoqgZrMev2LFCqlCMTpGEpEiD1ZrnKtXCWs77JIUMvMuAwpPBAI4U11KgRmKVoaIOS6sX+lFwIUoLWIhiLeaFP+/KxAxzwSkEvEGktZHANVn2GW8Ux6ITTuslxUtN7M5gwxJ92ZjMeBUJZtGhV38WQ/aQG754371aoHOvtBe+KPDY3nQAeh3UIcO5KjZzgmsWGSDn2zK/aCvP4Yg4lhe5w6uChjmJPeI/W6oNT/NpkkK4ptQt21ozP7njnwzrdgy5j58YUNPSg7tb25WuNenfLYfSZyF9FxCU5lnbJSBn7agAZYASNsFQcl6RZBl6HcPCgrhRbFcSLveexZeTI1paoW2xNYKZFI7hJG/c8GU2DAKc0T6n58bsZolZfrlmRIwafoIqwY6/6N4bajl8/jkk8HXHchE1qUzdtFE9iJCqOvH+370fS5QoW5lgbFuV9rIqmunnksyOup8QYC/Eoj2BJLXgsSx3ZMZvFrDbjmBZKeasqtmdIuRSuhDn9bJuw5tZwM6zqlsVXIM7iPFivLzye7vF47EGg7lxSbDyjWRnWNweENSeo2Gwi5c6H1eC6uhT8bFtmxoMtUkpKR0s0tVq6EjEw9MvNxFxBvTfxIrHT3pwE/NEp2QTqOs/PAUnlUpjeSGZXPDg3OwN80xJOHUbgMAI53swDM4ocLjo9vbg+891Rxxhnp9Pf9FOoQkLVqIoFGgLKNKYAEuF42AdSjhZR5NHVaqrJTYIRe5HBoeloEunC2HFNFrZN1wvjadbmntOSOpAUzzHN+azjCYkpCY0BGMYOmzrXroQU+mvwmzrFYC82BxqKhBtQvDrsX2wsjHp/prXUvg61PqKgIsqf0u5Wn4XzmFjhbJeh1vhbax5z4ew6ACwXz9Vb7au3GsnEFnm11EQI4ZzMQSI3qZ8xvDqu3PtddORUoHj1oSUrdmnBYSSC8xYSx14LjSXxUPutaTTKGZ82selJXqalcJDMEJInceBEQNjE04DyJs3CZhB5Xyykh2HkIGzjkm5HU5voi6epIsQyUIEzWeqmnohL8zrgd4TFyrnhxJAA+eZ/wKxJRL0O6gcu4K6DepofghbN7UbBFpFFAiU4n4KmhE6iP83CaUCFqKYymhMQgOnm16OOPajczQf5Sq21raMRQg3NiE0c4V6sohWs6PIPT/AjRR54/IVe9VoOUUBxnCkmqIbOIVI1XExD16Mj7itp6qhvdkUdoVy7hqp9tRujoysQZz7bd9Dhrmf9IkCC8xr0LuBpZk8Dii8rrbg1IiyZ0lCLgy9OV2AgTfyi2+Ogd5zv7UQc9Shdu6rvnqAbtmIn7MMqfg0tDAJGFu4J9+GoMStdWMli92O2zdULNDdoejQ1RTAxNOIkzsjBw7M1pZXQcRPs2UBhnTbHaVGHgPo6EUUkSM7NWjB4MK5s3gSaV6wIH6smK8GV3mROWOjN0c01FBOV4QVrsoWd5SRoKyTSVkFSc1pqFJxRmeZpEeVByE9MfvH7Z+1HRVZm+TYDX4q258LCxDct0/Yty4wdU9BgxZpvyq5RNHs2ImsOA7gEGo4Izw4TaknloHqtARxwTVshUUDovrhlr7GwHEPP9hzX9Ty30Df65i5jl3naOG0eDR4wHjDHgXJp2QBxQB+rgjhfpw33HS79UvkrlVcWF6ofq80FcX3GgllFTg/OVo38HIFjq0j70V3fthNyqKklXa5pdlK8lyx/EAzCQbQ/gCGMPCH2oyAJkygodgvc5wEPacSjojgSR9JIXoWraFX8LTJZmPOhGPHFtJjO6QJbGMAQRpBhUDwkqXTuJqL870QmLAa55sddq1HjZWUNAoKqx+oroCZ1bcnLmViqyCGDnKt6DOx11YwDN5DogsSgCtFUfCvTntY+qVlLq4r820FsHZRTF4AevHOAX4AbpBBkUuM8haJJD1hXYDNJA9qRMYmzhT0GYIMRrmJjcEojZ5PNloQa6R7QKJ10VgR613l0qX0mBSt4fIm5IC1j1RB3k8DCtiuY0y4ijLsmECG2BDNk1wLIi4iRPMH5FMkpmvpWcl8KUARETInwDqSq7Dp7fmpRbgQdjMhI7tv+2MDYuhC3T4xjVGuIIxzKSDoxFcGsVoKJZPEvShGJx8lxgVFMzST5PESbLHbEUN3c5OYq1qjKNYm1kZOqj31qc1tSn4ZU29aN/TSq9pHKuigGUwwxFWBALW5J3ddDXQNrpThz4BTHgijTkCu1XiwSyzxPaaozm6RZPgomteUaylTlukh6kQ9XIM520a+FEWoRBUx2Akk7ysOpJPI+eG2DniW1jMABtg4sogwBx3Ce1fUVQnJBsiYqNVBVB4zbvrsDdjsy0gdeuXrlu3yfwMk1eQNbJ2IJVSyyZerYFbLtkrSmELI+g569Wpyhzrp6sQlNX8xlH2szDrHHPR3GoyWHLsPLP6xwReU4zus4NWgfSlBBg/qxvC/wXcSEYZjXm0CRNTvxgLCbQQf7AsUSa4oZ2ojwCtsjCA+cS7FrUM8NKY1HIo/3Xta6qDNtEeFCvwkJUiVC4Bh8XPae8YpHMUa9JlZotLAvwjpGSQfkakx17dNAR2k36VpNDqWJp0erJaG/6yfwBsa1yVEHyN0n1aYaY6faAq7NfHJyXBnkEydgOAk6BqzxY9mDUc17gswO9kKDk7DL1n3USm8QbOHJIAoqNcyP1B2kWCVesda6UOTJ3FWtrwH//wwVGHgx1YWLoP4Y6bcvxo0pugRXywbPwKROBD8cZULD1Uen/qd1K9XDM9/UeiSwbSC78CUV6oiCScrb67S1LtneMjOTqdNYh9F+/WlHRRz08vI20XVEO2o46/qgfTTC0eEaiehEjTx0nkaybjm6XOMs+qzGBfQFjRn0jIaCmToGhVV3QQWq+6EY6jRUiXoBqla9GtWu3ooaVR9GueQ3jvm+eMwkf9TKZYOPKU+zcfv7Ff7t3cyW+DJtaqw0/ZcHJAURxebkkWAcwAb24QN+6jgXfrvwONrhyeibWo8bthfQv+Vh5zyXXM/se8V7pXdvPGsCvl9pl+EP7ame3DgNMii4nG4XPxSFfGvQpCFwdLEIRWBsqNFvK5fhTPxsPJz/Zn7P2syA3KCA+8IH9V3XUlZD5xb+LS4B+ybtyIfm/cFU1ss8cQlcUTWfjWQvgGBSypn6Xv+eh94gBZKxrM5nALoSBG2zClpXf/apTLaCVsnVslJQEAzsMl4xnG8n0octl+T2ZflfKg61ZlCq5SDaznw4XJ2YhRRcYRtaaPkM3jjSGDfo8rVlGlz8VdcpXSbKRWCB+6tPp27G4qeDJPvTFOoE8L5j51VOjdzN30CSE9jkTo7TtMBr8LYhE7ZljV3CCckzl0h3b6l85/FGOF/GlRwkzGywcuntQrzySTtj9Wn1VarUw/GtZ+GK4bkUaAKi+9hBDjvi+Eb7yAgBxd4L6Xi5bNKEJ34ZjsjEFnGECFFCeyFgGh9CU4a6EzWB6mCsBBHmMkWBE1npIVrFoX5kRNChVUtEuSJcoME1ZfFJBYmQLVnEumfkeTrARogd1z/bcJr8P54nCz0W9HWJK/4BfTn/gNCT/abSIsE7XKJVMmh0C5HbxQ5b/v2tXEkXwlL1TqnfHkyrR6tPV19VfV/15mqoqOORPLbfY9CrTHad5Kfztr226PtgaciHhd7I2RPIVPkYabhc9bh/SrbT7eJXpJSb5CsmQqziPpobjb9fulyR9H5b1NOOLlqi713zKrvu6KczNdUc7wPQufSkerJkaPcFtOlKKtCTej9QIoixy6nfuWhHvo9V2p2HAWaCmnDcXc+xOCSlNqJLybdLefmw+slFNCzNPNo7ruyjW4dUYPNYhLi2GhPp963RP17LdXwJL/N3LFpKORWrZXsqucWt7HpW520+zqf5PF/qGwNuyZbiUhrmYTlgMMIEs+7b3+drlU2OcpKzXJYqpgqVVlbFki4oo8NX6nzj9ivMYa3pso67rjGImgyNoTTd3Ml+pxbegY7sWo5gdbTvWoCPSqQ2m/V4BEbFECBQ3dTqI6BN9mAMERV0vzwFgcu/6jtGD3HXux5Cr0ju3B8+gKZSaQyekwQFVsh7lVfZ9z0mHfN3J0JEeTWOcYyewFQOYtxCL0YRbYlKnOAB+fYPhCMAXaHIA9DUArlcgbLapDr3oasOaMCp7gaVMshgpDN/6KxkEaun4SOOI44p4X2Wqg7Toi+94g6BOwTucPzucNy/U+LzP4hu+IfSWBR72JM07gmXh6SxHzejPLg4Iz6eaEa+RCd+iSUbjSHUSee8EE8C0bzp0UwVV8am1H1Dm1ZOcU6qHvTULi7J0A/Dgi7mUbUHA2e82bZ39sn5PtPQmsnPaYURcVuQRwFpJ6I0RsFDEV4EoaMo0qGzeqPazJwc2VMFVcjeKo05SnNOUpqzdIK56rCvKs53DmiZl/wqbtI6b8mJXthpusz3pX+jdofUnrC7LLzWh4ex+10MPwsnwSXRPcT7DSwG2av5DaWAuf2l4q+todAiSqxDy7aDLKtTZG3q25AWtk1acpnHGHgfubqMFy1iUToxRC9rFVNVUjOmOqTum3pAataW629f5n/X3SglmDkrxR4WuKBaDEsZm9zUcuziEi9pN6ZlJ5ps6s/IywG8Hj1s8x7VRgY+jDxznlc6ZjxChRUFxUJkOKMzcR0c3OcNv69OPIMDzPK5z+pB/GtnDYW+U3cor0ERTrlQ1QpmZO9aQz2zelEJ2AiIl+g3KWebOpdMjVyxWCNxr7CDgBPWeUaPcnTihp4Uy8k5caUVoN2BfI4jPHjI4Pjo5ZX83pQzZSQiXoLo0BlieCOUpezLQce/MRep7/thUA3qXaBQkCAroniCuT9As5i9tVgrBmmhPVe4KouQIOeqXF1xZ1RnZCgqCRdcPeBKWamW6jU8QctN01YIbY8UL3QCZynWETklu9Nn0wW77znoBIY4zHES9kIgtALV2jiChAgTIalCdU1SG2Xm+zVNFxpWic5VpYw6tK/HhFpBxJe15ShGYhbmNoYv4o1NBOzL6RDAHQygeDxuHYmPsjPUoA5RhSoosmjuMFsyoNbgSQTPG+rs6T0OVBL+RMNFeat9cQly82PsqHwp7rXD2DMlRWfJmCi0bBCYQcWhAtsHRdAZj9cclzNqartLg2mdoRIgclkmlZ7Wtyxvb2E40Bxr2ksJRWYS6AU+Hbb7dG8OlPkzzAKOO0hmmjicjvnj+Ew5zbV2tnsOeTPBghr2uGb2Nv73hq6Bvx+h8jVVF76YQTefe3G82TyA0UNWLYOkz0ET/GCUcTdYELjgn3OoKsIsOw9yqFME9ZkPqtHsMm7awjhRknX4G+wJBVx4lrLCFd9kyD1WIemv1jIzh/GZISBpARC3DjrfeozoFo9a2B4Nx8qSe0ULuQ9V8pyPDrlAKYaYCCBugWM6RjNxSNMdL8s6b4gRqE/nMok/7bEf+RMf8Yoj7432fT6s1gHd4FNPktMn0yPP1xV2u/dUjoZrYzM6BEMV5Nz8WnJGv5R1frNFdg1sxj3ZUjfJmur7WlbLrwmoW4T03PLre2HwFwD5TwGu7uUB50YO8zuDPJA8kbyAvIK8g3ycXEc+T75BftG8rL4A60oOelp+ANagnBRk5jOPfxk0Cgd0lNWG7IaQTGywZuBoLT7acpxht2RMxisnbztt3YYZuPrL6vilx5kALyoPq/pYf2WBkTfPhDMnawiU7TH7B9IM7TYlU+1CNCk28JNl5QojFM+6829HgaYGSS4+KY1xjC5Qkntdfaf0zhjqSRcAxwxIjWakmTzsVhP8i8FLGFzRj9ebXGsjafJ1pjg8U/9WNVP1xnu9K365N/Yyj/si0B1joJGKe12+XZoz+dzJIWxcVj5E4+g6XWaNl9jDOna9kCAjxa/QyTlH5bQxZ18J3kTlaf+VISPvnClVTib+Gd6THegwww1nJvO/aTZwgjduA+WzdltUrKQlLX0sW5WbTe6V8Jp+punwlQEjb58pxicbcCCxcOfdoDSZ6WqfsnaFFWbOkrVIeo+edZPJWEn+AHStVke+uPPI82fXwc8ewJbegCv8Z4j/TegY/4Wm0FZpfFAgAQA+9XOXMn/z6Iry8e+RUAEAwO9PDZzhw/777GelfrWHY4rSXX4OILzk/3wFNA1SfbZR8jbmpfwIPYD/7wZd7WY4bWDgxhp3smu07nBwW7uyB1fkZq/hJd9ZJvRbwzemGCTMAEkxvzy2gFEexeQNaSdlhErOxfNFkpuPneZeQRTa67jD6lSxA/C2ZUpsTUz3E6zVGWPpOLlqSmXUGrs4d3At85qiYm47QGyupVa6H/Hk0q93v6G2+cTW6xDOf/8Rx2VAt+8csNuCGgb6q0V+kvL3CgDwjZ7aLME9abBmSYjaCf0zm+7aGK0pQ+PzD54OIH07RT9Jd74Nmqjz67C6IXauUK3Xbm1rqI3Jo/WhsqNSvTBFAdB/gXMaugPAbRjjCLACINBnrZZ+6d53vXyo0Zu1Pg2Hit0JYbVFxD5HOkzv3+jvU0I9ottyM+S96wUR70n06NdVQGpbfpZdU1uVydUmIoP9m6rcXu1IdT+I1FXvXOyH0LLRjjUJ5NdAfhA42eLhIJdRRd4o6qqENQYIPt6nJsOW64pb5hMDDuvuW8iL9cSWIxC7feqgYqcVJAE/o5PEQAYJUNJcIAH5b2hAggMQhIKBlAFwl/HWR0AoijgCColyBAya1dHhRyAoU+ciejoA9xUtFh0FX6DuJBGXETdJ4jFRREvdcI7+WROhmTFmztoiga5Xo3U+ChOO1bNLlikVRww2HjQ9DPrgHOO4eeJRTQSDR5iHC4NPHI0ugWHGU6IhxhlX8Q4oEQAjuQKPjug3TwtvLpMxMYerrTJk9FM8gTFkHgPidjOynVUKnDMeeCtjjIAkPRiIkhNVntzORIkvCCPPlCThjup+MTDNs/v/hlDT3Os3PNS6ZZiCuQWowb3jijBUsEnCRpHZBpPiW7LYMqFrgNzQhdfhK5k53E+yvQmvgROeQSCnkpyw4Dg4Cg7dA6dDDsSgQKvdyPVkl+ZrV8FrWsEaCSBfXIZ3b4NloMA5CGjLpTyBKoHDGV5/cHIRDlAMCCdYYgVZmpVUtluAjMZuf9tHjWVbL9KQpFDJBpKCkShJR4FTeHMyuX+n357P/88+ikhe5fPHp2euyX3Xbc/V4lKep77uOeIw9up2KLdbQts9YnaZ9XuhtRlYy91Fjdlib540ozpdMNUEGGOEIQboq1eP3Yd2XabgtVuD2kytjbhWjegaywkNV1/VqyuqCUlCsFJZEaugNaUmSqNYY0ZGoU5CFLTk746u8jpyS/ly5CZzdJ45JC0vdfsreHEvuXAppp0K6AWX//mltTwwVmwvyhSpJkV4hNWEgoLkAleHBXb9F7zI8s24+cx4p9VE5plSEJl7UkIIRjPMWWPm3HPYaFdgk2VlWQDztUmJUYVBkf6Cl35Xd4euake5NBoymlzqPZUOpZTCQg7ZkIrBJCjF7TmEeI+ILiNsDRKeugmYGj4cf5dXJyF4arjKcU5/BZ/ZY7dcimhDAd1SFbdYLJdh7jEa52OAsqFNPdHU32CU6VQ0ajDy904mIt1Eai/EapLwBH8Ybg/LwgBooIAsEaVxiL0EJggRNAM0oCIpTS60sWDySgG9wiJXOSizN7I2Mo/0F3+9pBhWXnj+1gsbyXMm9WXPTJOfemazJzcSEL/ETWPBmdj3bfHDbQ+RWFQ+cP8GPzAlhWzuu3eDD4TIonvG5+75gDGl4vTKFQFdnoZPqaUu4gg7f+uCraEFKTk3gjeOhkope3bXSAVZRw6c0B0/dul4vfpbpu7okQJHk+9hHGHwDgUOHjh10HBg/5ac7d+3x0Ib2juyue/exx7SZtcq4nbs8U4FwaLt25a2b7hSKn4a2eiAs6nz1iOMSCu0ZXmHt5gcWrrfcGqrWxQn1pp+71o/1uueItrwzeoKMl5m3VdNp73FHeqdbKRFrfRXa4qhVIw3JBKa18zNvprbMDSWxEea92vcrz7VM1StY9VAJRIHyjPcs+aDKL+gBORKGxoKKmYT6UIBBQG/cMmPFRQNM+1ba2uQEceTket8c1/mUCrGFXuqpDKNJXNDYUsc9Ptp2PNTmXJRp9JGyRGsaEj5Zn0eKPcqlqsn8oZEG4mCjEUTiUxySMhofoqcitpSBAuYmdL+D8hoegN2P4KUiuEUAuQoFQEZtebuf/1fmtWPsmqi+x0AAAA=' },
+  { family: 'Orrery Export Mono', weight: 700, woff2:
+    'd09GMgABAAAAADMsABEAAAAAV2QAADLMAAEAAAAAAAAAAAAAAAAAAAAAAAAAAAAAGhwbHhyBOAZWAIEsCIMECYErEQwKgZEg/AoLghoAATYCJAOCGgQgBYMoByAMiXgbjEoVbJt2NOgOhMHTq7cURcmelLP/PybQIcPCfApsqhcZsjOLQEJGOenSqLRLe7viTmbhcB2kQw7ZEXGHPkOPdqnprpvQ/QSrRLesIrmZhRKhKr1pL7xcZDbXs/IKAuKxAV587BSPnlBJhQY5fgv/5JsUfmaEJLMtz/O/X7997r3vzXwg/oZZFfEkKiVRCZHEojONn6hk0SQWaZb+DM/r2Uvyg7IjxiwiUisIMdpQIuxIagZByLBGQkQQq8ZKdBgdolZVVelaKF1De6rjtNWx6RrX409TP18C8PCAXSwpcUkqLJV4IUT2rn9Ildc+OtEc/iRd1J2j7LElx9ZFF2LTeq4oXVX3l86+Xqu7JbXUolaLaGyNpYEvjwf90bsXbkaU7vexj2eBMIkPiCOHF05dBBhtuS7/sVcRBycnTCUwGydHjOeJqzXz9lPXSQtWCxoFWmC7QFkTYHE3U2AFuj/l5jczCTZS6GfN9fZlZkKh4illxUt4FwKrCayK3r5tBFmrH45r+U8lYunMfr426UeIOyySgfkBhh/6TYN8v1UUHYoOjYyior3WW2D9PIFDDgAOBZ8H/f86e2uf/EmeH8LOYf8s+RfdMjRdiuq++2TrvWeYJw1ZQ0ceB2SHNJ4F2Ut20JNwl7PVllilW5ZnAnbQskPM1XIFXBbbtNtUgO0WZb/LfvqRhDCsvNamaHGBA2+Nr/u9n7HZfyzmrsJr5zmmKAgKD1Bx8aM3EcAsjSjGgWmAmUZNrxVgBmNshO3ZFxoJlEDb2GMPRsmbYCqiMGjglYLkFEC5JirIAoRbBdxMQLmfnGuGDhLkAKtquWD32FGymTVyBm6mfF7l+v30VIC+n8vOAupAGSNZCoenAAqFkpGGGd3QVEUjZIO5zlLJRIBkSGYU+ORJ4Hm2r8sZQALd6q4LQOZlSfUDXkFdnDIzRPZCJOcAHgKXd4Br3+GbfhxgxhdjWYQCelpmh5ad55cB7PP4Sc85QCUxabIwtC2k01nEzF55uHLjjpuv22q0mZWZswXKwsxiO3YP9rCVmtUOqwiR5xYYK9e0356QWGO1zYr8p9jq4nhMLDRvbj8Nf+rz1PUx43HIwvzD6w9PP+Q9dH1IZF4w12ea1cFkFLXAMfC4fjlhmMT10abAiWbAlTLVVI3lBjECOlSEzaCeaRPOGqRYVgRLSIoRWC1PvD1a/H+7dLP+eqNWF3qfilS5IUGAB8ATcBu9Rp0yqNMZY74Fq/h06Bgn3XEIxidw23kuyvi2lHpDuGOH/fa7EAB7ihSA3wDynWmL7loObtcJvUQp+ifIDwTA3P6Eih5gLCfXH9FBwXBT3hZOZdZdKNC5nld2KNONdRMUA34XZhHnOizehBmGJz1ar2o75IK3oRvVrYX6ZRbAcnDDldi1oBURNkpwt5srnsQcRu4+gbRSeAIWujXoVdXxxYGkW/5Ewj9sEvj1/Kfs3zDNMTj2IGfMexPD7PKa29u9haNfUopmI0AfqYkWnFhFZ0BGXewIaTxCYIdjBLt4ccUXr20TQmfMTfpRKDp7WZTcimCM1OMmytCzYmwQLgERZBhrzIydZtao2YhZb2a46+31ulJhBfrmG6OBbAVxPOGh1sWenr+Ioxx5U9/rGhKzm/3O4IAA85zlKcwxqZkzqr1LNMtaio+83Hwwn1uqHq1qZsuE0T2ZHEq+wayFh9Y2lkuRGUQTL7JHtHDEueT8rE3qeshzOvNy6nosHk80PmGLk3N6kBA55D3WYyw7WMnWcV6rKtO9YxrygHW60KwcTUVN5LTLvdTjgSZ5IQ1SS66PJeeDZynopPwINkZL2lxwjoCZpIvfSbmu3te5Svl5uL2f5S5jB7GceU5mp/XI3rnmmw3blirbYtKcnTJycCw7vWmK1CBt6J9gC8JBmAVaBJMnOCegwEosjmz3XKAluhELUS70v0B+ibEbFY0fA1QPHVqMIm2EoTIGCJXYwkzNFNlKhCRQPZBgM/+5Sr3I9shhjjt/K3OgqhPFFgSfZnKtLqwRy/EyS88dNfMOO88bsit7SsXng9pfDn8kemUCzD8Ygg6qdxWNetjtW8DCLqp3JI372O3B+IScJNQY11OT1oTByBQQgTKhBsfCsAUp0FIlSwZk8tWsSivMkbER0rg+jGZ0U7PP/C5pdKjXK4nUuDEl0oLk7CzJYWvdihlZVdJIUCMXuaRdcYEa7ZEUooym/+JeD2a6HmVO1ESSISPcGDBgkAyQTxqyWlghMWm0L8hspkKifC5m+PV1aKtnNNeFH8IgOucwQFaY7FXWvNE9zJ2iVK85Z7UybgXFNX3W7pJG8/lKKdZVAUE4EUNyMiW1TlUH1TCM5ZFIoAI8J1Vpl0uuzlNbv0ogFko5hM6jaNjKMFgeovjbRtlF9tztF1ZIY5UboXistdax8+siGBY14fAiL/AKYbww+sQnD9vCHp7isBPCSYtQU7C+cUgOa5XOivZqF2d4Pid3mb3LQqZMnp1uMCgWZh0bA7IUhCkSwjGjMwVjkPCkIDlDpOTYCSe4kU02Au5FVdtUxJw3Lwlns67pLAExMiYcmhmmo2mqdCfztbyW5gC5ueua65ydprUG3bPbix37DGryqx98ESPB13akkrWKQfgoVGVefHivelrH4Rh7pXBLHbIChuyyna2Pjkdppl9neYYbebP/WEokNYW+Qxsd3updC6LKa8KVnTE28go+NM9np3llXszYYm6tyhU/bfIEFN0s2YA9UAgyh6EMDq1JkGMGFEOZ1pdoxUG7fGZsAuxn4CmT4wAOE4JpkIZP1Q5Bw+ezjGWejkgjDkLhhZ1EiHCgGD27Z9jzKcNp6Ju7AO2/SlBtCLmifa0ESKCc5CmOhXYqhmjZl+3LmQE2ZdZCnatqdFEGGQ5B1rSAesgmBWqwSGScyMH1gHIsWT/HWcwNoQ9O2mK6DBVpb6hJ10PGEIhY1TliUnrNTzMZhj5paWyHjEBNIwFCaoT5sK+vTcXAlF+73aX2imyOo3y+4HD4OjrVBW+2MHklAGmj2vUDA1rQYxBzwllTHGI2Tjjj/UsJYTYG73x62CXoV9mBDMOENY4Oc5gr82IBO0OlqytsipVkn1wzptVgEH0xixq8MODUinyzsgJW2USAnANeHAoOBVVyCiva1kAmgtwGxMoB+uXdIgCyKcp+6FBWOST73K/EnDjnS6C2K0m3TDey6hxR1R2nZ+TstLZnrRk7nx3quLVqwnliWX72rgolMT2W77QBWDX7vx+qUBEYCo4X6W4X7FqxWvRW9sbt7alNO3a5j9ktDvdrNu/UkjV9jpY76Gpz7rmbmXf178WjpgiuI2P1lfn3kvSXmb/YrdZX2+vYjaJWEFw9T3xN7Ifh/51aVhNv/KUj1WzwgmvRapFTVgDaemT3MgIOyLQZ0O3XwCzvtF62Ht4r0g/sIhardtzSnzOz4dSvHgLjsvXSkeEK4ewqW1W2kSpo8jeLxtybJkbpLQ3oYfmhXa3oOdst8OmHd4PWbFZq2jE7GBL9JQPSmAgVqsuL8JLRnDobU4+JL0CNmZDBZ+f2vR9ZSCqKuzxTgPvN2Z9fH8YwE1gy8fG1LL+UVICDVch8KxUgNvXyLMpeJS9IyxTNNVqAhTXuRsKkaCig1LPwbmcBg8qetASRxnRywwr2IUNxHlGX0uYsxRxq5DCAlWhxkd7MtkFWDPJQQm/0jnkV6jv8o79oko56+56fzt0xtnG7Khdt+eZyg5K7SMj2hBnbIjPLBr0Ria/hRo2ltphCuhHU0nzi/bQZb5GE+VkOd/Jghj4RbR6v5I+Um9ldkRzYDRQRvvWE5eqPqdv+oF5HUWfhb488te8z1Z87SFqkce9j/jdzQcmujrfED8XQ0pEPHvLXMUE49s7ZtlrEftioHVDj4cV7ppDjycUFoKW7x3FsWbFKBfp/kHzRdLSkcbi43/hUbcggmK8dyxJji4sKte176Yvj9TjWllZwtZd3F2CfgULlW5v8J9Nnmj4xDDXIH+m38ZPjayX1SgRnDW8o/VjbGK8r+rl2LD5LJ+LTPkxsXLcPeXntS7mahepeKpO4lAN9WSmPhM0x8+oapEAZ00d2H1I2+l6sh3aFengpw0zJ3TD19Pt6tE/xnTXbGCPKhKYuixAJNaQ4N+mF5UHg/374sljp4NoSiq249LFyPOn2NG6UijM7duBcirRXMu6eofVrJCeSN+BEJZLbvZMaQfGAgGrj01P4B0bLKLqGC7JTkOsljkVvVnWHWL9krRSE5N0Z3SvCzDV7W3z0bDJ7LRpfvkBkSx+qGwXh4yib5qlJ++MoZgL1TXmcxmgY7tlebG+GXMjuufTNjHPJgmPiVThnC276NbQjnkssvJZQ+JRVODX/I8jyxjw8QbDA2Rtp8dY8tC4+mkcdOejQG+7+G3xUA//GL8zTixJ23c5o3ou83sMrRPVIbguwi4aftefZKPBIkz6RIGjGauLc7r3XLpxQWWoBH/wRnUY0fTDf4RCHdJ4xvXxzpP/+7GElOhzNqD15cvPmU6eEDsGTJ7zUPWhh69dD0WN9GMDUD4180Me8d12ST2Xv1bbaEydra07XUeI16DtB0nAPo6FGfTDTaR4em+jRrqzAYKchQsxTHeRsW/NSY4wT1aGG1PvgwM2gJh1fNPj6rKUPfZObqyWpzJfr/sRPJ9nD1N39vXOb7/3AqD3fPRce+tiQi4JKdg0WGI+c1gy/YbQPL6fLqOVxEVW9LJl4+lhyvvrji+5XXZNv3+w4v/u5qXY06kUPo3rzdg0l/mIHdtXjp6d6m/pRpoJGgg6ENIccZ4wwgo+/YcZHbDz46O0VcjTY/tvQ6Ojy6NjS2Njy2Cjmeo6HxnT5/ZRyPbvHQoxQczKHmkvVdCfOLThZbV3Qff+GGBDgIhuJLin+Yh9ewm9tlM5L1VHaYRGqNd+rfv76Xrm5RqlfP6f/QldxpxHBVwghyi5BJrPB0GHLcUQhdOSvfJ8xnuQXHOVT48MpzsqlzXhlbNDOsLq+LnFJ/d8JxvqugAQX36Wliop4y53dUHdOcTQtopiZEzlhzcOp8kwvmTE/KN44urljqNlAbrT3Yu8Dnedr8h9i2RhUAv6BY3FxU04iv6k0wJbTUkwVwfraie39//eTjch0U7KqzpwtRNLx3KSKf6yt9/S9jSacNb2Wu1Y5fN3oOsauPTWSwp7mWlq3Fd2KVPWexWmsqeY0sli8xupqXpPFBdUwO5mdb8/gPcQs3rvNm3310cq7/35oP9X6kd1ZY1+F999mQlQqnBubXTsA2ZtyZnOJqV1sUWlqqqiMzS6RcFNVqFdpnlXhoOjU5/nbs9D1VDF/MAcnxjZNN8z///bdW9VhvrFlelcEg8OLUQMyYjgcRjSXS7mqrRZmL7P1lQ/+A91tNs65ssuf71qLO2R1VM+6LiUxuy4popsxGkfNpoZQc6mGkzlUjenyeWr5pcxvEbC122nc5Okz+k3Wkn/gnj1rY7TNl8yPmL83N0FWd/9B8WFT/D601x632ttbWaayg+3ZRKPGMj7Y0Wx9432Zkcf8k/xUk90uu3Ovvjw9EOpblRAfE+Xrg43wXKOolk+6Y57PlcTGciT5BZwBpr8mJ3Ez4ZE8x8D+y+/PT116NxCQ6WhqXb9ta+NthWyss0PG//TteAo+/iDd9ZxrdqJ8trm68LbLw78KzxOsai41puihEfnpBsQ5XHxeU2webrxr4NRMS16SUFSYXj/tFz+Tl0hjMlnhOU/fLf7+c+aMbOueVtVhzZHpsfuIKeyil6/M1g/ThYnCe7YUi6Q7PmonxhcTGOLX6h3a2w/+3yjVGwqwvG7xRtC1Kfro1oeKyK0PRovWkHJ8mM0tPok5pHXBvQA51wuJyRuhjXViG7+a2aZKhshNuE13CNa1Ut3k6q/rI5GB14MLLTZs4Yu8WuzjDhBCHAI8aT101tDAX9hvOaIL76sZobR9DueR77HTueE68ztxVsozs5AIsr5h/XCZMFlB0VEx5+PZgky+5Es6JPuh9eKdYtJNZ7xiFAwQdoMadi/EtLohMFleNfAHl7xYR+dZIaSP5M6xxlvHWlNWUVZGdje/lzePrFxWLJzzNIQ8PaENZ4Oh5TsYYVXzOj/1k5qq6PkFuqpactn/EqU6BKRLynUIEYYx3rZwTNQmSBaJVGqb/Od2ovqjnz/DiDkOODup7h2LNbAThfIdXjDFshRhyMmjV7ZrFgGqg5EIBVMnvL3xCWr6lMPFkmthQ5mJYUI/VobN/lx7tWP7UcU1HU2itMTs7NSEEt7/rY8jd5/qvoZ4/Tz1Bp5jb5ZInvZjZeZH0b3C6dWO5Q6HffY9GHym/Fg997FLqrNTYcS/m7KyhSmxvjROiHHeX9xdMdwELjZMtxrF/crLL+dyJWLeL9yo42dtVZUv2jap3zUFT6x1iXNd6o63zgbIObjCkcCKme/bZ5CUQEj5wpy2cp/mmq+aWkePORkvGS05Hf2+77GTxkPNh057H/eDzXNe5jEWMV7GdxtCcaGDeD18+Wbru3Ae0v1m/XWhwd2Qh/577gtIDH4599cS/XLOyWrrE/hsXcIxNFC02BxihifOHbH74mlHuoG/X+pTtbDnZs9pmOryDIUXcoUWp9X6KyN4obGxVIFkdDfaIk+CKXMJGqBxJv65cnTm/1PK15wCeIGc9BmXDI8/LNwlbJ7WvwubiRb2vZnHk5Kyj/f2ZiuYHiwdRCKzlRl36Z6Dsf5d50nu9mR71qAlUEBbupLpHkE2+2xSEBg3tA7WHRE3aB1uq/qjc324tOvo0FDXYWnUVncfD7wTfyqC+CdpEM/alsydvOusb3zP4VJcKzP5U0v3QVfKUzeu9V3rIoN1dkYoE8+fv1FWqsKfoNlV2cWd9sjw+pkG4xcU5XGFJcp5oXiX8ymMRYYEK9Fc1Ay7unfni8+LL8kfXQgEcnv+kQRm3uGOTlHMBHq8WUarfVnWYh42ZBqphdvvt40vLRSUimxoLVTe5KItTHnR7Rxre6zNJik2iPxlfh4zLKKkhtFjm8sqMUABjWGaMrdzM+R77uDV/mFRJFmLK4vZ3Wu1vsKx0Vgbopnt3yP37pAW36Vsyq6JtF4Mu1aK7Kb8Co11Sipl790zcZZCUGEnjWC9q+6w9pRPTc1dlvJukTR7dB5ri/lk5s/1DW7LuUQSfrpVho0gEHBR4ltLt8S4KAIBG1F26xNrTqDvkx1KoeTSt3GWUkJJC6PFtZTPszBDSdDRqrolXXhiYEDG0zMyf26Chj5paRmEBujLSy8PzMndgZZAQdlyyJ61fRi+oke5ox58ggsx4eBtyXjWEKW/XcSAr7b/VdhSExq9EwpRmTkQloUdtUkaTxOSCow3WHt+8wR051EXRgrb3Z0+59QboS3HbhuSHXg28oJ71yLLArBcL3skpqZv8HAP3tBsTtfai+3aU9/79vA/SWdMB2yx3V6SRQkqJNA7anHxx9/xnoeQ6aKpl5O89gF2ROSbSqMxmsqrsSzsoClzGze9p/euYyCapUthpct/t9bqXzM0EBnprG9KEXHFLktFLkr8uG+qR1i6dX61froTAdtYxXpdAdGPih8WR+8OKNWLPkk9Re24WLx+d7+s6MsTYVwEySYn3rDfx2X13rd7LkKVfpbkZaic+qjjJVXu6u5zWzrR/nto68J8R0ZBs9eEV3NGfuf8wtCW3+3nxGl+EdLZgeTNZagydHJd/w2ZX2Raon27CVACz4ES0DrcKkoLiJLe6E+uK0WXoVibB2Zb/KPSRefafw1uWZjvyCpo8Zrwasnit88vDG791c4K2Gr7NnhDqystLo8Q2xdqztNzDmv2CPJ6SSW1ESOIbJ0g0/5YvmuCfwPJ1mrzJ18R4eOyo5BCdhItrIgIlJazZ1tbJiab9wSy2YGBycnqXNkpAYEpbFP771DKjg87UpZwvwb9uubL5jbG2hJqNhXlV30tKCAoaO+AivsHAPYBwPcmgB6OY1ID4lw6ApoF6hHTbgk4NPtjVh27blq5ODe5Mwddzxh9AWtEoGsmAD6/Q5ZDUAGyP+ZO38yWraYJFcD0292vt2Oio6KibdNsUsXFNsyjHzwqZykkaMGoYjHAnogK4TvT+/xNKCadw+5NEXRRw50TLMt9fiZ+6Qg9AjDSB51hBeQwEjGMgIYhIMSARfBUNlW0DAcz4IICY3kwFxhV5wArzFPQLWeIy+YgOJyyHEZdXros27u0UVulMu2tnSiKZvs9O7sD9nb36hu+/6yBNPSBrXWkiHDS+kj0WVlRKJgABAwC7/Hx/LBYH2/UPdwXe/sQJ+PcaUtOQwASB/llJJiF4BF+tIL8Jjmb3SjPL/ClefpHKjI5tbtXF/Kegd218ewkODn0zl8ceOyUZvmLkyGP/2WWyh9EO/34JYM92An8avwptGQ3D2oyxY/Kyg9jzWbKw42VHwXpVpBFyJ97E+n/8zuEv9nHrF64TYn80jiczFZdvvhGksMT4fHprftW3uXoDvuk8WmRSp4hvlG726SwGyJQoiCHmEqA+cqWXr4ka718WYrdWmUXL51d74Dq6Bxzcnwwr/oYwzs9ZEUYq93pYoCNj0LShz6haPc1aUNhsR1p2AoN0SFKRnoRnKM9oCBfhj16XA4KBDQJHNZQrxUYdbwb8PlycLzkMUavyMgEHj2KjVrFqSMX65vAeMohRzxNXVE7rGys66qKjPq0LixBA1LerlaGuDSz1EZ7fRyhEC0Pf7190zej+MQ1XrGIPm43cPlGYmiVlhweFwu4CbVqF67BEm8BcK5kcoI5AZtpVOUllgrGD/u+tBjRqFLxuFKtcklkJD0sG2mZhSQYvRLlWqXxYhX1m2GZ/SEYIS6JokfRxMUCgyoRLyEPA+vvZtYlMRMTauqo70RmXe3Z8bqaREYSQzbZWDF9oaGuof7CeQV0/74wXV+Rl7pF/cFjkPocBrtdB7szy5sF9zvVgE3AxZjY2BKEqMadio1bORMXxygvB/FnGHGK38vBZyXHYCefkVRUHEcdq6qqrBhXGKfRhw00zJN1v6oiNxejr0mNwMAYvJ4X/iH6g8u8eO1KowkKHsf0Anjr6NfvB8aLS0Qlo3Ie/55UCpA10tQjrUDLspAj5QxLh4ekQ9lpPNnePFFe8XhU9XwBXFpGzvXJpQiGtb3T60BaIJ2/5wLs23xq11XLVCr79lNJMD1+D7GP/8WYsrJYxuPafvdr/judwyVl/zW/plTzP0Ue7vmf1HdnsLx9eruWXrmmBbVaHE5JCRjzKxSAgqIbPD1+kcAPbroCcWSUt3eERkgRH+QLy0uhR4GQHxyusRptiWGwoKKzREgK4dJ9MAhAB8QlbHYdqkBWCtS+j1aaJM6YBMT99yFaQvB1ii4SC+eFAMmvL5lyFvuK3igG7+x0c6CC9TC1630lzHVGoS3JPvxmgaAvTSWxP5hgERxva5V0fp+g2YefHNqCM0oQXe9TA6kn83fv+7x7aLF76POuffklbESbDzFoq7ilhZEoWWUXVoxxsFzRyMji5z09BsJ1lif67G60ksKoWk0otLS2uG71Ju4BqBcGdVqN1sUGgRm6gSWtVrUoRtO9FVuqG5RhEFTcaFunKVY6g9bSPw0AUlX1rizxIbTCqMGLvrvK5txlwhXeDLtsWpXJ2dW4d0pUMjSlHcnaEHDF/20DNZuByA5a7XtLBzAbq5MaP2aytqnfpobIpA2BlwOA78ZqgnuVvreBd6WHj0Gn3CrSbWdAvp7eMj3W3TExtXNg5UQ3PKsQvjGa2p2blhJTlp5y8L+B/UVSmSCvuq6AuK48am202oS5vx2Hi4PQy9Hr0jY6Efl2bN46/7+OXC9v+nlgjJbYh3ekGMc1dhPt3CVDO8wT4+Mcbf3GZj1UvgXythapO4sFVDEUW4uOJiMHWmGfNSsSBmw7L2ae/6GzqWKy/IBq34l08paMNk44yWCzhn+F9LP8wNFzmvBtZtm+OpzdINIDtxnXxGyu/esQy+899qym5vizXr5DLLp2sBZ29RwpKCOzeNuB4m2ZGaSg0auAKHsWR+H0kFjwuua6FhSLVGeX/AhKUquAAUBnHLTu/cxZQqKj83qEx1VHn7ELd3B3JoV567Wqh4g68TZhPWmGSdVDBGvXukP9SOAZGbJHzIkCMHLBpYnb5IKLGT206IyeXrE2wFjeZJAvEGKPyDmlO6KEgqZCCTsLU8Uby4M3JpcBNjzKudm5ztGkuhnaVwG7zW/PhGjF1UfNFrH9lgHmwewSra3WIUWZNQp7oIoq9TLAqHs1EW7WZMEp4Uytw8Es/eV8Y8KgPiFjKJdFmXM0HWyGiD2LWwe3YH+5DGEp9LNq7c7ZohL2edoXbD9z3ySWkFzh9844WMuMzcXrcAgLzpcrZy8DmA25AzfCfdGXwVQJehqIDoS+uoqzDP5Fr9DvP4a4r3pSuIqznjoctCMMNFQIMthXff4igLMsfYfyUfEbr6zpwKlLhRn25dbZH6u2EcHsD6AD3PWx+XTacrrwRLDHiY9dASEajbXEutqxmSysxE0iP9qzi2fDrg7ufEFfpJA/Bpi+mGafWTxTFPwBkmgsQDpfOHhDNmriQBo4A4CmIkhbpaDrJNplxY8V4NJeg1iQAnIOGAJn6Dj0D1BYHSfXIGEW3RYoQoNQJdAASOg80gSgVlcygcwE2+nfJAn5BOgDGHQSaQ6Iq7+yC5oBRkAVOgbdBC6AAO1GagDP1f+zDWkOHFbeQb2QBBBWeaYcugjcgQLUBV0COgABnYFuAddrcSGn/FdIBCf33fHCCiA9aXCIAtasszDMD2C4mGoqpkOBXoG8aLOure4v3P/lirSY7kXaTYYpRV3Abm4Vc2D952DnEUehLzzXsatsUX+0qbSjyvqqXNGsubrOeZMf7vhfQsB0sQvapCeyHXf6ctZJP0LLw84e3DHZw5C2MtzVNoYucnB4yV2v8h9X2LCav5NS4y9HdBxHG1ExrObhMu3vxl2V8FSw7pPV8JMs/4C/P3vhk+00PdgqhzrwLMkPyFZA1II94chdU5Os//YQ53OD/Dn/eD+tpOGsF4dOF/crSAxPdzud3L/395RLu3mRzw6Pjk9O1YOzosjbs92uLegIDnqWj/yD1Yj9lfhxuHZWvHn6qXG9eykZFXUu2CU4EwniB70Y65cQ92+7f6GcrNbDMPcM+5IJ6jHiF5qcCiNnKNzi2+64V2vs343m4wz9XUjP6L6t/yLQC5A0auLVRLX9Q3hQVwEYPVjdrAmFYX4Q3ygWNguYFAQTd25C13fXWCZIjkFIlN2AG1ivhsqNox9gxARFUqz80F1nYpJdVnNPYLOYk4ykUMg5u8DwkQucSSCq+UzMXU/sL55gP8xgeOxZ0MDntqbNX7yp6R7ggiAKWZceQEikCZi64W+pMIKeLWLL2aUFjh4zG543+Xx31WzGI6dUobOcMuFjVVGr1muKF4uG/7Nq76n8Z7gY0KAMeCADHdRBG/SBDcbwXAKCMOF4gYpMCgPBCErEkiRZqatvUI3a6XyZmx9pVui1j739BeQoJznLRa7yKDd5OggHcT/t5/2yX/fH/XYwTTpeeBCECccLVGTSTN4EP4EJnKAJnpAJN+EnwoROxAmbSJMgCJNabyAqMmkeQvcWgs+FTl0f4DSqrxkwNWvSKdWzwqKmVAag8h/B3Pg0KiiVObVECJpHvTPrdHsFp+QYGkNBK2PLxbxzN3Q9PYU4113rb0uHkF0n1lCIt8mtFn0LKzp4tDobrfP8aHUW180q3yhPhwyDoB/4215icZzx3t2QrtbEVvYv5xql2QTvtxtkUaHFFTBXc8ApnDrkPmI2qFV8lXPdbNyhrQn4nGFDkd8JO7/ajWj76bk2eNQ9k6cWnUJfbUKHEeDYMyxoBJql9ZaNxDkzwhUtt+Cx1j+2Vz2az5pPtlb5ps1skFi+h92Kt0Cjn2SsEcsju42JEwomHhJp9jiHnh2jYAU5NCeZ6fEB0tKSf7+j7WVpJxw+edI/1j3/mFiVm8lLccA4n/jOjv92/czCXNvwqbuh5ET/kaDEM8xiiPGVC8ljBn4MZ/JJa9Vj7irctMHLXd+CI89ilXCtRinf1Tk9BnnsHZqATg/UMN1QrpbQZLkxD5z3kwe74r9kuEgPA44QgmNvqgQjIrsnYNhcAHshtjzy9AjUoSvCts70KiKD8kqeMoETDJ4uYlpTtcBZQtm6QgcVu/7GbMclU8X2fQJbD8tmGa2A9lOLIXRpYxkIVZv6BKGDOYN2a1qJI60Z2X9ceo0cls9dbGZcvUyLg6d2x2mE7Rx3j/Dj4/h4HjwxOXl8d/xE+er+8vGk4+DHEqLUirhs9CqXjt01ndYxkaBK8cMi2Zn/tIY7NywjuLgCCMQJPUlQ3vGVRmMDAmaLbGpsc8BhiZ9zH13U4KfV0Oh2jdh0/3c3phFwhrbp9r3fA2VYvHXrbzPtaS5cZkcd9EKXtdTMdbkVLp4rABjoJTSFB5A21TXAQsImr6PLymXtWP8CfkrnKKUjeJrU78G9xXgKS4vLYY+Wdj4zoJXvmTp5qEtLnb2SQRkWjaLTZmtYHyKEkz+dPgO57RoG+DLnNmu24s3OVsNhpuYpOcLPtHFwEQNYxR7XjSqNAe7QKsGJR+KU9HksN3cz9D50pCsva+pt7c9B8RjDjNGCe5yFqTw3DlrIM6mw1p7OPeL4TSgqYc9gkRHdAA0gt6ujNe+u9OEzXm6wtle66QjmHinjxizK5nG0zHA6fm4LBvi0QcRMqfBbJGWoYKHCRcThDiV1RecCevOBi5sxVOCINerZYEmI0N1jWGMf3Tp4kqJg+/qahIZb5oBAkjXFLyGXuhZdW182w6iVNINcmIJzgz0ng9UHD5Wp8y54qYtMGpRpniAmYWuuJ8n81GpwIh7xmv0J+ymEToFVhCsKIjoDnXNYcF5jD1RkF3LV5WEPov3qUQfwm5+T0mi3NSvno/jKi2SBGJShT67+LL03v6cKU2BJMiSMNDpvkxDTZQ/0z7ciDO8tbne0xF2lUnrlmjI3PyNfogo6GA7aRJgw9SdQjXo84FM0RWf4Bn4BK7CRpVwXK6IM5bxNd8Z+3M+9OhLHcYKP6alo+BDc+9ZXLfLmD0AZzkERzt9yv2+RB0RIPvi5pjD06jwGeoJU2jYUhhYavbR2MDhFLkdewgBvFBT9CC2mGzxkPEP5fjWCVVmNNnFsRIkbPompZNRWk0qEq0bvC8PEqjyO78k2BMY0vWINpes5sRev8NCYzr/zXAdnGGUNL4NGnZQcpmdQXDmHOHQ03FUnxjRI8izsRHiuEmgxaVfGaGX3WcAxD4vIUKXsmGSnEVVgOtVRyUKVIc6jOrHryEeaojlkeTp2RrzeBkokJzCxncYT1NoCOLz1VzcRse6ZIrdZp/ZMzK3WfrWz6Z70JYxd1o3DqHLDAm9185qcnSjD5thw5AtihKPraS28xEFhVDdMgRmOP4w4A3rjbgx7Q/XhigP7oudtLJLFsL5FhQk8cJxFELf8xsyBYs9eGMHRLo015/t2yFNdwGTMc3S2eg1VRAxN3gYYGhbUu2hRRntfMkJKMcUHDU6cXgViypAR8tygxMoe+qQ5WdRfITk0BXjxjwqYzJRIa6NNmZGiZsbcbXEywxV5mL5jl4YcKwkLzR5tqzdpqd+P300f5cf4Md13p/4XWE+NXCu1rmGyVYdh+2N4yuJoaezNlCAhAIuWTIMmZTod5mJK0fe8R8MLwoTqDXZVMuF9F4OsX/r3f+Tjjnl2ZBLdbVgUUOkYkoEF6fl7x25bBbXTcyNe8BR4cbEUxBUIESDpGfmoq85bpKxpJ2nkPIcV9Lx2yoDSgeoKsAZzRjKrsirnLORZX0hfgUC9I2RGf8qRPT3YARdiyQ7gFgiQMdJgF0tcfhYLXaUqKaAk+RggdgwWrAZGFyIWeRim3wIoQ0Av7j0R7Y/AT4QqAPa5HiO3rSPvxMBd+8dUhqjCtIps7hN8NPY3B7Nl/as8dXThFUQ/4+A4jzCeWKw1L1U4lP22u1F1AV503MAwSvRumqPraP+1clpN66PmS8pmtAl/CfVYb5WjyrAHerAn9tjg9mDQ08HyBol6Yt2HFkV2eJIwvCxxOdo4F7uCBEIxi7naptNi1KGMvcvcpNEC+hSJ10DULvf96yxqluyChJ/yTfW4vwJSm27jdGlvL/VNfYECHhOoUWZeaPYJoiNG3igHlvSr6bxlaS3hjKvfTvDqe6MQ+At2mIVqn3v9W1Cg7b8uC1bx5jP/l1u17uhjd/vQIgWz0fAlar5lCyJeOS3bIYFWN/z2XnH6WMwSuKzjNMSN1+0kvGDbE8yW+1uvCVG4dHh5fDGROW371tsJhHwm1LDue18euccDgPRCINMFrGWQuPYYBvTLwQUXGFILpwrNH08taHe5vzlB4fGAQTb0EmQefml84YQtBQs1hxhjD+GiRNk7qzxuEjckfYuVL7OM2xq+8DhJDa3Dhp43nGeQNfoUkDYUC42byDlvxLkCAQMo9rraqpfgOADOBQSf1urc0Kp8DhQvWa9yaUopSqtAbcqGEQIxL+gGnEyEwyTAfqZqI7484Fd2ZYmmBgMnjy+n1xz9HfWac9kbuev5HySbrCKmJf+2aJedUWy75upfT7njVA07IXPLoMWbB6SmtVprtV6z2qjNIRjCIRriIRnyoRjKoTp1cPFu8BveDXHDvyFvBNlDiyRirPMgvBuy2AXe0FuD75cjWJYLr2G/huISDnm/rAL1qhd1Af6OZftaoTmDtmk7uPXy+eyQYpIwbnC+C6dg93fJFXbOZ9AmzMFERuKXtcTM4GUwr6tF2xwdV0PDoRpSLqy7XKs41WlW6oyCdYOvZYZY4j/OCRq9JkXx0sPXQCTL+YVX0HXMnGUafJCF9qkWyq3jyf/UnkjT0XX8z84cwb3F7gHUaKz0es96ozd73lu9vecPcgj2wj7vi77sq74+WRxPAj6j2Nla+BK00Nt6hNb48a6w2agOyRZU0aI6vjH2VU7Kp0oIAbXMdpuD59p6QHDiEMEDr6EYrlBhivoeO3gZD5q78R9w2h651/+iHjK95sjAMUv2t+EaX5NbXpcS7+urkWVsWEhDM6jQHlBDyjIjNyt+ccNN9J7P0Yn6yfjt9BhOw0M9y7+A+lCrDbkDOrDTd4Z27cqmrJNbcR/XkhCvNydIyESYAMGiIYIlCxqiapgbmqAoXDk40on4H1h6WVdf5O5mCYEdWKMNISIRo8jOhRjT2+hE8yS632Ikg+KDsosA2bpIqcoVWKuuyionPLe5ZcYGTHfJbbXKVXMkfCXPoEXKy+bgOmXDB89A4oQJrhDIx6V7G7u/BTKWbiP4RuzFD0v47ZtOncBU5yx1g8KkBw2G9FUEX6HOs0z7i+1+wpm5k9BXJNQJMoqb67ihezJcCIvU8YSSFVdz6RWxFBcSow9ONcfdTf8HszYLuaO7ZpA4xB1gmD6bgWePNeKQWl9s95JUDxx0LAjsVAFywZS2BHgsxJjiEQRYpHmG+wgNSiJslASG5N1U+65pDIEt51pab61dy6cV2y7cmbzPUe9DTre7UEcL2R1Twm2MQ6WO0mn8CCLmR3X1H2krZi40fLAZP31SeuFREUKoCTVYzS7s6AvVNeo4xaxxyU4YlUDbdnIF0Dr21Dj9pgIE4cU/5wr13do/RimeEnhsnvA6uOsSr2v+FRCzGQa/PVL6DhRRdXmbuJuU6MbaHhClipdO9y0FDV8s7iopjiUJ7tehVdGt+qZJ6/J7d06lcb2oNfdNYRqtfsTCFphD32Mt6mI1SN8Guj1onfv0pkBrqDfb3ds9ySTXKN4DGKBcnKpU231/kgbpj752CAC+rHgck9X9ffD3Ux4NI+uIEvssLMDgwfRcoL3S+sp/zLVe39lpX0sD8t1rcP3MYfM6khCJkJMR+0zJJ3YGXxkeqWp1KuVmKnyMuPKWAnOq79RgyDGFw7YjsusXRRNi6hWx+ROGiZPBAzCbEn4GITcO7ysvJWr/NBFX44xKCULaidHltuFGeHuKBxM1Vw86YL0Neo3lBxzBiJH8a5giZA5gY+rgGjIGQwoU2NKA4gpvu7Pa6AgwyleoefqIjLjw5CAKgTsdsRKlUKUKBnhULNniUgCnyZsSUJ8hS0gQYCAOAqxFAF6QXewFYyZvLzglaXsh2PB6e2gvJH1WQgF7AXtwZUgWrVCESc7BR5VLybFHRicL58DhKthck/7tzRDgOXOrOGqGR83wejMzO1rEwheGyyNSIF2qNAJm1mGzblE4dsI5iZRDpAthGwE+rdyUK1k2OydIjtXwjo+sDnA0nE6W/05wBxRFFEXBqTouZY4EO+BFNjUUZhPShiGbLrbIO3ZSZC00doUjV3aLxWVlCNeJ8eJ8sAidKhULwbkVp3+AOGV3OfmR496xbwUgj80gpsx6RwgOtyMOueMcY95/cFQ7BzOBMuL4/gve8D415LAB8iOG9jYjh1bYNyl7B2MzS0HsrYAGB6ziGvQuQlf9K/oIenXs6QnInhUMObE6W1blI/fJimtSdO8mpDtTwK4VO//Y4XjXO6QTpQOrXd9Wz7cgaSOyrlLuKNIyrS3otOpqaQ6QuNinJl6ZJoJGVURD/Wlkw4r6uoQAOF8FVFeLzd1V512EgM01GsjNBlx/iOp2RNWKSu4olQQVkmkqOJRSXuJl2Kk0AiHmmUZMULJLSkoifcUrt5iDEF7gRd4V8NWQTx+iIB+fAoJoyTsIyytD5OrLyT6dnNzNzkpAJnC+iiIrHZv7ZogsbygzE5FRn3FauvfqXFp9KY2DSEWS6vK4mvFc4+GsYDuS4iaXIVgQSOQgmPHoMAkgVBxBrP0ksboYpGIA+mNWRBNEYXJkhAoyUlMoInyTbsLbbaJrBhR6nkJbEUblIMMAFSJ0xkN8IjhIO8GAnsA/ApznX4bwo6y5Xw/UN199PuqIjQReWjxJA6TnCtKGLjJxBIQi1nsss76dPdy7SACnKsR2Q7h7F26uq7i5cbWfBIuILosUYggX51lcINYjOK1C4HDaI05BR4fVdhFHimDBr/14U/Z24wRwISfI23sNZGc7RK4UO6cB19ZmgIQKwvYEToJro6CMBIWwgbAK7z1kHWKdBgIXXasKjGNqLNx63pJ7AoL6KHgk8VYu6dYMN/URba7jegtSPa4ySasUl84t/39d7Ou0gGYRzlKfZoh24Yuyk3h0NY5TfvSpTqax5Dq5QSYSR7fhFgQNP8Q6p1ieYh+V1P/oWsyw586ol3ZxQdB67NQ3XfmM6wYghCstruowT45k0BYbFfWQZbawCqeFXUPmQBcp3kXnjX3R+99iFDvXGSymQv7MCKocd87HCEOKkg5DOPjLxfnZb9D2+s8Udr/IAgA=' },
+  { family: 'Orrery Export Symbols', weight: 400, woff2:
+    'd09GMgABAAAAABtgABEAAAAAM0AAABsAAAEAAAAAAAAAAAAAAAAAAAAAAAAAAAAAGhYbiGgcOgZgP1NUQVQuAIIGEQgKzAS8PguBQgABNgIkA4MABCAFg3wHIBckGIFCG40ps6Jmk1rGkf2XCdoRFr8LKwFKRPCIigIBicew2RmNoXSmv586pwHd8/Mk8OZ4faL9Uy1HNUKS2eH5uf2fBTUiV8QYjEWzKMb63rtku7AqRrWMULEw+j3zVepr9WWhft9/Yv6vmP06If7j3nfvuT8FgwF6wGldMwGpxQNWBSMcxdYO18qZZPe/nUkKJHxtFYFqHQUegIW6tVn7CCALB+tsZYhiqcrlwck81C2tDbHJ3+1FDDyKhUQpmUYDAigIrATf/3/NTzuz+SV4LTtcBGG6qgpQ6ffuzLx5d15yfgb2ZOATTVLIZpYgyd8cKgDIulZ9GShDZIEVgW2FWlXh5FaBsLpC1be9tXmENj0ujGxmpMhgG1mvT+/307KxvSHPJYaMc8BCVzT5urYcwAAgTwUSy0RxmPf3SyDSCLux5fKB8uvU2BAogAeWCpPuCQDm6mR0CGSfQXsuPOye2L6DABtUaH/cWrYqUeThyue/du3M/4qDAUCZn19a8zc4Q879/0ent+gDTQAIsgBSgQLDSuzatTawmm5wvfnjA/qHgPKWVRrPQWo3rIpulwLHzn+gyVc/aHyNI/bLvaUsNLfq8aDW7rhvHwYNBg5erjyFihQrQ0RCRkFVrkI1Fg4hJY1GRjBUQFhEFFYVDIwMODhYWYFgFRKsYoJVRgoRZSaiksNACMpJrgqSpZpkoxOMOoLBIhh8kke4fjYJqWxKgqMhOI0Ew0hwLAQDJjgIyecjOIH18cKi8GLLF8CiwhA8HMmCJ1i5qbxMtuZYhMZC/VP5qYwgEwVWnhEnyEkRAgwOSBGhhdGTwDC0CnKhgRQIEJwwwYmQYlHEGZBCMQBZGpuiejwwnI9kwfxXoR6cGAPz/3UkBI0ZCk1LS8xK1NQy2tUdLRodAPTjzgmpO+dstLNfKzoPoAPFBugyXYDZKmMf7GNCAHC+P2PMLmmZ0yUHjL0XtW57rGAG0Ifj8ee/RwCil4bx5QDATmc2osM6W2ZzZFm7RyXszVnPGEZ+hIWrEbsUAPYZYCTgYBnpgI8H70dAuSI4BHQMPBoRExYPmrXC+s3aH44bYvBfqZ5JyuRArCWWmbVTLSzWSA7Mz5S1xeD8CMCoZWpd0qVFwMLLOE7Hm8c8XO5qxKadDxFd3ZxAPkci4tTkswMtjAijj79GGiYGAxm1IJV6Nn4NzKo0E6ghF6JgZ1WrkkkTB4hTgPeeVwgAAFpf1Zm9twJ5M0DR7aBiowEnPRQW5nEAOz8vwsCdSzyTwjbgAFxg/gFvNfB86FygEWhVKcTZr2oSjmyEjICxYrb0KnBEG+hpwdPG1lsGTEmpy0vE5yxKmD/aFc/I/WCdu36DkqiWREULNrl0FqH1lm7RBzKKN1b6yKrBMVvfqlHoG+TsrMubcLO2ah1e5ZT5I0ssX/3IJoiPQycLTcV6riWnTD67zuSTpG7j8TKOOUUAjsphA297nyY4ThmTbM8QCAnDOaWBzth8ltpozCYRApwGRrZNqGAd4JUw5mk5pUHBs0mbBcbFdkvZSMjiGqcvoSVHJJVg9LFDDSayYMKQhB0D00azNzExRxnouOTwnisqKc8IrtgafFjIxYd2T3hXBRVQEfVk5sBISS13Zs9gppV1Q1MRrrgI9EBMhcAg6CgCEpLlQfJUjS4IBNBD+WzZuUYm5LmUd87tuY8N9BkLNxDryZpnArdOPfa8Z6oxZ79p6bwH4UOgqDSo7YgMBD7g+1co4tyezDPUvtybFflc0BfmQWeRApu1Hvtg0a4Xpbze5JOPktqVxx+n5HB+XkfHsZxcyksDsrtgrFeooUaDDcrMBT0m3yEPcrfHLthl5Gj6/nnAhxg0PzD/iL7y9pF8c6Y5h7m9lm5oAEc1+N3lEbCDOgLz47fv8W0aRWc6IiZwpEBc2hsmHRF2lXDGzOnsVco3PyCEsePu7P18lqEjjwzFDJk0hZeezr1NPfMqKI+EJzDN5DEpJ2Ecut3hOu/UcuwgP9zXbUyA4ZbwjBKFwhN7U8BAnrBdQ9c5qMrQ2Emt1M/uJFskjEy6ovb16aMbiGRC5aNfAt76DTGKyTzTmQOzetQzPHDDB9Avw+n29IVJnoRw/kgwg+1KP82B6b+bnTg2iUzpzoaeQu7MYpAjcjRvOlfIwBhJzHadr1t+pEiatwLUDyJqz0e+2+bsdcu6nF9+gJvCSmhhGyJaNt91P+3u134z65PqnVmpzZy44cX2/bU5F71zY/HmWK4k9KSZ7pvOIe26BjGQsMFq485PGGIH1r3N16DM1MmsrfNRYTULZKEsLZTknqqg7npZ6SG0m0iRad7i3G3SLzqTkfT26Z1B9vbjFqviTWIlwN4JuDbRBipglxPcAoWKeH0KR8nJlzDKeO51RINoJDNMgsLlF4UqiZovVICyf6lTCplV1zi1Y6IQFYaCO6DxwfJtLK2wLEKSd+2qvUL2bHLJ/QB0niYaGYS5OTW+5/2/xGCpEW9usACUtSNM6uqgIzzxlKo3uQDi8g2xyP7EEtmO97vS25uYpDtLCOfXgM7hIOpdElxArUHh1uvNCC3tHFNACT7WMWOtkxbmqWkj/oH3blBH0/YXrnfeuqWiVUvSW/4txcXLPX3nLSWexoKda7tR2oEg/K3yDjJ1qPzlsnQq5vNovHWet+SHEG184IJvqqQNRxZODHw0xaDueQzp10Cg0TaTLQdmFwTttupKBC3UvfNlknqqor3MMV89bwRvGsct60HcC0zZkWHDeqPZ8U1YJYt8bisC296LcchA1+cgig/etN02TF5ZnQmL0dstfOCyhHDjIU2PWUg31530Z7PlvpVTAAQL6/Y9GVB++kvGOR9kMJe7BQn5PwX4H/qZ5fkv+BgIqYIEc33diUCgoYqI0phLVeQdJyJryHGwVCVz8wk10AoGfoI4KQyIprPoPch9wsIJ5VVUnXXc0gEtW2HF3R9XObxo/9sIfvTuk61WqF+OZIV97zZcwUEBSXPV2CxeOV3ZnwaQSr2ESXLVQ7n1ESS5jT4jYPnetb3+2mt7ygTFqUBrX8+81oksenIPVvXtDvJ5Bqnv8qCs73Msl51l5DW4N0MpqvhhpEBDm/Sh+AGvyo5/a8u8e2f9GwcG9rX7txi5DCRPhMkhIXefSOe+1eYGdekM0Nl/2H8PpVJ6syyRq/GIDO3755iL7zKixeVnBCzldjSoC6iI3zfk97Uqln6qqVEuhP1HgvlFufoqwwuuefLIw0lbZj7nfN3TyZMDdCYX/Z8l7HLqr3MxakDDH9JPeAY+6ej0I0yFpyd3UyEBIUs5Cfg4EqwG63K39VFzusIkS0KYlyQ4NprpPEPlY6XykgASD7UI/D6Dk13aNshxi7WdyfACPeRr0RaxeQG7xDWAQnd0BnCxx2f86ZvPXaljCzm/V3bEtm32SRK1G093x1ufc2ZbcH5iqD+AVWabq721bE1IYQcqLFf1yLbcnLl+460JitPKplWdTJEh/3wC8glsbHBNW89/SYB0tJl4NO6/VOG7NCq44TnLPn9Ua3nxGS1IzR5du97dxqMZZ9/N+MzG5MJqkzYyJGp62rk1abc3srJcNPMG5+qYpaFB2yKNToDVMLgtbHtuZMC9+5HYkKqTmGY4C1ByvWsI0q6IhJTTA3CL2Fs45V7mywep2UsDT3j8j6YXhp55rnliwJXatvX++7ZsXj09Xn+WLR7FVYabMa/w3HxF/9R6asVgOww/FHLvXjAS3LU7Mt7YRzxV04QmyDL/ItiwIuxXrhy3tYpNOc+ffgL9LbF9vLhtLiIaEkVi+6ahJsCRe0u03lI5lpXSt10iB7iPKco510+KMurB14WfRT6FhSEvT/xttP7vus4yc7a3XMnc3ve3z2YgcoLFavTxn8Kaizb8Vdvq2fC7DAzUiMd/M+L4cgG+VIixsV4HqdmeJW58oRjrpO/wzfYuRfEkERZhbgFrYXh71Prc8JB11/boSP+2iGP38LBj97Zof1NzFyyZjqwbfnhRcw8kWRGJSKZ7YJCa/Xjz8sEOQSVqMgzWoS2kdhsUrvxUDgctySjgvrTh6cyZTLw/UlB0XzQFkV5+nfEN5pHqUHhUoApDGq7TKGg8aOjdw7qfne4PeiCL2OqkarvArzi2rE/6AoY+qkZhrZAxGFdtHCPpULOK41ZpNGgX36JNERdUuDwBolj4/pXquqsW5gN3AnKBXW3UhUbF4Iupqx6y58oU6M1Zs3Hr5NHIiWAsmUgFupqPh487tBOLITD/7yXx9OE9v8xYrfsznnjqv8ncB4c/Kr+9Q28GHt8YrGX0Pv6xf+m++MrXuz55rIfOefDissE3Eh8fjm485fvwoYHMTNdDe7rWngT4r9OX/R37yK+Sk5e834x3faT4VAG+Lf7mvbb3Eu8nUt+8RQQsaFIxgJ6P35CVKDiTY0+6WtClgZW4CJZu2aHgOSmF5abaZLm8Le5PDBqLnPiBzOsUBAo73PVubDvOpZIJewG6+ezP27QjH44ZxmST+N6kPv1h2nCznuJ+w8G+nw+N2gUwj20T85kWI5vTqG9VKBN6i6q9U21xRE0kK8kaM9ktHWp1u0WvTCQVhkaukV1n4YvZdogrtKMx7z1wJotjZnHMvGqvXxsN+/zLdlnHxzHmX+4N5VvJJqp5HPOVPq7TF83bfStNcjDNSNtaZVtqnUoXNNWR7OOnd+cL5KeoXZPUZ0KZnNh1ch+1e5JCnegmnCgpvmWgJcfgEQ5nFVsMv4fer+UVZaQ8QkPHwo0bY8qpdp3bZkN6O45s85tS3fh2Yw/g51iHNPpFyXbT1IjGxnUWTZXbFs5XKmFhTdhipO+UUCYwF3/k3mssABhdcjjVrJA083i7K0ahHcRNrBAS4p0T9DBXydeqnJrm4VS/TpkuGCInaNVIiHNKNMhZjRtTuxqUUk9MYDj0PLkErago1i/VIjqFApFWB71nb5O7hF4ut+j19S8S1gPoU5XQyTC7rjxU3NlYJo7vvJTk+zmttfFSF+Uk0m/ICE/d3V9vRMJ6wdoB3Cp2UhIXIEdCZd+WmKoYkmxox6PNAgniRfRwrKmZD1FGHkY97byud2X7WDQCh4o72k5CakC5wtCr1/cajPoe/QQM1IqN3e8s6/vAwAvLDfreHr0BEtr5fLtQKLDb+QKBg6r8IlCS0zG58fgUF27u0LuFKzLzzIVnQr9b86z4BR5xvc0PxRJFHaa+sBUZSbYiveCZdeDXiWgjfh+Ny/bZXK5QTXPpWMFzB8dowzoT0r5OmWpbq7CekD71XL6ATntX+/zaSNjrX77LargWDcdNdF9iksLEneyq/z+jznGN6YyLw6GGpX0WK9ymlQ/YFcOYSCiBytwl25qmPUUXHcWQ3mcx2FBQndPUJ1T6dBKO1SJLMVbSTQKVypFk6xKTQS/fc9L8llXOgyWNmkCP2AbbXZCKAZm5J39548O7TLkd8iQViE4pheUNKkQuZda8AQZPJ7jxquqeaKSF7mCRoJ8fIQleNjDWQetOg9+oWkuxXkUXRexpdXgQvyNeac3xfViOdqEVRcexDzHs/ZKGmMVh6JtQg/5nA07PtejlHk/Ps77vwXUGkZaBH53aB2q+a2gtQpu9ncQG2I0ixLzKbPx7LWxVz9i2VSvGHuxW+NjnMnIRpMYl6+qVtQi5O2PFcD3RTg/DXKXF3tfebusBUpM+z1LKSj9sKX1Uj9I/oPedfsakf7ipcJRlLq3UR2rfoPV0vkVb4JnwZggE3oyJ0BpfBo/vzVgD/L+HrpayqzNzZT/WmgIcvh+OB4Omp/QRc0eCCPyUEIU3QrpYWXWBVPZlVeVXgPgdNXDaevOXUvp2SX+oR1ptNTFx6dTu74bog1+N9cYOhtXADMqctia1yu4wI43iaFiuM4TkooSBT400oLpfP0LeAf7fg/cVMbD44NL7N7z8Vve5W3elfe//8Z9DSvX7O3hw1fN0IPJ4d5NsWSK2UuKuZE7UhFY6rWsjYes67StUM8E8BhV2hzSrPR7Nqu4IVGBeIPEGRKMms1D8S1hQD/oum11eh5g2UmmutFRNGyFhm1shc0bag6SQ6bZVwXWLZFKfVyqX+aRSn4xXY5vb6A2THbrRYbPDOYw0Lg8KCJHqgSqrnxSs4TxWW/zZO2Sj8+KDYprw/zTa/4W0KtF1Gu1/IiC9hxBcgojAqOvq05lMvTp9l5HPCw8RkHRTuecKQ8yz23lisZ3Ps4sY37kJTaP3EAsC/BRrni0jF/86Xd/CF2bsjfHl0XCsJx4MGzxqtzkc4PBbSaqVl8r9BhLAqRMqdUKjVsfQZ+3pN2PdbtYLJeDFsyPR259gaFSJhGqab+XxrHw6D7Fy+XwKwTsJa/lOwV3ZwIR4IsRq1ohDCrW2lVDRkNJI+Vm+QATXnpU2FB3LyxuSGrk4hDYoQ3dHBsoZWKfDVh6B+bwMX+2SCuiH2taUtpAyybClPUECi6W0Qyczlz16nxTN6x0PNBZL013T8azhMegf7z+L4UTnhvSIuM9GrRYq7UgLPoUyCO8k/kpCIkKFm9xDzbwzZyQKYiMj3U51f6cGlgVZpqa6cbSpfCeycIW1JFwPs/rp9BKj/ymW3t3sg81uIMixDhkNS8Jr1mxJ24eM+sXhcOOSYaPDpoQl9JjBWBOG6lUt9v6kgR6DJSD/p6qsEux8R71Td2HmAfssGMhZNLV1cgsuY1AcE/fjsbcjt2Rf0H86cGX9m0gExpHiopgoSsSKJw3dSh/aEWhKPNqUCEguXuTSod+2gRsKkUMgcIhEQrWjiPptIhY7cJQqFDgz4HpOId22/N/haPTU5fotXK786kRl1fGvKiv+Ol5V+cnfbbp39HTsp19/c//+pLLyxFfA9122LdeG//XQbX77wg2bosolbXqLHhUNZRbJSi89LJLcpsUaY8igo8UcxcSL2419IGrwwy/jvW8a38wIwHsMAYexCd6DT57ISEEvG5scF+cie/GBc/At8Mtt7CYX9BI+fgKfmD9mowPIZjeunUr0wNrgIk5cNt+o1y7WG31Ve4SWEOxrBu//b5dU0zNTqNiY2qIV1YelNxk84lF8ng3J/k7khSIgXtJl6Qna4JFkEukDsrdG3raesb798N2PO8IvCPgptpwU/rFmg7qw9gABPXCzgGsV8FAlDVzMUaPF36HzkUhs+aCuLLnFIrOzJwXQkD0i8ZUYq+AqeylbuZJGevIoo9bKDvHlMjjJAMnMY+cvrJo+unKlUg0bd0t3mVwN2tWrj3Z/F2B5q0vpakPa3le+HyUxqjPXBXmqVLA1Sv7ixo/XC6vJ0JxrrsxKL7t9/ecbRdAFvRzm10ZsWPDvEpvQ7tcyV/R21BXa5l688/1+bsVxJIOZb//x4tjw57TjSD7l4VLojmKuEjqxwrKzSEulo8nploPF2qrKsLQ1TOlYJBKW2NZ1A5nZltsORSBw63bd/UffjCcZVoR/eco6dQkA982iafQqVLMGHG95b2j/VdnVVzruOjM8897w/muya2D4mgE3RxZkmpvqJlB90SS3z94yImomMn52Eg+R4ahQ7iF38zLvzhmJ/PiCkR6Hqr9Dg9gNTagfgjywOFt+oTXizi3gdzykkm81qV08V23tAvnUY9BjSsm3zLIHD1rOqMEbrIhzEIQTV4hpXg08kcHEDESreDqhO+ejyyM7FBKzsInHddRsmUGnSz9MS1aW6bhVkQGgJK3VwDSvWMmJI0icLbfLvBKJTyqTeHGOTOqT0J7m1P3GwPfUyaK3Ww51U+pbfQ6z8E6YaoCdiNZds5kjh9WNrCuOZz6Mj/BtIwPtTfUM2Mz/HO/P8Qatek3rQgWot3/wkd/uZaL1WrhRLXcztnz5rpnpJgotSaHcp1ULW5uTnTu343tRUJxj3Nw+YigZDhuf0oWh9gQ5RLHlIfhc7/dgGhnTFAZfZll0YOPtXeb40rh51+WNl01iMC99e+P+R+UQrzZ7ZWMlVFnhr1jp8KLgyCw5sUA7TjxJx9dfZ3a83Zg4Qgb3iqwXli/UQiNjqphalkNJvfJh8TBTo0Qfxl3Hxec3dDjL/UY/Qi0tLCr5NuKMXg3X/yC9h/8wNOyvXey0CVYHFvwzUO34v/PG7oYorU+jLQzPf3jvWG8cPDHZ7kftVUsu7C7B89PrXvAkhK1RYdfN10rwRc9+vdRRFdlJ7o4Kp27tFeFpe+c2JQWgZH/xexkdGw6vP9z+XsaB4o5tczvmgPc7ivwA8szNYlGaUIGcpSbS9XfJNhQfoqD3BsTJO6kaqcPGAeyG6kcKoRFzxTYGBCpzFo0e2Dsm2tUd8KO9AdmusbR4d3fQ70ChrTvbqlYYjUql0Vi5om2HeRsw/Vb66aeK/Oi7BRNP+EW+fa59IdHYE28X5Ec/VpR9Cq6+SXtqg+VBzkkr5+QW1kmEeXKZZVP1U2vN29mnbC/KVgVeZrl5xVNbaNV/U/859wBgHfr5nz6RLGx8zcbh7gEAnP4FbgMAwLWZ7cI/v/7nlskZ+xQAmbAA/Xf52cydi2P/QritfHgrrQlJZDmAfZTKQrpcUBSImoXncuV2h/LiVPF/N/1lnAdSvYnU3xfnA13iOISASdbWPyEXRRICcE/y4oCPEsAuYEVC1HvJakwUqEO6+esaVb9KymcnpEWq+EJOzB5LKqRQ0SCSyIdx7GtZHwvchZ0/nBckiQ38kUD8BbtfFnwBam86U9RugRYaSRPHLIRzQZ7O2F1XxE79KBdqlsQT5bF19bgmYUTlOhgl+XNzuiBLe6kKDwDmQlF3sSikZevTx9OY5epvsOPYIS9XIjfFSupfVWewTTrMwsbNWlQYALTWHmUQ+NBIHBtm6/q0Rzl85uP+XIxR69xirAKzi3EgaxfjSfkWZyjXcFEmkTw6MvfzBCCoU69uPca4DRszzCtlSJrXIoPaDBuQJtSiU7dxA1JGBXQaldZr2BA6KZF69WQYg/TzVvTzzdDLYbGWlSc8mlZaXSqZWuWjRXGkGBw1HfTHeoml6HykdJZjBKhRxb6KbBcLTMYd9pRyFFly4JRxJAsaiEPUrXeUWuI2Iu2Mg5XMEJrsclkwJk3Naa2GuXB/+XXVj5MmMVMwL39cBvI5H531z7BqyRjH/uUvUX6GR/5u1vKntjrvnH6hB1mITvbz7Km1OUkTs6hH8M8FjxTibrA7U6kBc3tRVBnvN3IiiiyLAcHsFc+p/fzogjGWGvHfhA2r2GwoGvu8FblGzCmvUbFbw+JVhkf6wyAG' }
+];
@@ -0,0 +1,190 @@
+// src/export.js
+// Diagram export helpers.
+// - Self-contained SVG snapshot of `svg-root`: font subsets (export-fonts.js), background
+//   and a date caption inlined
+// - PNG rasterization at a chosen scale
+// - Time-lapse packaging: an uncompressed zip of PNG frames or a WebM via MediaRecorder
+
+import { EXPORT_FONTS } from './export-fonts.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// The embedded faces come first, so every glyph the diagram draws renders from the file
+// itself; the symbols face fills in what the sans face lacks
+export const EXPORT_STYLE = `
+${EXPORT_FONTS.map(f => `  @font-face { font-family: '${f.family}'; font-weight: ${f.weight}; src: url(data:font/woff2;base64,${f.woff2}) format('woff2'); }`).join('\n')}
+  text { font-family: 'Orrery Export Sans', 'Orrery Export Symbols', sans-serif; }
+  .export-caption { font-family: 'Orrery Export Mono', monospace; font-size: 13px; font-weight: 700; fill: #64748b; }
+`;
+
+/**
+ * Serialize an SVG element into a standalone document of `width` x `height` pixels with a
+ * solid background and `caption` written in the lower-left corner.
+ */
+export function serializeSVG(svg, { width, height, caption, background = '#fdfdfd' }) {
+  const clone = svg.cloneNode(true);
+  clone.removeAttribute('id');
+  // XMLSerializer writes the SVG namespace declaration itself
+  clone.setAttribute('width', width);
+  clone.setAttribute('height', height);
+  clone.setAttribute('viewBox', `0 0 ${width} ${height}`);
+
+  const style = document.createElementNS(SVG_NS, 'style');
+  style.textContent = EXPORT_STYLE;
+  const bg = document.createElementNS(SVG_NS, 'rect');
+  bg.setAttribute('width', width);
+  bg.setAttribute('height', height);
+  bg.setAttribute('fill', background);
+  clone.insertBefore(bg, clone.firstChild);
+  clone.insertBefore(style, clone.firstChild);
+
+  if (caption) {
+    const text = document.createElementNS(SVG_NS, 'text');
+    text.setAttribute('class', 'export-caption');
+    text.setAttribute('x', 16);
+    text.setAttribute('y', height - 16);
+    text.textContent = caption;
+    clone.appendChild(text);
+  }
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(clone);
+}
+
+/** Draw serialized SVG text onto a new canvas, `scale` times its pixel size. */
+export function rasterize(svgText, width, height, scale = 1) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(new Blob([svgText], { type: 'image/svg+xml' }));
+    const img = new Image();
+    img.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(width * scale);
+      canvas.height = Math.round(height * scale);
+      canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+      URL.revokeObjectURL(url);
+      resolve(canvas);
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('Could not rasterize the diagram'));
+    };
+    img.src = url;
+  });
+}
+
+export function canvasToBlob(canvas, type = 'image/png') {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Canvas export failed'))), type);
+  });
+}
+
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// 1980-01-01, the earliest date a zip entry can carry
+const DOS_DATE = (1 << 5) | 1;
+
+let crcTable = null;
+/** CRC-32 (the zip/PNG polynomial) of a Uint8Array, as an unsigned 32-bit number. */
+export function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Bundle files into a zip archive using the "stored" method. PNG frames are already
+ * compressed, so deflating them again would cost time for almost no gain.
+ * files: [{ name, data: Uint8Array }]
+ */
+export function makeZip(files) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  const central = [];
+  let offset = 0;
+  files.forEach(file => {
+    const name = encoder.encode(file.name);
+    const crc = crc32(file.data);
+    const size = file.data.length;
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true); // local file header signature
+    local.setUint16(4, 20, true); // version needed
+    local.setUint16(8, 0, true); // stored
+    local.setUint16(12, DOS_DATE, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, size, true);
+    local.setUint32(22, size, true);
+    local.setUint16(26, name.length, true);
+    parts.push(local, name, file.data);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014b50, true); // central directory signature
+    entry.setUint16(4, 20, true); // version made by
+    entry.setUint16(6, 20, true); // version needed
+    entry.setUint16(14, DOS_DATE, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, size, true);
+    entry.setUint32(24, size, true);
+    entry.setUint16(28, name.length, true);
+    entry.setUint32(42, offset, true);
+    central.push(entry, name);
+    offset += 30 + name.length + size;
+  });
+  const centralSize = central.reduce((n, part) => n + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true); // end of central directory signature
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+  return new Blob([...parts, ...central, end], { type: 'application/zip' });
+}
+
+/**
+ * WebM encoder fed one canvas at a time. Frames are pushed to a captureStream track by hand
+ * and held for 1/fps seconds of wall time so the recorder's timestamps give the right rate.
+ */
+export function createWebMRecorder(width, height, fps) {
+  if (typeof MediaRecorder === 'undefined' || !HTMLCanvasElement.prototype.captureStream) {
+    throw new Error('WebM recording is not supported in this browser');
+  }
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  const stream = canvas.captureStream(0);
+  const track = stream.getVideoTracks()[0];
+  const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+    .find(t => MediaRecorder.isTypeSupported(t));
+  const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+  const chunks = [];
+  recorder.ondataavailable = (e) => { if (e.data && e.data.size) chunks.push(e.data); };
+  recorder.start();
+  return {
+    async addFrame(source) {
+      ctx.drawImage(source, 0, 0, width, height);
+      if (track.requestFrame) track.requestFrame();
+      await new Promise(resolve => setTimeout(resolve, 1000 / fps));
+    },
+    finish() {
+      return new Promise(resolve => {
+        recorder.onstop = () => resolve(new Blob(chunks, { type: 'video/webm' }));
+        recorder.stop();
+      });
+    }
+  };
+}
@@ -0,0 +1,128 @@
+// src/inspect.js
+// Facts for the click-to-inspect info card.
+// - Heliocentric and geocentric distance and one-way light time
+// - Apparent RA/Dec (equator of date), elongation from the Sun, phase angle, illuminated
+//   fraction and visual magnitude
+// - Uses astronomy-engine when loaded, otherwise the Keplerian fallback with the standard
+//   low-precision magnitude formulas (Meeus ch. 41; Saturn's rings are left out)
+//
+// Angles are in degrees, distances in AU, RA in hours. Times are days since J2000.
+
+import { keplerHelio, moonPosition } from './kepler.js';
+import { eclipticToEquatorial } from './sky.js';
+
+const DEG = Math.PI / 180;
+export const AU_KM = 149597870.7;
+// Light travel time across one AU (days)
+export const LIGHT_DAYS_PER_AU = 499.004784 / 86400;
+
+const BODY_NAMES = {
+  sun: 'Sun', moon: 'Moon', earth: 'Earth', mercury: 'Mercury', venus: 'Venus', mars: 'Mars',
+  jupiter: 'Jupiter', saturn: 'Saturn', uranus: 'Uranus', neptune: 'Neptune', pluto: 'Pluto'
+};
+
+// Fallback magnitudes: V = H + 5 log10(r Δ) + phase terms in the phase angle i (deg)
+const MAGNITUDE = {
+  mercury: (i) => -0.42 + 0.038 * i - 0.000273 * i * i + 0.000002 * i * i * i,
+  venus: (i) => -4.4 + 0.0009 * i + 0.000239 * i * i - 0.00000065 * i * i * i,
+  mars: (i) => -1.52 + 0.016 * i,
+  jupiter: (i) => -9.4 + 0.005 * i,
+  saturn: () => -8.88,
+  uranus: () => -7.19,
+  neptune: () => -6.87,
+  pluto: () => -1
+};
+
+const length = (v) => Math.hypot(v.x, v.y, v.z || 0);
+const minus = (a, b) => ({ x: a.x - b.x, y: a.y - b.y, z: (a.z || 0) - (b.z || 0) });
+const angleBetween = (a, b) => Math.acos(Math.max(-1, Math.min(1, (a.x * b.x + a.y * b.y + (a.z || 0) * (b.z || 0)) / (length(a) * length(b))))) / DEG;
+
+// Earth has only its distance from the Sun
+const EARTH_INFO = { geoDist: null, ra: null, dec: null, elongation: null, phaseAngle: null, fraction: null, magnitude: null };
+
+function astronomyInfo(id, days, ctx) {
+  const A = ctx.astronomy;
+  const body = BODY_NAMES[id];
+  const time = A.MakeTime(new Date(ctx.epoch + days * 86400000));
+  if (id === 'earth') return { ...EARTH_INFO, helioDist: A.HelioVector(body, time).Length() };
+  const geo = A.GeoVector(body, time, true);
+  const eq = A.EquatorFromVector(A.RotateVector(A.Rotation_EQJ_EQD(time), geo));
+  const illum = A.Illumination(body, time);
+  return {
+    helioDist: id === 'sun' ? null : A.HelioVector(body, time).Length(),
+    geoDist: geo.Length(),
+    ra: eq.ra,
+    dec: eq.dec,
+    elongation: id === 'sun' ? null : A.AngleFromSun(body, time),
+    phaseAngle: id === 'sun' ? null : illum.phase_angle,
+    fraction: id === 'sun' ? null : illum.phase_fraction,
+    magnitude: illum.mag
+  };
+}
+
+function keplerInfo(id, days) {
+  const earth = keplerHelio('earth', days);
+  if (id === 'earth') return { ...EARTH_INFO, helioDist: length(earth) };
+  const sunGeo = { x: -earth.x, y: -earth.y, z: -earth.z };
+  let geo;
+  if (id === 'sun') {
+    geo = sunGeo;
+  } else if (id === 'moon') {
+    const m = moonPosition(days);
+    const l = m.lon * DEG, b = m.lat * DEG;
+    geo = { x: m.dist * Math.cos(b) * Math.cos(l), y: m.dist * Math.cos(b) * Math.sin(l), z: m.dist * Math.sin(b) };
+  } else {
+    geo = minus(keplerHelio(id, days), earth);
+  }
+  const geoDist = length(geo);
+  const sph = { lon: Math.atan2(geo.y, geo.x) / DEG, lat: Math.asin(geo.z / geoDist) / DEG };
+  const { ra, dec } = eclipticToEquatorial(((sph.lon % 360) + 360) % 360, sph.lat);
+  const info = { helioDist: null, geoDist, ra: ra / 15, dec, elongation: null, phaseAngle: null, fraction: null, magnitude: null };
+  if (id === 'sun') {
+    info.magnitude = -26.74 + 5 * Math.log10(geoDist);
+    return info;
+  }
+  const helio = { x: geo.x - sunGeo.x, y: geo.y - sunGeo.y, z: geo.z - sunGeo.z };
+  info.helioDist = length(helio);
+  info.elongation = angleBetween(geo, sunGeo);
+  // angle Sun–body–Earth
+  info.phaseAngle = angleBetween({ x: -helio.x, y: -helio.y, z: -helio.z }, { x: -geo.x, y: -geo.y, z: -geo.z });
+  info.fraction = (1 + Math.cos(info.phaseAngle * DEG)) / 2;
+  const i = info.phaseAngle;
+  info.magnitude = id === 'moon'
+    ? -12.73 + 0.026 * i + 4e-9 * i ** 4 + 5 * Math.log10(geoDist / 0.00257)
+    : MAGNITUDE[id](i) + 5 * Math.log10(info.helioDist * geoDist);
+  return info;
+}
+
+/**
+ * Info card facts for the Sun, the Moon or a planet at `days`: { helioDist, geoDist, lightTime,
+ * ra, dec, elongation, phaseAngle, fraction, magnitude, provider } with null for what does not
+ * apply (the Sun's distance from itself, its elongation and phase; everything geocentric for
+ * Earth). lightTime is the one-way light time from the body to Earth in days. Returns null for
+ * unknown bodies.
+ * ctx: { astronomy: Astronomy|null, epoch: J2000 ms }
+ */
+export function bodyInfo(id, days, ctx) {
+  if (!BODY_NAMES[id]) return null;
+  let info = null, provider = 'kepler';
+  if (ctx.astronomy) {
+    try {
+      info = astronomyInfo(id, days, ctx);
+      provider = 'astronomy-engine';
+    } catch (err) {
+      info = null; // outside the library's range: fall back to the elements
+    }
+  }
+  if (!info) info = keplerInfo(id, days);
+  return { ...info, lightTime: info.geoDist === null ? null : info.geoDist * LIGHT_DAYS_PER_AU, provider };
+}
+
+/**
+ * RA/Dec of a lunar node: the point on the ecliptic at longitude `lon` (deg), referred to the
+ * J2000 obliquity. Returns { ra (hours), dec }.
+ */
+export function nodeInfo(lon) {
+  const { ra, dec } = eclipticToEquatorial(((lon % 360) + 360) % 360, 0);
+  return { ra: ra / 15, dec };
+}
@@ -0,0 +1,167 @@
+// src/kepler.js
+// Built-in low-precision ephemeris, used whenever astronomy-engine is missing or fails.
+// - Planets: JPL Keplerian elements and rates (Standish, "Keplerian Elements for Approximate
+//   Positions of the Major Planets", Tables 2a/2b, valid 3000 BC – AD 3000), solved with
+//   Kepler's equation into elliptical, inclined heliocentric orbits
+// - Sun and Moon: the principal periodic terms of the lunar and solar theories (~0.3°)
+//
+// Angles are in degrees, distances in AU, times in days since J2000. Coordinates are
+// heliocentric ecliptic referred to the mean equinox of date, the frame the rest of the app
+// uses for longitudes.
+
+const DEG = Math.PI / 180;
+
+// [value at J2000, rate per Julian century] for a (AU), e, I, L, long. perihelion, long. node
+// (deg); b, c, s, f are the extra mean-anomaly terms for the outer planets (Table 2b)
+export const KEPLER_ELEMENTS = {
+  mercury: {
+    a: [0.38709843, 0], e: [0.20563661, 0.00002123], I: [7.00559432, -0.00590158],
+    L: [252.25166724, 149472.67486623], peri: [77.45771895, 0.15940013], node: [48.33961819, -0.12214182]
+  },
+  venus: {
+    a: [0.72332102, -0.00000026], e: [0.00676399, -0.00005107], I: [3.39777545, 0.00043494],
+    L: [181.97970850, 58517.81560260], peri: [131.76755713, 0.05679648], node: [76.67261496, -0.27274174]
+  },
+  // Earth–Moon barycentre
+  earth: {
+    a: [1.00000018, -0.00000003], e: [0.01673163, -0.00003661], I: [-0.00054346, -0.01337178],
+    L: [100.46691572, 35999.37306329], peri: [102.93005885, 0.31795260], node: [-5.11260389, -0.24123856]
+  },
+  mars: {
+    a: [1.52371243, 0.00000097], e: [0.09336511, 0.00009149], I: [1.85181869, -0.00724757],
+    L: [-4.56813164, 19140.29934243], peri: [-23.91744784, 0.45223625], node: [49.71320984, -0.26852431]
+  },
+  jupiter: {
+    a: [5.20248019, -0.00002864], e: [0.04853590, 0.00018026], I: [1.29861416, -0.00322699],
+    L: [34.33479152, 3034.90371757], peri: [14.27495244, 0.18199196], node: [100.29282654, 0.13024619],
+    b: -0.00012452, c: 0.06064060, s: -0.35635438, f: 38.35125000
+  },
+  saturn: {
+    a: [9.54149883, -0.00003065], e: [0.05550825, -0.00032044], I: [2.49424102, 0.00451969],
+    L: [50.07571329, 1222.11494724], peri: [92.86136063, 0.54179478], node: [113.63998702, -0.25015002],
+    b: 0.00025899, c: -0.13434469, s: 0.87320147, f: 38.35125000
+  },
+  uranus: {
+    a: [19.18797948, -0.00020455], e: [0.04685740, -0.00001550], I: [0.77298127, -0.00180155],
+    L: [314.20276625, 428.49512595], peri: [172.43404441, 0.09266985], node: [73.96250215, 0.05739699],
+    b: 0.00058331, c: -0.97731848, s: 0.17689245, f: 7.67025000
+  },
+  neptune: {
+    a: [30.06952752, 0.00006447], e: [0.00895439, 0.00000818], I: [1.77005520, 0.00022400],
+    L: [304.22289287, 218.46515314], peri: [46.68158724, 0.01009938], node: [131.78635853, -0.00606302],
+    b: -0.00041348, c: 0.68346318, s: -0.10162547, f: 7.67025000
+  },
+  pluto: {
+    a: [39.48686035, 0.00449751], e: [0.24885238, 0.00006016], I: [17.14104260, 0.00000501],
+    L: [238.96535011, 145.18042903], peri: [224.09702598, -0.00968827], node: [110.30167986, -0.00809981],
+    b: -0.01262724
+  }
+};
+
+// Range the elements were fitted over, in days since J2000 (3000 BC to AD 3000)
+export const KEPLER_RANGE = {
+  from: (Date.UTC(-2999, 0, 1) - Date.UTC(2000, 0, 1, 12)) / 86400000,
+  to: (Date.UTC(3000, 0, 1) - Date.UTC(2000, 0, 1, 12)) / 86400000
+};
+
+// General precession in longitude (deg per Julian century), J2000 ecliptic -> equinox of date
+const PRECESSION_RATE = 1.396971;
+
+/** General precession in longitude (deg) accumulated between J2000 and `days`. */
+export function precessionInLongitude(days) {
+  return PRECESSION_RATE * (days / 36525);
+}
+
+function normDeg(a) { return ((a % 360) + 360) % 360; }
+
+// Eccentric anomaly (rad) for mean anomaly M (rad), Newton iteration on E - e sin E = M
+export function solveKepler(M, e) {
+  let E = M + e * Math.sin(M);
+  for (let i = 0; i < 30; i++) {
+    const dE = (E - e * Math.sin(E) - M) / (1 - e * Math.cos(E));
+    E -= dE;
+    if (Math.abs(dE) < 1e-12) break;
+  }
+  return E;
+}
+
+/** Osculating-style elements of a planet at `days`: { a, e, I, L, peri, node, M } (deg, AU). */
+export function elementsAt(id, days) {
+  const el = KEPLER_ELEMENTS[id];
+  if (!el) return null;
+  const T = days / 36525;
+  const at = ([v, rate]) => v + rate * T;
+  const out = { a: at(el.a), e: at(el.e), I: at(el.I), L: at(el.L), peri: at(el.peri), node: at(el.node) };
+  let M = out.L - out.peri;
+  if (el.b) M += el.b * T * T;
+  if (el.f) M += el.c * Math.cos(el.f * T * DEG) + el.s * Math.sin(el.f * T * DEG);
+  out.M = M;
+  return out;
+}
+
+/**
+ * Heliocentric ecliptic position (AU) of a planet at `days`, mean equinox of date.
+ * Returns null for bodies without elements.
+ */
+export function keplerHelio(id, days) {
+  const el = elementsAt(id, days);
+  if (!el) return null;
+  const e = el.e;
+  const E = solveKepler(normDeg(el.M + 180) * DEG - Math.PI, e);
+  // position in the orbital plane, perihelion on +x
+  const xp = el.a * (Math.cos(E) - e);
+  const yp = el.a * Math.sqrt(1 - e * e) * Math.sin(E);
+  const w = (el.peri - el.node) * DEG, O = el.node * DEG, I = el.I * DEG;
+  const cw = Math.cos(w), sw = Math.sin(w), cO = Math.cos(O), sO = Math.sin(O), cI = Math.cos(I), sI = Math.sin(I);
+  const x = (cw * cO - sw * sO * cI) * xp + (-sw * cO - cw * sO * cI) * yp;
+  const y = (cw * sO + sw * cO * cI) * xp + (-sw * sO + cw * cO * cI) * yp;
+  const z = (sw * sI) * xp + (cw * sI) * yp;
+  // the elements are referred to the J2000 ecliptic and equinox; precess the longitude
+  const p = precessionInLongitude(days) * DEG;
+  return { x: x * Math.cos(p) - y * Math.sin(p), y: x * Math.sin(p) + y * Math.cos(p), z };
+}
+
+// Fundamental lunar and solar arguments (deg)
+function arguments_(days) {
+  const T = days / 36525;
+  return {
+    L: 218.3165 + 481267.8813 * T, // Moon's mean longitude
+    D: 297.8502 + 445267.1115 * T, // mean elongation
+    M: 357.5291 + 35999.0503 * T, // Sun's mean anomaly
+    Mm: 134.9634 + 477198.8676 * T, // Moon's mean anomaly
+    F: 93.2721 + 483202.0175 * T // Moon's argument of latitude
+  };
+}
+
+const sin = (deg) => Math.sin(deg * DEG);
+const AU_KM = 149597870.7;
+
+/** Geocentric ecliptic longitude of the Sun (deg, equinox of date). */
+export function sunLongitude(days) {
+  const { M } = arguments_(days);
+  return normDeg(280.4665 + 0.98564736 * days + 1.9148 * sin(M) + 0.0200 * sin(2 * M));
+}
+
+/**
+ * Geocentric ecliptic longitude and latitude of the Moon and the longitude of its true
+ * ascending node (deg, equinox of date), plus its distance (AU), from the largest periodic terms.
+ */
+export function moonPosition(days) {
+  const { L, D, M, Mm, F } = arguments_(days);
+  const lon = L
+    + 6.289 * sin(Mm) + 1.274 * sin(2 * D - Mm) + 0.658 * sin(2 * D) + 0.214 * sin(2 * Mm)
+    - 0.186 * sin(M) - 0.114 * sin(2 * F) + 0.059 * sin(2 * D - 2 * Mm) + 0.057 * sin(2 * D - M - Mm)
+    + 0.053 * sin(2 * D + Mm) + 0.046 * sin(2 * D - M) - 0.041 * sin(M - Mm) - 0.035 * sin(D)
+    - 0.030 * sin(M + Mm);
+  const lat = 5.128 * sin(F) + 0.281 * sin(Mm + F) + 0.278 * sin(Mm - F) + 0.173 * sin(2 * D - F)
+    + 0.055 * sin(2 * D - Mm + F) + 0.046 * sin(2 * D - Mm - F);
+  const node = 125.0445 - 0.05295381 * days
+    - 1.4979 * sin(2 * D - 2 * F) - 0.1500 * sin(M) - 0.1226 * sin(2 * D)
+    + 0.1176 * sin(2 * F) - 0.0801 * sin(2 * Mm - 2 * F);
+  const cos = (deg) => Math.cos(deg * DEG);
+  const km = 385000.56 - 20905.355 * cos(Mm) - 3699.111 * cos(2 * D - Mm) - 2955.968 * cos(2 * D)
+    - 569.925 * cos(2 * Mm) + 48.888 * cos(M) - 3.149 * cos(2 * F) + 246.158 * cos(2 * D - 2 * Mm)
+    - 152.138 * cos(2 * D - M - Mm) - 170.733 * cos(2 * D + Mm) - 204.586 * cos(2 * D - M)
+    - 129.62 * cos(M - Mm) + 108.743 * cos(D) + 104.755 * cos(M + Mm);
+  return { lon: normDeg(lon), lat, node: normDeg(node), dist: km / AU_KM };
+}
@@ -0,0 +1,132 @@
+// src/permalink.js
+// URL-hash encoding of the view state for shareable links and browser history.
+// - Readable `key=value` pairs; the date is ISO 8601 when JavaScript can represent it,
+//   otherwise raw days since J2000
+// - Decoding validates every field and drops anything malformed instead of throwing
+
+import { isTimeZone, CALENDARS } from './engine.js';
+
+const VIEWS = ['helio', 'geo', 'horizon'];
+const SCALES = ['au', 'log', 'schematic'];
+const RENDERERS = ['svg', 'canvas'];
+const ZODIAC_MODES = ['tropical', 'sidereal', 'iau'];
+// Sidereal ayanamsa id; the app checks it against its own list
+const AYANAMSA_RE = /^[a-z-]+$/;
+// Followed body: a body id; the app checks it against its own body list
+const FOLLOW_RE = /^[a-z]+$/;
+const ASPECT_SETS = ['off', 'major', 'all'];
+const HOUSE_SYSTEMS = ['placidus', 'koch', 'porphyry', 'equal', 'whole-sign'];
+// Older links carry `speed` instead of `rate`: the clock then moved speed / 1000 days per
+// animation frame, which at 60 frames a second is this many days per second per unit
+const LEGACY_SPEED_RATE = 60 / 1000;
+// One changed aspect orb, `id:degrees`; the app checks the id and the range
+const ORB_RE = /^([a-z]+):(\d+(\.\d+)?)$/;
+
+function clamp(v, min, max) { return Math.min(max, Math.max(min, v)); }
+
+function num(params, key) {
+  if (!params.has(key)) return undefined;
+  const v = parseFloat(params.get(key));
+  return isFinite(v) ? v : undefined;
+}
+
+function round(v, digits) { return Number(v.toFixed(digits)).toString(); }
+
+/**
+ * snapshot: { days, view, scale, timeZone, calendar, follow, zoom, pos: { x, y }, rate, direction, realtime,
+ * observer: { lat, lon, elev }, orbits, trails, labels, trailWindow, renderer, zodiac, ayanamsa, aspects,
+ * orbs: { [aspect id]: deg }, chart, houses } — returns the hash body (without '#').
+ */
+export function encodePermalink(snapshot, epoch) {
+  const params = new URLSearchParams();
+  const ms = epoch + snapshot.days * 86400000;
+  const date = new Date(ms);
+  params.set('t', isNaN(date.getTime()) ? round(snapshot.days, 6) : date.toISOString());
+  params.set('view', snapshot.view);
+  if (snapshot.scale) params.set('scale', snapshot.scale);
+  if (snapshot.timeZone) params.set('tz', snapshot.timeZone);
+  if (snapshot.calendar) params.set('cal', snapshot.calendar);
+  if (snapshot.follow) params.set('follow', snapshot.follow);
+  params.set('zoom', round(snapshot.zoom, 6));
+  params.set('x', round(snapshot.pos.x, 1));
+  params.set('y', round(snapshot.pos.y, 1));
+  params.set('rate', String(Number(snapshot.rate.toPrecision(6))));
+  params.set('dir', String(snapshot.direction));
+  if (snapshot.realtime) params.set('live', '1');
+  params.set('lat', round(snapshot.observer.lat, 4));
+  params.set('lon', round(snapshot.observer.lon, 4));
+  params.set('elev', round(snapshot.observer.elev, 0));
+  params.set('orbits', snapshot.orbits ? '1' : '0');
+  params.set('trails', snapshot.trails ? '1' : '0');
+  params.set('labels', snapshot.labels ? '1' : '0');
+  if (snapshot.trailWindow) params.set('span', round(snapshot.trailWindow, 6));
+  if (snapshot.renderer) params.set('renderer', snapshot.renderer);
+  if (snapshot.zodiac) params.set('zodiac', snapshot.zodiac);
+  if (snapshot.ayanamsa) params.set('ayanamsa', snapshot.ayanamsa);
+  if (snapshot.aspects) params.set('aspects', snapshot.aspects);
+  const orbs = Object.entries(snapshot.orbs || {});
+  if (orbs.length) params.set('orbs', orbs.map(([id, v]) => `${id}:${round(v, 2)}`).join(','));
+  if (snapshot.chart !== undefined) params.set('chart', snapshot.chart ? '1' : '0');
+  if (snapshot.houses) params.set('houses', snapshot.houses);
+  // keep ISO timestamps readable: ':' is legal in a fragment
+  return params.toString().replace(/%3A/g, ':');
+}
+
+/**
+ * Parse a location hash back into a partial snapshot. Only fields that are present and valid
+ * are returned, so callers can merge the result over their current state.
+ */
+export function decodePermalink(hash, epoch) {
+  const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+  const out = {};
+  if (params.has('t')) {
+    const raw = params.get('t');
+    const days = /^[+-]?\d+(\.\d+)?$/.test(raw) ? parseFloat(raw) : (Date.parse(raw) - epoch) / 86400000;
+    if (isFinite(days)) out.days = days;
+  }
+  if (VIEWS.includes(params.get('view'))) out.view = params.get('view');
+  if (SCALES.includes(params.get('scale'))) out.scale = params.get('scale');
+  if (RENDERERS.includes(params.get('renderer'))) out.renderer = params.get('renderer');
+  if (ZODIAC_MODES.includes(params.get('zodiac'))) out.zodiac = params.get('zodiac');
+  if (AYANAMSA_RE.test(params.get('ayanamsa') || '')) out.ayanamsa = params.get('ayanamsa');
+  if (ASPECT_SETS.includes(params.get('aspects'))) out.aspects = params.get('aspects');
+  if (params.has('orbs')) {
+    const orbs = {};
+    params.get('orbs').split(',').forEach(part => {
+      const m = ORB_RE.exec(part);
+      if (m) orbs[m[1]] = parseFloat(m[2]);
+    });
+    if (Object.keys(orbs).length) out.orbs = orbs;
+  }
+  // HUD time zone: 'UTC', the browser's 'local' zone or a '±hh:mm' offset up to ±14:00
+  if (params.has('tz') && isTimeZone(params.get('tz'))) out.timeZone = params.get('tz');
+  if (CALENDARS.includes(params.get('cal'))) out.calendar = params.get('cal');
+  if (FOLLOW_RE.test(params.get('follow') || '')) out.follow = params.get('follow');
+  const zoom = num(params, 'zoom');
+  if (zoom !== undefined && zoom > 0) out.zoom = clamp(zoom, 0.0001, 10);
+  const x = num(params, 'x'), y = num(params, 'y');
+  if (x !== undefined && y !== undefined) out.pos = { x, y };
+  // simulated days per second, up to a century per second (RATE_MAX in engine.js)
+  const rate = num(params, 'rate');
+  const speed = num(params, 'speed');
+  if (rate !== undefined) out.rate = clamp(rate, 0, 36525);
+  else if (speed !== undefined) out.rate = clamp(speed * LEGACY_SPEED_RATE, 0, 36525);
+  const dir = num(params, 'dir');
+  if (dir === 1 || dir === -1) out.direction = dir;
+  const lat = num(params, 'lat'), lon = num(params, 'lon'), elev = num(params, 'elev');
+  if (lat !== undefined || lon !== undefined || elev !== undefined) {
+    out.observer = {};
+    if (lat !== undefined) out.observer.lat = clamp(lat, -90, 90);
+    if (lon !== undefined) out.observer.lon = clamp(lon, -180, 180);
+    if (elev !== undefined) out.observer.elev = clamp(elev, -500, 10000);
+  }
+  if (params.get('live') === '1') out.realtime = true;
+  if (HOUSE_SYSTEMS.includes(params.get('houses'))) out.houses = params.get('houses');
+  ['orbits', 'trails', 'labels', 'chart'].forEach(key => {
+    if (params.get(key) === '1' || params.get(key) === '0') out[key] = params.get(key) === '1';
+  });
+  // trail window in days either side of the clock; the app keeps only its own presets
+  const span = num(params, 'span');
+  if (span !== undefined && span > 0) out.trailWindow = span;
+  return out;
+}
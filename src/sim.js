@@ -1,81 +1,45 @@
 // src/sim.js
-// Module refactor of the original inline script.
-// - Uses element pools instead of innerHTML rebuilds
-// - Provides a pluggable ephemeris provider (fallback = linear model)
-// - Adds per-planet distance controls, label toggles, and presets
-
-const J2000 = new Date('2000-01-01T12:00:00Z').getTime();
-// Zodiac signs with their ecliptic longitude boundaries (angle between dividers varies by actual constellation width)
-const ZODIAC = [
-  { s: '♈', lon: 0 },      // Aries
-  { s: '♉', lon: 30 },     // Taurus
-  { s: '♊', lon: 60 },     // Gemini
-  { s: '♋', lon: 90 },     // Cancer
-  { s: '♌', lon: 120 },    // Leo
-  { s: '♍', lon: 150 },    // Virgo
-  { s: '♎', lon: 180 },    // Libra
-  { s: '♏', lon: 210 },    // Scorpio
-  { s: '♐', lon: 240 },    // Sagittarius
-  { s: '♑', lon: 270 },    // Capricorn
-  { s: '♒', lon: 300 },    // Aquarius
-  { s: '♓', lon: 330 }     // Pisces
-];
-const DEFAULT_PLANETS = [
-  { id: 'mercury', sym: '☿', col: '#7c7c7c', dist: 350, rate: 149472.6, long: 252.2 },
-  { id: 'venus', sym: '♀', col: '#e2da3c', dist: 700, rate: 58517.8, long: 181.9 },
-  { id: 'earth', sym: '⊕', col: '#3b82f6', dist: 1050, rate: 35999.3, long: 100.4 },
-  { id: 'mars', sym: '♂', col: '#fd0000', dist: 1400, rate: 19140.3, long: 355.4 },
-  { id: 'jupiter', sym: '♃', col: '#692c03', dist: 1750, rate: 3034.7, long: 34.4 },
-  { id: 'saturn', sym: '♄', col: '#02034b', dist: 2100, rate: 1222.4, long: 49.9 }
-];
+// Browser app: owns the live state and wires the sidebar, HUD and pointer input to it.
+// - Simulation (time model, ephemeris providers, scene geometry) lives in engine.js
+// - Drawing lives in svg-view.js and canvas-view.js; render() hands the active view one
+//   frame's worth of engine output, and loop() only asks for a frame when something on
+//   screen has changed
+// - Clicking a body opens an info card with facts from inspect.js, kept live while time runs
+// - Chart mode reads the geocentric view as a natal chart (houses from chart.js) for the
+//   clock's moment and the observer's place; charts save to and load from JSON
 
-let PLANETS = JSON.parse(JSON.stringify(DEFAULT_PLANETS));
-let state = { days: (Date.now() - J2000) / 86400000, view: 'helio', speed: 0, direction: 1, zoom: 0.25, pos: { x: 0, y: 0 }, panning: false, history: {} };
-PLANETS.forEach(p => state.history[p.id] = []); state.history.sun = [];
+import { findEvents } from './events.js';
+import { skyPositions, riseSetTable, localSiderealTime, nextRiseSet } from './sky.js';
+import { bodyInfo, nodeInfo, AU_KM } from './inspect.js';
+import { computeChart, houseOf, HOUSE_SYSTEMS, chartToJSON, parseChart } from './chart.js';
+import { encodePermalink, decodePermalink } from './permalink.js';
+import { serializeSVG, rasterize, canvasToBlob, downloadBlob, makeZip, createWebMRecorder } from './export.js';
+import { generateEphemeris, ephemerisToCSV, ephemerisToJSON, EPHEMERIS_COLUMNS, MAX_EPHEMERIS_ROWS } from './ephemeris.js';
+import {
+  J2000, DEFAULT_PLANETS, createState, daysFromMs, dateFromDays, formatUTC, parseDateField, daysFromCalendar, calendarFields,
+  calendarError, formatDate, dayStart, formatEra, zoneOffsetMinutes, formatOffset, parseTimeEntry, julianDate, julianDateTT, deltaT, formatHMS,
+  advanceClock, adjacentRatePreset, rateFromSlider, sliderFromRate, formatRate, RATE_PRESETS, STEP_UNITS, stepDays,
+  createEphemeris, createRetrogradeTracker, createOrbitTracker, createTrailTracker, radialScale, scalePositions,
+  sceneGeometry, centerBody, fitView, TRAIL_WINDOWS, zodiacRing, ZODIAC_MODES, AYANAMSAS,
+  createReadoutTracker, readoutBodies, markerLongitudes, formatZodiacPosition, normDeg,
+  findAspects, ASPECTS, ASPECT_SETS, MAX_ORB, defaultOrbs,
+  chartOrientation, orientAngle, orientPoint, orientPositions, orientZodiac
+} from './engine.js';
+import {
+  zoomAt, createPointerGesture, cameraMove, actionForKey, bodyClick, KEY_BINDINGS, ZOOM_STEP, PAN_STEP, CLICK_SLOP_PX
+} from './controls.js';
+import { createSvgView } from './svg-view.js';
+import { createCanvasView } from './canvas-view.js';
 
-// UI layer references (created dynamically if missing)
-const svgRoot = document.getElementById('svg-root');
-function ensureLayer(id, tag = 'g', parent = svgRoot) {
-  let el = document.getElementById(id);
-  if (!el) {
-    el = document.createElementNS('http://www.w3.org/2000/svg', tag);
-    el.id = id;
-    parent.appendChild(el);
-  }
-  return el;
-}
+const PLANETS = JSON.parse(JSON.stringify(DEFAULT_PLANETS));
+let state = createState(PLANETS);
 
-// create world first and attach other layers under it so transforms apply correctly
-const ui = {};
-ui.world = ensureLayer('world', 'g', svgRoot);
-// Zodiac is a SIBLING to world (not a child), so it stays fixed on screen
-ui.zodiac = ensureLayer('zodiac-layer', 'g', svgRoot);
-ui.orbits = ensureLayer('orbits-layer', 'g', ui.world);
-ui.trails = ensureLayer('trails-layer', 'g', ui.world);
-ui.markers = ensureLayer('markers-layer', 'g', ui.world);
-ui.planets = ensureLayer('planets-layer', 'g', ui.world);
-ui.sun = ensureLayer('sun-layer', 'g', ui.world);
-ui.moonSys = ensureLayer('moon-system-layer', 'g', ui.world);
-
-// Pools
-const pool = {
-  zodiacLines: [],
-  zodiacText: [],
-  orbitCircles: {},
-  planetGroups: {},
-  planetCircles: {},
-  planetTexts: {},
-  planetTitles: {},
-  trailPaths: {},
-  moonGroup: null,
-  moonElements: {},
-  markerTexts: {},
-  outerMarkers: {}
-};
-
-// marker connector lines and outer ring
-pool.markerLines = {};
-pool.outerRing = null;
+const svgRoot = document.getElementById('svg-root');
+const svgView = createSvgView(svgRoot);
+// Canvas 2D draws the same frames; the SVG view stays the source of vector exports
+const canvasView = createCanvasView(document.getElementById('canvas-root'));
+const views = { svg: svgView, canvas: canvasView };
+let activeView = svgView;
 
 // Cache frequently-used DOM elements to avoid repeated lookups
 const DOM = {
@@ -83,588 +47,736 @@ const DOM = {
   viewport: document.getElementById('viewport'),
   chkOrbits: document.getElementById('chk-orbits'),
   chkTrails: document.getElementById('chk-trails'),
+  chkStats: document.getElementById('chk-stats'),
+  rendererSelect: document.getElementById('renderer-select'),
+  perfLabel: document.getElementById('perf-label'),
+  trailWindow: document.getElementById('trail-window'),
+  zodiacSelect: document.getElementById('zodiac-select'),
+  chkRingLabels: document.getElementById('chk-ring-labels'),
+  aspectSelect: document.getElementById('aspect-select'),
+  orbFields: document.getElementById('orb-fields'),
+  aspectCaption: document.getElementById('aspect-caption'),
+  aspectTable: document.getElementById('aspect-table'),
+  posTable: document.getElementById('pos-table'),
+  infoCard: document.getElementById('info-card'),
+  infoTitle: document.getElementById('info-title'),
+  infoTable: document.getElementById('info-table'),
+  infoFollow: document.getElementById('info-follow'),
+  infoClose: document.getElementById('info-close'),
+  ayanamsaSelect: document.getElementById('ayanamsa-select'),
   vYear: document.getElementById('v-year'),
   vMonth: document.getElementById('v-month'),
   vDay: document.getElementById('v-day'),
   vHour: document.getElementById('v-hour'),
   vMin: document.getElementById('v-min'),
   vSec: document.getElementById('v-sec'),
+  vEra: document.getElementById('v-era'),
+  timeNote: document.getElementById('time-note'),
+  tzSelect: document.getElementById('tz-select'),
+  calSelect: document.getElementById('cal-select'),
+  timeEntry: document.getElementById('time-entry'),
+  btnTimeReadout: document.getElementById('btn-time-readout'),
+  timeReadout: document.getElementById('time-readout'),
   zoomLabel: document.getElementById('zoom-label'),
+  providerLabel: document.getElementById('provider-label'),
+  providerNote: document.getElementById('provider-note'),
+  rangeNote: document.getElementById('range-note'),
   statusDot: document.getElementById('status-dot'),
   statusLabel: document.getElementById('status-label'),
   speedTxt: document.getElementById('speed-txt'),
   speedSlider: document.getElementById('speed-slider'),
+  ratePreset: document.getElementById('rate-preset'),
+  stepBack: document.getElementById('step-back'),
+  stepFwd: document.getElementById('step-fwd'),
+  stepUnit: document.getElementById('step-unit'),
   btnHelio: document.getElementById('btn-helio'),
   btnGeo: document.getElementById('btn-geo'),
+  btnHorizon: document.getElementById('btn-horizon'),
+  btnChart: document.getElementById('btn-chart'),
+  housesSelect: document.getElementById('houses-select'),
+  chartName: document.getElementById('chart-name'),
+  chartCaption: document.getElementById('chart-caption'),
+  chartNote: document.getElementById('chart-note'),
+  chartWrap: document.getElementById('chart-wrap'),
+  chartTable: document.getElementById('chart-table'),
+  btnChartSave: document.getElementById('btn-chart-save'),
+  btnChartLoad: document.getElementById('btn-chart-load'),
+  chartFile: document.getElementById('chart-file'),
+  followSelect: document.getElementById('follow-select'),
+  btnScaleAu: document.getElementById('btn-scale-au'),
+  btnScaleLog: document.getElementById('btn-scale-log'),
+  btnScaleSchematic: document.getElementById('btn-scale-schematic'),
+  obsLat: document.getElementById('obs-lat'),
+  obsLon: document.getElementById('obs-lon'),
+  obsElev: document.getElementById('obs-elev'),
   flowFwd: document.getElementById('flow-fwd'),
   flowRev: document.getElementById('flow-rev'),
   btnSync: document.getElementById('btn-sync'),
   btnReset: document.getElementById('btn-reset'),
+  btnCopyLink: document.getElementById('btn-copy-link'),
+  btnExportSvg: document.getElementById('btn-export-svg'),
+  btnExportPng: document.getElementById('btn-export-png'),
+  recStart: document.getElementById('rec-start'),
+  recEnd: document.getElementById('rec-end'),
+  recStep: document.getElementById('rec-step'),
+  exportScale: document.getElementById('export-scale'),
+  recFormat: document.getElementById('rec-format'),
+  recFps: document.getElementById('rec-fps'),
+  btnRecord: document.getElementById('btn-record'),
+  recStatus: document.getElementById('rec-status'),
+  ephStart: document.getElementById('eph-start'),
+  ephEnd: document.getElementById('eph-end'),
+  ephStep: document.getElementById('eph-step'),
+  ephBodies: document.getElementById('eph-bodies'),
+  btnEphGenerate: document.getElementById('btn-eph-generate'),
+  btnEphCsv: document.getElementById('btn-eph-csv'),
+  btnEphJson: document.getElementById('btn-eph-json'),
+  ephStatus: document.getElementById('eph-status'),
+  ephTable: document.getElementById('eph-table'),
+  evBody: document.getElementById('ev-body'),
+  evPrev: document.getElementById('ev-prev'),
+  evNext: document.getElementById('ev-next'),
+  evList: document.getElementById('ev-list'),
+  rsCaption: document.getElementById('rs-caption'),
+  rsTable: document.getElementById('rs-table'),
+  keyList: document.getElementById('key-list'),
   hud: document.getElementById('hud-bg')
 };
 
-let ephemerisProvider = null; // optional provider function: async (days) => positions
-
-async function tryAutoProvider() {
-  // If a global `Astronomy` (astronomy-engine) is present, wire a simple provider.
-  if (window.Astronomy) {
-    ephemerisProvider = async (days) => {
-      const date = new Date(J2000 + days * 86400000);
-      const pos = { sun: { x: 0, y: 0 } };
-      // Map simple list: Use HelioVector to get positions, which are in AU
-      try {
-        // Map planet IDs to Astronomy.Body enum values
-        const bodyMap = {
-          'mercury': 'Mercury',
-          'venus': 'Venus',
-          'earth': 'Earth',
-          'mars': 'Mars',
-          'jupiter': 'Jupiter',
-          'saturn': 'Saturn'
-        };
-        
-        // Use Earth's actual distance as scale (always ~1 AU)
-        const scale = PLANETS.find(pl => pl.id === 'earth')?.dist || 1000;
-        
-        for (const p of PLANETS) {
-          const bodyName = bodyMap[p.id];
-          if (!bodyName) continue;
-          
-          // HelioVector returns { x,y,z } in AU; convert to pixels
-          const vec = window.Astronomy.HelioVector(bodyName, date);
-          pos[p.id] = { x: vec.x * scale, y: vec.y * scale };
-        }
-        
-        // Calculate accurate moon phase from sun-moon angle as seen from Earth
-        const earthVec = window.Astronomy.HelioVector('Earth', date);
-        const moonGeo = window.Astronomy.GeoMoon(date);  // Moon relative to Earth
-        // Moon's heliocentric position
-        const moonHelo = {
-          x: earthVec.x + moonGeo.x,
-          y: earthVec.y + moonGeo.y,
-          z: earthVec.z + moonGeo.z
-        };
-        
-        // Get sun's ecliptic longitude and moon's ecliptic longitude as seen from Earth
-        const sunEcliptic = window.Astronomy.EclipticLongitude('Sun', date);
-        const moonEcliptic = window.Astronomy.EclipticLongitude('Moon', date);
-        
-        // Elongation: angle between sun and moon as seen from Earth
-        let moonPhaseAngle = moonEcliptic - sunEcliptic;
-        // Normalize to [0, 360)
-        while (moonPhaseAngle < 0) moonPhaseAngle += 360;
-        while (moonPhaseAngle >= 360) moonPhaseAngle -= 360;
-        
-        pos.moonAbsAng = (moonPhaseAngle * Math.PI / 180);
-        pos.nodeAbsAng = (-days * (360 / 6793.5)) * Math.PI / 180;
-      } catch (err) {
-        // if provider call fails, fallback to linear provider
-        console.warn('Astronomy provider failed, falling back to linear model:', err);
-        ephemerisProvider = null;
-        return linearProvider(days);
-      }
-      return pos;
-    };
+// Ephemeris: astronomy-engine when its browser build is loaded, otherwise Keplerian elements
+const ephemeris = createEphemeris(PLANETS, window.Astronomy || null);
+const retro = createRetrogradeTracker(ephemeris);
+const orbits = createOrbitTracker(ephemeris);
+const trails = createTrailTracker(ephemeris);
+const readouts = createReadoutTracker(ephemeris);
+
+// Radial distance mapping shared by planets, orbits, trails, stations and the Moon inset
+let scale = radialScale(state.scale, PLANETS);
+
+let lastPositions = null; // most recent provider output (unscaled), used to fit the view
+let lastScene = null; // most recent orbital scene, used to re-anchor the camera
+let camera = null; // eased pan onto a followed body, from cameraMove()
+
+// Orbit paths through the current scale, remapped only when the samples or the scale change
+let scaledOrbits = { paths: null, scale: null, value: {} };
+function scaledOrbitPaths(days) {
+  const paths = orbits.paths(days);
+  if (scaledOrbits.paths !== paths || scaledOrbits.scale !== scale) {
+    const value = {};
+    Object.keys(paths).forEach(id => { value[id] = paths[id].map(scale.map); });
+    scaledOrbits = { paths, scale, value };
   }
+  return scaledOrbits.value;
 }
 
-function linearProvider(days) {
-  const T = days / 36525.0;
-  const res = { sun: { x: 0, y: 0 } };
-  PLANETS.forEach(p => {
-    const a = ((p.long + p.rate * T) % 360) * Math.PI / 180;
-    res[p.id] = { x: p.dist * Math.cos(a), y: p.dist * Math.sin(a) };
-  });
+// Past/future trails through the current scale, remapped when new samples arrive
+let scaledTrails = { track: null, scale: null, value: null };
+function scaledTrailPaths(days) {
+  const track = trails.paths(days, state.trailWindow);
+  if (scaledTrails.track !== track || scaledTrails.scale !== scale) {
+    const bodies = {};
+    Object.keys(track.bodies).forEach(id => { bodies[id] = track.bodies[id].map(v => v && scale.map(v)); });
+    scaledTrails = { track, scale, value: { times: track.times, bodies, retrograde: track.retrograde, complete: track.complete } };
+  }
+  return scaledTrails.value;
+}
 
-  // outer markers layer: create a text element for each planet and additional markers
-  res.moonAbsAng = (days * (360 / 29.530588)) * Math.PI / 180;
-  res.nodeAbsAng = (-days * (360 / 6793.5)) * Math.PI / 180;
-  return res;
-}
-
-function getPositions(days) {
-  if (ephemerisProvider) return ephemerisProvider(days);
-  return Promise.resolve(linearProvider(days));
-}
-
-// Create and cache DOM elements
-function initPools() {
-  // Zodiac
-  while (ui.zodiac.firstChild) ui.zodiac.removeChild(ui.zodiac.firstChild);
-  ZODIAC.forEach((z, i) => {
-    const a = (i * 30 - 90);
-    const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
-    line.setAttribute('x1', 0); line.setAttribute('y1', 0);
-    ui.zodiac.appendChild(line);
-    pool.zodiacLines.push(line);
-    const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-    ui.zodiac.appendChild(text);
-    pool.zodiacText.push(text);
-  });
+function ephemerisContext() {
+  return ephemeris.context(state.days);
+}
 
-  // Orbits and planets
-  while (ui.orbits.firstChild) ui.orbits.removeChild(ui.orbits.firstChild);
-  while (ui.planets.firstChild) ui.planets.removeChild(ui.planets.firstChild);
-  while (ui.trails.firstChild) ui.trails.removeChild(ui.trails.firstChild);
-  PLANETS.forEach(p => {
-    const c = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-    c.setAttribute('fill', 'none');
-    ui.orbits.appendChild(c);
-    pool.orbitCircles[p.id] = c;
-
-    const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-    ui.planets.appendChild(g);
-    pool.planetGroups[p.id] = g;
-
-    const pc = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-    pc.setAttribute('r', 8);
-    pc.setAttribute('stroke', 'white');
-    g.appendChild(pc);
-    pool.planetCircles[p.id] = pc;
-
-    const pt = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-    pt.setAttribute('text-anchor', 'middle');
-    pt.setAttribute('dy', '-12');
-    g.appendChild(pt);
-    pool.planetTexts[p.id] = pt;
-
-    const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
-    g.appendChild(title);
-    pool.planetTitles[p.id] = title;
-
-    const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-    path.setAttribute('fill', 'none');
-    path.setAttribute('opacity', '0.2');
-    ui.trails.appendChild(path);
-    pool.trailPaths[p.id] = path;
-  });
+function viewportSize() {
+  const rect = activeView.element.getBoundingClientRect();
+  return { width: rect.width || 1200, height: rect.height || 800 };
+}
 
-  // outer ring and marker lines
-  // ensure markers layer is empty before creating elements
-  while (ui.markers.firstChild) ui.markers.removeChild(ui.markers.firstChild);
-
-  // create outer ring (single circle)
-  const outerRing = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-  outerRing.setAttribute('fill', 'none');
-  outerRing.setAttribute('stroke', '#cbd5e1');
-  outerRing.setAttribute('stroke-linecap', 'round');
-  outerRing.setAttribute('opacity', '0.5');
-  ui.markers.appendChild(outerRing);
-  pool.outerRing = outerRing;
-
-  // marker lines (one per planet)
-  PLANETS.forEach(p => {
-    const ln = document.createElementNS('http://www.w3.org/2000/svg', 'line');
-    ln.setAttribute('stroke', p.col);
-    ln.setAttribute('opacity', '0.15');
-    ln.setAttribute('stroke-dasharray', `${6 / state.zoom} ${6 / state.zoom}`);
-    ui.markers.appendChild(ln);
-    pool.markerLines[p.id] = ln;
+// The frame last handed to a view, { horizon, frame }, so a vector export can redraw it in SVG
+let lastDrawn = null;
+
+function paint(view, drawn) {
+  if (drawn.horizon) view.renderHorizon(drawn.frame);
+  else view.render(drawn.frame);
+}
+
+async function render() {
+  if (state.view === 'horizon') {
+    const sky = skyPositions(state.days, state.observer, ephemerisContext());
+    lastDrawn = { horizon: true, frame: { zoom: state.zoom, pan: state.pos, sky, viewport: viewportSize() } };
+    paint(activeView, lastDrawn);
+    updateHUD();
+    const raw = await ephemeris.positions(state.days);
+    updateReadouts(raw, zodiacRing(state.zodiac, state.days, state.ayanamsa));
+    updateAspectTable(currentAspects(raw));
+    updateChartPanel(null);
+    updateInfoCard();
+    return;
+  }
+  await retro.refresh(state.days);
+  const raw = await ephemeris.positions(state.days);
+  lastPositions = raw;
+  const zodiac = zodiacRing(state.zodiac, state.days, state.ayanamsa);
+  const aspects = currentAspects(raw);
+  // a chart turns the whole scene so its ascendant is on the left
+  const chart = state.chart ? currentChart(zodiac) : null;
+  const orient = chart ? chartOrientation(chart.asc) : null;
+  const pos = orientPositions(scalePositions(raw, scale), orient);
+  const showOrbits = !!(DOM.chkOrbits && DOM.chkOrbits.checked);
+  const showTrails = !!(DOM.chkTrails && DOM.chkTrails.checked);
+  const trailPaths = showTrails ? scaledTrailPaths(state.days) : null;
+  // a trail window still filling in needs another frame even if nothing else changes
+  if (trailPaths && !trailPaths.complete) requestRender();
+  // around Earth, ring labels and aspect chords read the true geocentric longitudes, so the
+  // markers they belong to go there too rather than follow the distance scale; a chart
+  // always places them so
+  const showLabels = !!(DOM.chkRingLabels && DOM.chkRingLabels.checked);
+  const trueRing = !!chart || (centerBody(state.view, state.follow) === 'earth' && (showLabels || state.aspects !== 'off'));
+  const scene = sceneGeometry(pos, state.view, PLANETS, {
+    moonRadius: scale.moonRadius,
+    orbits: showOrbits ? orientedPaths(scaledOrbitPaths(state.days), orient) : null,
+    trails: trailPaths && orient ? { ...trailPaths, bodies: orientedPaths(trailPaths.bodies, orient) } : trailPaths,
+    days: state.days,
+    follow: state.follow,
+    ringAngles: trueRing ? trueRingAngles(aspects.values, orient) : null
   });
+  lastScene = scene;
+  let markerLabels = null;
+  if (showLabels) {
+    markerLabels = {};
+    const lons = markerLongitudes(raw, state.view, PLANETS, state.follow);
+    Object.keys(lons).forEach(id => { markerLabels[id] = formatZodiacPosition(lons[id], zodiac); });
+  }
+  // chords join the ring markers only where those show geocentric longitudes
+  const aspectChords = scene.center === 'earth' ? aspects.list.map(f => {
+    const kind = ASPECTS.find(k => k.id === f.aspect);
+    const from = orientAngle(orient, aspects.values[f.a].lon), to = orientAngle(orient, aspects.values[f.b].lon);
+    return { from, to, color: kind.color, major: kind.major, exactness: f.exactness };
+  }) : null;
+  const houses = chart && {
+    cusps: chart.cusps.map(c => orientAngle(orient, c)),
+    asc: orientAngle(orient, chart.asc),
+    mc: orientAngle(orient, chart.mc)
+  };
+  lastDrawn = { horizon: false, frame: {
+    view: state.view,
+    zoom: state.zoom,
+    pan: state.pos,
+    days: state.days,
+    calendar: state.calendar,
+    scene,
+    planets: PLANETS,
+    showOrbits,
+    showTrails,
+    isRetrograde: retro.isRetrograde,
+    stations: orient
+      ? (id) => retro.stations(id, scale).map(st => ({ ...st, geo: orientPoint(orient, st.geo) }))
+      : (id) => retro.stations(id, scale),
+    viewport: viewportSize(),
+    zodiac: orientZodiac(zodiac, orient),
+    markerLabels,
+    aspectChords,
+    houses
+  } };
+  paint(activeView, lastDrawn);
+  updateHUD();
+  updateReadouts(raw, zodiac);
+  updateAspectTable(aspects);
+  updateChartPanel(chart, zodiac, aspects.values);
+  updateInfoCard();
+}
 
-  // additional connector lines for moon, nodes, and sun
-  const lnMoon = document.createElementNS('http://www.w3.org/2000/svg', 'line');
-  lnMoon.setAttribute('stroke', '#64748b'); lnMoon.setAttribute('opacity', '0.15'); lnMoon.setAttribute('stroke-dasharray', `${6 / state.zoom} ${6 / state.zoom}`);
-  ui.markers.appendChild(lnMoon); pool.markerLines.moon = lnMoon;
-  const lnNodeA = document.createElementNS('http://www.w3.org/2000/svg', 'line');
-  lnNodeA.setAttribute('stroke', '#ef4444'); lnNodeA.setAttribute('opacity', '0.15'); lnNodeA.setAttribute('stroke-dasharray', `${6 / state.zoom} ${6 / state.zoom}`);
-  ui.markers.appendChild(lnNodeA); pool.markerLines.nodeA = lnNodeA;
-  const lnNodeB = document.createElementNS('http://www.w3.org/2000/svg', 'line');
-  lnNodeB.setAttribute('stroke', '#6366f1'); lnNodeB.setAttribute('opacity', '0.15'); lnNodeB.setAttribute('stroke-dasharray', `${6 / state.zoom} ${6 / state.zoom}`);
-  ui.markers.appendChild(lnNodeB); pool.markerLines.nodeB = lnNodeB;
-  const lnSun = document.createElementNS('http://www.w3.org/2000/svg', 'line');
-  lnSun.setAttribute('stroke', '#fbbf24'); lnSun.setAttribute('opacity', '0.15'); lnSun.setAttribute('stroke-dasharray', `${6 / state.zoom} ${6 / state.zoom}`);
-  ui.markers.appendChild(lnSun); pool.markerLines.sun = lnSun;
-
-  // outer markers layer: create a text element for each planet and additional markers
-  PLANETS.forEach(p => {
-    const m = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-    ui.markers.appendChild(m);
-    pool.markerTexts[p.id] = m;
+// Point lists ({ [id]: [{ x, y } | null] }) turned with a chart, remapped once per list
+let orientedCache = new WeakMap();
+function orientedPaths(paths, orient) {
+  if (!orient) return paths;
+  const key = `${orient.turn}|${orient.mirror}`;
+  const hit = orientedCache.get(paths);
+  if (hit && hit.key === key) return hit.value;
+  const value = {};
+  Object.keys(paths).forEach(id => { value[id] = paths[id].map(v => orientPoint(orient, v)); });
+  orientedCache.set(paths, { key, value });
+  return value;
+}
+
+// Ring marker angles (radians) at the readout longitudes, for sceneGeometry's ringAngles
+function trueRingAngles(values, orient) {
+  const out = {};
+  ['sun', ...PLANETS.map(p => p.id)].forEach(id => {
+    if (values[id]) out[id] = orientAngle(orient, values[id].lon) * Math.PI / 180;
   });
-  const outerMoon = document.createElementNS('http://www.w3.org/2000/svg', 'text'); ui.markers.appendChild(outerMoon); pool.outerMarkers.moon = outerMoon;
-  const outerNodeA = document.createElementNS('http://www.w3.org/2000/svg', 'text'); ui.markers.appendChild(outerNodeA); pool.outerMarkers.nodeA = outerNodeA;
-  const outerNodeB = document.createElementNS('http://www.w3.org/2000/svg', 'text'); ui.markers.appendChild(outerNodeB); pool.outerMarkers.nodeB = outerNodeB;
-  const outerSun = document.createElementNS('http://www.w3.org/2000/svg', 'text'); ui.markers.appendChild(outerSun); pool.outerMarkers.sun = outerSun;
-
-  // Moon group (single reusable)
-  ui.moonSys.innerHTML = '';
-  const mg = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-  ui.moonSys.appendChild(mg);
-  pool.moonGroup = mg;
-  const moon = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-  mg.appendChild(moon);
-  pool.moonElements.moon = moon;
-  const orbitCircle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-  orbitCircle.setAttribute('fill', 'none');
-  mg.insertBefore(orbitCircle, moon);
-  pool.moonElements.orbit = orbitCircle;
-  const nodeA = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-  const nodeB = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-  mg.appendChild(nodeA); mg.appendChild(nodeB);
-  pool.moonElements.nodeA = nodeA; pool.moonElements.nodeB = nodeB;
-
-  // Sun
-  ui.sun.innerHTML = '';
-  const sunC = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-  const sunT = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-  ui.sun.appendChild(sunC); ui.sun.appendChild(sunT);
-  pool.sunCircle = sunC; pool.sunText = sunT;
-}
-
-function zMod(v) { return v / Math.pow(state.zoom, 0.6); }
-
-function renderZodiacOverlay(earthWorldPos, anchor) {
-  // Get viewport dimensions for fixed zodiac ring
-  const svg = DOM.svgRoot;
-  const svgRect = svg.getBoundingClientRect();
-  const viewportWidth = svgRect.width || 1200;
-  const viewportHeight = svgRect.height || 800;
-  const centerX = viewportWidth / 2;
-  const centerY = viewportHeight / 2;
-  
-  // Transform Earth's world position to screen coordinates (moves on screen)
-  const earthScreenX = state.pos.x + (earthWorldPos.x - anchor.x) * state.zoom;
-  const earthScreenY = state.pos.y + (earthWorldPos.y - anchor.y) * state.zoom;
-  
-  const zodiacScreenRadius = 350; // fixed screen-based radius
-
-  // Draw divider lines from Earth's screen position to fixed zodiac ring
-  pool.zodiacLines.forEach((line, i) => {
-    const lon = ZODIAC[i].lon; // Use actual ecliptic longitude
-    const a = (lon - 90) * Math.PI / 180; // Convert to angle
-    // Line goes from Earth's position to zodiac ring endpoint
-    line.setAttribute('x1', earthScreenX);
-    line.setAttribute('y1', earthScreenY);
-    line.setAttribute('x2', centerX + zodiacScreenRadius * Math.cos(a));
-    line.setAttribute('y2', centerY + zodiacScreenRadius * Math.sin(a));
-    line.setAttribute('stroke', '#cbd5e1');
-    line.setAttribute('stroke-width', '1.5');
-    line.setAttribute('stroke-dasharray', '10 10');
-    line.setAttribute('opacity', '0.15');
+  return out;
+}
+
+// A <th> or <td> holding `text`, with an optional class
+function tableCell(tag, text, cls) {
+  const el = document.createElement(tag);
+  el.textContent = text;
+  if (cls) el.className = cls;
+  return el;
+}
+
+// Position readout table: one row per readoutBodies() entry, built once in bindUI and
+// refreshed with every frame
+let readoutCells = null;
+
+function buildReadoutTable() {
+  if (!DOM.posTable) return;
+  const head = document.createElement('tr');
+  [['', 'eph-text'], ['ZODIAC', 'eph-text'], ['LON °'], ['LAT °'], ['DIST AU'], ['°/DAY']]
+    .forEach(([t, cls]) => head.appendChild(tableCell('th', t, cls)));
+  readoutCells = {};
+  const rows = readoutBodies(PLANETS).map(b => {
+    const tr = document.createElement('tr');
+    tr.appendChild(tableCell('td', `${b.sym} ${b.label}`, 'eph-text'));
+    const cells = { sign: tableCell('td', '—', 'eph-text'), lon: tableCell('td', '—'), lat: tableCell('td', '—'), dist: tableCell('td', '—'), speed: tableCell('td', '—') };
+    Object.values(cells).forEach(td => tr.appendChild(td));
+    readoutCells[b.id] = cells;
+    return tr;
   });
-  
-  // Draw zodiac symbols fixed on the zodiac ring (at viewport center)
-  pool.zodiacText.forEach((text, i) => {
-    const lon = ZODIAC[i].lon;
-    const nextLon = ZODIAC[(i + 1) % ZODIAC.length].lon + (i === 11 ? 360 : 0);
-    const midLon = (lon + nextLon) / 2;
-    const a = (midLon - 90) * Math.PI / 180;
-    const labelRadius = zodiacScreenRadius - 80;
-    text.textContent = ZODIAC[i].s;
-    text.setAttribute('x', centerX + labelRadius * Math.cos(a));
-    text.setAttribute('y', centerY + labelRadius * Math.sin(a));
-    text.setAttribute('fill', '#94a3b8');
-    text.setAttribute('font-size', '28');
-    text.setAttribute('font-weight', '900');
-    text.setAttribute('text-anchor', 'middle');
-    text.setAttribute('dominant-baseline', 'central');
-    text.setAttribute('opacity', '0.4');
+  DOM.posTable.replaceChildren(head, ...rows);
+}
+
+// '+1.23' / '−1.23'; values that round to zero get a plus sign
+const signed = (v, digits) => {
+  const text = Math.abs(v).toFixed(digits);
+  return `${v < 0 && Number(text) !== 0 ? '−' : '+'}${text}`;
+};
+
+// the latest readout values and the zodiac ring they were written against, for the info card
+let lastReadout = null;
+
+function updateReadouts(raw, zodiac) {
+  let values;
+  try {
+    values = readouts.at(state.days, raw, performance.now());
+  } catch (err) {
+    console.warn('Position readout failed:', err);
+    return;
+  }
+  // speeds carried over from a moment ago are sampled again once the clock settles
+  if (!readouts.exact) requestRender();
+  lastReadout = { values, zodiac };
+  if (!readoutCells) return;
+  const set = (td, text) => { if (td.textContent !== text) td.textContent = text; };
+  Object.entries(readoutCells).forEach(([id, cells]) => {
+    const r = values[id];
+    if (!r) return;
+    set(cells.sign, formatZodiacPosition(r.lon, zodiac));
+    set(cells.lon, r.lon.toFixed(3));
+    set(cells.lat, signed(r.lat, 2));
+    set(cells.dist, r.dist === null ? '—' : (r.dist < 1 ? r.dist.toPrecision(5) : r.dist.toFixed(4)));
+    set(cells.speed, `${signed(r.speed, 3)}${r.speed < 0 ? ' ℞' : ''}`);
+    cells.speed.classList.toggle('pos-retro', r.speed < 0);
   });
 }
 
-async function render() {
-  const pos = await getPositions(state.days);
-  const anchor = state.view === 'geo' ? (pos.earth || { x: 0, y: 0 }) : { x: 0, y: 0 };
-  const stroke = (1.5 / state.zoom).toString();
-
-  ui.world.setAttribute('transform', `translate(${state.pos.x}, ${state.pos.y}) scale(${state.zoom})`);
-  
-  // Render zodiac overlay with lines radiating from Earth's position
-  const earthPos = pos.earth || { x: 0, y: 0 };
-  renderZodiacOverlay(earthPos, anchor);
-  
-  // Calculate Earth's position in world coordinates (for markers ring)
-  const earthX = earthPos.x - anchor.x, earthY = earthPos.y - anchor.y;
-
-  // Orbits, planets, markers
-  PLANETS.forEach(p => {
-    const pPos = pos[p.id] || { x: 0, y: 0 };
-    const pX = pPos.x - anchor.x, pY = pPos.y - anchor.y;
-    const isCenter = state.view === 'geo' && p.id === 'earth';
-    // orbit circle
-    const oc = pool.orbitCircles[p.id];
-    if (oc) {
-      oc.setAttribute('cx', -anchor.x);
-      oc.setAttribute('cy', -anchor.y);
-      oc.setAttribute('r', p.dist);
-      oc.setAttribute('stroke', '#e2e8f0');
-      oc.setAttribute('stroke-width', stroke);
-      oc.setAttribute('fill', 'none');
-      oc.style.display = DOM.chkOrbits && DOM.chkOrbits.checked ? 'block' : 'none';
-    }
+// Aspects between the readout longitudes: found again only when the readouts or the
+// settings change, listed in a table that sorts on any column
+let aspectCache = { values: null, key: null, list: [] };
+function currentAspects(raw) {
+  let values;
+  try {
+    values = readouts.at(state.days, raw, performance.now());
+  } catch (err) {
+    return { values: {}, list: [] }; // updateReadouts() reports it
+  }
+  const key = `${state.aspects}|${JSON.stringify(state.orbs)}`;
+  if (aspectCache.values !== values || aspectCache.key !== key) {
+    const ids = readoutBodies(PLANETS).map(b => b.id);
+    aspectCache = { values, key, list: findAspects(values, ids, { set: state.aspects, orbs: state.orbs }) };
+  }
+  return aspectCache;
+}
 
-    // planet group
-    const g = pool.planetGroups[p.id];
-    if (g) {
-      g.setAttribute('transform', `translate(${pX}, ${pY})`);
-      const pc = pool.planetCircles[p.id];
-      pc.setAttribute('r', zMod(12));
-      pc.setAttribute('fill', p.col);
-      pc.setAttribute('stroke-width', (parseFloat(stroke) * 1.5).toString());
-      const pt = pool.planetTexts[p.id];
-      pt.textContent = p.sym;
-      pt.setAttribute('font-size', zMod(10));
-      pt.setAttribute('font-weight', '900');
-      pt.setAttribute('fill', '#1e293b');
-      pt.style.display = 'block';
-      g.style.display = isCenter ? 'none' : 'block';
-      pool.planetTitles[p.id].textContent = `${p.id.toUpperCase()}`;
-    }
+const formatOrb = (deg) => {
+  const minutes = Math.floor(deg * 60 + 1e-9);
+  return `${Math.floor(minutes / 60)}°${String(minutes % 60).padStart(2, '0')}′`;
+};
 
-    // trails
-    const path = pool.trailPaths[p.id];
-    if (DOM.chkTrails && DOM.chkTrails.checked) {
-      const pts = state.history[p.id];
-      if (pts && pts.length > 1) {
-        const d = pts.map((pt, i) => `${i === 0 ? 'M' : 'L'} ${pt.x} ${pt.y}`).join(' ');
-        path.setAttribute('d', d);
-        path.setAttribute('stroke', p.col);
-        path.setAttribute('stroke-width', stroke);
-        path.style.display = 'block';
-      } else {
-        path.style.display = 'none';
-      }
-    } else {
-      path.style.display = 'none';
-    }
+// Sortable columns: value() orders the rows, dir is the order a first click picks
+const ASPECT_COLUMNS = [
+  { id: 'pair', label: 'PAIR', dir: 1, value: (f, order) => order.indexOf(f.a) * 100 + order.indexOf(f.b) },
+  { id: 'aspect', label: 'ASPECT', dir: 1, value: (f) => ASPECTS.findIndex(k => k.id === f.aspect) },
+  { id: 'orb', label: 'ORB', dir: 1, value: (f) => f.orb },
+  { id: 'exact', label: 'EXACT', dir: -1, value: (f) => f.exactness },
+  { id: 'motion', label: 'A/S', dir: 1, value: (f) => (f.applying ? 0 : 1) }
+];
+let aspectSort = { column: 'exact', dir: -1 };
+let aspectTableDrawn = null;
+
+function sortAspects(column) {
+  const col = ASPECT_COLUMNS.find(c => c.id === column);
+  aspectSort = aspectSort.column === column ? { column, dir: -aspectSort.dir } : { column, dir: col.dir };
+  aspectTableDrawn = null;
+  updateAspectTable(aspectCache);
+}
+
+function updateAspectTable({ list }) {
+  const table = DOM.aspectTable;
+  const geoRing = centerBody(state.view, state.follow) === 'earth';
+  if (DOM.aspectCaption) {
+    DOM.aspectCaption.textContent = state.aspects === 'off' ? 'OFF'
+      : `${list.length} WITHIN ORB${geoRing ? '' : ' · CHORDS IN GEOCENTRIC VIEW'}`;
+  }
+  if (!table || (aspectTableDrawn && aspectTableDrawn.list === list && aspectTableDrawn.sort === aspectSort)) return;
+  aspectTableDrawn = { list, sort: aspectSort };
+  const bodies = readoutBodies(PLANETS);
+  const order = bodies.map(b => b.id);
+  const sym = (id) => bodies.find(b => b.id === id).sym;
+  const head = document.createElement('tr');
+  ASPECT_COLUMNS.forEach((c, i) => {
+    const mark = aspectSort.column === c.id ? (aspectSort.dir > 0 ? ' ▲' : ' ▼') : '';
+    const th = tableCell('th', c.label + mark, i < 2 ? 'eph-text' : null);
+    th.style.cursor = 'pointer';
+    th.title = 'Sort by this column';
+    th.onclick = () => sortAspects(c.id);
+    head.appendChild(th);
   });
+  const col = ASPECT_COLUMNS.find(c => c.id === aspectSort.column);
+  const rows = [...list]
+    .sort((x, y) => aspectSort.dir * (col.value(x, order) - col.value(y, order)) || order.indexOf(x.a) - order.indexOf(y.a))
+    .map(f => {
+      const kind = ASPECTS.find(k => k.id === f.aspect);
+      const tr = document.createElement('tr');
+      const name = tableCell('td', `${kind.sym} ${kind.label}`, 'eph-text');
+      name.style.color = kind.color;
+      const motion = tableCell('td', f.applying ? 'APP' : 'SEP');
+      motion.title = f.applying ? 'APPLYING' : 'SEPARATING';
+      tr.append(tableCell('td', `${sym(f.a)} ${sym(f.b)}`, 'eph-text'), name, tableCell('td', formatOrb(f.orb)),
+        tableCell('td', `${Math.round(f.exactness * 100)}%`), motion);
+      return tr;
+    });
+  if (!rows.length) {
+    const tr = document.createElement('tr');
+    const td = tableCell('td', state.aspects === 'off' ? 'ASPECTS OFF' : 'NONE WITHIN ORB', 'eph-text');
+    td.colSpan = ASPECT_COLUMNS.length;
+    tr.appendChild(td);
+    rows.push(tr);
+  }
+  table.replaceChildren(head, ...rows);
+}
 
-  // connector lines and outer markers will be positioned below
-
-  // Moon system
-  const ePos = pos.earth || { x: 0, y: 0 };
-  const eX = ePos.x - anchor.x, eY = ePos.y - anchor.y;
-  const mR = 120;
-  pool.moonGroup.setAttribute('transform', `translate(${eX}, ${eY})`);
-  // moon orbit circle
-  if (pool.moonElements.orbit) {
-    pool.moonElements.orbit.setAttribute('r', mR);
-    pool.moonElements.orbit.setAttribute('stroke', '#cbd5e1');
-    pool.moonElements.orbit.setAttribute('stroke-width', stroke);
-    pool.moonElements.orbit.setAttribute('stroke-dasharray', `${4 / state.zoom} ${4 / state.zoom}`);
-    pool.moonElements.orbit.setAttribute('fill', 'none');
-  }
-
-  pool.moonElements.moon.setAttribute('r', zMod(6));
-  pool.moonElements.moon.setAttribute('cx', mR * Math.cos(pos.moonAbsAng));
-  pool.moonElements.moon.setAttribute('cy', mR * Math.sin(pos.moonAbsAng));
-  pool.moonElements.nodeA.textContent = '☊';
-  pool.moonElements.nodeB.textContent = '☋';
-  pool.moonElements.nodeA.setAttribute('x', mR * Math.cos(pos.nodeAbsAng));
-  pool.moonElements.nodeA.setAttribute('y', mR * Math.sin(pos.nodeAbsAng));
-  pool.moonElements.nodeA.setAttribute('font-size', zMod(18));
-  pool.moonElements.nodeB.setAttribute('x', mR * Math.cos(pos.nodeAbsAng + Math.PI));
-  pool.moonElements.nodeB.setAttribute('y', mR * Math.sin(pos.nodeAbsAng + Math.PI));
-  pool.moonElements.nodeB.setAttribute('font-size', zMod(18));
-
-  // Sun
-  const sX = pos.sun.x - anchor.x, sY = pos.sun.y - anchor.y;
-  if (state.view === 'geo') {
-    pool.sunCircle.setAttribute('cx', sX); pool.sunCircle.setAttribute('cy', sY); pool.sunCircle.setAttribute('r', zMod(18));
-    pool.sunText.setAttribute('x', sX); pool.sunText.setAttribute('y', sY); pool.sunText.textContent = '☉';
-  } else {
-    pool.sunCircle.setAttribute('cx', 0); pool.sunCircle.setAttribute('cy', 0); pool.sunCircle.setAttribute('r', zMod(22));
-    pool.sunText.removeAttribute('x'); pool.sunText.removeAttribute('y'); pool.sunText.textContent = '☉';
-  }
-  // Outer-ring markers (planet symbols, moon, nodes, sun marker)
-  // Calculate dynamic outer ring radius based on farthest planet position
-  let maxDist = 3550; // minimum
-  PLANETS.forEach(p => {
-    const pPos = pos[p.id] || { x: 0, y: 0 };
-    const pX = pPos.x - anchor.x, pY = pPos.y - anchor.y;
-    const dist = Math.sqrt(pX * pX + pY * pY);
-    if (dist > maxDist) maxDist = dist;
+// Which aspects are found, and their orbs; only the orbs of the chosen set are offered
+let orbInputs = null;
+
+function buildOrbFields() {
+  if (!DOM.orbFields) return;
+  orbInputs = {};
+  DOM.orbFields.replaceChildren(...ASPECTS.map(k => {
+    const label = document.createElement('label');
+    label.className = 'field';
+    label.title = `${k.label} (${k.angle}°): orb in degrees, 0 to leave it out`;
+    const span = document.createElement('span');
+    span.textContent = `${k.sym} ${k.label}`;
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = '0';
+    input.max = String(MAX_ORB);
+    input.step = '0.5';
+    input.addEventListener('change', () => setAspects(state.aspects, { [k.id]: parseFloat(input.value) }));
+    label.append(span, input);
+    orbInputs[k.id] = { label, input };
+    return label;
+  }));
+}
+
+function setAspects(set, orbs = {}) {
+  if (ASPECT_SETS.some(x => x.id === set)) state.aspects = set;
+  const next = { ...state.orbs };
+  ASPECTS.forEach(k => {
+    const v = orbs[k.id];
+    if (typeof v === 'number' && isFinite(v)) next[k.id] = Math.min(MAX_ORB, Math.max(0, v));
   });
-  const outerR = Math.max(3550, maxDist * 1.15); // Scale outer ring with 15% padding
-  const outerRNode = outerR + 100;
-  // outer ring (single circle) using outerR
-  if (pool.outerRing) {
-    // In heliocentric view the outer markers ring should be fixed at world origin (sun).
-    // In geocentric view it should be centered on Earth (earthX, earthY).
-    const ringCx = state.view === 'helio' ? 0 : earthX;
-    const ringCy = state.view === 'helio' ? 0 : earthY;
-    pool.outerRing.setAttribute('cx', ringCx);
-    pool.outerRing.setAttribute('cy', ringCy);
-    pool.outerRing.setAttribute('r', outerR);
-    pool.outerRing.setAttribute('stroke-width', Math.max(1.5, parseFloat(stroke)));
-    pool.outerRing.setAttribute('stroke-dasharray', `${12 / state.zoom} ${6 / state.zoom}`);
-    pool.outerRing.setAttribute('stroke', '#cbd5e1');
-    pool.outerRing.setAttribute('opacity', '0.5');
-    pool.outerRing.style.display = 'block';
-  }
-  PLANETS.forEach(p => {
-    const pPos = pos[p.id] || { x: 0, y: 0 };
-    const pX = pPos.x - anchor.x, pY = pPos.y - anchor.y;
-    const ang = Math.atan2(pY, pX);
-    const m = pool.markerTexts[p.id];
-    const ln = pool.markerLines[p.id];
-    const isCenter = state.view === 'geo' && p.id === 'earth';
-    const mx = outerR * Math.cos(ang), my = outerR * Math.sin(ang);
-    if (m) {
-      if (isCenter) {
-        m.style.display = 'none';
-      } else {
-        m.style.display = 'block';
-        m.textContent = p.sym;
-        m.setAttribute('x', mx);
-        m.setAttribute('y', my);
-        m.setAttribute('fill', p.col);
-        m.setAttribute('font-size', zMod(36));
-        m.setAttribute('font-weight', 'bold');
-        m.setAttribute('text-anchor', 'middle');
-        m.setAttribute('alignment-baseline', 'middle');
-        m.setAttribute('opacity', '1');
-      }
-    }
-    if (ln) {
-      // line from planet position to outer marker
-      ln.setAttribute('x1', pX);
-      ln.setAttribute('y1', pY);
-      ln.setAttribute('x2', mx);
-      ln.setAttribute('y2', my);
-      ln.setAttribute('stroke-width', Math.max(0.5, parseFloat(stroke) * 0.6));
-      ln.setAttribute('stroke-dasharray', `${6 / state.zoom} ${6 / state.zoom}`);
-      ln.setAttribute('stroke', p.col);
-      ln.style.display = isCenter ? 'none' : 'block';
-    }
+  state.orbs = next;
+  if (DOM.aspectSelect) DOM.aspectSelect.value = state.aspects;
+  if (DOM.orbFields) DOM.orbFields.style.display = state.aspects === 'off' ? 'none' : '';
+  if (orbInputs) {
+    ASPECTS.forEach(k => {
+      const { label, input } = orbInputs[k.id];
+      label.style.display = k.major || state.aspects === 'all' ? '' : 'none';
+      input.value = String(state.orbs[k.id]);
+    });
+  }
+}
+
+// Orbs that differ from the defaults, for the permalink
+function changedOrbs() {
+  const defaults = defaultOrbs();
+  return Object.fromEntries(Object.entries(state.orbs).filter(([id, v]) => v !== defaults[id]));
+}
+
+// Chart mode: the geocentric view read as a natal chart for the clock's moment and the
+// observer's place. Turning it on stops the clock there; the frame buttons and following a
+// body leave it.
+let chartCache = { key: null, value: null };
+function currentChart(zodiac) {
+  const o = state.observer;
+  const key = `${state.days}|${o.lat}|${o.lon}|${state.houses}|${zodiac.origin}`;
+  if (chartCache.key !== key) chartCache = { key, value: computeChart(state.days, o, state.houses, zodiac.origin) };
+  return chartCache.value;
+}
+
+function setChart(on) {
+  if (on) {
+    setView('geo');
+    setRealtime(false);
+    setRate(0);
+  }
+  state.chart = on;
+  if (DOM.btnChart) DOM.btnChart.classList.toggle('active', on);
+  if (!on) updateChartPanel(null);
+}
+
+function setHouses(id) {
+  if (HOUSE_SYSTEMS.some(h => h.id === id)) state.houses = id;
+  if (DOM.housesSelect) DOM.housesSelect.value = state.houses;
+}
+
+function setChartNote(text) {
+  if (!DOM.chartNote) return;
+  DOM.chartNote.textContent = text || '';
+  DOM.chartNote.style.display = text ? '' : 'none';
+}
+
+// ASC, MC and the twelve cusps with the bodies in each house, redrawn when the chart changes
+let chartPanelDrawn = null;
+function updateChartPanel(chart, zodiac, values) {
+  if (DOM.chartWrap) DOM.chartWrap.style.display = chart ? '' : 'none';
+  if (!chart) {
+    chartPanelDrawn = null;
+    if (DOM.chartCaption) DOM.chartCaption.textContent = 'READS THE CLOCK AND OBSERVER AS BIRTH TIME AND PLACE';
+    return;
+  }
+  if (chartPanelDrawn && chartPanelDrawn.chart === chart && chartPanelDrawn.values === values && chartPanelDrawn.zodiac === zodiac.origin) return;
+  chartPanelDrawn = { chart, values, zodiac: zodiac.origin };
+  const obs = state.observer;
+  if (DOM.chartCaption) {
+    DOM.chartCaption.textContent = `${formatDate(state.days, state.calendar)} · ${Math.abs(obs.lat).toFixed(2)}°${obs.lat >= 0 ? 'N' : 'S'} ${Math.abs(obs.lon).toFixed(2)}°${obs.lon >= 0 ? 'E' : 'W'}`;
+  }
+  const label = (id) => HOUSE_SYSTEMS.find(h => h.id === id).label;
+  setChartNote(chart.system !== chart.houses
+    ? `${label(chart.houses)} IS UNDEFINED AT THIS LATITUDE · ${label(chart.system)} SHOWN` : '');
+  if (!DOM.chartTable) return;
+  const head = document.createElement('tr');
+  [['', 'eph-text'], ['ZODIAC', 'eph-text'], ['LON °'], ['BODIES', 'eph-text']].forEach(([t, cls]) => head.appendChild(tableCell('th', t, cls)));
+  const bodies = readoutBodies(PLANETS).filter(b => values[b.id]);
+  const row = (name, lon, members) => {
+    const tr = document.createElement('tr');
+    tr.append(tableCell('td', name, 'eph-text'), tableCell('td', formatZodiacPosition(lon, zodiac), 'eph-text'),
+      tableCell('td', lon.toFixed(2)), tableCell('td', members, 'eph-text'));
+    return tr;
+  };
+  const rows = [row('ASC', chart.asc, ''), row('MC', chart.mc, '')];
+  chart.cusps.forEach((c, i) => {
+    const members = bodies.filter(b => houseOf(values[b.id].lon, chart.cusps) === i + 1).map(b => b.sym).join(' ');
+    rows.push(row(`HOUSE ${i + 1}`, c, members));
   });
+  DOM.chartTable.replaceChildren(head, ...rows);
+}
 
-  // moon connector line (from moon world position to outer marker)
-  if (pool.markerLines.moon) {
-    const ml = pool.markerLines.moon;
-    const moonWorldX = eX + mR * Math.cos(pos.moonAbsAng);
-    const moonWorldY = eY + mR * Math.sin(pos.moonAbsAng);
-    const mx = outerR * Math.cos(pos.moonAbsAng);
-    const my = outerR * Math.sin(pos.moonAbsAng);
-    ml.setAttribute('x1', moonWorldX);
-    ml.setAttribute('y1', moonWorldY);
-    ml.setAttribute('x2', mx);
-    ml.setAttribute('y2', my);
-    ml.setAttribute('stroke-width', Math.max(0.5, parseFloat(stroke) * 0.6));
-    ml.setAttribute('stroke-dasharray', `${6 / state.zoom} ${6 / state.zoom}`);
-    ml.style.display = 'block';
-  }
-
-  // lunar nodes connector lines
-  if (pool.markerLines.nodeA && pool.markerLines.nodeB) {
-    const lnA = pool.markerLines.nodeA;
-    const lnB = pool.markerLines.nodeB;
-    // Node A
-    const nodeAx = eX + mR * Math.cos(pos.nodeAbsAng);
-    const nodeAy = eY + mR * Math.sin(pos.nodeAbsAng);
-    const nax = outerRNode * Math.cos(pos.nodeAbsAng);
-    const nay = outerRNode * Math.sin(pos.nodeAbsAng);
-    lnA.setAttribute('x1', nodeAx);
-    lnA.setAttribute('y1', nodeAy);
-    lnA.setAttribute('x2', nax);
-    lnA.setAttribute('y2', nay);
-    lnA.setAttribute('stroke-width', Math.max(0.5, parseFloat(stroke) * 0.6));
-    lnA.setAttribute('stroke-dasharray', `${6 / state.zoom} ${6 / state.zoom}`);
-    lnA.style.display = 'block';
-    // Node B
-    const nodeBx = eX + mR * Math.cos(pos.nodeAbsAng + Math.PI);
-    const nodeBy = eY + mR * Math.sin(pos.nodeAbsAng + Math.PI);
-    const nbx = outerRNode * Math.cos(pos.nodeAbsAng + Math.PI);
-    const nby = outerRNode * Math.sin(pos.nodeAbsAng + Math.PI);
-    lnB.setAttribute('x1', nodeBx);
-    lnB.setAttribute('y1', nodeBy);
-    lnB.setAttribute('x2', nbx);
-    lnB.setAttribute('y2', nby);
-    lnB.setAttribute('stroke-width', Math.max(0.5, parseFloat(stroke) * 0.6));
-    lnB.setAttribute('stroke-dasharray', `${6 / state.zoom} ${6 / state.zoom}`);
-    lnB.style.display = 'block';
-  }
-
-  // sun connector line (only show in geocentric view)
-  if (pool.markerLines.sun) {
-    const lSun = pool.markerLines.sun;
-    if (state.view === 'geo') {
-      const sAng = Math.atan2(sY, sX);
-      const sx = sX;
-      const sy = sY;
-      const mx = outerR * Math.cos(sAng);
-      const my = outerR * Math.sin(sAng);
-      lSun.setAttribute('x1', sx);
-      lSun.setAttribute('y1', sy);
-      lSun.setAttribute('x2', mx);
-      lSun.setAttribute('y2', my);
-      lSun.setAttribute('stroke-width', Math.max(0.5, parseFloat(stroke) * 0.6));
-      lSun.setAttribute('stroke-dasharray', `${6 / state.zoom} ${6 / state.zoom}`);
-      lSun.style.display = 'block';
-    } else {
-      lSun.style.display = 'none';
-    }
+function saveChart() {
+  const zodiac = zodiacRing(state.zodiac, state.days, state.ayanamsa);
+  const bodies = {};
+  if (lastReadout) Object.entries(lastReadout.values).forEach(([id, r]) => { bodies[id] = r.lon; });
+  const name = DOM.chartName ? DOM.chartName.value.trim() : '';
+  const text = chartToJSON({
+    name,
+    days: state.days,
+    timeZone: state.timeZone,
+    calendar: state.calendar,
+    observer: state.observer,
+    houses: state.houses,
+    zodiac: state.zodiac,
+    ayanamsa: state.ayanamsa,
+    result: currentChart(zodiac),
+    bodies
+  }, J2000);
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  downloadBlob(new Blob([text], { type: 'application/json' }), slug ? `chart-${slug}.json` : exportFilename('json').replace(/^orrery-/, 'chart-'));
+}
+
+async function loadChart(file) {
+  let chart;
+  try {
+    chart = parseChart(await file.text(), J2000);
+  } catch (err) {
+    setChartNote(`CAN'T LOAD ${file.name.toUpperCase()}: ${err.message.toUpperCase()}`);
+    return;
   }
+  setChartNote('');
+  if (DOM.chartName) DOM.chartName.value = chart.name;
+  historyStep(() => applySnapshot({ ...chart, chart: true }));
+}
 
-  if (pool.outerMarkers.moon) {
-    pool.outerMarkers.moon.textContent = '☾';
-    pool.outerMarkers.moon.setAttribute('x', outerR * Math.cos(pos.moonAbsAng));
-    pool.outerMarkers.moon.setAttribute('y', outerR * Math.sin(pos.moonAbsAng));
-    pool.outerMarkers.moon.setAttribute('fill', '#64748b');
-    pool.outerMarkers.moon.setAttribute('font-size', zMod(30));
-    pool.outerMarkers.moon.setAttribute('text-anchor', 'middle');
-    pool.outerMarkers.moon.setAttribute('alignment-baseline', 'middle');
-  }
-  if (pool.outerMarkers.nodeA && pool.outerMarkers.nodeB) {
-    pool.outerMarkers.nodeA.textContent = '☊';
-    pool.outerMarkers.nodeA.setAttribute('x', outerRNode * Math.cos(pos.nodeAbsAng));
-    pool.outerMarkers.nodeA.setAttribute('y', outerRNode * Math.sin(pos.nodeAbsAng));
-    pool.outerMarkers.nodeA.setAttribute('fill', '#ef4444');
-    pool.outerMarkers.nodeA.setAttribute('font-size', zMod(24));
-    pool.outerMarkers.nodeA.setAttribute('text-anchor', 'middle');
-    pool.outerMarkers.nodeA.setAttribute('alignment-baseline', 'middle');
-
-    pool.outerMarkers.nodeB.textContent = '☋';
-    pool.outerMarkers.nodeB.setAttribute('x', outerRNode * Math.cos(pos.nodeAbsAng + Math.PI));
-    pool.outerMarkers.nodeB.setAttribute('y', outerRNode * Math.sin(pos.nodeAbsAng + Math.PI));
-    pool.outerMarkers.nodeB.setAttribute('fill', '#6366f1');
-    pool.outerMarkers.nodeB.setAttribute('font-size', zMod(24));
-    pool.outerMarkers.nodeB.setAttribute('text-anchor', 'middle');
-    pool.outerMarkers.nodeB.setAttribute('alignment-baseline', 'middle');
-  }
-  if (pool.outerMarkers.sun) {
-    if (state.view === 'geo') {
-      const sAng = Math.atan2(sY, sX);
-      pool.outerMarkers.sun.textContent = '☉';
-      pool.outerMarkers.sun.setAttribute('x', outerR * Math.cos(sAng));
-      pool.outerMarkers.sun.setAttribute('y', outerR * Math.sin(sAng));
-      pool.outerMarkers.sun.setAttribute('fill', '#fbbf24');
-      pool.outerMarkers.sun.setAttribute('font-size', zMod(36));
-      pool.outerMarkers.sun.setAttribute('text-anchor', 'middle');
-      pool.outerMarkers.sun.setAttribute('alignment-baseline', 'middle');
-      pool.outerMarkers.sun.style.display = 'block';
-    } else {
-      pool.outerMarkers.sun.style.display = 'none';
+// Info card: what inspect.js knows about one body (a planet, the Sun, the Moon or a lunar
+// node), refreshed with every frame. Rows that do not apply to the body are hidden.
+let inspected = null; // id of the body on the card, or null when it is closed
+let infoCells = null;
+const INFO_ROWS = [
+  ['zodiac', 'ZODIAC'], ['helio', 'FROM SUN'], ['geo', 'FROM EARTH'], ['light', 'LIGHT TIME'],
+  ['ra', 'RA'], ['dec', 'DEC'], ['elongation', 'ELONGATION'], ['phase', 'PHASE ANGLE'],
+  ['fraction', 'ILLUMINATED'], ['magnitude', 'MAGNITUDE'], ['rise', 'NEXT RISE'], ['set', 'NEXT SET']
+];
+
+function buildInfoCard() {
+  if (!DOM.infoTable) return;
+  infoCells = {};
+  DOM.infoTable.replaceChildren(...INFO_ROWS.map(([key, label]) => {
+    const tr = document.createElement('tr');
+    const th = document.createElement('th');
+    th.textContent = label;
+    const td = document.createElement('td');
+    tr.append(th, td);
+    infoCells[key] = { tr, td, value: null, label: null };
+    return tr;
+  }));
+  if (DOM.infoClose) DOM.infoClose.onclick = closeInfo;
+  if (DOM.infoCard) DOM.infoCard.addEventListener('wheel', (e) => e.stopPropagation());
+  if (DOM.infoFollow) {
+    DOM.infoFollow.onclick = () => {
+      const id = inspected;
+      historyStep(() => setFollow(state.follow === id ? null : id));
+    };
+  }
+}
+
+function bodyLabel(id) {
+  const b = readoutBodies(PLANETS).find(x => x.id === id) || PLANETS.find(p => p.id === id);
+  return b ? `${b.sym} ${b.label || b.id.toUpperCase()}` : id.toUpperCase();
+}
+
+function openInfo(id) {
+  inspected = id;
+  riseSetInfo = null;
+  if (DOM.infoTitle) DOM.infoTitle.textContent = bodyLabel(id);
+  if (DOM.infoCard) DOM.infoCard.style.display = '';
+  requestRender();
+}
+
+function closeInfo() {
+  inspected = null;
+  if (DOM.infoCard) DOM.infoCard.style.display = 'none';
+}
+
+const pad2 = (v) => String(v).padStart(2, '0');
+
+function formatDistance(au) {
+  return `${au.toFixed(au < 0.1 ? 6 : 4)} AU · ${Math.round(au * AU_KM).toLocaleString('en-US')} KM`;
+}
+
+function formatLightTime(days) {
+  const s = days * 86400;
+  if (s < 60) return `${s.toFixed(2)} S`;
+  if (s < 3600) return `${Math.floor(s / 60)} MIN ${pad2(Math.round(s % 60) % 60)} S`;
+  return `${Math.floor(s / 3600)} H ${pad2(Math.floor(s / 60) % 60)} MIN`;
+}
+
+// ±d°mm′ss″
+function formatDMS(deg) {
+  const s = Math.round(Math.abs(deg) * 3600);
+  return `${deg < 0 && s ? '−' : '+'}${Math.floor(s / 3600)}°${pad2(Math.floor(s / 60) % 60)}′${pad2(s % 60)}″`;
+}
+
+// Next rise and set on the card: searched again once the clock passes either of them (or
+// a day goes by), at most four times a second while the clock runs fast
+let riseSetInfo = null; // { key, from, at, value }
+function infoRiseSet(id) {
+  const obs = state.observer;
+  const key = `${id}|${obs.lat}|${obs.lon}|${obs.elev}`;
+  const c = riseSetInfo;
+  if (c && c.key === key) {
+    const until = Math.min(c.from + 1, ...[c.value.rise, c.value.set].filter(v => v !== null));
+    if (state.days >= c.from && state.days < until) return c.value;
+    if (performance.now() - c.at < 250) {
+      requestRender();
+      return c.value;
     }
   }
+  let value;
+  try {
+    value = nextRiseSet(id, state.days, obs, ephemerisContext());
+  } catch (err) {
+    console.warn('Rise/set search failed:', err);
+    value = { rise: null, set: null, status: null };
+  }
+  riseSetInfo = { key, from: state.days, at: performance.now(), value };
+  return value;
+}
 
-  // update history
-  Object.keys(pos).filter(k => typeof pos[k] === 'object').forEach(id => {
-    if (state.history[id]) {
-      state.history[id].push({ x: pos[id].x - anchor.x, y: pos[id].y - anchor.y });
-      if (state.history[id].length > 200) state.history[id].shift();
+function updateInfoCard() {
+  if (!inspected || !infoCells) return;
+  const id = inspected;
+  const node = id === 'north-node' || id === 'south-node';
+  const readout = lastReadout && lastReadout.values[id];
+  const info = node ? (readout ? nodeInfo(readout.lon) : {}) : bodyInfo(id, state.days, ephemerisContext());
+  if (!info) return;
+  const text = {};
+  if (readout) text.zodiac = `${formatZodiacPosition(readout.lon, lastReadout.zodiac)} · ${readout.lon.toFixed(3)}°`;
+  if (info.helioDist != null) text.helio = formatDistance(info.helioDist);
+  if (info.geoDist != null) text.geo = formatDistance(info.geoDist);
+  if (info.lightTime != null) text.light = formatLightTime(info.lightTime);
+  if (info.ra != null) text.ra = formatHMS(info.ra);
+  if (info.dec != null) text.dec = formatDMS(info.dec);
+  if (info.elongation != null) {
+    // east of the Sun is an evening sky, west a morning one
+    const sun = lastReadout && lastReadout.values.sun;
+    const side = readout && sun ? (normDeg(readout.lon - sun.lon) < 180 ? ' E' : ' W') : '';
+    text.elongation = `${info.elongation.toFixed(1)}°${side}`;
+  }
+  if (info.phaseAngle != null) text.phase = `${info.phaseAngle.toFixed(1)}°`;
+  if (info.fraction != null) text.fraction = `${(info.fraction * 100).toFixed(1)} %`;
+  if (info.magnitude != null) text.magnitude = signed(info.magnitude, 2);
+  if (!node && id !== 'earth') {
+    const rs = infoRiseSet(id);
+    const status = rs.status && RISE_SET_STATUS[id === 'sun' ? 'sun' : 'other'][rs.status];
+    text.rise = rs.rise ?? status ?? '—';
+    text.set = rs.set ?? '—';
+  }
+  Object.entries(infoCells).forEach(([key, cell]) => {
+    const value = text[key] ?? null;
+    cell.tr.style.display = value === null ? 'none' : '';
+    // times read in the HUD's zone and calendar, so switching either redraws them
+    const label = typeof value === 'number' ? formatDate(value, state.calendar, state.timeZone) : value;
+    if (value === cell.value && label === cell.label) return;
+    cell.value = value;
+    cell.label = label;
+    if (typeof value === 'number') {
+      // rise and set times jump the clock there, as in the rise/set table
+      const btn = document.createElement('button');
+      btn.className = 'time-link';
+      btn.textContent = label;
+      btn.onclick = () => jumpToDays(value);
+      cell.td.replaceChildren(btn);
+    } else {
+      cell.td.textContent = value ?? '';
     }
   });
-
-  updateHUD();
+  if (DOM.infoFollow) {
+    const followable = FOLLOW_TARGETS.includes(id) && state.view !== 'horizon';
+    DOM.infoFollow.style.display = followable ? '' : 'none';
+    const label = state.follow === id ? 'STOP FOLLOWING' : `FOLLOW ${bodyLabel(id)}`;
+    if (DOM.infoFollow.textContent !== label) DOM.infoFollow.textContent = label;
+  }
 }
 
 function updateHUD() {
-  const ms = J2000 + state.days * 86400000;
-  const d = new Date(ms);
+  const f = calendarFields(state.days, { zone: state.timeZone, calendar: state.calendar });
+  // a field being typed into keeps the user's text
   const active = document.activeElement;
-  const y = d.getUTCFullYear();
-  if (active && active.id !== 'v-year' && DOM.vYear) DOM.vYear.value = (y >= 0 ? '+' : '-') + String(Math.abs(y)).padStart(6, '0');
-  if (active && active.id !== 'v-month' && DOM.vMonth) DOM.vMonth.value = String(d.getUTCMonth() + 1).padStart(2, '0');
-  if (active && active.id !== 'v-day' && DOM.vDay) DOM.vDay.value = String(d.getUTCDate()).padStart(2, '0');
-  if (DOM.vHour) DOM.vHour.innerText = String(d.getUTCHours()).padStart(2, '0');
-  if (DOM.vMin) DOM.vMin.innerText = String(d.getUTCMinutes()).padStart(2, '0');
-  if (DOM.vSec) DOM.vSec.innerText = String(d.getUTCSeconds()).padStart(2, '0');
+  [[DOM.vYear, f.year], [DOM.vMonth, f.month], [DOM.vDay, f.day], [DOM.vHour, f.hour], [DOM.vMin, f.minute], [DOM.vSec, f.second]]
+    .forEach(([el, value]) => { if (el && el !== active) el.value = value; });
+  if (DOM.vEra) DOM.vEra.innerText = `YEAR · ${formatEra(parseInt(f.year, 10))}${f.julian ? ' · JULIAN' : ''}`;
+  updateTimeReadout();
   if (DOM.zoomLabel) DOM.zoomLabel.innerText = `ZOOM: ${state.zoom.toFixed(4)}x`;
+  updateProviderLabel();
+  updateRangeNote();
+  // a running clock crossing midnight moves the rise/set table on to the new day
+  if (riseSetDay !== riseSetStart() && riseSetTimer === null) scheduleRiseSet();
   const dot = DOM.statusDot;
   const lab = DOM.statusLabel;
-  if (state.speed > 0) {
+  if (state.realtime) {
+    if (dot) dot.className = 'dot active';
+    if (lab) lab.innerText = 'REAL TIME';
+  } else if (state.rate > 0) {
     if (dot) dot.className = state.direction > 0 ? 'dot active' : 'dot active-rev';
     if (lab) lab.innerText = state.direction > 0 ? 'ACTIVE SIM' : 'REVERSE SIM';
   } else {
@@ -673,34 +785,747 @@ function updateHUD() {
   }
 }
 
-function setDateFromInputs() {
-  const yStr = DOM.vYear.value;
-  const m = parseInt(DOM.vMonth.value, 10) - 1;
-  const d = parseInt(DOM.vDay.value, 10);
-  const date = new Date(Date.UTC(2000, 0, 1, 12));
-  date.setUTCFullYear(parseInt(yStr, 10));
-  date.setUTCMonth(m);
-  date.setUTCDate(d);
-  if (!isNaN(date.getTime())) {
-    state.days = (date.getTime() - J2000) / 86400000;
-    Object.keys(state.history).forEach(k => state.history[k] = []);
+// Which ephemeris is answering, and why it is not astronomy-engine when it is not
+let shownProvider = null;
+function updateProviderLabel() {
+  const key = `${ephemeris.active}|${ephemeris.fallbackReason}`;
+  if (key === shownProvider) return;
+  shownProvider = key;
+  if (DOM.providerLabel) DOM.providerLabel.innerText = `EPHEMERIS: ${ephemeris.label.toUpperCase()}`;
+  if (DOM.providerNote) {
+    DOM.providerNote.innerText = ephemeris.fallbackReason ? `FALLBACK: ${ephemeris.fallbackReason}` : '';
+    DOM.providerNote.style.display = ephemeris.fallbackReason ? '' : 'none';
+  }
+}
+
+// Warn when the date is outside what the answering provider was fitted for
+let shownRange = null;
+function updateRangeNote() {
+  const warning = ephemeris.rangeWarning(state.days);
+  if (warning === shownRange || !DOM.rangeNote) return;
+  shownRange = warning;
+  DOM.rangeNote.innerText = warning ? `OUT OF RANGE: ${warning}` : '';
+  DOM.rangeNote.style.display = warning ? '' : 'none';
+}
+
+// JD, TT and sidereal time under the clock, when switched on
+function updateTimeReadout() {
+  const el = DOM.timeReadout;
+  if (!el || el.style.display === 'none') return;
+  const lst = localSiderealTime(state.days, state.observer.lon);
+  el.innerText = `JD ${julianDate(state.days).toFixed(5)} · TT ${julianDateTT(state.days).toFixed(5)} (ΔT ${deltaT(state.days).toFixed(1)} s)\n` +
+    `LMST ${formatHMS(lst.mean)} · LAST ${formatHMS(lst.apparent)}`;
+}
+
+// Impossible dates (31 February, the days skipped in October 1582, hour 24) are refused
+// with a note under the clock rather than rolled over into the next month or day
+function showTimeNote(message) {
+  if (!DOM.timeNote) return;
+  DOM.timeNote.innerText = message ? message.toUpperCase() : '';
+  DOM.timeNote.style.display = message ? '' : 'none';
+}
+
+function setDateFromInputs(e) {
+  const fields = [DOM.vYear.value, DOM.vMonth.value, DOM.vDay.value, DOM.vHour.value, DOM.vMin.value, DOM.vSec.value];
+  const error = calendarError(...fields, state.calendar);
+  showTimeNote(error);
+  if (error) {
+    if (e && e.target) e.target.classList.add('invalid');
+    return;
+  }
+  [DOM.vYear, DOM.vMonth, DOM.vDay, DOM.vHour, DOM.vMin, DOM.vSec].forEach(el => el.classList.remove('invalid'));
+  jumpToDays(daysFromCalendar(...fields, { zone: state.timeZone, calendar: state.calendar }));
+}
+
+function submitTimeEntry() {
+  const input = DOM.timeEntry;
+  const days = parseTimeEntry(input.value, { zone: state.timeZone, calendar: state.calendar });
+  input.classList.toggle('invalid', days === null);
+  if (days === null) return;
+  input.value = '';
+  input.blur();
+  jumpToDays(days);
+}
+
+// Time zones offered for the HUD: UTC, the browser's own zone and the fixed offsets in use
+const TIME_ZONE_OFFSETS = [
+  -720, -660, -600, -570, -540, -480, -420, -360, -300, -240, -210, -180, -120, -60,
+  60, 120, 180, 210, 240, 270, 300, 330, 345, 360, 390, 420, 480, 525, 540, 570, 600, 630, 660, 720, 765, 780, 840
+];
+
+function buildTimeZoneOptions() {
+  const sel = DOM.tzSelect;
+  if (!sel) return;
+  const option = (value, label) => {
+    const o = document.createElement('option');
+    o.value = value;
+    o.textContent = label;
+    return o;
+  };
+  const local = formatOffset(zoneOffsetMinutes('local', daysFromMs(Date.now())));
+  sel.replaceChildren(
+    option('UTC', 'UTC'),
+    option('local', `LOCAL (UTC${local})`),
+    ...TIME_ZONE_OFFSETS.map(m => option(formatOffset(m), `UTC${formatOffset(m)}`))
+  );
+  sel.value = state.timeZone;
+}
+
+function setTimeZone(zone) {
+  state.timeZone = zone;
+  if (DOM.tzSelect) {
+    // a permalink may carry an offset the list does not offer
+    if (![...DOM.tzSelect.options].some(o => o.value === zone)) {
+      const o = document.createElement('option');
+      o.value = zone;
+      o.textContent = `UTC${zone}`;
+      DOM.tzSelect.appendChild(o);
+    }
+    DOM.tzSelect.value = zone;
+  }
+  updateHUD();
+  updateInfoCard();
+  scheduleRiseSet();
+}
+
+function setCalendar(calendar) {
+  state.calendar = calendar;
+  if (DOM.calSelect) DOM.calSelect.value = calendar;
+  updateHUD();
+  updateInfoCard();
+  scheduleRiseSet();
+}
+
+// Permalinks: the view state lives in the URL hash. Meaningful changes (date jumps, frame
+// switches, observer moves) push a browser history entry; continuous ones (running clock,
+// pan, zoom, toggles) only refresh the current entry, at most once a second.
+let lastPermalinkSave = 0;
+
+function viewSnapshot() {
+  return {
+    days: state.days,
+    view: state.view,
+    scale: state.scale,
+    timeZone: state.timeZone,
+    calendar: state.calendar,
+    follow: state.follow,
+    zoom: state.zoom,
+    pos: state.pos,
+    rate: state.rate,
+    direction: state.direction,
+    realtime: state.realtime,
+    observer: state.observer,
+    orbits: DOM.chkOrbits ? DOM.chkOrbits.checked : true,
+    trails: DOM.chkTrails ? DOM.chkTrails.checked : true,
+    labels: DOM.chkRingLabels ? DOM.chkRingLabels.checked : false,
+    trailWindow: state.trailWindow,
+    renderer: state.renderer,
+    zodiac: state.zodiac,
+    ayanamsa: state.ayanamsa,
+    aspects: state.aspects,
+    orbs: changedOrbs(),
+    chart: state.chart,
+    houses: state.houses
+  };
+}
+
+function permalinkURL() {
+  return window.location.href.split('#')[0] + '#' + encodePermalink(viewSnapshot(), J2000);
+}
+
+function savePermalink(push) {
+  lastPermalinkSave = Date.now();
+  const url = permalinkURL();
+  if (url === window.location.href) return;
+  try {
+    window.history[push ? 'pushState' : 'replaceState'](null, '', url);
+  } catch (err) {
+    // some embedding contexts (sandboxed frames, file://) refuse history updates
+  }
+}
+
+// Wrap a meaningful change so Back returns to exactly the state before it
+function historyStep(change) {
+  savePermalink(false);
+  change();
+  savePermalink(true);
+}
+
+// Flow rate in simulated days per second; the slider, its readout and the preset picker
+// all follow it
+function setRate(rate) {
+  state.rate = rate;
+  if (DOM.speedSlider) DOM.speedSlider.value = sliderFromRate(rate);
+  showRate();
+}
+
+function showRate() {
+  if (DOM.speedTxt) DOM.speedTxt.innerText = state.realtime ? 'REAL TIME · LOCKED' : formatRate(state.rate);
+  if (DOM.ratePreset) {
+    const preset = RATE_PRESETS.find(p => Math.abs(p.rate - state.rate) <= p.rate * 1e-9);
+    DOM.ratePreset.value = state.rate === 0 ? 'paused' : preset ? preset.id : 'custom';
+  }
+}
+
+// Real time follows the system clock until the date, rate or direction is changed by hand
+function setRealtime(on) {
+  state.realtime = on;
+  if (on) {
+    state.days = daysFromMs(Date.now());
+    setDirection(1);
+    setRate(RATE_PRESETS.find(p => p.id === 'realtime').rate);
+  }
+  showRate();
+}
+
+function buildFlowOptions() {
+  const option = (value, label) => {
+    const o = document.createElement('option');
+    o.value = value;
+    o.textContent = label;
+    return o;
+  };
+  if (DOM.ratePreset) {
+    DOM.ratePreset.replaceChildren(
+      option('paused', 'PAUSED'),
+      ...RATE_PRESETS.map(p => option(p.id, p.label)),
+      option('custom', 'CUSTOM')
+    );
+    DOM.ratePreset.querySelector('option[value="custom"]').disabled = true;
+  }
+  if (DOM.stepUnit) {
+    DOM.stepUnit.replaceChildren(...STEP_UNITS.map(u => option(u.id, u.label)));
+    DOM.stepUnit.value = state.stepUnit;
+  }
+}
+
+// Space pauses and resumes at the rate that was running
+let resumeRate = 1;
+function togglePlay() {
+  if (state.realtime || state.rate > 0) {
+    resumeRate = state.rate;
+    setRealtime(false);
+    setRate(0);
+  } else {
+    setRate(resumeRate);
   }
 }
 
+// Move to the next faster or slower named rate; below the slowest is pause
+function shiftRatePreset(dir) {
+  const preset = adjacentRatePreset(state.rate, dir);
+  if (!preset && dir > 0) return;
+  setRealtime(false);
+  setRate(preset ? preset.rate : 0);
+}
+
+function syncToNow() {
+  historyStep(() => setRealtime(true));
+}
+
+// One step of the chosen unit; months and years step on the HUD's calendar and zone
+function stepClock(n) {
+  setRealtime(false);
+  state.days = stepDays(state.days, state.stepUnit, n, { zone: state.timeZone, calendar: state.calendar });
+  scheduleRiseSet();
+}
+
+function setDirection(dir) {
+  state.direction = dir;
+  if (DOM.flowFwd) DOM.flowFwd.classList.toggle('active', dir > 0);
+  if (DOM.flowRev) DOM.flowRev.classList.toggle('active-rev', dir < 0);
+}
+
+function syncObserverInputs() {
+  if (DOM.obsLat) DOM.obsLat.value = state.observer.lat;
+  if (DOM.obsLon) DOM.obsLon.value = state.observer.lon;
+  if (DOM.obsElev) DOM.obsElev.value = state.observer.elev;
+}
+
+// Merge a (partial, validated) snapshot from decodePermalink into the live state and UI
+function applySnapshot(snap) {
+  if (snap.days !== undefined) state.days = snap.days;
+  if (snap.view) setView(snap.view);
+  if (snap.view) setFollow(snap.follow || null, false);
+  if (snap.scale) setScale(snap.scale, false);
+  if (snap.timeZone) setTimeZone(snap.timeZone);
+  if (snap.calendar) setCalendar(snap.calendar);
+  if (snap.zoom !== undefined) state.zoom = snap.zoom;
+  if (snap.pos) state.pos = { ...snap.pos };
+  if (snap.rate !== undefined) setRate(snap.rate);
+  if (snap.direction) setDirection(snap.direction);
+  // a link to a fixed date leaves real time; a live link rejoins it
+  if (snap.realtime || snap.days !== undefined) setRealtime(!!snap.realtime);
+  if (snap.observer) {
+    Object.assign(state.observer, snap.observer);
+    syncObserverInputs();
+  }
+  if (snap.orbits !== undefined && DOM.chkOrbits) DOM.chkOrbits.checked = snap.orbits;
+  if (snap.trails !== undefined && DOM.chkTrails) DOM.chkTrails.checked = snap.trails;
+  if (snap.labels !== undefined && DOM.chkRingLabels) DOM.chkRingLabels.checked = snap.labels;
+  if (snap.trailWindow !== undefined) setTrailWindow(snap.trailWindow);
+  if (snap.renderer) setRenderer(snap.renderer);
+  if (snap.zodiac || snap.ayanamsa) setZodiac(snap.zodiac || state.zodiac, snap.ayanamsa || state.ayanamsa);
+  // a link lists only the orbs it changes
+  if (snap.aspects || snap.orbs) setAspects(snap.aspects || state.aspects, { ...defaultOrbs(), ...snap.orbs });
+  if (snap.houses) setHouses(snap.houses);
+  if (snap.chart !== undefined && snap.chart !== state.chart) setChart(snap.chart);
+  if (snap.days !== undefined || snap.observer) scheduleRiseSet();
+}
+
+function copyPermalink() {
+  savePermalink(false);
+  const url = permalinkURL();
+  const btn = DOM.btnCopyLink;
+  const done = () => {
+    if (!btn) return;
+    btn.innerText = 'LINK COPIED ✓';
+    setTimeout(() => { btn.innerText = 'COPY LINK'; }, 1500);
+  };
+  if (navigator.clipboard && navigator.clipboard.writeText) {
+    navigator.clipboard.writeText(url).then(done, () => window.prompt('Copy this link:', url));
+  } else {
+    window.prompt('Copy this link:', url);
+  }
+}
+
+// Rise/transit/set table for the civil day shown in the HUD, in its time zone; debounced because wheel
+// spins and typing can change the date many times a second
+let riseSetTimer = null;
+let riseSetDay = null; // start of the day the table shows
+function scheduleRiseSet() {
+  clearTimeout(riseSetTimer);
+  riseSetTimer = setTimeout(updateRiseSet, 150);
+}
+
+// 00:00 in the HUD's zone and calendar of the day holding the clock
+const riseSetStart = () => dayStart(state.days, { zone: state.timeZone, calendar: state.calendar });
+
+const RISE_SET_STATUS = {
+  sun: { up: 'POLAR DAY', down: 'POLAR NIGHT' },
+  other: { up: 'ALWAYS UP', down: 'NEVER RISES' }
+};
+
+function updateRiseSet() {
+  clearTimeout(riseSetTimer);
+  riseSetTimer = null;
+  const from = riseSetStart();
+  riseSetDay = from;
+  const table = DOM.rsTable;
+  if (!table) return;
+  const obs = state.observer;
+  if (DOM.rsCaption) {
+    DOM.rsCaption.textContent = `${formatDate(from, state.calendar, state.timeZone).replace(/ \d\d:\d\d/, '')} · ${Math.abs(obs.lat).toFixed(2)}°${obs.lat >= 0 ? 'N' : 'S'} ${Math.abs(obs.lon).toFixed(2)}°${obs.lon >= 0 ? 'E' : 'W'}`;
+  }
+  let result;
+  try {
+    result = riseSetTable(from, obs, ephemerisContext());
+  } catch (err) {
+    console.warn('Rise/set search failed:', err);
+    table.replaceChildren();
+    return;
+  }
+  const cell = (content, cls) => {
+    const td = document.createElement('td');
+    if (cls) td.className = cls;
+    if (typeof content === 'number') {
+      const btn = document.createElement('button');
+      btn.className = 'time-link';
+      const f = calendarFields(content, { zone: state.timeZone, calendar: state.calendar });
+      btn.textContent = `${f.hour}:${f.minute}`;
+      btn.onclick = () => jumpToDays(content);
+      td.appendChild(btn);
+    } else {
+      td.textContent = content;
+    }
+    return td;
+  };
+  const row = (label, cells) => {
+    const tr = document.createElement('tr');
+    const th = document.createElement('th');
+    th.textContent = label;
+    tr.appendChild(th);
+    cells.forEach(c => tr.appendChild(c));
+    return tr;
+  };
+  const head = row('', ['RISE', 'TRANSIT', 'SET'].map(t => cell(t, 'rs-head')));
+  const symbols = { sun: '☉', moon: '☾' };
+  PLANETS.forEach(p => { symbols[p.id] = p.sym; });
+  const bodyRows = result.bodies.map(b => {
+    const status = b.status && RISE_SET_STATUS[b.id === 'sun' ? 'sun' : 'other'][b.status];
+    return row(`${symbols[b.id] || ''} ${b.id.toUpperCase()}`, [
+      status ? cell(status, 'rs-status') : cell(b.rise ?? '—'),
+      cell(b.transit ? b.transit.days : '—'),
+      status ? cell('—') : cell(b.set ?? '—')
+    ]);
+  });
+  const twilightRows = result.twilight.map(tw => {
+    if (tw.status) {
+      const td = cell(`SUN ${tw.status === 'up' ? 'ABOVE' : 'BELOW'} ${tw.alt}° ALL DAY`, 'rs-status');
+      td.colSpan = 3;
+      return row(tw.label.toUpperCase(), [td]);
+    }
+    return row(tw.label.toUpperCase(), [cell(tw.dawn ?? '—'), cell(''), cell(tw.dusk ?? '—')]);
+  });
+  const twilightHead = row('TWILIGHT', ['DAWN', '', 'DUSK'].map(t => cell(t, 'rs-head')));
+  table.replaceChildren(head, ...bodyRows, twilightHead, ...twilightRows);
+}
+
+function setView(view) {
+  if (state.chart) setChart(false);
+  const refit = (view === 'horizon') !== (state.view === 'horizon');
+  // the frame buttons centre on the frame's own body again
+  if (view !== 'horizon') setFollow(null, false);
+  state.view = view;
+  [[DOM.btnHelio, 'helio'], [DOM.btnGeo, 'geo'], [DOM.btnHorizon, 'horizon']].forEach(([btn, v]) => {
+    if (btn) btn.classList.toggle('active', v === view);
+  });
+  Object.values(views).forEach(v => v.applyViewLayers(state.view));
+  if (DOM.followSelect) DOM.followSelect.disabled = view === 'horizon';
+  // the sky dome and the orbital diagram live at very different scales
+  if (refit && DOM.viewport) calculateFitZoom(DOM.viewport);
+}
+
+// Camera follow: the followed body becomes the anchor of the diagram. Switching bodies
+// re-anchors without moving anything on screen, then glides the new centre to the middle.
+const FOLLOW_TARGETS = ['sun', ...PLANETS.map(p => p.id)];
+
+function setFollow(id, animate = true) {
+  const follow = FOLLOW_TARGETS.includes(id) ? id : null;
+  if (follow && state.chart) setChart(false);
+  if (follow !== state.follow) {
+    const target = centerBody(state.view, follow);
+    const at = lastScene && (target === 'sun' ? lastScene.sun : lastScene.planets.find(b => b.id === target));
+    if (at && state.view !== 'horizon') {
+      state.pos = { x: state.pos.x + at.x * state.zoom, y: state.pos.y + at.y * state.zoom };
+    }
+    state.follow = follow;
+    if (animate && state.view !== 'horizon') {
+      const vp = viewportSize();
+      camera = cameraMove(state.pos, { x: vp.width / 2, y: vp.height / 2 }, performance.now());
+    }
+  }
+  if (DOM.followSelect) DOM.followSelect.value = state.follow || '';
+}
+
+function buildFollowOptions() {
+  const sel = DOM.followSelect;
+  if (!sel) return;
+  const option = (value, label) => {
+    const o = document.createElement('option');
+    o.value = value;
+    o.textContent = label;
+    return o;
+  };
+  sel.replaceChildren(
+    option('', 'CAMERA: FRAME CENTRE'),
+    option('sun', 'FOLLOW ☉ SUN'),
+    ...PLANETS.map(p => option(p.id, `FOLLOW ${p.sym} ${p.id.toUpperCase()}`))
+  );
+  sel.value = state.follow || '';
+}
+
+// Renderer: SVG (the default, and what exports are made from) or Canvas 2D; browsers
+// without a 2D canvas context stay on SVG
+function setRenderer(id) {
+  const next = views[id] && views[id].supported ? id : 'svg';
+  state.renderer = next;
+  activeView = views[next];
+  Object.entries(views).forEach(([key, v]) => { v.element.style.display = key === next ? '' : 'none'; });
+  if (DOM.rendererSelect) DOM.rendererSelect.value = next;
+  requestRender();
+}
+
+// Trail window: days either side of the clock, one of the TRAIL_WINDOWS presets
+function setTrailWindow(days) {
+  const preset = TRAIL_WINDOWS.find(w => Math.abs(w.days - days) < 1e-6);
+  if (preset) state.trailWindow = preset.days;
+  if (DOM.trailWindow) DOM.trailWindow.value = String(state.trailWindow);
+}
+
+// Zodiac ring: tropical, sidereal from the chosen ayanamsa, or IAU constellations; the
+// ayanamsa only applies to the sidereal ring
+function setZodiac(mode, ayanamsaId = state.ayanamsa) {
+  if (ZODIAC_MODES.some(m => m.id === mode)) state.zodiac = mode;
+  if (AYANAMSAS.some(a => a.id === ayanamsaId)) state.ayanamsa = ayanamsaId;
+  if (DOM.zodiacSelect) DOM.zodiacSelect.value = state.zodiac;
+  if (DOM.ayanamsaSelect) {
+    DOM.ayanamsaSelect.value = state.ayanamsa;
+    DOM.ayanamsaSelect.disabled = state.zodiac !== 'sidereal';
+  }
+}
+
+// Distance scale: everything drawn in world units follows the new mapping and the diagram's
+// extent changes
+function setScale(mode, refit = true) {
+  state.scale = mode;
+  scale = radialScale(mode, PLANETS);
+  [[DOM.btnScaleAu, 'au'], [DOM.btnScaleLog, 'log'], [DOM.btnScaleSchematic, 'schematic']].forEach(([btn, v]) => {
+    if (btn) btn.classList.toggle('active', v === mode);
+  });
+  if (refit && state.view !== 'horizon' && DOM.viewport) calculateFitZoom(DOM.viewport);
+}
+
+function jumpToDays(days) {
+  setRealtime(false);
+  historyStep(() => { state.days = days; });
+  scheduleRiseSet();
+}
+
+// Search around the current date for the selected body's events and list them
+function runEventSearch(direction) {
+  const list = DOM.evList;
+  if (!list || !DOM.evBody) return;
+  const bodyId = DOM.evBody.value;
+  const note = (msg) => {
+    const li = document.createElement('li');
+    li.className = 'event-note';
+    li.textContent = msg;
+    list.replaceChildren(li);
+  };
+  note('SEARCHING…');
+  // let the placeholder paint before the (synchronous) search runs
+  setTimeout(() => {
+    let events;
+    try {
+      events = findEvents(bodyId, state.days, direction, ephemerisContext());
+    } catch (err) {
+      console.warn('Event search failed:', err);
+      note('SEARCH FAILED');
+      return;
+    }
+    if (!events.length) { note('NO EVENTS FOUND'); return; }
+    list.replaceChildren(...events.map(evt => {
+      const li = document.createElement('li');
+      const btn = document.createElement('button');
+      btn.className = 'event-item';
+      btn.innerHTML = `<span>${evt.label}</span><span class="event-time">${formatDate(evt.days, state.calendar)}</span>`;
+      btn.onclick = () => jumpToDays(evt.days);
+      li.appendChild(btn);
+      return li;
+    }));
+  }, 0);
+}
+
+// Export: standalone SVG/PNG of the current frame and deterministic time-lapse recording
+const VIEW_NAMES = { helio: 'HELIOCENTRIC', geo: 'GEOCENTRIC', horizon: 'HORIZON' };
+const MAX_RECORD_FRAMES = 3600;
+let recording = null; // { cancel } while a time-lapse is being captured; pauses loop()
+
+function exportSize() {
+  const { width, height } = viewportSize();
+  return { width: Math.round(width), height: Math.round(height) };
+}
+
+function exportCaption() {
+  const obs = state.observer;
+  const where = state.view === 'horizon' ? ` · ${obs.lat.toFixed(2)}° ${obs.lon.toFixed(2)}°` : '';
+  return `${formatDate(state.days, state.calendar)} · ${VIEW_NAMES[state.view]}${where}`;
+}
+
+function exportFilename(ext) {
+  const stamp = formatDate(state.days, state.calendar).replace(/ UTC.*$/, '').replace(/[ :]/g, '-');
+  return `orrery-${stamp}.${ext}`;
+}
+
+function snapshotSVG() {
+  const { width, height } = exportSize();
+  // with the canvas on screen, the hidden SVG view draws the same frame for the file
+  if (activeView !== svgView && lastDrawn) paint(svgView, lastDrawn);
+  return { width, height, text: serializeSVG(DOM.svgRoot, { width, height, caption: exportCaption() }) };
+}
+
+function setRecordStatus(msg) {
+  if (DOM.recStatus) DOM.recStatus.textContent = msg;
+}
+
+function exportSVG() {
+  const snap = snapshotSVG();
+  downloadBlob(new Blob([snap.text], { type: 'image/svg+xml' }), exportFilename('svg'));
+}
+
+async function exportPNG() {
+  const snap = snapshotSVG();
+  const scale = Number(DOM.exportScale && DOM.exportScale.value) || 1;
+  try {
+    const canvas = await rasterize(snap.text, snap.width, snap.height, scale);
+    downloadBlob(await canvasToBlob(canvas), exportFilename('png'));
+  } catch (err) {
+    console.warn('PNG export failed:', err);
+    setRecordStatus('PNG EXPORT FAILED');
+  }
+}
+
+async function recordTimeLapse() {
+  if (recording) { recording.cancel = true; return; }
+  const start = parseDateField(DOM.recStart && DOM.recStart.value);
+  const end = parseDateField(DOM.recEnd && DOM.recEnd.value);
+  const step = parseFloat(DOM.recStep && DOM.recStep.value);
+  if (start === null || end === null) { setRecordStatus('ENTER START/END AS YYYY-MM-DD'); return; }
+  if (!(step > 0)) { setRecordStatus('STEP MUST BE POSITIVE'); return; }
+  const count = Math.floor(Math.abs(end - start) / step) + 1;
+  if (count > MAX_RECORD_FRAMES) { setRecordStatus(`TOO MANY FRAMES (${count} > ${MAX_RECORD_FRAMES})`); return; }
+  const { width, height } = exportSize();
+  const scale = Number(DOM.exportScale && DOM.exportScale.value) || 1;
+  const fps = Math.min(60, Math.max(1, parseFloat(DOM.recFps && DOM.recFps.value) || 24));
+  let webm = null;
+  if (DOM.recFormat && DOM.recFormat.value === 'webm') {
+    try {
+      webm = createWebMRecorder(Math.round(width * scale), Math.round(height * scale), fps);
+    } catch (err) {
+      setRecordStatus(err.message.toUpperCase());
+      return;
+    }
+  }
+
+  recording = { cancel: false };
+  if (DOM.btnRecord) DOM.btnRecord.innerText = 'CANCEL';
+  const savedDays = state.days;
+  const frames = [];
+  try {
+    for (let i = 0; i < count && !recording.cancel; i++) {
+      state.days = start + Math.sign(end - start) * i * step;
+      await render();
+      const snap = snapshotSVG();
+      const canvas = await rasterize(snap.text, snap.width, snap.height, scale);
+      if (webm) {
+        await webm.addFrame(canvas);
+      } else {
+        const blob = await canvasToBlob(canvas);
+        frames.push({ name: `frame-${String(i).padStart(5, '0')}.png`, data: new Uint8Array(await blob.arrayBuffer()) });
+      }
+      setRecordStatus(`FRAME ${i + 1} / ${count}`);
+    }
+    if (recording.cancel) {
+      setRecordStatus('RECORDING CANCELLED');
+      if (webm) await webm.finish();
+    } else {
+      state.days = start;
+      const name = exportFilename(webm ? 'webm' : 'zip');
+      downloadBlob(webm ? await webm.finish() : makeZip(frames), name);
+      setRecordStatus(`SAVED ${count} FRAMES`);
+    }
+  } catch (err) {
+    console.warn('Time-lapse recording failed:', err);
+    setRecordStatus('RECORDING FAILED');
+  } finally {
+    state.days = savedDays;
+    recording = null;
+    requestRender();
+    if (DOM.btnRecord) DOM.btnRecord.innerText = 'RECORD';
+  }
+}
+
+// Ephemeris table: runs the active provider over a date range for the ticked bodies
+const EPH_PREVIEW_ROWS = 500;
+let ephemerisResult = null; // { rows, meta } from the last GENERATE, used by the downloads
+
+function setEphemerisStatus(msg) {
+  if (DOM.ephStatus) DOM.ephStatus.textContent = msg;
+}
+
+function formatEphemerisCell(key, v) {
+  if (v === null || v === undefined) return '—';
+  if (key === 'date') return v.replace('T', ' ').replace(/:\d\d\.\d+Z$/, '');
+  if (key === 'days') return v.toFixed(2);
+  if (typeof v === 'number') return v.toFixed(key === 'ra' || key === 'dist' || 'xyz'.includes(key) ? 5 : 4);
+  return v;
+}
+
+function renderEphemerisTable(rows) {
+  const table = DOM.ephTable;
+  if (!table) return;
+  const text = (key) => ['date', 'body', 'provider'].includes(key);
+  const head = document.createElement('tr');
+  EPHEMERIS_COLUMNS.forEach(c => {
+    const th = document.createElement('th');
+    th.textContent = c.label;
+    if (text(c.key)) th.className = 'eph-text';
+    head.appendChild(th);
+  });
+  const body = rows.slice(0, EPH_PREVIEW_ROWS).map(r => {
+    const tr = document.createElement('tr');
+    EPHEMERIS_COLUMNS.forEach(c => {
+      const td = document.createElement('td');
+      td.textContent = formatEphemerisCell(c.key, r[c.key]);
+      if (text(c.key)) td.className = 'eph-text';
+      tr.appendChild(td);
+    });
+    return tr;
+  });
+  table.replaceChildren(head, ...body);
+}
+
+function generateEphemerisTable() {
+  const from = parseDateField(DOM.ephStart && DOM.ephStart.value);
+  const to = parseDateField(DOM.ephEnd && DOM.ephEnd.value);
+  const step = parseFloat(DOM.ephStep && DOM.ephStep.value);
+  const bodies = DOM.ephBodies
+    ? Array.from(DOM.ephBodies.querySelectorAll('input:checked')).map(el => el.value)
+    : [];
+  if (from === null || to === null) { setEphemerisStatus('ENTER FROM/TO AS YYYY-MM-DD'); return; }
+  if (to < from) { setEphemerisStatus('TO MUST NOT BE BEFORE FROM'); return; }
+  if (!(step > 0)) { setEphemerisStatus('STEP MUST BE POSITIVE'); return; }
+  if (!bodies.length) { setEphemerisStatus('SELECT AT LEAST ONE BODY'); return; }
+  let rows;
+  try {
+    rows = generateEphemeris({ from, to, step, bodies }, ephemerisContext());
+  } catch (err) {
+    setEphemerisStatus(err instanceof RangeError ? `TOO MANY ROWS (MAX ${MAX_EPHEMERIS_ROWS})` : 'EPHEMERIS FAILED');
+    if (!(err instanceof RangeError)) console.warn('Ephemeris generation failed:', err);
+    return;
+  }
+  ephemerisResult = {
+    rows,
+    meta: {
+      generated: new Date().toISOString(),
+      from: dateFromDays(from).toISOString(),
+      to: dateFromDays(to).toISOString(),
+      step_days: step,
+      bodies
+    }
+  };
+  renderEphemerisTable(rows);
+  const providers = [...new Set(rows.map(r => r.provider))].join(' + ').toUpperCase();
+  const shown = rows.length > EPH_PREVIEW_ROWS ? ` · SHOWING FIRST ${EPH_PREVIEW_ROWS}` : '';
+  setEphemerisStatus(`${rows.length} ROWS · ${providers}${shown}`);
+}
+
+function downloadEphemeris(format) {
+  if (!ephemerisResult) { setEphemerisStatus('GENERATE A TABLE FIRST'); return; }
+  const { rows, meta } = ephemerisResult;
+  const blob = format === 'csv'
+    ? new Blob([ephemerisToCSV(rows)], { type: 'text/csv' })
+    : new Blob([ephemerisToJSON(rows, meta)], { type: 'application/json' });
+  downloadBlob(blob, `ephemeris-${meta.from.slice(0, 10)}-${meta.to.slice(0, 10)}.${format}`);
+}
+
 // UI bindings
 function bindUI() {
-  // Wire year/month/day inputs (use cached DOM refs)
-  if (DOM.vYear) {
-    DOM.vYear.addEventListener('change', setDateFromInputs);
-    DOM.vYear.addEventListener('keydown', (e) => { if (e.key === 'Enter') { setDateFromInputs(); DOM.vYear.blur(); } });
+  // Wire the clock's calendar and time-of-day inputs (use cached DOM refs)
+  [DOM.vYear, DOM.vMonth, DOM.vDay, DOM.vHour, DOM.vMin, DOM.vSec].forEach(el => {
+    if (!el) return;
+    el.addEventListener('change', setDateFromInputs);
+    el.addEventListener('keydown', (e) => { if (e.key === 'Enter') { setDateFromInputs(e); el.blur(); } });
+    el.addEventListener('input', () => el.classList.remove('invalid'));
+  });
+  if (DOM.timeEntry) {
+    DOM.timeEntry.addEventListener('keydown', (e) => { if (e.key === 'Enter') submitTimeEntry(); });
+    DOM.timeEntry.addEventListener('input', () => DOM.timeEntry.classList.remove('invalid'));
   }
-  if (DOM.vMonth) {
-    DOM.vMonth.addEventListener('change', setDateFromInputs);
-    DOM.vMonth.addEventListener('keydown', (e) => { if (e.key === 'Enter') { setDateFromInputs(); DOM.vMonth.blur(); } });
+  buildTimeZoneOptions();
+  if (DOM.tzSelect) DOM.tzSelect.addEventListener('change', () => historyStep(() => setTimeZone(DOM.tzSelect.value)));
+  if (DOM.calSelect) {
+    DOM.calSelect.value = state.calendar;
+    DOM.calSelect.addEventListener('change', () => historyStep(() => setCalendar(DOM.calSelect.value)));
   }
-  if (DOM.vDay) {
-    DOM.vDay.addEventListener('change', setDateFromInputs);
-    DOM.vDay.addEventListener('keydown', (e) => { if (e.key === 'Enter') { setDateFromInputs(); DOM.vDay.blur(); } });
+  if (DOM.btnTimeReadout) {
+    DOM.btnTimeReadout.onclick = () => {
+      const show = DOM.timeReadout.style.display === 'none';
+      DOM.timeReadout.style.display = show ? 'block' : 'none';
+      DOM.btnTimeReadout.classList.toggle('active', show);
+      updateTimeReadout();
+    };
   }
 
   const vp = DOM.viewport;
@@ -719,59 +1544,442 @@ function bindUI() {
       if (unit === 'minute') mult = 1 / 1440;
       if (unit === 'second') mult = 1 / 86400;
       state.days += dir * mult;
-      Object.keys(state.history).forEach(k => state.history[k] = []);
+      if (mult >= 1) scheduleRiseSet();
     }, { passive: false });
   });
 
-  window.addEventListener('mousemove', (e) => { if (state.panning) { state.pos.x += e.movementX; state.pos.y += e.movementY; } });
-  window.addEventListener('mouseup', () => { state.panning = false; });
-  if (vp) {
-    vp.onmousedown = () => state.panning = true;
-    vp.addEventListener('wheel', (e) => { e.preventDefault(); state.zoom = Math.max(0.0001, state.zoom * (e.deltaY > 0 ? 0.9 : 1.1)); }, { passive: false });
-  }
+  bindViewportInput(vp);
+
+  if (DOM.btnHelio) DOM.btnHelio.onclick = () => historyStep(() => setView('helio'));
+  if (DOM.btnGeo) DOM.btnGeo.onclick = () => historyStep(() => setView('geo'));
+  if (DOM.btnHorizon) DOM.btnHorizon.onclick = () => historyStep(() => setView('horizon'));
+  if (DOM.btnScaleAu) DOM.btnScaleAu.onclick = () => historyStep(() => setScale('au'));
+  if (DOM.btnScaleLog) DOM.btnScaleLog.onclick = () => historyStep(() => setScale('log'));
+  if (DOM.btnScaleSchematic) DOM.btnScaleSchematic.onclick = () => historyStep(() => setScale('schematic'));
 
-  if (DOM.btnHelio) DOM.btnHelio.onclick = () => { state.view = 'helio'; DOM.btnHelio.classList.add('active'); if (DOM.btnGeo) DOM.btnGeo.classList.remove('active'); Object.keys(state.history).forEach(k => state.history[k] = []); };
-  if (DOM.btnGeo) DOM.btnGeo.onclick = () => { state.view = 'geo'; DOM.btnGeo.classList.add('active'); if (DOM.btnHelio) DOM.btnHelio.classList.remove('active'); Object.keys(state.history).forEach(k => state.history[k] = []); };
-  if (DOM.flowFwd) DOM.flowFwd.onclick = () => { state.direction = 1; DOM.flowFwd.classList.add('active'); if (DOM.flowRev) DOM.flowRev.classList.remove('active-rev'); };
-  if (DOM.flowRev) DOM.flowRev.onclick = () => { state.direction = -1; DOM.flowRev.classList.add('active-rev'); if (DOM.flowFwd) DOM.flowFwd.classList.remove('active'); };
-  if (DOM.btnSync) DOM.btnSync.onclick = () => { state.days = (Date.now() - J2000) / 86400000; };
+  // observer location (HORIZON frame); invalid entries snap back to the current value
+  const obsFields = [
+    [DOM.obsLat, 'lat', -90, 90],
+    [DOM.obsLon, 'lon', -180, 180],
+    [DOM.obsElev, 'elev', -500, 10000]
+  ];
+  syncObserverInputs();
+  obsFields.forEach(([input, key, min, max]) => {
+    if (!input) return;
+    input.addEventListener('change', () => {
+      const v = parseFloat(input.value);
+      if (isFinite(v)) historyStep(() => { state.observer[key] = Math.min(max, Math.max(min, v)); });
+      input.value = state.observer[key];
+      scheduleRiseSet();
+    });
+  });
+  if (DOM.flowFwd) DOM.flowFwd.onclick = () => setDirection(1);
+  if (DOM.flowRev) DOM.flowRev.onclick = () => { setRealtime(false); setDirection(-1); };
+  if (DOM.btnSync) DOM.btnSync.onclick = syncToNow;
   if (DOM.btnReset) DOM.btnReset.onclick = () => { calculateFitZoom(vp); };
+  if (DOM.btnCopyLink) DOM.btnCopyLink.onclick = copyPermalink;
 
   const slider = DOM.speedSlider || document.getElementById('speed-slider');
-  if (slider) slider.oninput = () => { state.speed = Number(slider.value); if (DOM.speedTxt) DOM.speedTxt.innerText = 'x' + state.speed; };
+  if (slider) {
+    slider.oninput = () => {
+      setRealtime(false);
+      setRate(rateFromSlider(Number(slider.value)));
+    };
+  }
+  buildFlowOptions();
+  buildFollowOptions();
+  if (DOM.followSelect) {
+    DOM.followSelect.addEventListener('change', () => historyStep(() => setFollow(DOM.followSelect.value)));
+  }
+  if (DOM.ratePreset) {
+    DOM.ratePreset.addEventListener('change', () => {
+      const preset = RATE_PRESETS.find(p => p.id === DOM.ratePreset.value);
+      setRealtime(false);
+      setRate(preset ? preset.rate : 0);
+    });
+  }
+  if (DOM.stepUnit) DOM.stepUnit.addEventListener('change', () => { state.stepUnit = DOM.stepUnit.value; });
+  if (DOM.stepBack) DOM.stepBack.onclick = () => stepClock(-1);
+  if (DOM.stepFwd) DOM.stepFwd.onclick = () => stepClock(1);
+
+  // export and time-lapse recording
+  if (DOM.btnExportSvg) DOM.btnExportSvg.onclick = exportSVG;
+  if (DOM.btnExportPng) DOM.btnExportPng.onclick = exportPNG;
+  if (DOM.btnRecord) DOM.btnRecord.onclick = recordTimeLapse;
+  if (DOM.recStart) DOM.recStart.value = formatUTC(state.days).slice(0, 10);
+  if (DOM.recEnd) DOM.recEnd.value = formatUTC(state.days + 365).slice(0, 10);
+
+  // ephemeris table
+  if (DOM.ephBodies) {
+    PLANETS.forEach(p => {
+      const label = document.createElement('label');
+      const chk = document.createElement('input');
+      chk.type = 'checkbox';
+      chk.value = p.id;
+      chk.checked = p.id === 'mars';
+      label.append(chk, ` ${p.sym} ${p.id.toUpperCase()}`);
+      DOM.ephBodies.appendChild(label);
+    });
+  }
+  if (DOM.ephStart) DOM.ephStart.value = formatUTC(state.days).slice(0, 10);
+  if (DOM.ephEnd) DOM.ephEnd.value = formatUTC(state.days + 365).slice(0, 10);
+  if (DOM.btnEphGenerate) DOM.btnEphGenerate.onclick = generateEphemerisTable;
+  if (DOM.btnEphCsv) DOM.btnEphCsv.onclick = () => downloadEphemeris('csv');
+  if (DOM.btnEphJson) DOM.btnEphJson.onclick = () => downloadEphemeris('json');
+
+  // Back/Forward (and hand-edited URLs) restore the state stored in the hash
+  window.addEventListener('popstate', () => applySnapshot(decodePermalink(window.location.hash, J2000)));
+
+  // event finder
+  if (DOM.evBody) {
+    PLANETS.forEach(p => {
+      const opt = document.createElement('option');
+      opt.value = p.id;
+      opt.textContent = `${p.sym} ${p.id.toUpperCase()}`;
+      DOM.evBody.appendChild(opt);
+    });
+    DOM.evBody.value = 'mars';
+  }
+  if (DOM.evPrev) DOM.evPrev.onclick = () => runEventSearch(-1);
+  if (DOM.evNext) DOM.evNext.onclick = () => runEventSearch(1);
 
   // display toggles
   if (DOM.chkOrbits) DOM.chkOrbits.addEventListener('change', () => { /* handled in render */ });
   if (DOM.chkTrails) DOM.chkTrails.addEventListener('change', () => { /* handled in render */ });
+  if (DOM.chkStats) DOM.chkStats.addEventListener('change', showFrameStats);
+  if (DOM.rendererSelect) {
+    const canvasOption = DOM.rendererSelect.querySelector('option[value="canvas"]');
+    if (canvasOption) canvasOption.disabled = !canvasView.supported;
+    DOM.rendererSelect.addEventListener('change', () => setRenderer(DOM.rendererSelect.value));
+  }
+  if (DOM.trailWindow) {
+    DOM.trailWindow.replaceChildren(...TRAIL_WINDOWS.map(w => {
+      const o = document.createElement('option');
+      o.value = String(w.days);
+      o.textContent = w.label;
+      return o;
+    }));
+    DOM.trailWindow.value = String(state.trailWindow);
+    DOM.trailWindow.addEventListener('change', () => setTrailWindow(Number(DOM.trailWindow.value)));
+  }
+  buildReadoutTable();
+  buildInfoCard();
+  const fillOptions = (sel, list, prefix) => sel.replaceChildren(...list.map(item => {
+    const o = document.createElement('option');
+    o.value = item.id;
+    o.textContent = `${prefix}: ${item.label}`;
+    return o;
+  }));
+  if (DOM.zodiacSelect) {
+    fillOptions(DOM.zodiacSelect, ZODIAC_MODES, 'ZODIAC');
+    DOM.zodiacSelect.addEventListener('change', () => setZodiac(DOM.zodiacSelect.value));
+  }
+  if (DOM.ayanamsaSelect) {
+    fillOptions(DOM.ayanamsaSelect, AYANAMSAS, 'AYANAMSA');
+    DOM.ayanamsaSelect.addEventListener('change', () => setZodiac(state.zodiac, DOM.ayanamsaSelect.value));
+  }
+  setZodiac(state.zodiac);
+  if (DOM.aspectSelect) {
+    fillOptions(DOM.aspectSelect, ASPECT_SETS, 'ASPECTS');
+    DOM.aspectSelect.addEventListener('change', () => setAspects(DOM.aspectSelect.value));
+  }
+  buildOrbFields();
+  setAspects(state.aspects);
+  if (DOM.housesSelect) {
+    fillOptions(DOM.housesSelect, HOUSE_SYSTEMS, 'HOUSES');
+    DOM.housesSelect.addEventListener('change', () => setHouses(DOM.housesSelect.value));
+  }
+  setHouses(state.houses);
+  if (DOM.btnChart) DOM.btnChart.onclick = () => historyStep(() => setChart(!state.chart));
+  if (DOM.btnChartSave) DOM.btnChartSave.onclick = saveChart;
+  if (DOM.btnChartLoad && DOM.chartFile) {
+    DOM.btnChartLoad.onclick = () => DOM.chartFile.click();
+    DOM.chartFile.addEventListener('change', () => {
+      const file = DOM.chartFile.files && DOM.chartFile.files[0];
+      DOM.chartFile.value = '';
+      if (file) loadChart(file);
+    });
+  }
+  updateChartPanel(null);
+}
+
+// Viewport pan and zoom: Pointer Events cover mouse, pen and touch. One pointer drags the
+// view, two pinch; the wheel and the pinch zoom around the point under the cursor/fingers.
+function screenPoint(e) {
+  const rect = activeView.element.getBoundingClientRect();
+  return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+}
+
+function applyZoom(point, factor) {
+  camera = null;
+  const next = zoomAt({ zoom: state.zoom, pos: state.pos }, point, factor);
+  state.zoom = next.zoom;
+  state.pos = next.pos;
+}
+
+function bindViewportInput(vp) {
+  if (!vp) return;
+  const gesture = createPointerGesture();
+  // a press that barely moves on a body is a click on it (see bodyClick); pointer capture
+  // retargets the click event itself, so the body is noted on the way down
+  let press = null;
+  const release = (e) => {
+    gesture.up(e.pointerId);
+    state.panning = gesture.active;
+  };
+  vp.addEventListener('pointerdown', (e) => {
+    // the HUD and other overlays sit inside the viewport; only the diagram itself drags
+    if (!activeView.element.contains(e.target) || (e.pointerType === 'mouse' && e.button !== 0)) return;
+    const p = screenPoint(e);
+    press = gesture.active ? null : { id: e.pointerId, x: p.x, y: p.y, body: activeView.bodyAt(e) };
+    gesture.down(e.pointerId, p.x, p.y);
+    state.panning = true;
+    camera = null;
+    if (vp.setPointerCapture) vp.setPointerCapture(e.pointerId);
+  });
+  vp.addEventListener('pointermove', (e) => {
+    const p = screenPoint(e);
+    const change = gesture.move(e.pointerId, p.x, p.y);
+    if (!change) return;
+    if (press && Math.hypot(p.x - press.x, p.y - press.y) > CLICK_SLOP_PX) press = null;
+    state.pos = { x: state.pos.x + change.dx, y: state.pos.y + change.dy };
+    if (change.factor !== 1) applyZoom(change.center, change.factor);
+  });
+  vp.addEventListener('pointerup', (e) => {
+    if (press && press.id === e.pointerId && press.body) {
+      const click = bodyClick(press.body, { view: state.view, chart: state.chart, followable: FOLLOW_TARGETS });
+      if (click.follow && click.follow !== state.follow) historyStep(() => setFollow(click.follow));
+      openInfo(click.inspect);
+    }
+    press = null;
+    release(e);
+  });
+  vp.addEventListener('pointercancel', (e) => {
+    press = null;
+    release(e);
+  });
+  vp.addEventListener('wheel', (e) => {
+    e.preventDefault();
+    applyZoom(screenPoint(e), e.deltaY > 0 ? 1 / ZOOM_STEP : ZOOM_STEP);
+  }, { passive: false });
+}
+
+// Keyboard shortcuts (see KEY_BINDINGS); keys typed into the HUD and sidebar fields are
+// left alone
+function runShortcut(action, e) {
+  const vp = viewportSize();
+  const center = { x: vp.width / 2, y: vp.height / 2 };
+  const pan = PAN_STEP * (e.shiftKey ? 4 : 1);
+  if (action.startsWith('pan-')) camera = null;
+  switch (action) {
+    case 'play': togglePlay(); break;
+    case 'reverse': setRealtime(false); setDirection(-state.direction); break;
+    case 'step-back': stepClock(-1); break;
+    case 'step-forward': stepClock(1); break;
+    case 'slower': shiftRatePreset(-1); break;
+    case 'faster': shiftRatePreset(1); break;
+    case 'now': syncToNow(); break;
+    case 'view-helio': historyStep(() => setView('helio')); break;
+    case 'view-geo': historyStep(() => setView('geo')); break;
+    case 'view-horizon': historyStep(() => setView('horizon')); break;
+    case 'zoom-in': applyZoom(center, ZOOM_STEP); break;
+    case 'zoom-out': applyZoom(center, 1 / ZOOM_STEP); break;
+    case 'pan-left': state.pos = { x: state.pos.x + pan, y: state.pos.y }; break;
+    case 'pan-right': state.pos = { x: state.pos.x - pan, y: state.pos.y }; break;
+    case 'pan-up': state.pos = { x: state.pos.x, y: state.pos.y + pan }; break;
+    case 'pan-down': state.pos = { x: state.pos.x, y: state.pos.y - pan }; break;
+    case 'reset': if (DOM.viewport) calculateFitZoom(DOM.viewport); break;
+    case 'dismiss':
+      if (inspected) closeInfo();
+      else historyStep(() => setFollow(null));
+      break;
+  }
+}
+
+function bindKeyboard() {
+  document.addEventListener('keydown', (e) => {
+    const action = actionForKey(e);
+    if (!action) return;
+    e.preventDefault();
+    runShortcut(action, e);
+  });
+  if (DOM.keyList) {
+    DOM.keyList.replaceChildren(...KEY_BINDINGS.map(b => {
+      const li = document.createElement('li');
+      const kbd = document.createElement('kbd');
+      kbd.textContent = b.label;
+      li.append(kbd, b.description);
+      return li;
+    }));
+  }
 }
 
 // Planet scale/label UI removed per user request.
 
 function calculateFitZoom(vp) {
-  // Calculate zoom to fit zodiac ring (radius ~6000) in viewport
-  const maxRadius = 6000;
-  const viewWidth = vp.clientWidth - 320; // subtract sidebar
-  const viewHeight = vp.clientHeight;
-  const fitZoomX = (viewWidth * 0.4) / maxRadius; // 40% of viewport width
-  const fitZoomY = (viewHeight * 0.4) / maxRadius; // 40% of viewport height
-  state.zoom = Math.min(fitZoomX, fitZoomY, 0.5); // cap at 0.5
-  state.pos = { x: vp.clientWidth / 2, y: vp.clientHeight / 2 };
+  const pos = scalePositions(lastPositions || ephemeris.fallback(state.days), scale);
+  const fit = fitView(vp.clientWidth, vp.clientHeight, state.view, pos, PLANETS, state.follow);
+  camera = null;
+  state.zoom = fit.zoom;
+  state.pos = fit.pos;
 }
 
+// Rendering follows change: loop() draws a frame only when something on screen differs
+// from the last frame drawn (frameKey) or requestRender() asks for one, and stops asking
+// for animation frames once the clock is paused and nothing moves. Input wakes it again.
 let rafId = null;
-function loop() {
-  if (state.speed > 0) state.days += (state.speed / 1000) * state.direction;
-  render();
-  rafId = requestAnimationFrame(loop);
+// A slow clock (real time, or up to ten minutes a second) moves nothing on screen by more
+// than about a pixel a second (the Moon, the fastest, covers 13° a day), so the loop sleeps
+// between once-a-second frames instead of drawing every animation frame; real time wakes
+// on the second so the HUD's seconds tick evenly
+const SLOW_RATE = 10 / 1440;
+const SLOW_TICK_MS = 1000;
+let tickTimer = null;
+let tickDue = false;
+// A frame gap longer than this (a stalled or hidden tab) resumes the clock where it stopped
+// instead of leaping ahead; real time reads the system clock and is unaffected. It outlasts
+// a slow clock's tick, which the clock must cover in full.
+const MAX_FRAME_MS = 1500;
+let lastFrame = null;
+let drawnKey = null;
+let renderRequested = false;
+let rendering = false;
+
+function requestRender() {
+  renderRequested = true;
+  if (rafId === null) rafId = requestAnimationFrame(loop);
+}
+
+// Everything in the state that shows in a frame
+function frameKey() {
+  const o = state.observer;
+  return [
+    state.days, state.view, state.zoom, state.pos.x, state.pos.y, state.scale, state.follow, state.trailWindow,
+    state.zodiac, state.ayanamsa, state.aspects, JSON.stringify(state.orbs), state.chart, state.houses,
+    state.calendar, state.timeZone, state.realtime, state.rate, state.direction, o.lat, o.lon, o.elev,
+    !!(DOM.chkOrbits && DOM.chkOrbits.checked), !!(DOM.chkTrails && DOM.chkTrails.checked),
+    !!(DOM.chkRingLabels && DOM.chkRingLabels.checked)
+  ].join('|');
+}
+
+// A running clock, a camera move or a drag keep the frames coming
+function animating() {
+  return state.realtime || state.rate > 0 || !!camera || state.panning;
+}
+
+function slowClock() {
+  return (state.realtime || (state.rate > 0 && state.rate <= SLOW_RATE)) && !camera && !state.panning;
+}
+
+function sleepUntilTick() {
+  const wait = state.realtime ? SLOW_TICK_MS - Date.now() % SLOW_TICK_MS : SLOW_TICK_MS;
+  tickTimer = setTimeout(() => {
+    tickTimer = null;
+    tickDue = true;
+    if (rafId === null) rafId = requestAnimationFrame(loop);
+  }, wait);
+}
+
+async function drawFrame() {
+  rendering = true;
+  const start = performance.now();
+  try {
+    await render();
+  } finally {
+    rendering = false;
+  }
+  recordFrameTime(start, performance.now());
+}
+
+function loop(now = performance.now()) {
+  rafId = null;
+  clearTimeout(tickTimer);
+  tickTimer = null;
+  const dt = lastFrame === null ? 0 : Math.min(now - lastFrame, MAX_FRAME_MS);
+  lastFrame = now;
+  // a time-lapse recording drives state.days and render() itself
+  if (!recording) {
+    advanceClock(state, dt);
+    if (camera) {
+      const move = camera(now);
+      state.pos = move.pos;
+      if (move.done) camera = null;
+    }
+    const key = frameKey();
+    // a frame still being drawn is followed by another if the key moved on meanwhile;
+    // a slow clock's own movement waits for its next tick
+    const held = slowClock() && !tickDue && !renderRequested;
+    if ((renderRequested || key !== drawnKey) && !rendering && !held) {
+      renderRequested = false;
+      tickDue = false;
+      drawnKey = key;
+      drawFrame();
+    }
+    if (Date.now() - lastPermalinkSave > 1000) savePermalink(false);
+  }
+  if (renderRequested || rendering || recording || (animating() && !slowClock())) {
+    rafId = requestAnimationFrame(loop);
+  } else if (animating()) {
+    sleepUntilTick();
+  } else {
+    // idle: the next wake-up starts the clock afresh rather than counting the pause
+    lastFrame = null;
+    savePermalink(false);
+    showFrameStats();
+  }
+}
+
+// Anything the user does may change what is drawn; the loop finds out what did
+function bindRenderWake() {
+  ['pointerdown', 'wheel', 'keydown', 'input', 'change', 'click'].forEach(type => {
+    document.addEventListener(type, requestRender, { capture: true, passive: true });
+  });
+  window.addEventListener('resize', requestRender);
+  window.addEventListener('popstate', requestRender);
+}
+
+// Optional frame statistics in the overlay: draw time of the last frame and frames drawn
+// over the last second, or IDLE while nothing is being redrawn
+const frameEnds = [];
+let lastDrawMs = 0;
+let statsShownAt = 0;
+
+function recordFrameTime(start, end) {
+  lastDrawMs = end - start;
+  frameEnds.push(end);
+  while (frameEnds.length && frameEnds[0] < end - 1000) frameEnds.shift();
+  if (end - statsShownAt > 250) showFrameStats();
+}
+
+function showFrameStats() {
+  const label = DOM.perfLabel;
+  if (!label) return;
+  const on = !!(DOM.chkStats && DOM.chkStats.checked);
+  label.style.display = on ? '' : 'none';
+  if (!on) return;
+  statsShownAt = performance.now();
+  const idle = rafId === null && !rendering;
+  label.innerText = idle
+    ? `IDLE · LAST FRAME ${lastDrawMs.toFixed(1)} MS`
+    : `FRAME ${lastDrawMs.toFixed(1)} MS · ${frameEnds.filter(t => t >= statsShownAt - 1000).length} FPS`;
 }
 
 async function init() {
-  await tryAutoProvider();
-  initPools();
+  Object.values(views).forEach(v => {
+    v.initPools(PLANETS, state.zoom);
+    v.applyViewLayers(state.view);
+  });
   bindUI();
+  bindKeyboard();
+  bindRenderWake();
+  // a shared link restores its state before the view is fitted
+  const restored = decodePermalink(window.location.hash, J2000);
+  applySnapshot(restored);
   const vp = DOM.viewport || document.getElementById('viewport');
-  calculateFitZoom(vp);
-  loop();
+  lastPositions = await ephemeris.positions(state.days);
+  if (restored.zoom === undefined || !restored.pos) calculateFitZoom(vp);
+  updateRiseSet();
+  requestRender();
 }
 
 init();
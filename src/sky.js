@@ -0,0 +1,225 @@
+// src/sky.js
+// Topocentric sky for the HORIZON frame of reference.
+// - Altitude/azimuth of the Sun, Moon and planets for an observer on Earth
+// - Rise/transit/set tables and the next rise and set of a single body
+// - Uses astronomy-engine (refraction-corrected) when loaded, otherwise a low-precision
+//   conversion of the Keplerian fallback's geocentric ecliptic coordinates
+//
+// Angles are in degrees; azimuth runs from north through east. Times are days since J2000.
+
+const DEG = Math.PI / 180;
+const OBLIQUITY = 23.4393; // mean obliquity of the ecliptic at J2000 (deg)
+const BODY_NAMES = {
+  sun: 'Sun', moon: 'Moon', mercury: 'Mercury', venus: 'Venus', mars: 'Mars', jupiter: 'Jupiter',
+  saturn: 'Saturn', uranus: 'Uranus', neptune: 'Neptune', pluto: 'Pluto'
+};
+
+function normDeg(a) { return ((a % 360) + 360) % 360; }
+
+// Greenwich mean sidereal time in degrees (Meeus 12.4; `days` is UT)
+export function gmstDegrees(days) {
+  const T = days / 36525;
+  return normDeg(280.46061837 + 360.98564736629 * days + 0.000387933 * T * T - T * T * T / 38710000);
+}
+
+// Greenwich apparent sidereal time in degrees: mean time plus the equation of the equinoxes
+// (nutation in longitude from its four largest terms, Meeus ch. 22)
+export function gastDegrees(days) {
+  const T = days / 36525;
+  const omega = (125.04452 - 1934.136261 * T) * DEG;
+  const sunL = (280.4665 + 36000.7698 * T) * DEG;
+  const moonL = (218.3165 + 481267.8813 * T) * DEG;
+  const dPsi = (-17.20 * Math.sin(omega) - 1.32 * Math.sin(2 * sunL) - 0.23 * Math.sin(2 * moonL) + 0.21 * Math.sin(2 * omega)) / 3600;
+  return normDeg(gmstDegrees(days) + dPsi * Math.cos(OBLIQUITY * DEG));
+}
+
+/** Local mean and apparent sidereal time (hours) at east longitude `lon` (deg). */
+export function localSiderealTime(days, lon) {
+  return {
+    mean: normDeg(gmstDegrees(days) + lon) / 15,
+    apparent: normDeg(gastDegrees(days) + lon) / 15
+  };
+}
+
+// Equatorial RA/Dec (deg) of ecliptic longitude `lon` and latitude `lat` (deg)
+export function eclipticToEquatorial(lon, lat = 0) {
+  const l = lon * DEG, b = lat * DEG, e = OBLIQUITY * DEG;
+  return {
+    ra: normDeg(Math.atan2(Math.sin(l) * Math.cos(e) - Math.tan(b) * Math.sin(e), Math.cos(l)) / DEG),
+    dec: Math.asin(Math.sin(b) * Math.cos(e) + Math.cos(b) * Math.sin(e) * Math.sin(l)) / DEG
+  };
+}
+
+// Altitude/azimuth (deg) for RA/Dec (deg) seen from `observer` at `days`
+export function equatorialToHorizontal(ra, dec, days, observer) {
+  const H = (gmstDegrees(days) + observer.lon - ra) * DEG;
+  const phi = observer.lat * DEG, d = dec * DEG;
+  const alt = Math.asin(Math.sin(phi) * Math.sin(d) + Math.cos(phi) * Math.cos(d) * Math.cos(H));
+  const az = Math.atan2(-Math.cos(d) * Math.sin(H), Math.sin(d) * Math.cos(phi) - Math.cos(d) * Math.cos(H) * Math.sin(phi));
+  return { alt: alt / DEG, az: normDeg(az / DEG) };
+}
+
+/**
+ * Horizontal coordinates of the Sun, Moon and every non-Earth planet.
+ * observer: { lat, lon, elev } (deg, deg east, metres)
+ * ctx: { planets, fallback: days => positions, astronomy: Astronomy|null, epoch: J2000 ms }
+ * Returns { [id]: { alt, az, ra, dec } }.
+ */
+export function skyPositions(days, observer, ctx) {
+  const ids = ['sun', 'moon', ...ctx.planets.map(p => p.id).filter(id => id !== 'earth')];
+  const out = {};
+  const A = ctx.astronomy;
+  if (A) {
+    const time = A.MakeTime(new Date(ctx.epoch + days * 86400000));
+    const obs = new A.Observer(observer.lat, observer.lon, observer.elev || 0);
+    ids.forEach(id => {
+      if (!BODY_NAMES[id]) return;
+      const eq = A.Equator(BODY_NAMES[id], time, obs, true, true);
+      const hor = A.Horizon(time, obs, eq.ra, eq.dec, 'normal');
+      out[id] = { alt: hor.altitude, az: hor.azimuth, ra: eq.ra * 15, dec: eq.dec };
+    });
+    return out;
+  }
+  const pos = ctx.fallback(days);
+  const e = pos.earth || { x: 0, y: 0 };
+  // geocentric ecliptic [longitude, latitude] (deg)
+  const geo = (p) => {
+    const dx = p.x - e.x, dy = p.y - e.y, dz = (p.z || 0) - (e.z || 0);
+    return [Math.atan2(dy, dx) / DEG, Math.atan2(dz, Math.hypot(dx, dy)) / DEG];
+  };
+  const ecliptic = {
+    sun: geo(pos.sun),
+    moon: [pos.moonAbsAng / DEG, (pos.moonLat || 0) / DEG]
+  };
+  ctx.planets.forEach(p => {
+    if (p.id !== 'earth' && pos[p.id]) ecliptic[p.id] = geo(pos[p.id]);
+  });
+  ids.forEach(id => {
+    if (ecliptic[id] === undefined) return;
+    const { ra, dec } = eclipticToEquatorial(normDeg(ecliptic[id][0]), ecliptic[id][1]);
+    out[id] = { ...equatorialToHorizontal(ra, dec, days, observer), ra, dec };
+  });
+  return out;
+}
+
+// Altitude of the rise/set reference point: upper limb with standard refraction for the Sun
+// and Moon (the Moon's parallax roughly cancels its semi-diameter), refraction only for planets
+const HORIZON_ALT = { sun: -0.833, moon: 0.125 };
+const PLANET_HORIZON_ALT = -0.567;
+const horizonAlt = (id) => HORIZON_ALT[id] ?? PLANET_HORIZON_ALT;
+
+export const TWILIGHTS = [
+  { id: 'civil', label: 'Civil', alt: -6 },
+  { id: 'nautical', label: 'Nautical', alt: -12 },
+  { id: 'astronomical', label: 'Astronomical', alt: -18 }
+];
+
+// Sign changes of `f` between `from` and `to`, refined by bisection to about a second
+function crossings(f, from, to, step) {
+  const out = [];
+  let t0 = from, f0 = f(t0);
+  while (t0 < to) {
+    const t1 = Math.min(t0 + step, to), f1 = f(t1);
+    if (f0 !== 0 && Math.sign(f0) !== Math.sign(f1)) {
+      let a = t0, b = t1, fa = f0;
+      while (b - a > 1e-5) {
+        const m = (a + b) / 2, fm = f(m);
+        if (Math.sign(fm) === Math.sign(fa)) { a = m; fa = fm; } else { b = m; }
+      }
+      out.push({ days: (a + b) / 2, rising: f0 < 0 });
+    }
+    t0 = t1; f0 = f1;
+  }
+  return out;
+}
+
+// Low-precision (Keplerian fallback) alternative to astronomy-engine's searches
+function fallbackSearches(id, observer, ctx) {
+  const at = (d) => skyPositions(d, observer, { ...ctx, planets: ctx.planets.filter(p => p.id === id || p.id === 'earth') })[id];
+  const step = 10 / 1440; // ten minutes
+  return {
+    altitude: (d) => at(d).alt,
+    crossing: (from, to, alt) => crossings(d => at(d).alt - alt, from, to, step),
+    transit: (from, to) => {
+      // hour angle passing zero from east to west; ignore the ±180° wrap
+      const ha = (d) => { const p = at(d); return ((gmstDegrees(d) + observer.lon - p.ra) % 360 + 540) % 360 - 180; };
+      const hit = crossings(ha, from, to, step).find(c => c.rising && Math.abs(ha(c.days)) < 1);
+      return hit ? { days: hit.days, alt: at(hit.days).alt } : null;
+    }
+  };
+}
+
+function astronomySearches(id, observer, ctx) {
+  const A = ctx.astronomy;
+  const body = BODY_NAMES[id];
+  const obs = new A.Observer(observer.lat, observer.lon, observer.elev || 0);
+  const toTime = (days) => A.MakeTime(new Date(ctx.epoch + days * 86400000));
+  const search = (dir, from, to, alt) => {
+    // the library's rise/set search applies its own limb and refraction corrections
+    const t = alt === horizonAlt(id)
+      ? A.SearchRiseSet(body, obs, dir, toTime(from), to - from)
+      : A.SearchAltitude(body, obs, dir, toTime(from), to - from, alt);
+    return t && t.ut < to ? { days: t.ut, rising: dir > 0 } : null;
+  };
+  return {
+    altitude: (d) => {
+      const time = toTime(d);
+      const eq = A.Equator(body, time, obs, true, true);
+      return A.Horizon(time, obs, eq.ra, eq.dec, 'normal').altitude;
+    },
+    crossing: (from, to, alt) => [search(1, from, to, alt), search(-1, from, to, alt)].filter(Boolean),
+    transit: (from, to) => {
+      const evt = A.SearchHourAngle(body, obs, 0, toTime(from));
+      return evt.time.ut < to ? { days: evt.time.ut, alt: evt.hor.altitude } : null;
+    }
+  };
+}
+
+// Rising and setting through `alt` during [from, to). When neither happens the body stays
+// on one side all day: status 'up' (e.g. polar day, circumpolar) or 'down' (polar night)
+function riseSetThrough(s, from, to, alt) {
+  const hits = s.crossing(from, to, alt);
+  const rise = hits.find(h => h.rising) || null;
+  const set = hits.find(h => !h.rising) || null;
+  let status = null;
+  if (!rise && !set) status = s.altitude((from + to) / 2) > alt ? 'up' : 'down';
+  return { rise: rise && rise.days, set: set && set.days, status };
+}
+
+/**
+ * Rise, upper transit and set of the Sun, Moon and planets during the day starting at
+ * `fromDays` (one day long), plus the Sun's civil/nautical/astronomical twilight.
+ * Returns { bodies: [{ id, rise, transit, set, status }], twilight: [{ id, label, alt,
+ * dawn, dusk, status }] } with times in days since J2000 and null where nothing happens.
+ */
+export function riseSetTable(fromDays, observer, ctx) {
+  const to = fromDays + 1;
+  const ids = ['sun', 'moon', ...ctx.planets.map(p => p.id).filter(id => id !== 'earth' && BODY_NAMES[id])];
+  const searchesFor = (id) => (ctx.astronomy ? astronomySearches : fallbackSearches)(id, observer, ctx);
+  const bodies = ids.map(id => {
+    const s = searchesFor(id);
+    const rs = riseSetThrough(s, fromDays, to, horizonAlt(id));
+    return { id, rise: rs.rise, transit: s.transit(fromDays, to), set: rs.set, status: rs.status };
+  });
+  const sun = searchesFor('sun');
+  const twilight = TWILIGHTS.map(tw => {
+    const rs = riseSetThrough(sun, fromDays, to, tw.alt);
+    return { ...tw, dawn: rs.rise, dusk: rs.set, status: rs.status };
+  });
+  return { bodies, twilight };
+}
+
+// How far ahead nextRiseSet() looks: long enough for the Moon, which rises ~50 minutes later
+// each day, to rise and set once
+export const RISE_SET_LOOKAHEAD = 2;
+
+/**
+ * The first rise and set of body `id` after `days` within RISE_SET_LOOKAHEAD days:
+ * { rise, set, status } with times in days since J2000 or null, and status 'up' or 'down'
+ * when it does neither (circumpolar, or never above the horizon).
+ */
+export function nextRiseSet(id, days, observer, ctx) {
+  if (!BODY_NAMES[id]) return { rise: null, set: null, status: null };
+  const s = (ctx.astronomy ? astronomySearches : fallbackSearches)(id, observer, ctx);
+  return riseSetThrough(s, days, days + RISE_SET_LOOKAHEAD, horizonAlt(id));
+}
@@ -0,0 +1,853 @@
+// src/svg-view.js
+// SVG view layer: draws engine output into `svg-root`.
+// - Uses element pools instead of innerHTML rebuilds
+// - Holds no simulation state; every frame is described by the arguments to render()
+// - Colours, glyphs and other fixed attributes are set once in initPools(); render() only
+//   writes what moves or scales with the zoom
+// - Geometry (anchor, ring markers, moon and node placement) comes from engine.sceneGeometry
+//   and the layout shared with canvas-view.js (trail bands, zodiac scale, ring offsets)
+//   from view-geometry.js
+
+import { DEG, DOME_R, domePoint, formatDate } from './engine.js';
+import {
+  TRAIL_BANDS, trailOpacity, trailBandRange, ZODIAC_RING_R, ZODIAC_LABEL_R, ZODIAC_TICKS, zodiacTickSegments,
+  MARKER_LABEL_GAP, markerLabelPoint, ASPECT_CHORD_INSET, aspectChordEnds,
+  HOUSE_CUSP_INSET, HOUSE_NUMBER_INSET, HOUSE_AXIS_LABEL_INSET, houseNumberAngles, houseAxes
+} from './view-geometry.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Lit portion of a disc of radius r with its bright limb on +x: a semicircular limb closed by
+// an elliptical terminator that bulges outwards past half phase and inwards before it
+function moonPhasePath(r, fraction) {
+  const rx = r * Math.abs(1 - 2 * fraction);
+  const sweep = fraction > 0.5 ? 1 : 0;
+  return `M 0 ${-r} A ${r} ${r} 0 0 1 0 ${r} A ${rx} ${r} 0 0 ${sweep} 0 ${-r} Z`;
+}
+
+/**
+ * Attach the diagram layers to `svgRoot` (reusing any that already exist).
+ * Returns { element, supported, initPools(planets, zoom), applyViewLayers(view), render(frame),
+ * renderHorizon(frame), bodyAt(event) }, the interface canvas-view.js implements as well;
+ * bodyAt() names the body under a pointer event, or null.
+ *
+ * frame (orbital views): { view, zoom, pan: { x, y }, days, calendar, scene, planets,
+ *   showOrbits, showTrails, isRetrograde(id, days), stations(id), viewport: { width, height },
+ *   zodiac, markerLabels, aspectChords } where scene.center names the body everything is
+ *   relative to, scene.trails holds the past/future trails, zodiac comes from
+ *   engine.zodiacRing(), markerLabels (optional) maps marker ids (planets, 'sun', 'moon',
+ *   'north-node', 'south-node') to the text shown beside them, aspectChords (optional) are
+ *   [{ from, to, color, major, exactness }] lines between two ring longitudes (deg) and
+ *   houses (optional, chart mode) is { cusps: [12 angles], asc, mc }. Angles are scene
+ *   angles in degrees, as are the zodiac's: the longitudes themselves unless the scene is
+ *   oriented as a chart
+ * Everything that stands for a body (planets, the Sun, the Moon, the lunar nodes, their ring
+ * markers and the horizon glyphs) carries `data-body` with its id, for click-to-inspect.
+ * frame (horizon): { zoom, pan, sky, viewport } with sky from sky.skyPositions()
+ */
+export function createSvgView(svgRoot) {
+  // UI layer references (created dynamically if missing)
+  function ensureLayer(id, tag = 'g', parent = svgRoot) {
+    let el = svgRoot.ownerDocument.getElementById(id);
+    if (!el) {
+      el = svgRoot.ownerDocument.createElementNS(SVG_NS, tag);
+      el.id = id;
+      parent.appendChild(el);
+    }
+    return el;
+  }
+  const make = (tag) => svgRoot.ownerDocument.createElementNS(SVG_NS, tag);
+
+  // create world first and attach other layers under it so transforms apply correctly
+  const ui = {};
+  ui.world = ensureLayer('world', 'g', svgRoot);
+  // Zodiac is a SIBLING to world (not a child), so it stays fixed on screen
+  ui.zodiac = ensureLayer('zodiac-layer', 'g', svgRoot);
+  ui.orbits = ensureLayer('orbits-layer', 'g', ui.world);
+  ui.trails = ensureLayer('trails-layer', 'g', ui.world);
+  ui.markers = ensureLayer('markers-layer', 'g', ui.world);
+  ui.planets = ensureLayer('planets-layer', 'g', ui.world);
+  ui.sun = ensureLayer('sun-layer', 'g', ui.world);
+  ui.moonSys = ensureLayer('moon-system-layer', 'g', ui.world);
+  // HORIZON frame: local sky dome, shown instead of the orbital layers
+  ui.horizon = ensureLayer('horizon-layer', 'g', ui.world);
+
+  // Pools
+  const pool = {
+    zodiacLines: [],
+    zodiacText: [],
+    zodiacTicks: [],
+    zodiacRing: null,
+    orbitPaths: {},
+    planetGroups: {},
+    planetCircles: {},
+    planetTexts: {},
+    planetTitles: {},
+    trailBands: {},
+    trailNow: {},
+    moonGroup: null,
+    moonElements: {},
+    markerTexts: {},
+    outerMarkers: {},
+    markerLabels: {}
+  };
+
+  // marker connector lines and outer ring
+  pool.markerLines = {};
+  pool.outerRing = null;
+
+  // retrograde trail segments, station markers and ℞ badges
+  pool.retroPaths = {};
+  pool.stationMarks = {};
+  pool.retroBadges = {};
+  pool.markerRetroBadges = {};
+
+  let zoom = 0.25;
+  // origin and centre the zodiac degree scale was last drawn for
+  let zodiacScale = null;
+  function zMod(v) { return v / Math.pow(zoom, 0.6); }
+
+  // Create and cache DOM elements
+  function initPools(planets, initialZoom = zoom) {
+    zoom = initialZoom;
+    // Zodiac: degree scale and ring; sign dividers and glyphs are pooled on demand since the
+    // IAU ring has thirteen
+    while (ui.zodiac.firstChild) ui.zodiac.removeChild(ui.zodiac.firstChild);
+    pool.zodiacLines = [];
+    pool.zodiacText = [];
+    pool.zodiacTicks = ZODIAC_TICKS.map(tick => {
+      const path = make('path');
+      path.setAttribute('stroke', '#94a3b8');
+      path.setAttribute('stroke-width', tick.width);
+      path.setAttribute('opacity', tick.opacity);
+      ui.zodiac.appendChild(path);
+      return path;
+    });
+    pool.zodiacRing = make('circle');
+    pool.zodiacRing.setAttribute('r', ZODIAC_RING_R);
+    pool.zodiacRing.setAttribute('fill', 'none');
+    pool.zodiacRing.setAttribute('stroke', '#94a3b8');
+    pool.zodiacRing.setAttribute('stroke-width', '1');
+    pool.zodiacRing.setAttribute('opacity', '0.4');
+    ui.zodiac.appendChild(pool.zodiacRing);
+    zodiacScale = null;
+
+    // Orbits and planets
+    while (ui.orbits.firstChild) ui.orbits.removeChild(ui.orbits.firstChild);
+    while (ui.planets.firstChild) ui.planets.removeChild(ui.planets.firstChild);
+    while (ui.trails.firstChild) ui.trails.removeChild(ui.trails.firstChild);
+    planets.forEach(p => {
+      const orbit = make('path');
+      orbit.setAttribute('fill', 'none');
+      orbit.setAttribute('stroke', '#e2e8f0');
+      ui.orbits.appendChild(orbit);
+      pool.orbitPaths[p.id] = orbit;
+
+      const g = make('g');
+      g.dataset.body = p.id;
+      ui.planets.appendChild(g);
+      pool.planetGroups[p.id] = g;
+
+      const pc = make('circle');
+      pc.setAttribute('fill', p.col);
+      pc.setAttribute('stroke', 'white');
+      g.appendChild(pc);
+      pool.planetCircles[p.id] = pc;
+
+      const pt = make('text');
+      pt.textContent = p.sym;
+      pt.setAttribute('text-anchor', 'middle');
+      pt.setAttribute('dy', '-12');
+      pt.setAttribute('font-weight', '900');
+      pt.setAttribute('fill', '#1e293b');
+      g.appendChild(pt);
+      pool.planetTexts[p.id] = pt;
+
+      const title = make('title');
+      g.appendChild(title);
+      pool.planetTitles[p.id] = title;
+
+      const badge = make('text');
+      badge.textContent = '℞';
+      badge.setAttribute('fill', '#e11d48');
+      badge.setAttribute('font-weight', '900');
+      badge.style.display = 'none';
+      g.appendChild(badge);
+      pool.retroBadges[p.id] = badge;
+
+      pool.trailBands[p.id] = [false, true].flatMap(future => Array.from({ length: TRAIL_BANDS }, (_, band) => {
+        const path = make('path');
+        path.setAttribute('fill', 'none');
+        path.setAttribute('stroke', p.col);
+        path.setAttribute('stroke-linejoin', 'round');
+        path.setAttribute('opacity', trailOpacity(future, band).toFixed(2));
+        ui.trails.appendChild(path);
+        return { path, future, band };
+      }));
+      const nowMark = make('circle');
+      nowMark.setAttribute('fill', 'none');
+      nowMark.setAttribute('stroke', p.col);
+      nowMark.setAttribute('opacity', '0.8');
+      ui.trails.appendChild(nowMark);
+      pool.trailNow[p.id] = nowMark;
+
+      // retrograde stretches of the trail, drawn over the regular path
+      const retroPath = make('path');
+      retroPath.setAttribute('fill', 'none');
+      retroPath.setAttribute('stroke', p.col);
+      retroPath.setAttribute('opacity', '0.85');
+      retroPath.setAttribute('stroke-linecap', 'round');
+      ui.trails.appendChild(retroPath);
+      pool.retroPaths[p.id] = retroPath;
+    });
+
+    // outer ring and marker lines
+    // ensure markers layer is empty before creating elements
+    while (ui.markers.firstChild) ui.markers.removeChild(ui.markers.firstChild);
+
+    // create outer ring (single circle)
+    const outerRing = make('circle');
+    outerRing.setAttribute('fill', 'none');
+    outerRing.setAttribute('stroke', '#cbd5e1');
+    outerRing.setAttribute('stroke-linecap', 'round');
+    outerRing.setAttribute('opacity', '0.5');
+    ui.markers.appendChild(outerRing);
+    pool.outerRing = outerRing;
+
+    // aspect chords, under the markers; lines are added as more aspects come up
+    pool.aspectGroup = make('g');
+    ui.markers.appendChild(pool.aspectGroup);
+    pool.aspectLines = [];
+
+    // chart houses: two axes, twelve cusp ticks and house numbers
+    const hg = make('g');
+    hg.style.display = 'none';
+    ui.markers.appendChild(hg);
+    const houseLine = (color, opacity) => {
+      const ln = make('line');
+      ln.setAttribute('stroke', color);
+      ln.setAttribute('opacity', opacity);
+      hg.appendChild(ln);
+      return ln;
+    };
+    const houseText = (weight) => {
+      const t = make('text');
+      t.setAttribute('fill', '#475569');
+      t.setAttribute('font-weight', weight);
+      t.setAttribute('text-anchor', 'middle');
+      t.setAttribute('dominant-baseline', 'central');
+      hg.appendChild(t);
+      return t;
+    };
+    pool.houses = {
+      group: hg,
+      cusps: Array.from({ length: 12 }, () => houseLine('#64748b', '0.5')),
+      axes: [houseLine('#334155', '0.45'), houseLine('#334155', '0.45')],
+      numbers: Array.from({ length: 12 }, (_, i) => {
+        const t = houseText('800');
+        t.textContent = String(i + 1);
+        return t;
+      }),
+      axisLabels: ['ASC', 'DSC', 'MC', 'IC'].map(name => {
+        const t = houseText('900');
+        t.textContent = name;
+        return t;
+      })
+    };
+
+    // marker lines (one per planet), plus connector lines for moon, nodes, and sun
+    const connector = (stroke) => {
+      const ln = make('line');
+      ln.setAttribute('stroke', stroke);
+      ln.setAttribute('opacity', '0.15');
+      ln.setAttribute('stroke-dasharray', `${6 / zoom} ${6 / zoom}`);
+      ui.markers.appendChild(ln);
+      return ln;
+    };
+    planets.forEach(p => { pool.markerLines[p.id] = connector(p.col); });
+    pool.markerLines.moon = connector('#64748b');
+    pool.markerLines.nodeA = connector('#ef4444');
+    pool.markerLines.nodeB = connector('#6366f1');
+    pool.markerLines.sun = connector('#fbbf24');
+
+    // outer markers layer: create a text element for each planet and additional markers
+    const markerText = (glyph, fill, weight, body) => {
+      const t = make('text');
+      t.textContent = glyph;
+      t.dataset.body = body;
+      t.setAttribute('fill', fill);
+      t.setAttribute('text-anchor', 'middle');
+      t.setAttribute('alignment-baseline', 'middle');
+      if (weight) t.setAttribute('font-weight', weight);
+      ui.markers.appendChild(t);
+      return t;
+    };
+    planets.forEach(p => { pool.markerTexts[p.id] = markerText(p.sym, p.col, 'bold', p.id); });
+    planets.forEach(p => {
+      const b = make('text');
+      b.textContent = '℞';
+      b.setAttribute('fill', '#e11d48');
+      b.setAttribute('font-weight', '900');
+      b.style.display = 'none';
+      ui.markers.appendChild(b);
+      pool.markerRetroBadges[p.id] = b;
+
+      // stationary points (up to two retrograde loops fit in the search window)
+      pool.stationMarks[p.id] = [0, 1, 2, 3, 4].map(() => {
+        const sg = make('g');
+        const sc = make('circle');
+        sc.setAttribute('fill', 'white');
+        sc.setAttribute('stroke', p.col);
+        const st = make('text');
+        st.setAttribute('fill', p.col);
+        st.setAttribute('font-weight', '900');
+        st.setAttribute('text-anchor', 'middle');
+        const stTitle = make('title');
+        sg.appendChild(sc); sg.appendChild(st); sg.appendChild(stTitle);
+        sg.style.display = 'none';
+        ui.markers.appendChild(sg);
+        return { g: sg, circle: sc, text: st, title: stTitle };
+      });
+    });
+    pool.outerMarkers.moon = markerText('☾', '#64748b', null, 'moon');
+    pool.outerMarkers.nodeA = markerText('☊', '#ef4444', null, 'north-node');
+    pool.outerMarkers.nodeB = markerText('☋', '#6366f1', null, 'south-node');
+    pool.outerMarkers.sun = markerText('☉', '#fbbf24', null, 'sun');
+    // longitude labels beside the ring markers, keyed like frame.markerLabels
+    pool.markerLabels = {};
+    ['sun', 'moon', 'north-node', 'south-node', ...planets.map(p => p.id)].forEach(id => {
+      const t = make('text');
+      t.setAttribute('fill', '#64748b');
+      t.setAttribute('font-weight', '700');
+      t.setAttribute('text-anchor', 'middle');
+      t.setAttribute('dominant-baseline', 'central');
+      t.style.display = 'none';
+      ui.markers.appendChild(t);
+      pool.markerLabels[id] = t;
+    });
+
+    // Moon group (single reusable)
+    ui.moonSys.innerHTML = '';
+    const mg = make('g');
+    mg.dataset.body = 'moon';
+    ui.moonSys.appendChild(mg);
+    pool.moonGroup = mg;
+    const moon = make('circle');
+    moon.setAttribute('fill', '#334155');
+    moon.setAttribute('stroke', '#94a3b8');
+    mg.appendChild(moon);
+    pool.moonElements.moon = moon;
+    // sunlit part of the disc, redrawn each frame from the illuminated fraction
+    const moonLit = make('path');
+    moonLit.setAttribute('fill', '#f1f5f9');
+    mg.appendChild(moonLit);
+    pool.moonElements.lit = moonLit;
+    const orbitCircle = make('circle');
+    orbitCircle.setAttribute('fill', 'none');
+    orbitCircle.setAttribute('stroke', '#cbd5e1');
+    mg.insertBefore(orbitCircle, moon);
+    pool.moonElements.orbit = orbitCircle;
+    const nodeA = make('text');
+    const nodeB = make('text');
+    nodeA.textContent = '☊';
+    nodeB.textContent = '☋';
+    nodeA.dataset.body = 'north-node';
+    nodeB.dataset.body = 'south-node';
+    mg.appendChild(nodeA); mg.appendChild(nodeB);
+    pool.moonElements.nodeA = nodeA; pool.moonElements.nodeB = nodeB;
+
+    initHorizonPool(planets);
+
+    // Sun
+    ui.sun.innerHTML = '';
+    const sunC = make('circle');
+    const sunT = make('text');
+    sunT.textContent = '☉';
+    sunC.dataset.body = 'sun';
+    ui.sun.appendChild(sunC); ui.sun.appendChild(sunT);
+    pool.sunCircle = sunC; pool.sunText = sunT;
+  }
+
+  // Horizon dome: altitude rings, meridian, cardinal points and one glyph per body
+  function initHorizonPool(planets) {
+    while (ui.horizon.firstChild) ui.horizon.removeChild(ui.horizon.firstChild);
+    const h = { rings: [], cardinals: [], bodies: {} };
+    h.dome = make('circle');
+    h.dome.setAttribute('r', DOME_R);
+    h.dome.setAttribute('stroke', '#94a3b8');
+    ui.horizon.appendChild(h.dome);
+    [30, 60].forEach(alt => {
+      const ring = make('circle');
+      ring.setAttribute('fill', 'none');
+      ring.setAttribute('stroke', '#cbd5e1');
+      ring.setAttribute('r', DOME_R * (90 - alt) / 90);
+      ui.horizon.appendChild(ring);
+      h.rings.push(ring);
+    });
+    h.meridian = make('line');
+    h.meridian.setAttribute('x1', 0); h.meridian.setAttribute('y1', -DOME_R);
+    h.meridian.setAttribute('x2', 0); h.meridian.setAttribute('y2', DOME_R);
+    h.meridian.setAttribute('stroke', '#cbd5e1');
+    ui.horizon.appendChild(h.meridian);
+    h.zenith = make('text');
+    h.zenith.textContent = '+';
+    h.zenith.setAttribute('fill', '#94a3b8');
+    h.zenith.setAttribute('text-anchor', 'middle');
+    h.zenith.setAttribute('dominant-baseline', 'central');
+    ui.horizon.appendChild(h.zenith);
+    [['N', 0], ['E', 90], ['S', 180], ['W', 270]].forEach(([label, az]) => {
+      const t = make('text');
+      t.textContent = label;
+      t.setAttribute('fill', label === 'N' ? '#e11d48' : '#64748b');
+      t.setAttribute('font-weight', '900');
+      t.setAttribute('text-anchor', 'middle');
+      t.setAttribute('dominant-baseline', 'central');
+      ui.horizon.appendChild(t);
+      h.cardinals.push({ el: t, az });
+    });
+    const bodies = [
+      { id: 'sun', sym: '☉', col: '#fbbf24' },
+      { id: 'moon', sym: '☾', col: '#64748b' },
+      ...planets.filter(p => p.id !== 'earth')
+    ];
+    bodies.forEach(b => {
+      const g = make('g');
+      g.dataset.body = b.id;
+      const c = make('circle');
+      c.setAttribute('fill', b.col);
+      c.setAttribute('stroke', 'white');
+      const t = make('text');
+      t.textContent = b.sym;
+      t.setAttribute('fill', '#1e293b');
+      t.setAttribute('font-weight', '900');
+      t.setAttribute('text-anchor', 'middle');
+      const title = make('title');
+      g.appendChild(c); g.appendChild(t); g.appendChild(title);
+      ui.horizon.appendChild(g);
+      h.bodies[b.id] = { g, circle: c, text: t, title };
+    });
+    pool.horizon = h;
+  }
+
+  // Only the layers belonging to the current frame of reference are shown
+  function applyViewLayers(view) {
+    const horizon = view === 'horizon';
+    [ui.orbits, ui.trails, ui.markers, ui.planets, ui.sun, ui.moonSys, ui.zodiac].forEach(layer => {
+      layer.style.display = horizon ? 'none' : 'block';
+    });
+    ui.horizon.style.display = horizon ? 'block' : 'none';
+  }
+
+  function renderHorizon(frame) {
+    zoom = frame.zoom;
+    ui.world.setAttribute('transform', `translate(${frame.pan.x}, ${frame.pan.y}) scale(${zoom})`);
+    const h = pool.horizon;
+    const stroke = (1.5 / zoom).toString();
+    const sky = frame.sky;
+
+    // sky tint follows the Sun: day, twilight (down to -18°) or night
+    const sunAlt = sky.sun ? sky.sun.alt : -90;
+    h.dome.setAttribute('fill', sunAlt > 0 ? '#e0f2fe' : sunAlt > -18 ? '#e2e8f0' : '#cbd5e1');
+    h.dome.setAttribute('stroke-width', (parseFloat(stroke) * 1.5).toString());
+    h.rings.forEach(ring => {
+      ring.setAttribute('stroke-width', stroke);
+      ring.setAttribute('stroke-dasharray', `${6 / zoom} ${6 / zoom}`);
+    });
+    h.meridian.setAttribute('stroke-width', stroke);
+    h.meridian.setAttribute('stroke-dasharray', `${12 / zoom} ${6 / zoom}`);
+    h.zenith.setAttribute('font-size', zMod(18));
+    h.cardinals.forEach(({ el, az }) => {
+      const pt = domePoint(0, az);
+      const pad = 1 + zMod(30) / DOME_R;
+      el.setAttribute('x', pt.x * pad);
+      el.setAttribute('y', pt.y * pad);
+      el.setAttribute('font-size', zMod(24));
+    });
+
+    Object.keys(h.bodies).forEach(id => {
+      const b = h.bodies[id];
+      const p = sky[id];
+      // bodies below the horizon are not drawn
+      if (!p || p.alt < 0) { b.g.style.display = 'none'; return; }
+      const pt = domePoint(p.alt, p.az);
+      b.g.setAttribute('transform', `translate(${pt.x}, ${pt.y})`);
+      b.circle.setAttribute('r', zMod(id === 'sun' ? 14 : 9));
+      b.circle.setAttribute('stroke-width', stroke);
+      b.text.setAttribute('y', -zMod(14));
+      b.text.setAttribute('font-size', zMod(12));
+      b.title.textContent = `${id.toUpperCase()}  ALT ${p.alt.toFixed(1)}°  AZ ${p.az.toFixed(1)}°`;
+      b.g.style.display = 'block';
+    });
+  }
+
+  function addZodiacSign() {
+    const line = make('line');
+    line.setAttribute('stroke', '#cbd5e1');
+    line.setAttribute('stroke-width', '1.5');
+    line.setAttribute('stroke-dasharray', '10 10');
+    line.setAttribute('opacity', '0.15');
+    ui.zodiac.appendChild(line);
+    pool.zodiacLines.push(line);
+    const text = make('text');
+    text.setAttribute('fill', '#94a3b8');
+    text.setAttribute('font-size', '28');
+    text.setAttribute('font-weight', '900');
+    text.setAttribute('text-anchor', 'middle');
+    text.setAttribute('dominant-baseline', 'central');
+    text.setAttribute('opacity', '0.4');
+    ui.zodiac.appendChild(text);
+    pool.zodiacText.push(text);
+  }
+
+  function renderZodiacOverlay(frame) {
+    // Fixed zodiac ring centred in the viewport, in the frame's longitudes (a screen angle
+    // of lon, as in the scene)
+    const { signs, origin } = frame.zodiac;
+    const centerX = frame.viewport.width / 2;
+    const centerY = frame.viewport.height / 2;
+
+    // Lines start at the viewpoint (Earth, or the followed body) in screen coordinates
+    const fromX = frame.pan.x + frame.scene.viewpoint.x * zoom;
+    const fromY = frame.pan.y + frame.scene.viewpoint.y * zoom;
+
+    while (pool.zodiacLines.length < signs.length) addZodiacSign();
+    pool.zodiacLines.forEach((line, i) => {
+      const sign = signs[i];
+      const text = pool.zodiacText[i];
+      if (!sign) {
+        line.style.display = 'none';
+        text.style.display = 'none';
+        return;
+      }
+      // divider at the start of the sign, glyph half way across it
+      const a = sign.from * DEG;
+      line.setAttribute('x1', fromX);
+      line.setAttribute('y1', fromY);
+      line.setAttribute('x2', centerX + ZODIAC_RING_R * Math.cos(a));
+      line.setAttribute('y2', centerY + ZODIAC_RING_R * Math.sin(a));
+      line.style.display = 'block';
+      const mid = (sign.from + sign.to) / 2 * DEG;
+      if (text.textContent !== sign.s) text.textContent = sign.s;
+      text.setAttribute('x', centerX + ZODIAC_LABEL_R * Math.cos(mid));
+      text.setAttribute('y', centerY + ZODIAC_LABEL_R * Math.sin(mid));
+      text.style.display = 'block';
+    });
+
+    // the degree scale only moves with precession or a resize, so its paths are kept until
+    // it has turned by a visible amount
+    const key = `${origin.toFixed(3)}|${centerX}|${centerY}`;
+    if (zodiacScale === key) return;
+    zodiacScale = key;
+    pool.zodiacRing.setAttribute('cx', centerX);
+    pool.zodiacRing.setAttribute('cy', centerY);
+    ZODIAC_TICKS.forEach((tick, i) => {
+      const d = zodiacTickSegments(tick, origin, centerX, centerY)
+        .map(t => `M ${t.x1} ${t.y1} L ${t.x2} ${t.y2}`).join(' ');
+      pool.zodiacTicks[i].setAttribute('d', d);
+    });
+  }
+
+  function placeMarker(el, pt, size) {
+    el.setAttribute('x', pt.x);
+    el.setAttribute('y', pt.y);
+    el.setAttribute('font-size', zMod(size));
+  }
+
+  function placeConnector(ln, from, to, stroke) {
+    ln.setAttribute('x1', from.x);
+    ln.setAttribute('y1', from.y);
+    ln.setAttribute('x2', to.x);
+    ln.setAttribute('y2', to.y);
+    ln.setAttribute('stroke-width', Math.max(0.5, parseFloat(stroke) * 0.6));
+    ln.setAttribute('stroke-dasharray', `${6 / zoom} ${6 / zoom}`);
+    ln.style.display = 'block';
+  }
+
+  function render(frame) {
+    zoom = frame.zoom;
+    const { scene, days } = frame;
+    const stroke = (1.5 / zoom).toString();
+
+    ui.world.setAttribute('transform', `translate(${frame.pan.x}, ${frame.pan.y}) scale(${zoom})`);
+
+    // Render zodiac overlay with lines radiating from the viewpoint
+    renderZodiacOverlay(frame);
+
+    // Orbits, planets, markers
+    frame.planets.forEach((p, i) => {
+      const body = scene.planets[i];
+      const retrograde = frame.isRetrograde(p.id, days);
+      // orbit path, sampled from the provider and scaled like the planets
+      const op = pool.orbitPaths[p.id];
+      if (op) {
+        const pts = scene.orbits[p.id];
+        if (frame.showOrbits && pts && pts.length > 2) {
+          op.setAttribute('d', pts.map((pt, i) => `${i === 0 ? 'M' : 'L'} ${pt.x.toFixed(1)} ${pt.y.toFixed(1)}`).join(' ') + ' Z');
+          op.setAttribute('stroke-width', stroke);
+          op.style.display = 'block';
+        } else {
+          op.style.display = 'none';
+        }
+      }
+
+      // planet group
+      const g = pool.planetGroups[p.id];
+      if (g) {
+        g.setAttribute('transform', `translate(${body.x}, ${body.y})`);
+        const pc = pool.planetCircles[p.id];
+        pc.setAttribute('r', zMod(12));
+        pc.setAttribute('stroke-width', (parseFloat(stroke) * 1.5).toString());
+        const pt = pool.planetTexts[p.id];
+        pt.setAttribute('font-size', zMod(10));
+        // Earth at the centre of the geo frame is the hub of the Moon inset instead; a
+        // followed body stays drawn in the middle
+        g.style.display = body.center && p.id === 'earth' ? 'none' : 'block';
+        pool.planetTitles[p.id].textContent = `${p.id.toUpperCase()}${retrograde ? ' (RETROGRADE)' : ''}`;
+        const badge = pool.retroBadges[p.id];
+        if (badge) {
+          badge.setAttribute('x', zMod(10));
+          badge.setAttribute('y', zMod(-10));
+          badge.setAttribute('font-size', zMod(10));
+          badge.style.display = retrograde ? 'block' : 'none';
+        }
+      }
+
+      // past and future trails, banded around the body's current position
+      const bands = pool.trailBands[p.id];
+      const nowMark = pool.trailNow[p.id];
+      const retroPath = pool.retroPaths[p.id];
+      retroPath.style.display = 'none';
+      bands.forEach(b => { b.path.style.display = 'none'; });
+      nowMark.style.display = 'none';
+      const trail = frame.showTrails ? scene.trails[p.id] : null;
+      if (trail && trail.points.length > 1) {
+        const pts = trail.points;
+        bands.forEach(({ path, future, band }) => {
+          const [a, b] = trailBandRange(trail, future, band);
+          if (b <= a) return;
+          path.setAttribute('d', pts.slice(a, b + 1).map((pt, i) => `${i === 0 ? 'M' : 'L'} ${pt.x.toFixed(1)} ${pt.y.toFixed(1)}`).join(' '));
+          path.setAttribute('stroke-width', stroke);
+          path.setAttribute('stroke-dasharray', future ? `${6 / zoom} ${4 / zoom}` : 'none');
+          path.style.display = 'block';
+        });
+        nowMark.setAttribute('cx', pts[trail.now].x);
+        nowMark.setAttribute('cy', pts[trail.now].y);
+        nowMark.setAttribute('r', zMod(18));
+        nowMark.setAttribute('stroke-width', stroke);
+        nowMark.style.display = 'block';
+        // apparent loops are measured from Earth: pick out the retrograde stretches when
+        // Earth is the centre
+        if (scene.center === 'earth') {
+          let rd = '', prevRetro = false;
+          pts.forEach(pt => {
+            if (pt.retrograde) rd += `${prevRetro ? 'L' : 'M'} ${pt.x} ${pt.y} `;
+            prevRetro = pt.retrograde;
+          });
+          if (rd) {
+            retroPath.setAttribute('d', rd);
+            retroPath.setAttribute('stroke-width', (parseFloat(stroke) * 2.5).toString());
+            retroPath.style.display = 'block';
+          }
+        }
+      }
+
+      // stationary points of the retrograde loops (geocentric positions)
+      const marks = pool.stationMarks[p.id] || [];
+      const stations = scene.center === 'earth' ? frame.stations(p.id) : [];
+      marks.forEach((mk, i) => {
+        const st = stations[i];
+        if (!st || !st.geo) { mk.g.style.display = 'none'; return; }
+        const retroStart = st.kind === 'station-retrograde';
+        mk.g.setAttribute('transform', `translate(${st.geo.x}, ${st.geo.y})`);
+        mk.circle.setAttribute('r', zMod(4));
+        mk.circle.setAttribute('stroke-width', stroke);
+        mk.text.textContent = retroStart ? 'S℞' : 'SD';
+        mk.text.setAttribute('y', zMod(-7));
+        mk.text.setAttribute('font-size', zMod(8));
+        mk.title.textContent = `${p.id.toUpperCase()} ${retroStart ? 'STATIONARY RETROGRADE' : 'STATIONARY DIRECT'} ${formatDate(st.days, frame.calendar)}`;
+        mk.g.style.display = 'block';
+      });
+    });
+
+    // Moon system
+    const { moon, nodes, earth } = scene;
+    pool.moonGroup.setAttribute('transform', `translate(${earth.x}, ${earth.y})`);
+    // moon orbit circle
+    if (pool.moonElements.orbit) {
+      pool.moonElements.orbit.setAttribute('r', scene.moonRadius);
+      pool.moonElements.orbit.setAttribute('stroke-width', stroke);
+      pool.moonElements.orbit.setAttribute('stroke-dasharray', `${4 / zoom} ${4 / zoom}`);
+    }
+
+    pool.moonElements.moon.setAttribute('r', zMod(6));
+    pool.moonElements.moon.setAttribute('cx', moon.inset.x);
+    pool.moonElements.moon.setAttribute('cy', moon.inset.y);
+    pool.moonElements.moon.setAttribute('stroke-width', stroke);
+    if (pool.moonElements.lit && moon.phase) {
+      // turn the bright limb towards the Sun as seen from the Moon's place in the inset
+      pool.moonElements.lit.setAttribute('d', moonPhasePath(zMod(6), moon.phase.fraction));
+      pool.moonElements.lit.setAttribute('transform', `translate(${moon.inset.x}, ${moon.inset.y}) rotate(${moon.sunAngle / DEG})`);
+    }
+    pool.moonElements.nodeA.setAttribute('x', nodes.ascending.inset.x);
+    pool.moonElements.nodeA.setAttribute('y', nodes.ascending.inset.y);
+    pool.moonElements.nodeA.setAttribute('font-size', zMod(18));
+    pool.moonElements.nodeB.setAttribute('x', nodes.descending.inset.x);
+    pool.moonElements.nodeB.setAttribute('y', nodes.descending.inset.y);
+    pool.moonElements.nodeB.setAttribute('font-size', zMod(18));
+
+    // Sun
+    const { sun } = scene;
+    if (scene.center !== 'sun') {
+      pool.sunCircle.setAttribute('cx', sun.x); pool.sunCircle.setAttribute('cy', sun.y); pool.sunCircle.setAttribute('r', zMod(18));
+      pool.sunText.setAttribute('x', sun.x); pool.sunText.setAttribute('y', sun.y);
+    } else {
+      pool.sunCircle.setAttribute('cx', 0); pool.sunCircle.setAttribute('cy', 0); pool.sunCircle.setAttribute('r', zMod(22));
+      pool.sunText.removeAttribute('x'); pool.sunText.removeAttribute('y');
+    }
+
+    // Outer-ring markers (planet symbols, moon, nodes, sun marker)
+    if (pool.outerRing) {
+      // The outer markers ring is centred on the anchor: the Sun, Earth or the followed body
+      pool.outerRing.setAttribute('cx', scene.ringCenter.x);
+      pool.outerRing.setAttribute('cy', scene.ringCenter.y);
+      pool.outerRing.setAttribute('r', scene.ring);
+      pool.outerRing.setAttribute('stroke-width', Math.max(1.5, parseFloat(stroke)));
+      pool.outerRing.setAttribute('stroke-dasharray', `${12 / zoom} ${6 / zoom}`);
+      pool.outerRing.style.display = 'block';
+    }
+    renderAspectChords(frame, stroke);
+    renderHouses(frame, stroke);
+    frame.planets.forEach((p, i) => {
+      const body = scene.planets[i];
+      const m = pool.markerTexts[p.id];
+      const ln = pool.markerLines[p.id];
+      if (m) {
+        if (body.center) {
+          m.style.display = 'none';
+        } else {
+          m.style.display = 'block';
+          placeMarker(m, body.marker, 36);
+        }
+      }
+      const mb = pool.markerRetroBadges[p.id];
+      if (mb) {
+        if (!body.center && frame.isRetrograde(p.id, days)) {
+          mb.setAttribute('x', body.marker.x + zMod(24));
+          mb.setAttribute('y', body.marker.y - zMod(18));
+          mb.setAttribute('font-size', zMod(18));
+          mb.style.display = 'block';
+        } else {
+          mb.style.display = 'none';
+        }
+      }
+      if (ln) {
+        // line from planet position to outer marker
+        placeConnector(ln, body, body.marker, stroke);
+        ln.style.display = body.center ? 'none' : 'block';
+      }
+    });
+
+    // moon and lunar node connector lines (from the inset around Earth to the ring)
+    if (pool.markerLines.moon) placeConnector(pool.markerLines.moon, moon, moon.marker, stroke);
+    if (pool.markerLines.nodeA && pool.markerLines.nodeB) {
+      placeConnector(pool.markerLines.nodeA, nodes.ascending, nodes.ascending.marker, stroke);
+      placeConnector(pool.markerLines.nodeB, nodes.descending, nodes.descending.marker, stroke);
+    }
+
+    // sun connector line (only when the Sun is not the centre)
+    if (pool.markerLines.sun) {
+      if (scene.sunMarker) placeConnector(pool.markerLines.sun, sun, scene.sunMarker, stroke);
+      else pool.markerLines.sun.style.display = 'none';
+    }
+
+    placeMarker(pool.outerMarkers.moon, moon.marker, 30);
+    placeMarker(pool.outerMarkers.nodeA, nodes.ascending.marker, 24);
+    placeMarker(pool.outerMarkers.nodeB, nodes.descending.marker, 24);
+    if (pool.outerMarkers.sun) {
+      if (scene.sunMarker) {
+        placeMarker(pool.outerMarkers.sun, scene.sunMarker, 36);
+        pool.outerMarkers.sun.style.display = 'block';
+      } else {
+        pool.outerMarkers.sun.style.display = 'none';
+      }
+    }
+
+    // longitude labels for the markers that are showing
+    const labelAt = { moon: moon.marker, 'north-node': nodes.ascending.marker, 'south-node': nodes.descending.marker };
+    if (scene.sunMarker) labelAt.sun = scene.sunMarker;
+    scene.planets.forEach(body => { if (!body.center) labelAt[body.id] = body.marker; });
+    Object.entries(pool.markerLabels).forEach(([id, t]) => {
+      const text = frame.markerLabels && frame.markerLabels[id];
+      if (!text || !labelAt[id]) {
+        t.style.display = 'none';
+        return;
+      }
+      if (t.textContent !== text) t.textContent = text;
+      placeMarker(t, markerLabelPoint(labelAt[id], zMod(MARKER_LABEL_GAP)), 13);
+      t.style.display = 'block';
+    });
+  }
+
+  function renderAspectChords(frame, stroke) {
+    if (!pool.aspectGroup) return;
+    const chords = frame.aspectChords || [];
+    while (pool.aspectLines.length < chords.length) {
+      const ln = make('line');
+      ln.setAttribute('stroke-linecap', 'round');
+      pool.aspectGroup.appendChild(ln);
+      pool.aspectLines.push(ln);
+    }
+    const r = frame.scene.ring - zMod(ASPECT_CHORD_INSET);
+    pool.aspectLines.forEach((ln, i) => {
+      const chord = chords[i];
+      if (!chord) {
+        ln.style.display = 'none';
+        return;
+      }
+      const [a, b] = aspectChordEnds(chord, r);
+      ln.setAttribute('x1', a.x);
+      ln.setAttribute('y1', a.y);
+      ln.setAttribute('x2', b.x);
+      ln.setAttribute('y2', b.y);
+      ln.setAttribute('stroke', chord.color);
+      ln.setAttribute('stroke-width', parseFloat(stroke) * (chord.major ? 1.2 : 0.8));
+      // minor aspects dashed; the closer to exact, the stronger the line
+      if (chord.major) ln.removeAttribute('stroke-dasharray');
+      else ln.setAttribute('stroke-dasharray', `${5 / zoom} ${4 / zoom}`);
+      ln.setAttribute('opacity', (0.25 + 0.6 * chord.exactness).toFixed(2));
+      ln.style.display = 'block';
+    });
+  }
+
+  function renderHouses(frame, stroke) {
+    const h = pool.houses;
+    if (!h) return;
+    if (!frame.houses) {
+      h.group.style.display = 'none';
+      return;
+    }
+    h.group.style.display = 'block';
+    const ring = frame.scene.ring;
+    const at = (deg, r) => ({ x: r * Math.cos(deg * DEG), y: r * Math.sin(deg * DEG) });
+    const setLine = (ln, a, b, width) => {
+      ln.setAttribute('x1', a.x);
+      ln.setAttribute('y1', a.y);
+      ln.setAttribute('x2', b.x);
+      ln.setAttribute('y2', b.y);
+      ln.setAttribute('stroke-width', width);
+    };
+    frame.houses.cusps.forEach((c, i) => setLine(h.cusps[i], at(c, ring - zMod(HOUSE_CUSP_INSET)), at(c, ring), stroke));
+    // the horizon and meridian run right across the wheel
+    setLine(h.axes[0], at(frame.houses.asc, ring), at(frame.houses.asc + 180, ring), parseFloat(stroke) * 1.5);
+    setLine(h.axes[1], at(frame.houses.mc, ring), at(frame.houses.mc + 180, ring), parseFloat(stroke) * 1.5);
+    houseNumberAngles(frame.houses.cusps).forEach((a, i) => placeMarker(h.numbers[i], at(a, ring - zMod(HOUSE_NUMBER_INSET)), 18));
+    houseAxes(frame.houses).forEach(([, a], i) => placeMarker(h.axisLabels[i], at(a, ring - zMod(HOUSE_AXIS_LABEL_INSET)), 16));
+  }
+
+  function bodyAt(e) {
+    const el = e.target && e.target.closest ? e.target.closest('[data-body]') : null;
+    return el ? el.dataset.body : null;
+  }
+
+  return { ui, element: svgRoot, supported: true, initPools, applyViewLayers, render, renderHorizon, bodyAt };
+}
@@ -0,0 +1,73 @@
+// src/view-geometry.js
+// Layout both view layers draw from, so the SVG and Canvas pictures match.
+// - Trail opacity bands either side of "now"
+// - The screen-fixed zodiac ring and its degree scale
+// - Offsets of ring labels, aspect chords and chart houses from the outer ring
+//
+// Pure functions and constants; lengths marked zMod-scaled are divided by zoom^0.6 by the
+// views, like the rest of the diagram's marks. Angles are scene angles in degrees.
+
+import { DEG } from './engine.js';
+
+// Trails are cut into bands of falling opacity either side of "now": the past fades in
+// towards the body, the future is dashed and fades out ahead of it.
+export const TRAIL_BANDS = 4;
+export const trailOpacity = (future, band) => future ? 0.45 * (1 - band / TRAIL_BANDS) : 0.12 + 0.5 * (band + 1) / TRAIL_BANDS;
+
+// Index range [a, b] of trail.points drawn by one band; band edges share a point so the
+// bands join up. b <= a means the band is empty.
+export function trailBandRange(trail, future, band) {
+  const from = future ? trail.now : 0, to = future ? trail.points.length - 1 : trail.now;
+  return [from + Math.floor((to - from) * band / TRAIL_BANDS), from + Math.floor((to - from) * (band + 1) / TRAIL_BANDS)];
+}
+
+// Zodiac ring on screen: fixed radius around the viewport centre, sign glyphs inside it and a
+// degree scale with 1°, 5° and 10° ticks pointing inwards.
+export const ZODIAC_RING_R = 350;
+export const ZODIAC_LABEL_R = ZODIAC_RING_R - 80;
+export const ZODIAC_TICKS = [
+  { every: 1, length: 4, width: 0.75, opacity: 0.3 },
+  { every: 5, length: 9, width: 1, opacity: 0.4 },
+  { every: 10, length: 15, width: 1.5, opacity: 0.5 }
+];
+
+// Screen-space tick segments of one ZODIAC_TICKS class for a scale starting at `origin` (deg)
+export function zodiacTickSegments(tick, origin, cx, cy) {
+  const out = [];
+  for (let k = 0; k < 360; k += tick.every) {
+    // each degree is drawn once, by the longest class it belongs to
+    if (ZODIAC_TICKS.some(t => t.every > tick.every && k % t.every === 0)) continue;
+    const a = (origin + k) * DEG;
+    const c = Math.cos(a), s = Math.sin(a);
+    out.push({
+      x1: cx + ZODIAC_RING_R * c, y1: cy + ZODIAC_RING_R * s,
+      x2: cx + (ZODIAC_RING_R - tick.length) * c, y2: cy + (ZODIAC_RING_R - tick.length) * s
+    });
+  }
+  return out;
+}
+
+// Longitude labels sit this far (zMod-scaled) outside their outer-ring marker.
+export const MARKER_LABEL_GAP = 46;
+export function markerLabelPoint(marker, gap) {
+  const r = Math.hypot(marker.x, marker.y) || 1;
+  return { x: marker.x * (1 + gap / r), y: marker.y * (1 + gap / r) };
+}
+
+// Aspect chords end this far (zMod-scaled) inside the outer ring, short of the marker glyphs.
+export const ASPECT_CHORD_INSET = 30;
+export function aspectChordEnds(chord, r) {
+  return [chord.from, chord.to].map(lon => ({ x: r * Math.cos(lon * DEG), y: r * Math.sin(lon * DEG) }));
+}
+
+// Chart houses inside the outer ring (zMod-scaled insets): cusp ticks, house numbers half way
+// between cusps and the ASC/DSC/MC/IC names on the two axes.
+export const HOUSE_CUSP_INSET = 90;
+export const HOUSE_NUMBER_INSET = 60;
+export const HOUSE_AXIS_LABEL_INSET = 120;
+export function houseNumberAngles(cusps) {
+  return cusps.map((c, i) => c + ((((cusps[(i + 1) % 12] - c) % 360) + 360) % 360) / 2);
+}
+export function houseAxes(houses) {
+  return [['ASC', houses.asc], ['DSC', houses.asc + 180], ['MC', houses.mc], ['IC', houses.mc + 180]];
+}
@@ -0,0 +1,74 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCanvasView } from '../src/canvas-view.js';
+import { DEFAULT_PLANETS, ZODIAC, linearPositions, sceneGeometry, zodiacRing } from '../src/engine.js';
+
+const PLANETS = DEFAULT_PLANETS;
+
+// A canvas stand-in whose 2D context records the text it is asked to draw
+function fakeCanvas() {
+  const texts = [];
+  const listeners = {};
+  const ctx = new Proxy({}, {
+    get: (t, k) => (k in t ? t[k] : (...args) => { if (k === 'fillText') texts.push(args[0]); }),
+    set: (t, k, v) => { t[k] = v; return true; }
+  });
+  return {
+    texts,
+    width: 0,
+    height: 0,
+    title: '',
+    style: {},
+    getContext: () => ctx,
+    getBoundingClientRect: () => ({ left: 0, top: 0, width: 1200, height: 800 }),
+    addEventListener: (type, fn) => { listeners[type] = fn; },
+    fire: (type, e) => listeners[type](e)
+  };
+}
+
+function helioFrame() {
+  const pos = linearPositions(4000, PLANETS);
+  return {
+    view: 'helio', zoom: 0.1, pan: { x: 600, y: 400 }, days: 4000, calendar: 'mixed',
+    scene: sceneGeometry(pos, 'helio', PLANETS), planets: PLANETS,
+    showOrbits: false, showTrails: false, isRetrograde: () => false, stations: () => [],
+    viewport: { width: 1200, height: 800 }, zodiac: zodiacRing('tropical', 4000)
+  };
+}
+
+describe('createCanvasView', () => {
+  test('draws every glyph and finds bodies under the pointer', () => {
+    const canvas = fakeCanvas();
+    const view = createCanvasView(canvas);
+    view.initPools(PLANETS, 0.1);
+    const frame = helioFrame();
+    view.render(frame);
+    assert.equal(canvas.width, 1200);
+    PLANETS.forEach(p => assert.ok(canvas.texts.includes(p.sym), p.id));
+    ZODIAC.forEach(z => assert.ok(canvas.texts.includes(z.s), z.s));
+
+    const mars = frame.scene.planets.find(b => b.id === 'mars');
+    const at = { clientX: 600 + mars.x * 0.1, clientY: 400 + mars.y * 0.1 };
+    assert.equal(view.bodyAt(at), 'mars');
+    canvas.fire('pointermove', at);
+    assert.equal(canvas.title, 'MARS');
+    assert.equal(canvas.style.cursor, 'pointer');
+    assert.equal(view.bodyAt({ clientX: 600, clientY: 400 }), 'sun');
+    assert.equal(view.bodyAt({ clientX: 5, clientY: 5 }), null);
+  });
+
+  test('draws nothing for the orbital frame while the horizon is shown', () => {
+    const canvas = fakeCanvas();
+    const view = createCanvasView(canvas);
+    view.initPools(PLANETS);
+    view.applyViewLayers('horizon');
+    view.render(helioFrame());
+    assert.equal(canvas.texts.length, 0);
+  });
+
+  test('reports when the browser has no 2D context', () => {
+    const view = createCanvasView({ ...fakeCanvas(), getContext: () => null });
+    assert.equal(view.supported, false);
+    view.render(helioFrame()); // a no-op rather than a throw
+  });
+});
@@ -0,0 +1,146 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { chartAngles, houseCusps, computeChart, houseOf, trueObliquity, chartToJSON, parseChart, CHART_FORMAT } from '../src/chart.js';
+import { J2000, daysFromMs } from '../src/engine.js';
+
+const DEG = Math.PI / 180;
+const close = (actual, expected, tol, msg) => assert.ok(Math.abs(actual - expected) <= tol, `${msg || ''} ${actual} vs ${expected}`);
+const wrapDeg = (a) => ((a % 360) + 540) % 360 - 180;
+
+// RA/Dec (deg) of an ecliptic longitude, and its hour angle and altitude for a chart's RAMC
+function onSky(lon, angles, lat) {
+  const e = angles.obliquity * DEG, l = lon * DEG;
+  const ra = Math.atan2(Math.sin(l) * Math.cos(e), Math.cos(l)) / DEG;
+  const dec = Math.asin(Math.sin(e) * Math.sin(l)) / DEG;
+  const H = wrapDeg(angles.ramc - ra);
+  const alt = Math.asin(Math.sin(lat * DEG) * Math.sin(dec * DEG) + Math.cos(lat * DEG) * Math.cos(dec * DEG) * Math.cos(H * DEG)) / DEG;
+  return { ra, dec, H, alt };
+}
+const semiArc = (dec, lat) => Math.acos(-Math.tan(lat * DEG) * Math.tan(dec * DEG)) / DEG;
+
+describe('chart angles', () => {
+  const days = daysFromMs(Date.UTC(2026, 9, 19, 12));
+
+  test('the ascendant rises in the east and the MC culminates', () => {
+    for (const lat of [-45, 0, 35, 51.4769, 64]) {
+      for (const lon of [-120, 0, 77]) {
+        const angles = chartAngles(days, { lat, lon });
+        const asc = onSky(angles.asc, angles, lat);
+        close(asc.alt, 0, 1e-9, `ascendant altitude at ${lat}`);
+        assert.ok(asc.H < 0, 'east of the meridian');
+        close(onSky(angles.mc, angles, lat).H, 0, 1e-9, 'MC hour angle');
+      }
+    }
+  });
+
+  test('true obliquity', () => {
+    // Meeus example 22.a: 1987-04-10 0h TD, ε = 23°26′36.850″ (ours keeps four nutation terms)
+    close(trueObliquity(daysFromMs(Date.UTC(1987, 3, 10))), 23 + 26 / 60 + 36.85 / 3600, 0.5 / 3600);
+  });
+});
+
+describe('houseCusps', () => {
+  const days = daysFromMs(Date.UTC(1990, 6, 4, 7, 30));
+  const observer = { lat: 40.7, lon: -74 };
+  const angles = chartAngles(days, observer);
+
+  test('every system starts at the ascendant; the quadrant systems put the MC on the 10th', () => {
+    for (const system of ['placidus', 'koch', 'porphyry']) {
+      const { cusps } = houseCusps(system, angles, observer.lat);
+      assert.equal(cusps.length, 12);
+      close(cusps[0], angles.asc, 1e-9, system);
+      close(cusps[9], angles.mc, 1e-9, system);
+      cusps.forEach((c, i) => close(Math.abs(wrapDeg(cusps[(i + 6) % 12] - c)), 180, 1e-9, `${system} opposite cusps`));
+      // houses follow the zodiac round
+      const spans = cusps.map((c, i) => ((cusps[(i + 1) % 12] - c) % 360 + 360) % 360);
+      close(spans.reduce((a, b) => a + b), 360, 1e-6, system);
+    }
+    close(houseCusps('equal', angles, observer.lat).cusps[3], (angles.asc + 90) % 360, 1e-9);
+  });
+
+  test('Placidus cusps divide their own semi-arcs in thirds', () => {
+    const { cusps } = houseCusps('placidus', angles, observer.lat);
+    [[10, 1 / 3], [11, 2 / 3]].forEach(([i, frac]) => {
+      const p = onSky(cusps[i], angles, observer.lat);
+      close(-p.H / semiArc(p.dec, observer.lat), frac, 1e-6, `cusp ${i + 1}`);
+    });
+    [[1, 2 / 3], [2, 1 / 3]].forEach(([i, frac]) => {
+      const p = onSky(cusps[i], angles, observer.lat);
+      close((180 + p.H) / (180 - semiArc(p.dec, observer.lat)), frac, 1e-6, `cusp ${i + 1}`);
+    });
+  });
+
+  test('Porphyry trisects the quadrants; at the equator Koch and Placidus agree', () => {
+    const { cusps } = houseCusps('porphyry', angles, observer.lat);
+    const upper = ((angles.asc - angles.mc) % 360 + 360) % 360;
+    close(wrapDeg(cusps[10] - angles.mc), upper / 3, 1e-9);
+    close(wrapDeg(cusps[11] - angles.mc), 2 * upper / 3, 1e-9);
+    const equator = chartAngles(days, { lat: 0, lon: -74 });
+    const koch = houseCusps('koch', equator, 0).cusps, placidus = houseCusps('placidus', equator, 0).cusps;
+    koch.forEach((c, i) => close(wrapDeg(c - placidus[i]), 0, 1e-6, `cusp ${i + 1}`));
+  });
+
+  test('Whole Sign houses follow the ring the signs start from', () => {
+    const tropical = houseCusps('whole-sign', { asc: 95, mc: 0 }, 0).cusps;
+    assert.deepEqual(tropical.slice(0, 3), [90, 120, 150]);
+    const sidereal = houseCusps('whole-sign', { asc: 95, mc: 0 }, 0, 24).cusps;
+    assert.deepEqual(sidereal.slice(0, 2), [84, 114]);
+  });
+
+  test('Placidus and Koch give way to Porphyry inside the polar circles', () => {
+    const svalbard = { lat: 78.2, lon: 15.6 };
+    for (const system of ['placidus', 'koch']) {
+      const chart = computeChart(days, svalbard, system);
+      assert.equal(chart.houses, system);
+      assert.equal(chart.system, 'porphyry');
+    }
+    assert.equal(computeChart(days, observer, 'koch').system, 'koch');
+  });
+
+  test('houseOf', () => {
+    const cusps = [100, 130, 160, 190, 220, 250, 280, 310, 340, 10, 40, 70];
+    assert.equal(houseOf(100, cusps), 1);
+    assert.equal(houseOf(129.9, cusps), 1);
+    assert.equal(houseOf(355, cusps), 9);
+    assert.equal(houseOf(5, cusps), 9);
+    assert.equal(houseOf(99, cusps), 12);
+  });
+});
+
+describe('saved charts', () => {
+  const days = daysFromMs(Date.UTC(1990, 6, 4, 7, 30));
+  const observer = { lat: 40.7, lon: -74, elev: 10 };
+
+  test('round trip', () => {
+    const result = computeChart(days, observer, 'koch');
+    const text = chartToJSON({
+      name: 'Test', days, timeZone: '-04:00', calendar: 'gregorian', observer, houses: 'koch',
+      zodiac: 'tropical', ayanamsa: 'lahiri', result, bodies: { sun: 102.123456789 }
+    }, J2000);
+    const doc = JSON.parse(text);
+    assert.equal(doc.format, CHART_FORMAT);
+    assert.equal(doc.time, '1990-07-04T07:30:00.000Z');
+    assert.equal(doc.bodies.sun, 102.123457);
+    assert.equal(doc.cusps.length, 12);
+    assert.deepEqual(parseChart(text, J2000), {
+      name: 'Test', days, observer, houses: 'koch', timeZone: '-04:00', calendar: 'gregorian', zodiac: 'tropical', ayanamsa: 'lahiri'
+    });
+  });
+
+  test('the time alone is enough, and bad files say what is wrong', () => {
+    const doc = { format: CHART_FORMAT, version: 1, time: '1990-07-04T07:30:00Z', observer: { lat: 40.7, lon: -74 }, houses: 'campanus' };
+    const chart = parseChart(JSON.stringify(doc), J2000);
+    close(chart.days, days, 1e-9);
+    assert.equal(chart.houses, 'placidus');
+    assert.equal(chart.observer.elev, 0);
+    const odd = parseChart(JSON.stringify({ ...doc, timeZone: 'Mars/Olympus', calendar: 'mayan' }), J2000);
+    assert.ok(!('timeZone' in odd) && !('calendar' in odd));
+    // past the ±14:00 the clock accepts
+    assert.ok(!('timeZone' in parseChart(JSON.stringify({ ...doc, timeZone: '+14:30' }), J2000)));
+    assert.throws(() => parseChart('{', J2000), /Not a JSON file/);
+    assert.throws(() => parseChart('{"format":"other"}', J2000), /Not a chart file/);
+    assert.throws(() => parseChart(JSON.stringify({ ...doc, version: 2 }), J2000), /newer/);
+    assert.throws(() => parseChart(JSON.stringify({ ...doc, time: 'soon' }), J2000), /time/);
+    assert.throws(() => parseChart(JSON.stringify({ ...doc, observer: { lat: 95, lon: 0 } }), J2000), /location/);
+  });
+});
@@ -0,0 +1,114 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  zoomAt, createPointerGesture, cameraMove, actionForKey, isEditableTarget, bodyClick, KEY_BINDINGS, ZOOM_MIN, ZOOM_MAX
+} from '../src/controls.js';
+
+const close = (actual, expected, tol, msg) => assert.ok(Math.abs(actual - expected) <= tol, `${msg || ''} ${actual} vs ${expected}`);
+// world point under a screen point for a { zoom, pos } view
+const worldAt = (view, p) => ({ x: (p.x - view.pos.x) / view.zoom, y: (p.y - view.pos.y) / view.zoom });
+
+describe('zoomAt', () => {
+  test('keeps the world point under the cursor fixed', () => {
+    const view = { zoom: 0.25, pos: { x: 600, y: 400 } };
+    const cursor = { x: 150, y: 720 };
+    const before = worldAt(view, cursor);
+    const next = zoomAt(view, cursor, 1.1);
+    close(next.zoom, 0.275, 1e-12);
+    const after = worldAt(next, cursor);
+    close(after.x, before.x, 1e-9, 'x');
+    close(after.y, before.y, 1e-9, 'y');
+  });
+
+  test('clamps the zoom and leaves the view still at the limits', () => {
+    const view = { zoom: ZOOM_MAX, pos: { x: 10, y: 20 } };
+    assert.deepEqual(zoomAt(view, { x: 300, y: 300 }, 2), { zoom: ZOOM_MAX, pos: { x: 10, y: 20 } });
+    assert.equal(zoomAt({ zoom: ZOOM_MIN, pos: { x: 0, y: 0 } }, { x: 0, y: 0 }, 0.5).zoom, ZOOM_MIN);
+  });
+});
+
+describe('cameraMove', () => {
+  test('eases from start to target and reports when done', () => {
+    const at = cameraMove({ x: 0, y: 100 }, { x: 800, y: 500 }, 1000, 600);
+    assert.deepEqual(at(900), { pos: { x: 0, y: 100 }, done: false });
+    assert.deepEqual(at(1300).pos, { x: 400, y: 300 }); // halfway in time is halfway in space
+    assert.ok(at(1100).pos.x < 800 / 6); // slow start
+    assert.deepEqual(at(1600), { pos: { x: 800, y: 500 }, done: true });
+    assert.equal(at(5000).done, true);
+  });
+});
+
+describe('createPointerGesture', () => {
+  test('one pointer pans by its movement', () => {
+    const g = createPointerGesture();
+    g.down(1, 100, 100);
+    assert.deepEqual(g.move(1, 130, 90), { dx: 30, dy: -10, factor: 1, center: { x: 130, y: 90 } });
+    g.up(1);
+    assert.equal(g.active, false);
+    assert.equal(g.move(1, 0, 0), null);
+  });
+
+  test('two pointers pinch around their midpoint', () => {
+    const g = createPointerGesture();
+    g.down(1, 100, 100);
+    g.down(2, 200, 100);
+    assert.equal(g.count, 2);
+    const spread = g.move(2, 300, 100);
+    assert.equal(spread.factor, 2);
+    assert.deepEqual(spread.center, { x: 200, y: 100 });
+    assert.equal(spread.dx, 50);
+    // lifting a finger hands the pan back to the other one without a jump
+    g.up(2);
+    assert.deepEqual(g.move(1, 110, 100), { dx: 10, dy: 0, factor: 1, center: { x: 110, y: 100 } });
+  });
+});
+
+describe('bodyClick', () => {
+  const followable = ['sun', 'mars', 'jupiter'];
+
+  test('follows and inspects a body clicked in an orbital view', () => {
+    assert.deepEqual(bodyClick('mars', { view: 'helio', chart: false, followable }), { inspect: 'mars', follow: 'mars' });
+    assert.deepEqual(bodyClick('sun', { view: 'geo', chart: false, followable }), { inspect: 'sun', follow: 'sun' });
+  });
+
+  test('only inspects in the horizon view, in chart mode and for bodies it cannot follow', () => {
+    assert.deepEqual(bodyClick('mars', { view: 'horizon', chart: false, followable }), { inspect: 'mars', follow: null });
+    assert.deepEqual(bodyClick('mars', { view: 'geo', chart: true, followable }), { inspect: 'mars', follow: null });
+    assert.deepEqual(bodyClick('north-node', { view: 'geo', chart: false, followable }), { inspect: 'north-node', follow: null });
+  });
+});
+
+describe('keyboard shortcuts', () => {
+  const key = (k, extra = {}) => ({ key: k, target: { tagName: 'BODY' }, ...extra });
+
+  test('maps keys to actions', () => {
+    assert.equal(actionForKey(key(' ')), 'play');
+    assert.equal(actionForKey(key('R')), 'reverse');
+    assert.equal(actionForKey(key('.')), 'step-forward');
+    assert.equal(actionForKey(key('2')), 'view-geo');
+    assert.equal(actionForKey(key('=')), 'zoom-in');
+    assert.equal(actionForKey(key('ArrowUp')), 'pan-up');
+    assert.equal(actionForKey(key('Home')), 'reset');
+    assert.equal(actionForKey(key('q')), null);
+  });
+
+  test('leaves text fields and browser shortcuts alone', () => {
+    assert.equal(actionForKey(key('1', { target: { tagName: 'INPUT', type: 'text' } })), null);
+    assert.equal(actionForKey(key('ArrowLeft', { target: { tagName: 'INPUT', type: 'range' } })), null);
+    assert.equal(actionForKey(key(' ', { target: { tagName: 'SELECT' } })), null);
+    assert.equal(actionForKey(key('0', { ctrlKey: true })), null);
+    assert.equal(actionForKey(key('+', { metaKey: true })), null);
+    // Space on a focused sidebar button is play/pause, not another click
+    assert.equal(actionForKey(key(' ', { target: { tagName: 'BUTTON' } })), 'play');
+    assert.equal(isEditableTarget({ tagName: 'DIV', isContentEditable: true }), true);
+    assert.equal(isEditableTarget(null), false);
+  });
+
+  test('every binding has a key, a label and a unique action', () => {
+    const actions = KEY_BINDINGS.map(b => b.action);
+    assert.equal(new Set(actions).size, actions.length);
+    KEY_BINDINGS.forEach(b => assert.ok(b.keys.length && b.label && b.description, b.action));
+    const keys = KEY_BINDINGS.flatMap(b => b.keys);
+    assert.equal(new Set(keys).size, keys.length);
+  });
+});
@@ -0,0 +1,848 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  J2000, DEFAULT_PLANETS, createState, daysFromMs, dateFromDays, formatUTC, parseDateField,
+  daysFromCalendar, calendarFields, calendarError, parseYear, formatEra, formatDate, dayStart, daysInMonth,
+  ASTRONOMY_RANGE, RATE_MIN, RATE_MAX, RATE_SLIDER_MAX, RATE_PRESETS, rateFromSlider, sliderFromRate, formatRate,
+  advanceClock, adjacentRatePreset, stepDays, zoneOffsetMinutes, formatOffset, parseTimeEntry, julianDate, julianDateTT,
+  deltaT, formatHMS, linearPositions, keplerPositions, createEphemeris, createRetrogradeTracker,
+  sceneGeometry, orbitExtent, fitView, domePoint, DOME_R, MOON_ORBIT_R, NODE_RING_GAP,
+  MIN_INNER_ORBIT_PX, createTrailTracker, TRAIL_SAMPLES, DEFAULT_TRAIL_WINDOW, radialScale, scalePositions, createOrbitTracker,
+  ORBIT_SAMPLES, zodiacRing, ayanamsa, formatZodiacPosition, geocentricEcliptic, markerLongitudes,
+  createReadoutTracker, READOUT_MOTION_MS, readoutBodies, findAspects, ASPECTS, defaultOrbs,
+  chartOrientation, orientAngle, orientPoint, orientPositions, orientZodiac
+} from '../src/engine.js';
+import { findRetrogrades } from '../src/events.js';
+import { loadAstronomy } from './helpers.js';
+
+const PLANETS = DEFAULT_PLANETS;
+const close = (actual, expected, tol, msg) => assert.ok(Math.abs(actual - expected) <= tol, `${msg || ''} ${actual} vs ${expected}`);
+const wrapDeg = (a) => ((a % 360) + 540) % 360 - 180;
+
+describe('time model', () => {
+  test('J2000 is day zero', () => {
+    assert.equal(daysFromMs(J2000), 0);
+    assert.equal(dateFromDays(0).toISOString(), '2000-01-01T12:00:00.000Z');
+    assert.equal(formatUTC(1.5), '2000-01-03 00:00 UTC');
+  });
+
+  test('formatUTC marks dates JavaScript cannot represent', () => {
+    assert.equal(formatUTC(1e12), '—');
+  });
+
+  test('parseDateField reads bare dates as midnight UTC and passes timestamps through', () => {
+    assert.equal(parseDateField('2000-01-02'), 0.5);
+    assert.equal(parseDateField(' 2000-01-01T18:00:00Z '), 0.25);
+    assert.equal(parseDateField('-000001-01-01'), daysFromMs(Date.UTC(-1, 0, 1)));
+    assert.equal(parseDateField('not a date'), null);
+    assert.equal(parseDateField(''), null);
+  });
+
+  test('daysFromCalendar parses the HUD fields at noon UTC', () => {
+    assert.equal(daysFromCalendar('+002000', '01', '01'), 0);
+    assert.equal(daysFromCalendar('2024', '3', '1'), daysFromMs(Date.UTC(2024, 2, 1, 12)));
+    // nothing rolls over: 31 February is rejected rather than read as 2 March
+    assert.equal(daysFromCalendar('2024', '2', '31'), null);
+    assert.equal(daysFromCalendar('', '1', '1'), null);
+    assert.equal(daysFromCalendar('2024', 'x', '1'), null);
+  });
+
+  test('daysFromCalendar takes the time of day and a time zone', () => {
+    assert.equal(daysFromCalendar('2000', '1', '1', '18', '0', '0'), 0.25);
+    assert.equal(daysFromCalendar('2000', '1', '1', '17', '30', '0', { zone: '+05:30' }), 0);
+    assert.equal(daysFromCalendar('1999', '12', '31', '23', '0', '0', { zone: '-13:00' }), 0);
+    assert.equal(daysFromCalendar('2000', '1', '1', '12', '0', '1.5'), 1.5 / 86400);
+    assert.equal(daysFromCalendar('2000', '1', '1', 'x', '0', '0'), null);
+  });
+
+  test('time zones: UTC, fixed offsets and the local zone round-trip', () => {
+    assert.equal(zoneOffsetMinutes('UTC'), 0);
+    assert.equal(zoneOffsetMinutes('+05:45'), 345);
+    assert.equal(zoneOffsetMinutes('-09:30'), -570);
+    assert.equal(zoneOffsetMinutes('+15:00'), null);
+    assert.equal(zoneOffsetMinutes('Mars/Olympus'), null);
+    assert.equal(formatOffset(-570), '-09:30');
+    const days = daysFromMs(Date.UTC(2024, 6, 4, 15, 20, 5));
+    for (const zone of ['UTC', '+09:00', '-03:30', 'local']) {
+      const f = calendarFields(days, { zone });
+      close(daysFromCalendar(f.year, f.month, f.day, f.hour, f.minute, f.second, { zone }), days, 1e-8, zone);
+    }
+    assert.equal(formatDate(0, 'gregorian', '+09:00'), '2000-01-01 21:00 UTC+09:00');
+    assert.equal(formatDate(0, 'gregorian', '-03:30'), '2000-01-01 08:30 UTC-03:30');
+    assert.equal(dayStart(0), -0.5);
+    close(dayStart(0, { zone: '+09:00' }), -0.5 - 9 / 24, 1e-12);
+    close(dayStart(0.5, { zone: '-03:30' }), -0.5 + 3.5 / 24, 1e-12);
+    assert.deepEqual(calendarFields(0, { zone: '+09:00' }), { year: '+002000', month: '01', day: '01', hour: '21', minute: '00', second: '00', julian: false });
+  });
+
+  test('parseTimeEntry reads ISO 8601 timestamps and Julian Dates', () => {
+    assert.equal(parseTimeEntry('2000-01-01T12:00:00Z'), 0);
+    assert.equal(parseTimeEntry('2000-01-01 21:00', { zone: '+09:00' }), 0);
+    assert.equal(parseTimeEntry('2000-01-01T12:00+01:00', { zone: '-05:00' }), -1 / 24);
+    assert.equal(parseTimeEntry('2000-01-02'), 0.5);
+    assert.equal(parseTimeEntry('-000044-03-15'), daysFromMs(Date.UTC(-44, 2, 15)));
+    assert.equal(parseTimeEntry('JD 2451545.0'), 0);
+    assert.equal(parseTimeEntry('jd2451546'), 1);
+    assert.equal(parseTimeEntry('2451545.25'), 0.25);
+    assert.equal(parseTimeEntry('MJD 51544.5'), 0);
+    assert.equal(parseTimeEntry('2000-13-01'), null);
+    assert.equal(parseTimeEntry('2000-01-01T25:00'), null);
+    assert.equal(parseTimeEntry('next tuesday'), null);
+    assert.equal(parseTimeEntry('2025'), null);
+  });
+
+  test('Julian Date, ΔT and TT', () => {
+    assert.equal(julianDate(0), 2451545);
+    close(deltaT(0), 63.8, 0.2, 'ΔT 2000');
+    close(deltaT(daysFromMs(Date.UTC(1900, 0, 1))), -2.8, 0.2, 'ΔT 1900');
+    close(deltaT(daysFromMs(Date.UTC(1700, 0, 1))), 8.8, 0.5, 'ΔT 1700');
+    assert.ok(deltaT(daysFromMs(Date.UTC(-500, 0, 1))) > 17000, 'ΔT 500 BC');
+    close((julianDateTT(0) - 2451545) * 86400, deltaT(0), 1e-4);
+    assert.equal(formatHMS(18.6975), '18:41:51');
+    assert.equal(formatHMS(-1), '23:00:00');
+    assert.equal(formatHMS(23.99999999), '00:00:00');
+  });
+
+  test('calendarFields pads and signs the year', () => {
+    const f = calendarFields(daysFromMs(Date.UTC(-44, 2, 15, 6, 5, 9)));
+    assert.deepEqual(f, { year: '-000044', month: '03', day: '15', hour: '06', minute: '05', second: '09', julian: false });
+    assert.equal(calendarFields(0).year, '+002000');
+  });
+});
+
+describe('calendars', () => {
+  const julian = { calendar: 'julian' }, mixed = { calendar: 'mixed' };
+
+  test('Julian Day anchors in both calendars', () => {
+    assert.equal(julianDate(daysFromCalendar('-4712', '1', '1', '12', '0', '0', julian)), 0);
+    assert.equal(julianDate(daysFromCalendar('-4713', '11', '24', '12', '0', '0')), 0);
+    // the Ides of March, 44 BCE
+    assert.equal(julianDate(daysFromCalendar('44 BCE', '3', '15', '12', '0', '0', julian)), 1705426);
+  });
+
+  test('the mixed calendar switches from Julian to Gregorian in October 1582', () => {
+    const last = daysFromCalendar('1582', '10', '4', '12', '0', '0', mixed);
+    assert.equal(daysFromCalendar('1582', '10', '15', '12', '0', '0', mixed), last + 1);
+    assert.equal(daysFromCalendar('1582', '10', '10', '12', '0', '0', mixed), null);
+    assert.equal(calendarFields(last, mixed).julian, true);
+    assert.equal(calendarFields(last + 1, mixed).julian, false);
+    assert.equal(formatDate(last, 'mixed'), '1582-10-04 12:00 UTC (Jul.)');
+    assert.equal(formatDate(last + 1, 'mixed'), '1582-10-15 12:00 UTC');
+    assert.equal(parseTimeEntry('1000-01-01', mixed), daysFromCalendar('1000', '1', '1', '0', '0', '0', julian));
+  });
+
+  test('round-trips far outside the range of Date', () => {
+    for (const calendar of ['gregorian', 'julian']) {
+      for (const year of [-300000, -4800, 0, 4, 300000]) {
+        const days = daysFromCalendar(year, 2, 29, 6, 7, 8, { calendar });
+        const f = calendarFields(days, { calendar });
+        assert.deepEqual([f.year, f.month, f.day, f.hour, f.minute, f.second].map(Number), [year, 2, 29, 6, 7, 8], `${calendar} ${year}`);
+      }
+    }
+    assert.equal(formatDate(daysFromCalendar(-299999, 12, 31)), '-299999-12-31 12:00 UTC');
+  });
+
+  test('impossible dates are rejected instead of rolled over', () => {
+    assert.equal(daysFromCalendar('2023', '2', '29'), null);
+    assert.notEqual(daysFromCalendar('2024', '2', '29'), null);
+    assert.equal(daysFromCalendar('1700', '2', '29'), null);
+    assert.notEqual(daysFromCalendar('1700', '2', '29', 12, 0, 0, julian), null);
+    assert.equal(daysInMonth(1900, 2), 28);
+    assert.equal(daysInMonth(1500, 2, 'mixed'), 29);
+    assert.equal(calendarError('2023', '2', '31'), 'February 2023 CE has 28 days');
+    assert.equal(calendarError('2023', '4', '31'), 'April 2023 CE has 30 days');
+    assert.match(calendarError('1582', '10', '5', 12, 0, 0, 'mixed'), /skipped/);
+    assert.equal(calendarError('2023', '1', '1', '24', '0', '0'), 'Hour must be 0–23');
+    assert.equal(calendarError('2023', '1', '1', '0', '60', '0'), 'Minute must be 0–59');
+    assert.equal(calendarError('2023', '1', '1', '0', '0', '60'), 'Second must be 0–59');
+    assert.equal(parseTimeEntry('2023-02-29'), null);
+  });
+
+  test('years: astronomical numbering and BCE/CE notation', () => {
+    assert.equal(parseYear('+002025'), 2025);
+    assert.equal(parseYear('-44'), -44);
+    assert.equal(parseYear('45 BCE'), -44);
+    assert.equal(parseYear('1 b.c.'), 0);
+    assert.equal(parseYear('AD 45'), 45);
+    assert.equal(parseYear('45 CE'), 45);
+    assert.equal(parseYear('0 BCE'), null);
+    assert.equal(parseYear('year one'), null);
+    assert.equal(formatEra(0), '1 BCE');
+    assert.equal(formatEra(-44), '45 BCE');
+    assert.equal(formatEra(1), '1 CE');
+    assert.equal(daysFromCalendar('0', '1', '1'), daysFromCalendar('1 BCE', '1', '1'));
+  });
+});
+
+describe('clock', () => {
+  test('the rate slider is logarithmic from real time to a century per second', () => {
+    assert.equal(rateFromSlider(0), 0);
+    close(rateFromSlider(1), RATE_MIN, 1e-15);
+    close(rateFromSlider(RATE_SLIDER_MAX), RATE_MAX, 1e-6);
+    for (const v of [1, 250, 500, 999]) assert.equal(sliderFromRate(rateFromSlider(v)), v);
+    for (const p of RATE_PRESETS) close(rateFromSlider(sliderFromRate(p.rate)) / p.rate, 1, 0.02, p.id);
+    assert.equal(sliderFromRate(0), 0);
+  });
+
+  test('adjacent presets walk the named rates', () => {
+    assert.equal(adjacentRatePreset(0, 1).id, 'realtime');
+    assert.equal(adjacentRatePreset(1, 1).id, 'week');
+    assert.equal(adjacentRatePreset(1, -1).id, 'hour');
+    assert.equal(adjacentRatePreset(2, -1).id, 'day');
+    assert.equal(adjacentRatePreset(RATE_MIN, -1), null);
+    assert.equal(adjacentRatePreset(RATE_MAX, 1), null);
+  });
+
+  test('formatRate picks the largest whole unit', () => {
+    assert.equal(formatRate(0), 'PAUSED');
+    assert.equal(formatRate(1 / 86400), '1 SEC / S');
+    assert.equal(formatRate(2.5 / 24), '2.5 HOURS / S');
+    assert.equal(formatRate(1), '1 DAY / S');
+    assert.equal(formatRate(365.25 / 12), '30.4 DAYS / S');
+    assert.equal(formatRate(3652.5), '10 YEARS / S');
+  });
+
+  test('time flow depends on wall-clock time, not the frame rate', () => {
+    const a = { days: 0, rate: 2, direction: 1 }, b = { days: 0, rate: 2, direction: 1 };
+    for (let i = 0; i < 60; i++) advanceClock(a, 1000 / 60);
+    for (let i = 0; i < 144; i++) advanceClock(b, 1000 / 144);
+    close(a.days, 2, 1e-12, '60 Hz');
+    close(b.days, 2, 1e-12, '144 Hz');
+    const paused = { days: 5, rate: 0, direction: 1 };
+    advanceClock(paused, 500);
+    assert.equal(paused.days, 5);
+  });
+
+  test('reverse flow and the real-time lock', () => {
+    const s = { days: 10, rate: 1, direction: -1 };
+    advanceClock(s, 250);
+    assert.equal(s.days, 9.75);
+    s.realtime = true;
+    const now = Date.UTC(2030, 0, 1);
+    advanceClock(s, 16, now);
+    assert.equal(s.days, daysFromMs(now));
+  });
+
+  test('steps: fixed units and calendar months and years', () => {
+    assert.equal(stepDays(0, 'hour', -6), -0.25);
+    assert.equal(stepDays(0, 'day', 3), 3);
+    assert.equal(stepDays(0, 'nonsense'), 0);
+    const jan31 = daysFromCalendar('2023', '1', '31', '15', '30', '0');
+    assert.equal(stepDays(jan31, 'month'), daysFromCalendar('2023', '2', '28', '15', '30', '0'));
+    assert.equal(stepDays(jan31, 'month', -2), daysFromCalendar('2022', '11', '30', '15', '30', '0'));
+    const leap = daysFromCalendar('2024', '2', '29');
+    assert.equal(stepDays(leap, 'year'), daysFromCalendar('2025', '2', '28'));
+    assert.equal(stepDays(leap, 'year', 4), daysFromCalendar('2028', '2', '29'));
+    // year 0 exists: 1 CE minus one year is 1 BCE
+    assert.equal(stepDays(daysFromCalendar('1', '6', '1'), 'year', -1), daysFromCalendar('0', '6', '1'));
+    // a month on from 5 September 1582 (Julian) lands on 15 October, the first Gregorian day
+    const mixed = { calendar: 'mixed' };
+    assert.equal(stepDays(daysFromCalendar('1582', '9', '5', 12, 0, 0, mixed), 'month', 1, mixed),
+      daysFromCalendar('1582', '10', '15', 12, 0, 0, mixed));
+    // sub-second parts survive a calendar step
+    close(stepDays(jan31 + 0.25 / 86400, 'month') - stepDays(jan31, 'month'), 0.25 / 86400, 1e-10);
+  });
+});
+
+describe('circular schematic model', () => {
+  test('planets move on circles of their schematic radius', () => {
+    const pos = linearPositions(1234.5, PLANETS);
+    PLANETS.forEach(p => close(Math.hypot(pos[p.id].x, pos[p.id].y), p.dist, 1e-9, p.id));
+    assert.deepEqual(pos.sun, { x: 0, y: 0 });
+  });
+
+  test('mean longitudes at J2000', () => {
+    const pos = linearPositions(0, PLANETS);
+    close(Math.atan2(pos.earth.y, pos.earth.x) * 180 / Math.PI, 100.4, 1e-9, 'earth');
+    close(pos.moonAbsAng * 180 / Math.PI, 218.3165, 1e-9, 'moon');
+    close(pos.nodeAbsAng * 180 / Math.PI, 125.0445, 1e-9, 'node');
+  });
+
+  test('moon phase follows the Sun–Moon elongation', () => {
+    // 2000-01-06 18:14 UTC was a new moon
+    const pos = linearPositions(daysFromMs(Date.UTC(2000, 0, 6, 18, 14)), PLANETS);
+    assert.ok(pos.moonPhase.fraction < 0.02, `fraction ${pos.moonPhase.fraction}`);
+    const full = linearPositions(daysFromMs(Date.UTC(2000, 0, 21, 4, 40)), PLANETS);
+    assert.ok(full.moonPhase.fraction > 0.98, `fraction ${full.moonPhase.fraction}`);
+  });
+});
+
+describe('createEphemeris', () => {
+  test('without astronomy-engine it serves Keplerian elements and says why', async () => {
+    const eph = createEphemeris(PLANETS);
+    assert.equal(eph.active, 'kepler');
+    assert.equal(eph.label, 'Keplerian elements');
+    assert.equal(eph.fallbackReason, 'astronomy-engine not loaded');
+    assert.deepEqual(await eph.positions(100), keplerPositions(100, PLANETS));
+    const ctx = eph.context();
+    assert.equal(ctx.astronomy, null);
+    assert.equal(ctx.epoch, J2000);
+    assert.deepEqual(ctx.fallback(5), keplerPositions(5, PLANETS));
+  });
+
+  test('asking again for the same instant reuses the last positions', async () => {
+    const eph = createEphemeris(PLANETS, loadAstronomy());
+    const first = await eph.positions(9000);
+    assert.equal(await eph.positions(9000), first);
+    const next = await eph.positions(9000.5);
+    assert.notEqual(next, first);
+    assert.notEqual(await eph.positions(9000), first, 'only the latest instant is kept');
+  });
+
+  test('astronomy-engine positions are scaled by Earth\'s radius per AU', async () => {
+    const A = loadAstronomy();
+    const eph = createEphemeris(PLANETS, A);
+    assert.equal(eph.active, 'astronomy');
+    assert.equal(eph.fallbackReason, null);
+    const days = daysFromMs(Date.UTC(2024, 5, 1));
+    const pos = await eph.positions(days);
+    close(Math.hypot(pos.earth.x, pos.earth.y), 1050, 1050 * 0.02, 'earth radius');
+    close(Math.hypot(pos.jupiter.x, pos.jupiter.y) / 1050, 5.2, 0.3, 'jupiter AU');
+    // the geocentric Sun sits opposite Earth; compare with the mean solar longitude
+    const sunLon = Math.atan2(-pos.earth.y, -pos.earth.x) * 180 / Math.PI;
+    close(wrapDeg(sunLon - (280.4665 + 0.98564736 * days)), 0, 2.5, 'sun longitude');
+    assert.ok(pos.moonPhase.fraction >= 0 && pos.moonPhase.fraction <= 1);
+    assert.equal(eph.context().astronomy, A);
+  });
+
+  test('true node stays within a couple of degrees of the mean node', async () => {
+    const eph = createEphemeris(PLANETS, loadAstronomy());
+    for (const days of [0, 3000, 9000]) {
+      const pos = await eph.positions(days);
+      const mean = linearPositions(days, PLANETS).nodeAbsAng;
+      close(wrapDeg((pos.nodeAbsAng - mean) * 180 / Math.PI), 0, 2.5, `node at ${days}`);
+    }
+  });
+
+  test('a failing astronomy-engine falls back to Keplerian elements for good', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const broken = { MakeTime() { throw new Error('out of range'); } };
+    const eph = createEphemeris(PLANETS, broken);
+    assert.equal(eph.active, 'astronomy');
+    assert.deepEqual(await eph.positions(10), keplerPositions(10, PLANETS));
+    assert.deepEqual(await eph.positions(11), keplerPositions(11, PLANETS));
+    assert.equal(eph.active, 'kepler');
+    assert.equal(eph.fallbackReason, 'astronomy-engine failed: out of range');
+    assert.equal(eph.context().astronomy, null);
+    assert.equal(console.warn.mock.callCount(), 1);
+  });
+
+  test('warns outside a provider\'s fitted range', () => {
+    const eph = createEphemeris(PLANETS);
+    assert.equal(eph.rangeWarning(0), null);
+    assert.equal(eph.rangeWarning(daysFromCalendar('5000', '1', '1')),
+      '5000 CE is outside the Keplerian elements range (3000 BCE – 3000 CE); positions are extrapolated');
+    const withA = createEphemeris(PLANETS, loadAstronomy());
+    assert.equal(withA.rangeWarning(ASTRONOMY_RANGE.to), null);
+    assert.match(withA.rangeWarning(ASTRONOMY_RANGE.to + 1), /outside the astronomy-engine range/);
+  });
+
+  test('dates beyond what Date can hold pass over astronomy-engine without dropping it', async () => {
+    const A = loadAstronomy();
+    const eph = createEphemeris(PLANETS, A);
+    const deep = daysFromCalendar('-300000', '1', '1');
+    assert.deepEqual(await eph.positions(deep), keplerPositions(deep, PLANETS));
+    assert.equal(eph.active, 'kepler');
+    assert.match(eph.fallbackReason, /^astronomy-engine cannot compute dates beyond \d+ BCE – \d+ CE$/);
+    assert.equal(eph.context(deep).astronomy, null);
+    assert.match(eph.rangeWarning(deep), /^300001 BCE is outside the Keplerian elements range/);
+    await eph.positions(0);
+    assert.equal(eph.active, 'astronomy');
+    assert.equal(eph.fallbackReason, null);
+    assert.equal(eph.context(0).astronomy, A);
+  });
+});
+
+describe('scene geometry', () => {
+  const pos = linearPositions(4000, PLANETS);
+
+  test('heliocentric scene is anchored on the Sun', () => {
+    const scene = sceneGeometry(pos, 'helio', PLANETS);
+    assert.deepEqual(scene.anchor, { x: 0, y: 0 });
+    assert.deepEqual(scene.ringCenter, { x: 0, y: 0 });
+    assert.equal(scene.sunMarker, null);
+    close(scene.ring, 3150 * 1.15, 1e-9, 'ring'); // Pluto's schematic orbit plus padding
+    assert.equal(scene.nodeRing, scene.ring + NODE_RING_GAP);
+    scene.planets.forEach(body => {
+      assert.equal(body.center, false);
+      close(Math.atan2(body.marker.y, body.marker.x), body.angle, 1e-12, body.id);
+      close(Math.hypot(body.marker.x, body.marker.y), scene.ring, 1e-9, body.id);
+    });
+  });
+
+  test('geocentric scene centres Earth and adds a Sun marker', () => {
+    const scene = sceneGeometry(pos, 'geo', PLANETS);
+    assert.deepEqual(scene.earth, { x: 0, y: 0 });
+    assert.deepEqual(scene.anchor, pos.earth);
+    assert.ok(scene.planets.find(b => b.id === 'earth').center);
+    close(scene.sun.x, -pos.earth.x, 1e-9);
+    close(Math.atan2(scene.sunMarker.y, scene.sunMarker.x), Math.atan2(-pos.earth.y, -pos.earth.x), 1e-12, 'sun marker');
+    const mars = scene.planets.find(b => b.id === 'mars');
+    close(mars.x, pos.mars.x - pos.earth.x, 1e-9);
+  });
+
+  test('a followed body anchors the scene and the zodiac viewpoint', () => {
+    const scene = sceneGeometry(pos, 'helio', PLANETS, { follow: 'mars' });
+    assert.equal(scene.center, 'mars');
+    assert.deepEqual(scene.anchor, pos.mars);
+    assert.deepEqual(scene.viewpoint, { x: 0, y: 0 });
+    assert.ok(scene.planets.find(b => b.id === 'mars').center);
+    assert.equal(scene.planets.find(b => b.id === 'earth').center, false);
+    close(scene.earth.x, pos.earth.x - pos.mars.x, 1e-9);
+    close(Math.atan2(scene.sunMarker.y, scene.sunMarker.x), Math.atan2(-pos.mars.y, -pos.mars.x), 1e-12, 'sun marker');
+    // following the Sun from the geocentric frame recentres on the Sun
+    const sunward = sceneGeometry(pos, 'geo', PLANETS, { follow: 'sun' });
+    assert.deepEqual(sunward.anchor, pos.sun);
+    assert.equal(sunward.sunMarker, null);
+  });
+
+  test('moon and nodes sit on the inset orbit around Earth', () => {
+    const scene = sceneGeometry(pos, 'helio', PLANETS);
+    const { moon, nodes, earth } = scene;
+    close(moon.x - earth.x, MOON_ORBIT_R * Math.cos(pos.moonAbsAng), 1e-9);
+    close(moon.y - earth.y, MOON_ORBIT_R * Math.sin(pos.moonAbsAng), 1e-9);
+    close(Math.hypot(moon.marker.x, moon.marker.y), scene.ring, 1e-9);
+    close(nodes.ascending.inset.x, -nodes.descending.inset.x, 1e-9);
+    close(nodes.ascending.inset.y, -nodes.descending.inset.y, 1e-9);
+    close(Math.hypot(nodes.ascending.marker.x, nodes.ascending.marker.y), scene.nodeRing, 1e-9);
+    assert.equal(moon.phase, pos.moonPhase);
+  });
+
+  test('outer ring pads the farthest planet once it passes the classic ring', () => {
+    const far = { ...pos, pluto: { x: 40 * 1050, y: 0 } };
+    const extent = orbitExtent(far, PLANETS);
+    assert.equal(extent.outer, 40 * 1050);
+    close(extent.ring, 40 * 1050 * 1.15, 1e-9);
+    assert.equal(extent.inner, 350);
+  });
+
+  test('domePoint puts the zenith in the centre, north up and east left', () => {
+    assert.deepEqual(domePoint(90, 0), { x: -0, y: -0 });
+    const north = domePoint(0, 0), east = domePoint(0, 90);
+    close(north.y, -DOME_R, 1e-9);
+    close(east.x, -DOME_R, 1e-9);
+  });
+});
+
+describe('distance scaling', () => {
+  const radius = (v) => Math.hypot(v.x, v.y, v.z || 0);
+  const at = (au) => ({ x: au * 1050 * 0.6, y: au * 1050 * 0.8, z: 0 });
+
+  test('true AU leaves positions untouched', () => {
+    const scale = radialScale('au', PLANETS);
+    const v = at(5.2);
+    assert.equal(scale.map(v), v);
+    close(scale.moonRadius, 0.4 * (1 - 0.723) * 1050, 1e-9, 'moon inset clears Venus');
+  });
+
+  test('schematic puts each semi-major axis on its evenly spaced radius', () => {
+    const scale = radialScale('schematic', PLANETS);
+    PLANETS.forEach(p => close(radius(scale.map(at(p.au))), p.dist, 1e-6, p.id));
+    close(radius(scale.map(at(1.262))), 1225, 1e-6, 'halfway Earth–Mars');
+    // directions are kept
+    const v = scale.map(at(3));
+    close(Math.atan2(v.y, v.x), Math.atan2(0.8, 0.6), 1e-12);
+    assert.equal(scale.moonRadius, MOON_ORBIT_R);
+  });
+
+  test('logarithmic keeps Earth at 1 AU and the order of the planets', () => {
+    const scale = radialScale('log', PLANETS);
+    close(radius(scale.map(at(1))), 1050, 1e-9);
+    const radii = PLANETS.map(p => radius(scale.map(at(p.au))));
+    radii.slice(1).forEach((r, i) => assert.ok(r > radii[i]));
+    assert.ok(radii[radii.length - 1] < 4000, `pluto at ${radii[radii.length - 1]}`);
+    assert.ok(scale.moonRadius < MOON_ORBIT_R);
+  });
+
+  test('scalePositions maps bodies and passes angles through', () => {
+    const scale = radialScale('schematic', PLANETS);
+    const pos = { sun: { x: 0, y: 0 }, mars: at(1.524), moonAbsAng: 1, moonPhase: { fraction: 0.5 } };
+    const out = scalePositions(pos, scale);
+    close(radius(out.mars), 1400, 1e-6);
+    assert.deepEqual(out.sun, { x: 0, y: 0 });
+    assert.equal(out.moonAbsAng, 1);
+    assert.equal(out.moonPhase, pos.moonPhase);
+  });
+
+  test('scene uses the scaled Moon inset and anchors orbit paths', () => {
+    const pos = linearPositions(0, PLANETS);
+    const orbits = { mars: [{ x: 1400, y: 0 }, { x: 0, y: 1400 }] };
+    const scene = sceneGeometry(pos, 'geo', PLANETS, { moonRadius: 50, orbits });
+    close(Math.hypot(scene.moon.inset.x, scene.moon.inset.y), 50, 1e-9);
+    assert.equal(scene.moonRadius, 50);
+    assert.deepEqual(scene.orbits.mars[0], { x: 1400 - pos.earth.x, y: -pos.earth.y });
+  });
+});
+
+describe('createOrbitTracker', () => {
+  test('samples elliptical paths once per resample window', () => {
+    const eph = createEphemeris(PLANETS);
+    const tracker = createOrbitTracker(eph);
+    const paths = tracker.paths(0);
+    assert.equal(paths.mercury.length, ORBIT_SAMPLES);
+    const rs = paths.mercury.map(v => Math.hypot(v.x, v.y, v.z) / 1050);
+    close(Math.min(...rs), 0.3075, 0.002, 'perihelion');
+    close(Math.max(...rs), 0.4667, 0.002, 'aphelion');
+    assert.ok(paths.pluto.some(v => Math.abs(v.z) > 1050), 'pluto leaves the ecliptic');
+    assert.equal(tracker.paths(100), paths);
+    assert.notEqual(tracker.paths(5000), paths);
+  });
+});
+
+describe('fitView', () => {
+  test('centres the view and caps the zoom', () => {
+    const fit = fitView(1600, 900, 'helio', linearPositions(0, PLANETS), PLANETS);
+    assert.deepEqual(fit.pos, { x: 800, y: 450 });
+    assert.ok(fit.zoom > 0 && fit.zoom <= 0.5);
+    close(fit.zoom, 900 * 0.4 / (3150 * 1.15 * 1.7), 1e-9); // height-limited by the padded ring
+  });
+
+  test('keeps the innermost orbit readable with real-AU distances', () => {
+    const pos = linearPositions(0, PLANETS);
+    pos.pluto = { x: 40 * 1050, y: 0 };
+    const fit = fitView(1600, 900, 'helio', pos, PLANETS);
+    close(fit.zoom, MIN_INNER_ORBIT_PX / 350, 1e-9);
+  });
+
+  test('fits the ring around a followed body', () => {
+    const pos = linearPositions(0, PLANETS);
+    const helio = fitView(1600, 900, 'helio', pos, PLANETS);
+    const fromPluto = fitView(1600, 900, 'helio', pos, PLANETS, 'pluto');
+    assert.deepEqual(fromPluto.pos, { x: 800, y: 450 });
+    assert.ok(fromPluto.zoom < helio.zoom); // the whole system is to one side of Pluto
+  });
+
+  test('horizon view fits the dome', () => {
+    const fit = fitView(1600, 900, 'horizon', null, PLANETS);
+    close(fit.zoom, 900 * 0.45 / (DOME_R * 1.15), 1e-9);
+  });
+});
+
+describe('state and trails', () => {
+  test('createState starts in the heliocentric frame with the default trail window', () => {
+    const state = createState(PLANETS, 42);
+    assert.equal(state.days, 42);
+    assert.equal(state.view, 'helio');
+    assert.equal(state.trailWindow, DEFAULT_TRAIL_WINDOW);
+    assert.equal(state.follow, null);
+  });
+
+  test('trail tracker samples the whole window and only tops it up as time runs', () => {
+    const eph = createEphemeris(PLANETS);
+    let calls = 0;
+    const counted = { ...eph, planets: eph.planets, get active() { return eph.active; }, helio: (id, d) => { calls++; return eph.helio(id, d); } };
+    const tracker = createTrailTracker(counted);
+    const span = 730.485, step = 2 * span / TRAIL_SAMPLES;
+    tracker.paths(5000, span); // the first call fills the half nearest the clock
+    const track = tracker.paths(5000, span);
+    assert.ok(track.times.length >= TRAIL_SAMPLES && track.times.length <= TRAIL_SAMPLES + 1);
+    assert.ok(track.times[0] >= 5000 - span && track.times.at(-1) <= 5000 + span);
+    assert.ok(track.times.every((t, i) => i === 0 || t > track.times[i - 1]));
+    assert.deepEqual(track.bodies.sun[0], { x: 0, y: 0, z: 0 });
+    const mars = eph.helio('mars', track.times[10]);
+    close(track.bodies.mars[10].x, mars.x, 1e-9);
+    assert.equal(tracker.paths(5000, span), track, 'unchanged samples are reused');
+    calls = 0;
+    tracker.paths(5000 + 3 * step, span);
+    assert.ok(calls <= 4 * PLANETS.length, `${calls} calls for three new samples`);
+  });
+
+  test('trail tracker refills a jump nearest the clock first, within its budget', () => {
+    const tracker = createTrailTracker(createEphemeris(PLANETS), 100, 30);
+    const first = tracker.paths(20000, 100);
+    assert.equal(first.times.length, 30);
+    assert.equal(first.complete, false);
+    assert.ok(first.times.every(t => Math.abs(t - 20000) <= 30)); // 15 steps of 2 days
+    assert.equal(tracker.paths(20000, 100).times.length, 60);
+    tracker.paths(20000, 100);
+    tracker.paths(20000, 100);
+    const full = tracker.paths(20000, 100);
+    assert.equal(full.times.length, 101);
+    assert.equal(full.complete, true);
+  });
+
+  test('scene trails are relative to the anchor at each sample and meet the body at now', () => {
+    const eph = createEphemeris(PLANETS);
+    const track = createTrailTracker(eph, 400, 400).paths(8000, 400);
+    const pos = keplerPositions(8000, PLANETS);
+    const scene = sceneGeometry(pos, 'geo', PLANETS, { trails: track, days: 8000 });
+    assert.equal(scene.trails.earth, undefined, 'the anchor has no trail');
+    const { points, now } = scene.trails.mars;
+    assert.deepEqual(points[now], { x: scene.planets.find(b => b.id === 'mars').x, y: scene.planets.find(b => b.id === 'mars').y, days: 8000, retrograde: false });
+    assert.ok(points[now - 1].days < 8000 && points[now + 1].days >= 8000);
+    const i = 50;
+    close(points[i].x, track.bodies.mars[i].x - track.bodies.earth[i].x, 1e-9);
+    assert.equal(points[i].days, track.times[i]);
+    // Mars loops back on itself seen from Earth within ±400 days of its 2021-22 approach
+    const lon = points.map(pt => Math.atan2(pt.y, pt.x) * 180 / Math.PI);
+    const moves = lon.slice(1).map((a, k) => Math.sign(wrapDeg(a - lon[k])));
+    assert.ok(moves.includes(1) && moves.includes(-1), 'direct and retrograde stretches');
+    assert.deepEqual(sceneGeometry(pos, 'helio', PLANETS).trails, {});
+  });
+
+  test('trail retrograde flags pick out every loop in the window, not just those near the clock', () => {
+    const eph = createEphemeris(PLANETS);
+    const span = 730.485, step = 2 * span / TRAIL_SAMPLES;
+    const track = createTrailTracker(eph, TRAIL_SAMPLES, TRAIL_SAMPLES + 1).paths(8000, span);
+    assert.equal(track.retrograde.earth, undefined);
+    ['mars', 'jupiter', 'saturn'].forEach(id => {
+      const flags = track.retrograde[id];
+      assert.equal(flags.length, track.times.length);
+      const { intervals } = findRetrogrades(id, track.times[0], track.times.at(-1), eph.context(8000));
+      assert.ok(intervals.length >= 1, id);
+      intervals.forEach(iv => {
+        assert.ok(track.times.some((t, i) => flags[i] && t >= iv.start && t <= iv.end), `${id} loop at ${iv.start.toFixed(0)}`);
+      });
+      track.times.forEach((t, i) => {
+        if (flags[i]) assert.ok(intervals.some(iv => t >= iv.start - step && t <= iv.end + step), `${id} flagged at ${t}`);
+      });
+    });
+  });
+});
+
+describe('zodiacRing', () => {
+  const width = (sign) => sign.to - sign.from;
+  const CENTURY = 36525;
+
+  test('tropical signs are twelve fixed 30° divisions from the equinox of date', () => {
+    [0, 10 * CENTURY].forEach(days => {
+      const ring = zodiacRing('tropical', days);
+      assert.equal(ring.origin, 0);
+      assert.equal(ring.signs.length, 12);
+      ring.signs.forEach((sign, i) => { assert.equal(sign.from, 30 * i); close(width(sign), 30, 1e-9); });
+    });
+  });
+
+  test('sidereal signs start at the ayanamsa, which grows with precession', () => {
+    close(ayanamsa('lahiri', 0), 23.857, 0.001);
+    close(ayanamsa('fagan-bradley', 0) - ayanamsa('lahiri', 0), 0.883, 0.001);
+    close(ayanamsa('lahiri', CENTURY) - ayanamsa('lahiri', 0), 1.397, 0.001);
+    const ring = zodiacRing('sidereal', 0, 'fagan-bradley');
+    close(ring.origin, 24.7403, 1e-6);
+    assert.equal(ring.signs.length, 12);
+    close(ring.signs[0].from, ring.origin, 1e-9);
+    // unknown ids fall back to Lahiri
+    close(zodiacRing('sidereal', 0, 'nope').origin, ayanamsa('lahiri', 0), 1e-9);
+  });
+
+  test('IAU constellations have their own widths, Ophiuchus included, and drift with precession', () => {
+    const ring = zodiacRing('iau', 0);
+    assert.equal(ring.signs.length, 13);
+    close(ring.signs.reduce((sum, sign) => sum + width(sign), 0), 360, 1e-9);
+    const scorpius = ring.signs[7], ophiuchus = ring.signs[8];
+    assert.equal(ophiuchus.s, '⛎');
+    assert.ok(width(scorpius) < 8 && width(ophiuchus) > 18, `${width(scorpius)} ${width(ophiuchus)}`);
+    // Pisces wraps through 0°
+    assert.ok(ring.signs[12].from > 350 && ring.signs[12].to > 360);
+    const later = zodiacRing('iau', 20 * CENTURY);
+    close(later.signs[0].from - ring.signs[0].from, 20 * 1.397, 0.01);
+  });
+});
+
+describe('position readouts', () => {
+  test('longitudes read as degrees and minutes into the sign of the chosen ring', () => {
+    const tropical = zodiacRing('tropical', 0);
+    assert.equal(formatZodiacPosition(135.3833, tropical), '15°22′ ♌');
+    assert.equal(formatZodiacPosition(135.3834, tropical), '15°23′ ♌');
+    assert.equal(formatZodiacPosition(0, tropical), '0°00′ ♈');
+    assert.equal(formatZodiacPosition(359.999, tropical), '29°59′ ♓');
+    assert.equal(formatZodiacPosition(-30, tropical), '0°00′ ♓');
+    // Lahiri puts the sidereal zero near 23.86° at J2000
+    assert.equal(formatZodiacPosition(30, zodiacRing('sidereal', 0, 'lahiri')), '6°08′ ♈');
+    // IAU Pisces runs across 0°, and Ophiuchus follows Scorpius
+    const iau = zodiacRing('iau', 0);
+    assert.equal(formatZodiacPosition(5, iau), '13°25′ ♓');
+    assert.equal(formatZodiacPosition(250, iau), '2°18′ ⛎');
+  });
+
+  test('rows cover the Sun, Moon, planets but Earth and both nodes', () => {
+    const ids = readoutBodies(PLANETS).map(b => b.id);
+    assert.deepEqual(ids, ['sun', 'moon', 'mercury', 'venus', 'mars', 'jupiter', 'saturn', 'uranus', 'neptune', 'pluto', 'north-node', 'south-node']);
+    const geo = geocentricEcliptic(keplerPositions(0, PLANETS), PLANETS);
+    assert.deepEqual(Object.keys(geo).sort(), [...ids].sort());
+    close(Math.abs(wrapDeg(geo['south-node'].lon - geo['north-node'].lon)), 180, 1e-9);
+    assert.equal(geo['north-node'].dist, null);
+  });
+
+  test('geocentric coordinates and daily motion match astronomy-engine', async () => {
+    const A = loadAstronomy();
+    const eph = createEphemeris(PLANETS, A);
+    const days = daysFromMs(Date.UTC(2022, 11, 8)); // Mars at opposition, retrograde
+    const rows = createReadoutTracker(eph).at(days, await eph.positions(days));
+    const time = A.MakeTime(dateFromDays(days));
+    const sun = A.SunPosition(time);
+    close(wrapDeg(rows.sun.lon - sun.elon), 0, 0.01, 'sun lon');
+    close(rows.sun.dist, A.GeoVector(A.Body.Sun, time, true).Length(), 1e-4, 'sun dist');
+    close(rows.sun.speed, 1.02, 0.01, 'sun speed');
+    const moon = A.EclipticGeoMoon(time);
+    close(rows.moon.dist, moon.dist, 1e-9, 'moon dist');
+    assert.ok(rows.moon.speed > 11 && rows.moon.speed < 16, `moon speed ${rows.moon.speed}`);
+    assert.ok(rows.mars.speed < 0, `mars speed ${rows.mars.speed}`);
+    close(rows.mars.dist, 0.55, 0.01, 'mars dist');
+    assert.ok(rows.jupiter.speed > 0, `jupiter speed ${rows.jupiter.speed}`);
+    // the samples either side do not disturb the remembered positions
+    assert.equal(eph.active, 'astronomy');
+    assert.equal(await eph.positions(days), await eph.positions(days));
+  });
+
+  test('a running clock reuses the daily motion for READOUT_MOTION_MS of wall-clock time', async () => {
+    const eph = createEphemeris(PLANETS);
+    let samples = 0;
+    const counted = { ...eph, planets: eph.planets, get active() { return eph.active; }, sample: (d) => { samples++; return eph.sample(d); } };
+    const tracker = createReadoutTracker(counted);
+    const first = tracker.at(8000, await eph.positions(8000), 1000);
+    assert.equal(samples, 2);
+    assert.equal(tracker.exact, true);
+    const next = tracker.at(8001, await eph.positions(8001), 1000 + READOUT_MOTION_MS / 2);
+    assert.equal(samples, 2, 'no new samples within the interval');
+    assert.equal(tracker.exact, false);
+    assert.equal(next.moon.speed, first.moon.speed);
+    assert.notEqual(next.moon.lon, first.moon.lon);
+    // once the interval is over the same clock reading gets its own speeds
+    const settled = tracker.at(8001, await eph.positions(8001), 1000 + READOUT_MOTION_MS);
+    assert.equal(samples, 4);
+    assert.equal(tracker.exact, true);
+    assert.notEqual(settled.moon.speed, first.moon.speed);
+    // without a wall-clock time every reading is sampled
+    tracker.at(8002, await eph.positions(8002));
+    assert.equal(samples, 6);
+  });
+
+  test('the Keplerian Moon distance stays inside its perigee/apogee range', () => {
+    for (let days = 0; days < 60; days += 1.5) {
+      const { moonDist } = keplerPositions(days, PLANETS);
+      assert.ok(moonDist > 0.00238 && moonDist < 0.00274, `${days}: ${moonDist}`);
+    }
+  });
+
+  test('marker longitudes are seen from the anchor of the view', () => {
+    const pos = keplerPositions(3000, PLANETS);
+    const helio = markerLongitudes(pos, 'helio', PLANETS);
+    const geo = markerLongitudes(pos, 'geo', PLANETS);
+    assert.equal(helio.sun, undefined);
+    assert.equal(geo.earth, undefined);
+    close(wrapDeg(helio.mars - Math.atan2(pos.mars.y, pos.mars.x) * 180 / Math.PI), 0, 1e-9);
+    close(geo.mars, geocentricEcliptic(pos, PLANETS).mars.lon, 1e-9);
+    close(Math.abs(wrapDeg(geo.sun - helio.earth)), 180, 1e-9);
+    assert.equal(helio.moon, geo.moon);
+    assert.equal(markerLongitudes(pos, 'helio', PLANETS, 'mars').mars, undefined);
+  });
+});
+
+describe('findAspects', () => {
+  const ids = ['sun', 'moon', 'mars', 'north-node', 'south-node'];
+
+  test('takes the closest aspect within its orb', () => {
+    const values = { sun: { lon: 10, speed: 1 }, moon: { lon: 131, speed: 13 }, mars: { lon: 40, speed: 0.5 } };
+    const found = findAspects(values, ids);
+    assert.equal(found.length, 2);
+    const [trine, square] = found;
+    assert.equal(trine.a, 'sun');
+    assert.equal(trine.b, 'moon');
+    assert.equal(trine.aspect, 'trine');
+    close(trine.orb, 1, 1e-9);
+    close(trine.exactness, 1 - 1 / 8, 1e-9);
+    assert.equal(trine.applying, false); // the faster Moon is pulling away past 120°
+    assert.equal(square.a, 'moon');
+    assert.equal(square.b, 'mars');
+    assert.equal(square.aspect, 'square');
+    close(square.separation, 91, 1e-9);
+    // the Sun and Mars are a semisextile apart, which is minor
+    assert.ok(!found.some(f => f.a === 'sun' && f.b === 'mars'));
+  });
+
+  test('applying and separating', () => {
+    // the Moon 5° behind the Sun closes on the conjunction, 5° ahead it leaves it
+    const behind = findAspects({ sun: { lon: 100, speed: 1 }, moon: { lon: 95, speed: 13 } }, ids)[0];
+    assert.equal(behind.aspect, 'conjunction');
+    assert.ok(behind.applying);
+    const ahead = findAspects({ sun: { lon: 100, speed: 1 }, moon: { lon: 105, speed: 13 } }, ids)[0];
+    assert.ok(!ahead.applying);
+    // across 0° Aries and past the exact angle: Mars retrograding back towards the point
+    // opposite the Sun applies, Mars short of it while the Sun moves away separates
+    const retro = findAspects({ sun: { lon: 358, speed: 1 }, mars: { lon: 182, speed: -0.3 } }, ids)[0];
+    assert.equal(retro.aspect, 'opposition');
+    close(retro.orb, 4, 1e-9);
+    assert.ok(retro.applying);
+    const short = findAspects({ sun: { lon: 358, speed: 1 }, mars: { lon: 174, speed: 0.5 } }, ids)[0];
+    assert.ok(!short.applying);
+  });
+
+  test('sets, orbs and the node pair', () => {
+    const nodes = { sun: { lon: 0, speed: 1 }, 'north-node': { lon: 90, speed: -0.05 }, 'south-node': { lon: 270, speed: -0.05 } };
+    // the nodes square the Sun but are never paired with each other
+    assert.deepEqual(findAspects(nodes, ids).map(f => `${f.a}-${f.b}-${f.aspect}`), ['sun-north-node-square', 'sun-south-node-square']);
+    assert.deepEqual(findAspects(nodes, ids, { set: 'off' }), []);
+    // an orb of 0 switches an aspect off; a wider one reaches further
+    assert.equal(findAspects(nodes, ids, { orbs: { square: 0 } }).length, 0);
+    // the quincunx is minor
+    const quincunx = { sun: { lon: 0, speed: 1 }, moon: { lon: 151, speed: 13 } };
+    assert.equal(findAspects(quincunx, ids).length, 0);
+    assert.equal(findAspects(quincunx, ids, { set: 'all' })[0].aspect, 'quincunx');
+    assert.equal(findAspects({ sun: { lon: 0 }, moon: { lon: 70 } }, ids).length, 0);
+    assert.equal(findAspects({ sun: { lon: 0 }, moon: { lon: 70 } }, ids, { orbs: { sextile: 10 } })[0].aspect, 'sextile');
+  });
+
+  test('every aspect has a default orb', () => {
+    const orbs = defaultOrbs();
+    ASPECTS.forEach(a => assert.equal(orbs[a.id], a.orb));
+    assert.equal(ASPECTS.filter(a => a.major).length, 5);
+  });
+});
+
+describe('createRetrogradeTracker', () => {
+  test('finds Mars retrograde around its 2020 opposition (Keplerian elements)', async () => {
+    const eph = createEphemeris(PLANETS);
+    const tracker = createRetrogradeTracker(eph);
+    const opposition = daysFromMs(Date.UTC(2020, 9, 13));
+    assert.equal(tracker.isRetrograde('mars', opposition), false); // nothing cached yet
+    await tracker.refresh(opposition);
+    assert.ok(tracker.isRetrograde('mars', opposition));
+    assert.ok(!tracker.isRetrograde('mars', opposition + 200));
+    const stations = tracker.stations('mars');
+    assert.ok(stations.some(s => s.kind === 'station-retrograde' && s.days < opposition));
+    assert.ok(stations.some(s => s.kind === 'station-direct' && s.days > opposition));
+    stations.forEach(s => assert.ok(s.geo && isFinite(s.geo.x) && isFinite(s.geo.y)));
+    // stations follow the distance scale like the planets
+    const scale = radialScale('schematic', PLANETS);
+    const scaled = tracker.stations('mars', scale);
+    const p = scale.map(stations[0].planet), e = scale.map(stations[0].earth);
+    assert.deepEqual(scaled[0].geo, { x: p.x - e.x, y: p.y - e.y });
+    assert.deepEqual(tracker.stations('earth'), []);
+  });
+});
+
+describe('chart orientation', () => {
+  const DEG = Math.PI / 180;
+  const orient = chartOrientation(100);
+
+  test('the ascendant goes left and the zodiac runs anticlockwise', () => {
+    close(orientAngle(orient, 100), 180, 1e-9);
+    // 90° before the ascendant is straight up (screen y points down)
+    close(orientAngle(orient, 10), 270, 1e-9);
+    close(orientAngle(orient, 190), 90, 1e-9);
+    assert.equal(orientAngle(null, 42), 42);
+  });
+
+  test('points and angles turn together', () => {
+    const lon = 37, r = 5;
+    const p = orientPoint(orient, { x: r * Math.cos(lon * DEG), y: r * Math.sin(lon * DEG), z: 2 });
+    close(Math.hypot(p.x, p.y), r, 1e-9);
+    close(((Math.atan2(p.y, p.x) / DEG) + 360) % 360, orientAngle(orient, lon), 1e-9);
+    assert.equal(p.z, 2);
+    const pos = orientPositions({ earth: { x: 1, y: 0 }, moonAbsAng: 37 * DEG, nodeAbsAng: 0, moonPhase: { fraction: 0.5 } }, orient);
+    close(pos.moonAbsAng / DEG, orientAngle(orient, 37), 1e-9);
+    close(pos.earth.x, -Math.cos(100 * DEG), 1e-9); // lon 0 at 180 + 100
+    assert.deepEqual(pos.moonPhase, { fraction: 0.5 });
+  });
+
+  test('zodiac signs keep their spans in scene angles', () => {
+    const ring = orientZodiac(zodiacRing('tropical', 0), orient);
+    close(ring.origin, orientAngle(orient, 0), 1e-9);
+    // Aries now runs from where 30° goes to where 0° goes
+    close(ring.signs[0].from, orientAngle(orient, 30), 1e-9);
+    close(ring.signs[0].to - ring.signs[0].from, 30, 1e-9);
+    assert.equal(orientZodiac(ring, null), ring);
+  });
+});
+
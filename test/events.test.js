@@ -0,0 +1,59 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { findEvents, EVENT_LABELS } from '../src/events.js';
+import { createEphemeris, DEFAULT_PLANETS, daysFromMs, formatDate } from '../src/engine.js';
+import { loadAstronomy } from './helpers.js';
+
+const close = (actual, expected, tol, msg) => assert.ok(Math.abs(actual - expected) <= tol, `${msg || ''} ${actual} vs ${expected}`);
+
+describe('findEvents', () => {
+  const A = loadAstronomy();
+  const astro = createEphemeris(DEFAULT_PLANETS, A).context(0);
+  const kepler = createEphemeris(DEFAULT_PLANETS).context(0);
+  const december = daysFromMs(Date.UTC(2024, 11, 1));
+  const february = daysFromMs(Date.UTC(2025, 1, 1));
+  const days = (time) => daysFromMs(time.date.getTime());
+  const reference = {
+    // 2025-01-16
+    marsOpposition: days(A.SearchRelativeLongitude('Mars', 0, new Date(Date.UTC(2024, 11, 1)))),
+    // 2025-03-23
+    venusInferior: days(A.SearchRelativeLongitude('Venus', 0, new Date(Date.UTC(2024, 11, 1)))),
+    // 2025-01-10
+    venusEast: days(A.SearchMaxElongation('Venus', new Date(Date.UTC(2024, 11, 1))).time)
+  };
+  const find = (id, from, dir, ctx, kind) => findEvents(id, from, dir, ctx).find(e => e.kind === kind);
+
+  test('the astronomy-engine references fall on the published dates', () => {
+    assert.match(formatDate(reference.marsOpposition), /^2025-01-16 /);
+    assert.match(formatDate(reference.venusInferior), /^2025-03-23 /);
+    assert.match(formatDate(reference.venusEast), /^2025-01-10 /);
+  });
+
+  test('finds the 2025 Mars opposition and Venus conjunction and elongation', () => {
+    for (const [ctx, tol, elongationTol] of [[astro, 1e-3, 1e-3], [kepler, 0.1, 2.5]]) {
+      const provider = ctx.astronomy ? 'astronomy-engine' : 'kepler';
+      close(find('mars', december, 1, ctx, 'opposition').days, reference.marsOpposition, tol, `${provider} Mars opposition`);
+      close(find('venus', december, 1, ctx, 'inferior-conjunction').days, reference.venusInferior, tol, `${provider} Venus inferior conjunction`);
+      close(find('venus', december, 1, ctx, 'elongation-east').days, reference.venusEast, elongationTol, `${provider} Venus greatest elongation E`);
+    }
+  });
+
+  test('searches backwards', () => {
+    for (const ctx of [astro, kepler]) {
+      const mars = findEvents('mars', february, -1, ctx);
+      assert.equal(mars[0].kind, 'opposition');
+      close(mars[0].days, reference.marsOpposition, 0.1);
+      mars.forEach(e => assert.ok(e.days < february, e.kind));
+      const venus = find('venus', february, -1, ctx, 'elongation-east');
+      close(venus.days, reference.venusEast, 2.5);
+    }
+  });
+
+  test('results are labelled and ordered by distance from the start', () => {
+    const events = findEvents('venus', december, 1, astro);
+    events.forEach(e => assert.equal(e.label, EVENT_LABELS[e.kind]));
+    const gaps = events.map(e => e.days - december);
+    gaps.forEach(g => assert.ok(g > 0));
+    assert.deepEqual(gaps, [...gaps].sort((a, b) => a - b));
+  });
+});
@@ -0,0 +1,74 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { EXPORT_STYLE, makeZip, crc32 } from '../src/export.js';
+import { EXPORT_FONTS, EXPORT_FONT_CHARS } from '../src/export-fonts.js';
+import {
+  DEFAULT_PLANETS, ZODIAC, IAU_ECLIPTIC, ASPECTS, readoutBodies, formatZodiacPosition, formatDate, zodiacRing
+} from '../src/engine.js';
+
+describe('SVG export fonts', () => {
+  test('the embedded subsets cover every glyph the diagram and caption draw', () => {
+    const drawn = [
+      ...DEFAULT_PLANETS.map(p => p.sym), ...readoutBodies(DEFAULT_PLANETS).map(b => b.sym),
+      ...ZODIAC.map(z => z.s), ...IAU_ECLIPTIC.map(z => z.s), ...ASPECTS.map(a => a.sym),
+      '℞', 'S℞', 'SD', 'ASC DSC MC IC', '0123456789',
+      formatZodiacPosition(123.456, zodiacRing('tropical', 0)),
+      `${formatDate(-800000, 'mixed')} · GEOCENTRIC · 51.48° -0.01°`
+    ].join('');
+    const missing = [...new Set(drawn)].filter(c => !EXPORT_FONT_CHARS.includes(c));
+    assert.deepEqual(missing, []);
+  });
+
+  test('the export style carries every face as WOFF2 data', () => {
+    assert.equal(EXPORT_FONTS.length, 4);
+    EXPORT_FONTS.forEach(f => {
+      assert.equal(Buffer.from(f.woff2, 'base64').subarray(0, 4).toString('latin1'), 'wOF2', f.family);
+      assert.ok(EXPORT_STYLE.includes(`url(data:font/woff2;base64,${f.woff2})`), f.family);
+    });
+    assert.equal((EXPORT_STYLE.match(/@font-face/g) || []).length, EXPORT_FONTS.length);
+    // text asks for the embedded faces before anything installed
+    assert.match(EXPORT_STYLE, /text \{ font-family: 'Orrery Export Sans', 'Orrery Export Symbols'/);
+  });
+});
+
+describe('makeZip', () => {
+  const bytes = (text) => new TextEncoder().encode(text);
+
+  test('crc32 gives the standard check value', () => {
+    assert.equal(crc32(bytes('123456789')), 0xCBF43926);
+    assert.equal(crc32(new Uint8Array(0)), 0);
+  });
+
+  test('stores two files with their headers, central directory and end record', async () => {
+    const files = [{ name: 'frame-0001.png', data: bytes('first') }, { name: 'frame-0002.png', data: bytes('second file') }];
+    const zip = makeZip(files);
+    assert.equal(zip.type, 'application/zip');
+    const view = new DataView(await zip.arrayBuffer());
+    const decoder = new TextDecoder();
+    let offset = 0;
+    const locals = files.map(file => {
+      const at = offset;
+      assert.equal(view.getUint32(at, true), 0x04034b50, 'local header signature');
+      assert.equal(view.getUint16(at + 8, true), 0, 'stored');
+      assert.equal(view.getUint32(at + 14, true), crc32(file.data));
+      assert.equal(view.getUint32(at + 18, true), file.data.length);
+      const nameLength = view.getUint16(at + 26, true);
+      assert.equal(decoder.decode(new Uint8Array(view.buffer, at + 30, nameLength)), file.name);
+      assert.equal(decoder.decode(new Uint8Array(view.buffer, at + 30 + nameLength, file.data.length)), decoder.decode(file.data));
+      offset = at + 30 + nameLength + file.data.length;
+      return at;
+    });
+    const centralStart = offset;
+    files.forEach((file, i) => {
+      assert.equal(view.getUint32(offset, true), 0x02014b50, 'central directory signature');
+      assert.equal(view.getUint32(offset + 16, true), crc32(file.data));
+      assert.equal(view.getUint32(offset + 42, true), locals[i], 'offset of the local header');
+      offset += 46 + view.getUint16(offset + 28, true);
+    });
+    assert.equal(view.getUint32(offset, true), 0x06054b50, 'end of central directory signature');
+    assert.equal(view.getUint16(offset + 10, true), 2);
+    assert.equal(view.getUint32(offset + 12, true), offset - centralStart);
+    assert.equal(view.getUint32(offset + 16, true), centralStart);
+    assert.equal(offset + 22, view.byteLength);
+  });
+});
@@ -0,0 +1,16 @@
+// Shared test helpers: astronomy-engine's browser build, loaded into this realm so the
+// Date objects we create pass its instanceof checks
+import { readFileSync } from 'node:fs';
+import vm from 'node:vm';
+
+let astronomy = null;
+
+export function loadAstronomy() {
+  if (!astronomy) {
+    const source = readFileSync(new URL('../src/astronomy.browser.min.js', import.meta.url), 'utf8');
+    // hide CommonJS/AMD and browser globals so the UMD wrapper attaches to globalThis
+    vm.runInThisContext(`(function (exports, module, define, window, self) {\n${source}\n})`, { filename: 'astronomy.browser.min.js' })();
+    astronomy = globalThis.Astronomy;
+  }
+  return astronomy;
+}
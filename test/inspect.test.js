@@ -0,0 +1,79 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { bodyInfo, nodeInfo, LIGHT_DAYS_PER_AU } from '../src/inspect.js';
+import { J2000, daysFromMs } from '../src/engine.js';
+import { loadAstronomy } from './helpers.js';
+
+const close = (actual, expected, tol, msg) => assert.ok(Math.abs(actual - expected) <= tol, `${msg || ''} ${actual} vs ${expected}`);
+const wrapHours = (h) => ((h % 24) + 36) % 24 - 12;
+
+describe('bodyInfo', () => {
+  const days = daysFromMs(Date.UTC(2026, 9, 19));
+  const astro = { astronomy: loadAstronomy(), epoch: J2000 };
+  const kepler = { astronomy: null, epoch: J2000 };
+
+  test('the Keplerian fallback agrees with astronomy-engine', () => {
+    for (const id of ['sun', 'moon', 'mercury', 'venus', 'mars', 'jupiter', 'saturn']) {
+      const a = bodyInfo(id, days, astro), k = bodyInfo(id, days, kepler);
+      assert.equal(a.provider, 'astronomy-engine');
+      assert.equal(k.provider, 'kepler');
+      close(k.geoDist / a.geoDist, 1, 0.01, `${id} distance`);
+      close(wrapHours(k.ra - a.ra) * 15, 0, 0.5, `${id} RA`);
+      close(k.dec, a.dec, 0.5, `${id} dec`);
+      if (id !== 'sun') close(k.elongation, a.elongation, 0.5, `${id} elongation`);
+      // Saturn's rings brighten it by up to a magnitude; the fallback leaves them out
+      if (id !== 'saturn') close(k.magnitude, a.magnitude, 0.3, `${id} magnitude`);
+    }
+  });
+
+  test('light time, elongation and phase angle agree with astronomy-engine on other dates', () => {
+    for (const t of [Date.UTC(2025, 0, 16), Date.UTC(1990, 5, 1)]) {
+      const when = daysFromMs(t);
+      for (const id of ['moon', 'mercury', 'venus', 'mars', 'jupiter', 'saturn']) {
+        const a = bodyInfo(id, when, astro), k = bodyInfo(id, when, kepler);
+        const msg = `${id} ${new Date(t).toISOString().slice(0, 10)}`;
+        close(k.lightTime / a.lightTime, 1, 0.01, `${msg} light time`);
+        close(k.elongation, a.elongation, 0.5, `${msg} elongation`);
+        close(k.phaseAngle, a.phaseAngle, 0.5, `${msg} phase angle`);
+      }
+    }
+  });
+
+  test('light time follows the distance from Earth', () => {
+    const sun = bodyInfo('sun', days, astro);
+    close(sun.lightTime, sun.geoDist * LIGHT_DAYS_PER_AU, 1e-12);
+    close(sun.lightTime * 86400, 497, 5, 'seconds');
+  });
+
+  test('leaves out what does not apply', () => {
+    const sun = bodyInfo('sun', days, astro);
+    assert.equal(sun.helioDist, null);
+    assert.equal(sun.elongation, null);
+    assert.equal(sun.fraction, null);
+    for (const ctx of [astro, kepler]) {
+      const earth = bodyInfo('earth', days, ctx);
+      close(earth.helioDist, 1, 0.02);
+      assert.equal(earth.geoDist, null);
+      assert.equal(earth.lightTime, null);
+      assert.equal(earth.ra, null);
+    }
+    assert.equal(bodyInfo('vulcan', days, astro), null);
+  });
+
+  test('a full Moon is fully lit opposite the Sun', () => {
+    // total lunar eclipse of 2025-09-07, greatest at 18:11 UTC
+    const moon = bodyInfo('moon', daysFromMs(Date.UTC(2025, 8, 7, 18, 11)), astro);
+    close(moon.elongation, 180, 1.5);
+    close(moon.fraction, 1, 0.001);
+  });
+});
+
+describe('nodeInfo', () => {
+  test('the equinoxes and solstices of the ecliptic', () => {
+    close(nodeInfo(0).ra, 0, 1e-9);
+    close(nodeInfo(0).dec, 0, 1e-9);
+    close(nodeInfo(90).ra, 6, 1e-9);
+    close(nodeInfo(90).dec, 23.439, 0.001);
+    close(nodeInfo(-90).ra, 18, 1e-9);
+  });
+});
@@ -0,0 +1,90 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodePermalink, decodePermalink } from '../src/permalink.js';
+import { J2000, daysFromMs } from '../src/engine.js';
+
+// shaped like sim.js viewSnapshot()
+const snapshot = {
+  days: daysFromMs(Date.UTC(2026, 9, 19, 21, 30)),
+  view: 'geo',
+  scale: 'log',
+  timeZone: '+05:30',
+  calendar: 'mixed',
+  follow: 'mars',
+  zoom: 0.35,
+  pos: { x: 612.5, y: -40 },
+  rate: 1 / 24,
+  direction: -1,
+  realtime: true,
+  observer: { lat: -33.8688, lon: 151.2093, elev: 58 },
+  orbits: false,
+  trails: true,
+  labels: true,
+  trailWindow: 182.625,
+  renderer: 'canvas',
+  zodiac: 'sidereal',
+  ayanamsa: 'lahiri',
+  aspects: 'all',
+  orbs: { trine: 6.5, square: 4 },
+  chart: true,
+  houses: 'whole-sign'
+};
+
+describe('permalinks', () => {
+  test('round-trip every field of the view snapshot', () => {
+    const hash = encodePermalink(snapshot, J2000);
+    assert.match(hash, /^t=2026-10-19T21:30:00.000Z&/);
+    const out = decodePermalink('#' + hash, J2000);
+    assert.ok(Math.abs(out.days - snapshot.days) < 1e-8);
+    assert.deepEqual({ ...out, days: snapshot.days, rate: +out.rate.toPrecision(6) }, { ...snapshot, rate: +snapshot.rate.toPrecision(6) });
+  });
+
+  test('dates JavaScript cannot represent travel as days since J2000', () => {
+    const far = { ...snapshot, days: -2e8 };
+    const hash = encodePermalink(far, J2000);
+    assert.match(hash, /^t=-200000000&/);
+    assert.equal(decodePermalink(hash, J2000).days, -2e8);
+  });
+
+  test('an empty hash decodes to nothing', () => {
+    for (const hash of ['', '#', undefined]) assert.deepEqual(decodePermalink(hash, J2000), {});
+  });
+
+  test('malformed fields are dropped, not applied', () => {
+    const out = decodePermalink('#view=x&zoom=-1&tz=%2B14:30&follow=__proto__&orbs=trine,square:x,:5&t=soon&dir=2&cal=aztec', J2000);
+    assert.deepEqual(out, {});
+    assert.equal(Object.getPrototypeOf(out), Object.prototype);
+  });
+
+  test('the remaining fields survive a malformed neighbour', () => {
+    const out = decodePermalink('#view=x&scale=au&zoom=-1&tz=-14:00&orbs=trine:7,sextile:bad', J2000);
+    assert.deepEqual(out, { scale: 'au', timeZone: '-14:00', orbs: { trine: 7 } });
+  });
+
+  test('numbers are clamped to their ranges', () => {
+    const out = decodePermalink('#zoom=50&lat=95&lon=-200&elev=99999&rate=1e9', J2000);
+    assert.equal(out.zoom, 10);
+    assert.deepEqual(out.observer, { lat: 90, lon: -180, elev: 10000 });
+    assert.equal(out.rate, 36525);
+  });
+});
+
+describe('legacy speed links', () => {
+  test('speed and dir become a rate in days per second', () => {
+    assert.deepEqual(decodePermalink('#speed=50&dir=-1', J2000), { rate: 3, direction: -1 });
+  });
+
+  test('speed=0 is a paused clock', () => {
+    assert.deepEqual(decodePermalink('#speed=0', J2000), { rate: 0 });
+  });
+
+  test('out-of-range speeds are clamped', () => {
+    assert.equal(decodePermalink('#speed=1e9', J2000).rate, 36525);
+    assert.equal(decodePermalink('#speed=-20', J2000).rate, 0);
+    assert.equal(decodePermalink('#speed=fast', J2000).rate, undefined);
+  });
+
+  test('rate wins over speed when a link has both', () => {
+    assert.equal(decodePermalink('#rate=7&speed=50', J2000).rate, 7);
+  });
+});
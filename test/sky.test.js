@@ -0,0 +1,49 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { gmstDegrees, gastDegrees, localSiderealTime, nextRiseSet } from '../src/sky.js';
+import { J2000, DEFAULT_PLANETS, daysFromMs } from '../src/engine.js';
+import { loadAstronomy } from './helpers.js';
+
+const close = (actual, expected, tol, msg) => assert.ok(Math.abs(actual - expected) <= tol, `${msg || ''} ${actual} vs ${expected}`);
+const wrapDeg = (a) => ((a % 360) + 540) % 360 - 180;
+
+describe('sidereal time', () => {
+  test('Meeus example 12.a: GMST at 1987-04-10 0h UT', () => {
+    // 13h10m46.3668s
+    close(gmstDegrees(daysFromMs(Date.UTC(1987, 3, 10))), (13 + 10 / 60 + 46.3668 / 3600) * 15, 1e-5);
+  });
+
+  test('apparent sidereal time matches astronomy-engine', () => {
+    const A = loadAstronomy();
+    for (const ms of [Date.UTC(1987, 3, 10, 19, 21), Date.UTC(2024, 0, 1), Date.UTC(2100, 6, 1, 6)]) {
+      const days = daysFromMs(ms);
+      // astronomy-engine's SiderealTime is GAST in hours
+      close(wrapDeg(gastDegrees(days) - A.SiderealTime(A.MakeTime(new Date(ms))) * 15) * 240, 0, 0.1, 'seconds of time');
+    }
+  });
+
+  test('local sidereal time adds the east longitude', () => {
+    const days = daysFromMs(Date.UTC(2024, 2, 20, 3));
+    const lst = localSiderealTime(days, -75);
+    close(lst.mean, ((gmstDegrees(days) - 75 + 360) % 360) / 15, 1e-9);
+    close(lst.apparent - lst.mean, 0, 2 / 3600);
+  });
+});
+
+describe('nextRiseSet', () => {
+  const greenwich = { lat: 51.4769, lon: -0.0005, elev: 46 };
+  const ctx = { planets: DEFAULT_PLANETS, astronomy: loadAstronomy(), epoch: J2000, fallback: null };
+
+  test('the Sun rises and sets within a day at Greenwich', () => {
+    const days = daysFromMs(Date.UTC(2026, 9, 19, 12));
+    const rs = nextRiseSet('sun', days, greenwich, ctx);
+    assert.equal(rs.status, null);
+    assert.ok(rs.set > days && rs.set < days + 0.5, 'sets this evening');
+    assert.ok(rs.rise > rs.set && rs.rise < days + 1, 'rises tomorrow');
+  });
+
+  test('reports the midnight Sun instead of times', () => {
+    const rs = nextRiseSet('sun', daysFromMs(Date.UTC(2026, 5, 21)), { lat: 78.2, lon: 15.6, elev: 0 }, ctx);
+    assert.deepEqual(rs, { rise: null, set: null, status: 'up' });
+  });
+});